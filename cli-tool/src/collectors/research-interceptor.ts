@@ -13,6 +13,7 @@ import {
   JourneySummary,
   SourceCollection
 } from '../types/research-journey';
+import { checkResearchEvent } from '../../../functions/src/shared/research-events';
 
 export interface ResearchOptions {
   question: string;
@@ -29,6 +30,7 @@ export type EventCallback = (event: SSEEvent) => void;
 export class ResearchInterceptor {
   private firebaseUrl: string;
   private events: Array<{ timestamp: number; event: SSEEvent }> = [];
+  private protocolWarnings: Set<string> = new Set();
   private startTime: number = 0;
 
   constructor(firebaseUrl: string) {
@@ -44,6 +46,7 @@ export class ResearchInterceptor {
   ): Promise<ResearchJourney> {
     this.startTime = Date.now();
     this.events = [];
+    this.protocolWarnings.clear();
 
     console.log(`\n🔗 Connecting to: ${this.firebaseUrl}\n`);
 
@@ -80,7 +83,9 @@ export class ResearchInterceptor {
             for (const line of lines) {
               if (line.startsWith('data: ')) {
                 try {
-                  const eventData = JSON.parse(line.substring(6));
+                  const eventData = this.parseEvent(JSON.parse(line.substring(6)));
+                  if (!eventData) continue;
+
                   this.captureEvent(eventData);
                   if (onEvent) {
                     onEvent(eventData);
@@ -218,6 +223,7 @@ export class ResearchInterceptor {
       case 'planning_complete':
         journey.planning = {
           ...event.plan,
+          reasoning: '',
           model: 'gemini-2.0-flash-lite',
           tokens: { input: 0, output: 0 },
           cost: 0,
@@ -257,17 +263,17 @@ export class ResearchInterceptor {
       case 'reflection_complete':
         if (currentRound) {
           currentRound.gapAnalysis = {
-            wellCovered: event.reflection.wellCovered || [],
-            partiallyCovered: event.reflection.partiallyCovered || [],
-            notCovered: event.reflection.gapsIdentified || [],
+            wellCovered: [],
+            partiallyCovered: [],
+            notCovered: event.reflection.gapsIdentified,
             gapScore: 0,
             decision: event.reflection.shouldContinue ? 'continue' : 'stop',
-            reasoning: event.reflection.reasoning || '',
+            reasoning: event.reflection.reasoning,
             model: 'gemini-2.0-flash-lite',
             tokens: { input: 0, output: 0 },
             cost: 0,
             latency: 0,
-            evidenceQuality: event.reflection.evidenceQuality || 'moderate'
+            evidenceQuality: event.reflection.evidenceQuality
           };
         }
         break;
@@ -412,6 +418,31 @@ export class ResearchInterceptor {
     return turkishChars.test(text) ? 'Turkish' : 'English';
   }
 
+  /**
+   * Validate an event against the shared protocol schema
+   * Unknown or malformed events are skipped with a warning (once per problem)
+   */
+  private parseEvent(raw: unknown): SSEEvent | null {
+    const check = checkResearchEvent(raw);
+
+    if (!check.ok) {
+      this.warnProtocol(check.message);
+      return null;
+    }
+
+    if (check.warning) {
+      this.warnProtocol(check.warning);
+    }
+
+    return check.event;
+  }
+
+  private warnProtocol(message: string): void {
+    if (this.protocolWarnings.has(message)) return;
+    this.protocolWarnings.add(message);
+    console.warn(`⚠️  ${message}`);
+  }
+
   private captureEvent(event: SSEEvent): void {
     this.events.push({
       timestamp: Date.now() - this.startTime,
@@ -422,4 +453,11 @@ export class ResearchInterceptor {
   getEvents(): Array<{ timestamp: number; event: SSEEvent }> {
     return this.events;
   }
+
+  /**
+   * Protocol problems seen during the last run (unknown/malformed events, version mismatch)
+   */
+  getProtocolWarnings(): string[] {
+    return Array.from(this.protocolWarnings);
+  }
 }
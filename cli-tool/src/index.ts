@@ -113,7 +113,6 @@ program
             console.log(colors.system(`   Strategy: ${event.plan.strategy}`));
             console.log(colors.system(`   Focus Areas: ${event.plan.focusAreas?.join(', ') || 'N/A'}`));
             console.log(colors.system(`   Estimated Rounds: ${event.plan.estimatedRounds}`));
-            console.log(colors.decision(`   Reasoning: ${event.plan.reasoning}`));
             currentSpinner = null;
           } else if (event.type === 'round_started') {
             console.log('\n' + colors.highlight(`🔄 ROUND ${event.round} STARTED`));
@@ -181,18 +180,6 @@ program
             console.log('\n' + colors.meta('┌' + '─'.repeat(78) + '┐'));
             console.log(colors.meta('│') + colors.highlight(' 🔍 GAP ANALYSIS') + ' '.repeat(62) + colors.meta('│'));
             console.log(colors.meta('├' + '─'.repeat(78) + '┤'));
-            console.log(colors.meta('│') + ' ' + colors.success('✓ Well Covered:') + ' '.repeat(62) + colors.meta('│'));
-            (event.reflection.wellCovered || []).forEach((item: string) => {
-              const display = `   • ${item}`;
-              const padding = Math.max(0, 78 - display.length);
-              console.log(colors.meta('│') + colors.system(display) + ' '.repeat(padding) + colors.meta('│'));
-            });
-            console.log(colors.meta('│') + ' ' + colors.warning('⚠ Partially Covered:') + ' '.repeat(57) + colors.meta('│'));
-            (event.reflection.partiallyCovered || []).forEach((item: string) => {
-              const display = `   • ${item}`;
-              const padding = Math.max(0, 78 - display.length);
-              console.log(colors.meta('│') + colors.system(display) + ' '.repeat(padding) + colors.meta('│'));
-            });
             console.log(colors.meta('│') + ' ' + colors.error('✗ Gaps Identified:') + ' '.repeat(59) + colors.meta('│'));
             (event.reflection.gapsIdentified || []).forEach((item: string) => {
               const display = `   • ${item}`;
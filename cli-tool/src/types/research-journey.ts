@@ -79,7 +79,7 @@ export interface RoundResult {
 }
 
 export interface APICall {
-  api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa';
+  api: string; // Research source id (pubmed, medrxiv, clinicaltrials, exa, ...)
   query: string;
   filters?: Record<string, any>;
   maxResults: number;
@@ -126,7 +126,7 @@ export interface GapAnalysis {
   tokens: { input: number; output: number };
   cost: number;
   latency: number;
-  evidenceQuality: 'insufficient' | 'limited' | 'moderate' | 'high';
+  evidenceQuality: 'low' | 'medium' | 'high';
 }
 
 export interface SourceRanking {
@@ -213,41 +213,10 @@ export interface JourneySummary {
 }
 
 /**
- * SSE Event Types (matching production Firebase Functions)
+ * SSE events streamed by the research endpoints
+ * Defined once (zod schema + protocol version) in functions/src/shared/research-events.ts
  */
-export type SSEEvent =
-  | { type: 'routing'; message: string }
-  | { type: 'tier_selected'; tier: number; reasoning: string; confidence: number }
-  | { type: 'searching_memory'; message: string }
-  | { type: 'searching'; source: 'exa' | 'pubmed' | 'clinicaltrials' }
-  | { type: 'search_complete'; count: number; source: string }
-  | { type: 'sources_ready'; sources: any[] }
-  | { type: 'extracting_keywords' }
-  | { type: 'keywords_extracted'; keywords: string }
-  | { type: 'research_stage'; stage: 'starting' | 'scanning' | 'fetching' | 'synthesizing'; message: string }
-  | { type: 'api_started'; api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa'; count: number; message: string; query?: string }
-  | { type: 'api_completed'; api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa'; count: number; duration: number; message: string; success: boolean; searchQuery?: string; topSources?: Array<{index: number; title: string; url: string; domain: string}> }
-  | { type: 't2_query_enrichment_started'; message: string }
-  | { type: 't2_query_enrichment_complete'; enrichedQuery: string; contextUsed: boolean; originalQuery?: string; duration?: number }
-  | { type: 't2_translation_started'; message: string }
-  | { type: 't2_translation_complete'; originalQuery: string; translatedQuery: string; duration: number }
-  | { type: 't2_source_analysis_started'; message: string }
-  | { type: 't2_source_analysis_complete'; totalSources: number; breakdown: { exa: number } }
-  | { type: 'research_progress'; fetched: number; total: number; message: string }
-  | { type: 'planning_started'; message: string; sequence: number }
-  | { type: 'planning_complete'; plan: any; sequence: number }
-  | { type: 'round_started'; round: number; query: string; estimatedSources: number; sequence: number }
-  | { type: 'round_complete'; round: number; sourceCount: number; duration: number; sources: any[]; status: string; sequence: number }
-  | { type: 'source_found'; title: string; sourceType: string }
-  | { type: 'reflection_started'; round: number; sequence: number }
-  | { type: 'reflection_complete'; round: number; reflection: any; sequence: number }
-  | { type: 'source_selection_started'; message: string; sequence: number }
-  | { type: 'synthesis_preparation'; message: string; sequence: number }
-  | { type: 'synthesis_started'; totalRounds: number; totalSources: number; sequence: number }
-  | { type: 'generating'; message: string }
-  | { type: 'token'; content: string }
-  | { type: 'complete'; sources: any[]; metadata: any; researchSummary?: any; processingTier?: string; thinkingSummary?: string }
-  | { type: 'error'; message: string };
+export type { ResearchEvent as SSEEvent } from '../../../functions/src/shared/research-events';
 
 /**
  * Configuration file structure
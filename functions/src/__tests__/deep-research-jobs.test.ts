@@ -0,0 +1,299 @@
+/**
+ * Tests for the T3 background job handlers
+ *
+ * Start: validation, rate limit, stored job and enqueued task.
+ * Status: owner check and answers hidden until the job is done.
+ * Run: the queued job runs the real pipeline on replayed search responses and a
+ * fake Gemini; guardrails and the rate limit are applied when the task runs.
+ */
+
+import * as path from 'path';
+import * as firestore from 'firebase-admin/firestore';
+import * as functions from 'firebase-admin/functions';
+import * as genkitInstance from '../genkit-instance';
+import { startDeepResearchJob, runDeepResearchJob, getDeepResearchJobStatus } from '../deep-research-jobs';
+import { checkTier3RateLimit, recordTier3Usage } from '../utils/rate-limiter';
+import { createResearchSourceProvider, setResearchSourceProvider } from '../tools/research-source-provider';
+import { resetSourceHealth } from '../tools/source-health';
+import { FakeGemini } from '../utils/fake-gemini';
+import { T3_QUESTION } from '../flows/__tests__/fixtures/fake-gemini-t3';
+
+jest.mock('firebase-functions/v2/https', () => ({
+  onRequest: (_options: any, handler: any) => handler
+}));
+
+jest.mock('firebase-functions/v2/tasks', () => ({
+  onTaskDispatched: (_options: any, handler: any) => handler
+}));
+
+jest.mock('firebase-admin/functions', () => {
+  const enqueue = jest.fn().mockResolvedValue(undefined);
+  return { getFunctions: () => ({ taskQueue: () => ({ enqueue }) }), enqueue };
+});
+
+// In-memory Firestore: documents by path, add() calls by collection
+jest.mock('firebase-admin/firestore', () => {
+  const documents = new Map<string, any>();
+  const added: Array<{ collection: string; data: any }> = [];
+
+  const docRef = (docPath: string): any => ({
+    id: docPath.split('/').pop(),
+    get: async () => ({ exists: documents.has(docPath), data: () => documents.get(docPath) }),
+    set: async (data: any, options?: { merge?: boolean }) => {
+      documents.set(docPath, options?.merge ? { ...documents.get(docPath), ...data } : { ...data });
+    },
+    update: async (data: any) => {
+      if (!documents.has(docPath)) throw new Error(`No document at ${docPath}`);
+      documents.set(docPath, { ...documents.get(docPath), ...data });
+    },
+    collection: (name: string) => collectionRef(`${docPath}/${name}`)
+  });
+
+  const collectionRef = (collectionPath: string): any => ({
+    doc: (id: string) => docRef(`${collectionPath}/${id}`),
+    add: async (data: any) => {
+      added.push({ collection: collectionPath, data });
+      return docRef(`${collectionPath}/${added.length}`);
+    },
+    where: () => collectionRef(collectionPath),
+    orderBy: () => collectionRef(collectionPath),
+    limit: () => collectionRef(collectionPath),
+    get: async () => ({ empty: true, size: 0, docs: [] })
+  });
+
+  const db = {
+    collection: collectionRef,
+    batch: () => {
+      const writes: Array<() => Promise<void>> = [];
+      return {
+        set: (ref: any, data: any, options?: any) => writes.push(() => ref.set(data, options)),
+        commit: async () => {
+          for (const write of writes) await write();
+        }
+      };
+    }
+  };
+
+  return { getFirestore: () => db, fakeFirestore: { documents, added } };
+});
+
+jest.mock('../genkit-instance', () => {
+  const { genkit } = require('genkit/beta');
+  const { createFakeGemini } = require('../utils/fake-gemini');
+  const { T3_SCRIPT } = require('../flows/__tests__/fixtures/fake-gemini-t3');
+
+  const fakeGemini = createFakeGemini({
+    ...T3_SCRIPT,
+    rules: [
+      { name: 'synthesis', match: 'Kullanıcı Sorusu:', respond: 'Dawn fenomeni sabah saatlerinde kan şekerinin yükselmesidir [1].' },
+      ...T3_SCRIPT.rules
+    ]
+  });
+  return { ai: genkit({ plugins: fakeGemini.plugins }), fakeGemini };
+});
+
+jest.mock('../providers', () => ({
+  getRouterModel: () => 'googleai/gemini-2.5-flash-lite',
+  getTier1Model: () => 'googleai/gemini-2.5-flash',
+  getTier2Model: () => 'googleai/gemini-2.5-flash',
+  getTier3Model: () => 'googleai/gemini-2.5-pro'
+}));
+
+jest.mock('../utils/rate-limiter', () => ({
+  checkTier3RateLimit: jest.fn(),
+  recordTier3Usage: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../utils/memory-context', () => ({
+  getMemoryContext: jest.fn().mockResolvedValue({ factCount: 0, summaryCount: 0 }),
+  formatMemoryContext: jest.fn(() => '')
+}));
+
+jest.mock('../cost-tracking/cost-tracker', () => ({
+  logTokenUsage: jest.fn().mockResolvedValue(undefined),
+  logCancelledUsage: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../utils/error-logger', () => ({
+  logError: jest.fn(),
+  getUserFriendlyMessage: jest.fn((error: Error) => error.message)
+}));
+
+const { documents, added } = (firestore as unknown as {
+  fakeFirestore: { documents: Map<string, any>; added: Array<{ collection: string; data: any }> };
+}).fakeFirestore;
+const { enqueue } = functions as unknown as { enqueue: jest.Mock };
+const fakeGemini = (genkitInstance as unknown as { fakeGemini: FakeGemini }).fakeGemini;
+
+function fakeResponse(): any {
+  const res: any = { statusCode: 200, body: undefined };
+  res.status = jest.fn((code: number) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body: any) => {
+    res.body = body;
+    return res;
+  });
+  res.send = jest.fn(() => res);
+  return res;
+}
+
+async function startJob(body: Record<string, unknown>): Promise<any> {
+  const res = fakeResponse();
+  await (startDeepResearchJob as any)({ method: 'POST', body }, res);
+  return res;
+}
+
+async function jobStatus(jobId: string, userId: string): Promise<any> {
+  const res = fakeResponse();
+  await (getDeepResearchJobStatus as any)({ method: 'GET', query: { jobId, userId }, body: {} }, res);
+  return res;
+}
+
+const runJob = (jobId: string) => (runDeepResearchJob as any)({ data: { jobId } });
+const job = (jobId: string) => documents.get(`deepResearchJobs/${jobId}`);
+
+describe('deep research jobs', () => {
+  beforeAll(() => {
+    setResearchSourceProvider(createResearchSourceProvider('replay', path.join(__dirname, '../flows/__tests__/fixtures/research')));
+  });
+
+  afterAll(() => {
+    setResearchSourceProvider(null);
+  });
+
+  beforeEach(() => {
+    documents.clear();
+    added.length = 0;
+    fakeGemini.reset();
+    resetSourceHealth();
+    jest.clearAllMocks();
+    (checkTier3RateLimit as jest.Mock).mockResolvedValue({ allowed: true, remaining: 9, resetAt: new Date() });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startDeepResearchJob', () => {
+    it('should store a queued job and enqueue it', async () => {
+      const res = await startJob({ question: T3_QUESTION, userId: 'user-1', evidenceMode: 'hierarchy' });
+
+      expect(res.statusCode).toBe(202);
+      expect(res.body).toEqual(expect.objectContaining({ success: true, resumeToken: res.body.jobId, status: 'queued' }));
+      expect(job(res.body.jobId)).toEqual(expect.objectContaining({
+        userId: 'user-1',
+        question: T3_QUESTION,
+        status: 'queued',
+        evidenceMode: 'hierarchy'
+      }));
+      expect(enqueue).toHaveBeenCalledWith({ jobId: res.body.jobId });
+    });
+
+    it('should reject requests without a question', async () => {
+      const res = await startJob({ userId: 'user-1' });
+
+      expect(res.statusCode).toBe(400);
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should not queue jobs over the daily limit', async () => {
+      (checkTier3RateLimit as jest.Mock).mockResolvedValue({ allowed: false, remaining: 0, resetAt: new Date() });
+
+      const res = await startJob({ question: T3_QUESTION, userId: 'user-1' });
+
+      expect(res.statusCode).toBe(429);
+      expect(documents.size).toBe(0);
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDeepResearchJobStatus', () => {
+    it('should answer 404 for jobs of another user', async () => {
+      const { body } = await startJob({ question: T3_QUESTION, userId: 'user-1' });
+
+      const res = await jobStatus(body.jobId, 'user-2');
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Job not found');
+    });
+
+    it('should report progress and hide the answer until the job is done', async () => {
+      const { body } = await startJob({ question: T3_QUESTION, userId: 'user-1' });
+      documents.set(`deepResearchJobs/${body.jobId}`, { ...job(body.jobId), status: 'running', answer: 'Yarım yanıt' });
+
+      const res = await jobStatus(body.jobId, 'user-1');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ status: 'running', answer: null, sources: [] }));
+    });
+  });
+
+  describe('runDeepResearchJob', () => {
+    it('should run the queued job and store the answer', async () => {
+      const { body } = await startJob({ question: T3_QUESTION, userId: 'user-1', cache: 'bypass' });
+
+      await runJob(body.jobId);
+
+      expect(job(body.jobId)).toEqual(expect.objectContaining({
+        status: 'complete',
+        phase: 'complete',
+        answer: expect.stringContaining('Dawn fenomeni sabah saatlerinde'),
+        completedAt: expect.any(Date)
+      }));
+      expect(job(body.jobId).roundsCompleted).toBeGreaterThan(0);
+      expect(job(body.jobId).sources.length).toBeGreaterThan(0);
+      expect(recordTier3Usage).toHaveBeenCalledWith('user-1', T3_QUESTION);
+
+      const status = await jobStatus(body.jobId, 'user-1');
+      expect(status.body.answer).toContain('Dawn fenomeni sabah saatlerinde');
+    });
+
+    it('should send emergency guidance before the research and record it', async () => {
+      const question = `Nefesim aseton kokuyor, ketoasidoz olabilir mi? ${T3_QUESTION}`;
+      const { body } = await startJob({ question, userId: 'user-1' });
+
+      await runJob(body.jobId);
+
+      expect(job(body.jobId).status).toBe('complete');
+      expect(job(body.jobId).answer.indexOf('112')).toBeGreaterThanOrEqual(0);
+      expect(job(body.jobId).answer.indexOf('112')).toBeLessThan(job(body.jobId).answer.indexOf('Dawn fenomeni sabah'));
+      expect(added).toContainEqual({
+        collection: 'safetyInterventions',
+        data: expect.objectContaining({ userId: 'user-1', tier: 3, action: 'emergency_guidance', categories: ['dka'] })
+      });
+    });
+
+    it('should not run a job that went over the daily limit after it was queued', async () => {
+      const { body } = await startJob({ question: T3_QUESTION, userId: 'user-1' });
+      (checkTier3RateLimit as jest.Mock).mockResolvedValue({ allowed: false, remaining: 0, resetAt: new Date() });
+
+      await runJob(body.jobId);
+
+      expect(job(body.jobId)).toEqual(expect.objectContaining({
+        status: 'error',
+        phase: 'error',
+        error: expect.stringContaining('limitine ulaştınız'),
+        completedAt: expect.any(Date)
+      }));
+      expect(fakeGemini.calls).toEqual([]);
+      expect(recordTier3Usage).not.toHaveBeenCalled();
+    });
+
+    it('should skip jobs that are no longer queued', async () => {
+      const { body } = await startJob({ question: T3_QUESTION, userId: 'user-1' });
+      documents.set(`deepResearchJobs/${body.jobId}`, { ...job(body.jobId), status: 'complete' });
+
+      await runJob(body.jobId);
+
+      expect(job(body.jobId).status).toBe('complete');
+      expect(checkTier3RateLimit).toHaveBeenCalledTimes(1); // Only when it was started
+      expect(fakeGemini.calls).toEqual([]);
+    });
+  });
+});
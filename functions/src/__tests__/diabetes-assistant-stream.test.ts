@@ -0,0 +1,644 @@
+/**
+ * Tests for the diabetesAssistantStream handler
+ *
+ * Concurrency: several requests run in parallel against one handler instance -
+ * each must receive only its own events and a complete, cleanly terminated stream.
+ * Cancellation: a client disconnect stops the work and is billed as cancelled.
+ * Recall: tier 0 answers from past sessions and falls back to T1.
+ * Tier override: requestedTier / upgradeFromMessageId skip the router.
+ * Guardrails: T2/T3 dose questions get the refusal rules and the answer check.
+ * Research cache: looked up before memory and research; T3 answers are cached with
+ * their citation check, flagged ones are not.
+ */
+
+import { EventEmitter } from 'events';
+import { diabetesAssistantStream } from '../diabetes-assistant-stream';
+import { ai } from '../genkit-instance';
+import { logTokenUsage, logCancelledUsage } from '../cost-tracking/cost-tracker';
+import { routeQuestion } from '../flows/router-flow';
+import { searchPastResearch } from '../flows/recall-flow';
+import { checkTier3RateLimit, recordTier3Usage } from '../utils/rate-limiter';
+import { getMemoryContext } from '../utils/memory-context';
+import { enrichQuery } from '../tools/query-enricher';
+import { translateToEnglishForAPIs } from '../tools/query-translator';
+import * as resumableStream from '../utils/resumable-stream';
+import * as researchCache from '../services/research-cache';
+import * as citationVerifier from '../tools/citation-verifier';
+import { executeDeepResearchV2 } from '../flows/deep-research-v2';
+import { DOSE_CORRECTION_NOTICE } from '../services/medical-guardrails';
+
+// Use the raw handler (no Cloud Functions wrapper)
+jest.mock('firebase-functions/v2/https', () => ({
+  onRequest: (_options: any, handler: any) => handler
+}));
+
+jest.mock('firebase-admin/firestore', () => {
+  const doc: any = { set: jest.fn().mockResolvedValue(undefined) };
+  const collection: any = { doc: jest.fn(() => doc) };
+  doc.collection = jest.fn(() => collection);
+  return {
+    getFirestore: jest.fn(() => ({
+      collection: jest.fn(() => collection),
+      batch: jest.fn(() => ({ set: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) }))
+    }))
+  };
+});
+
+jest.mock('../genkit-instance', () => ({
+  ai: {
+    generateStream: jest.fn(),
+    generate: jest.fn()
+  }
+}));
+
+jest.mock('../providers', () => ({
+  getRouterModel: jest.fn(() => 'router-model'),
+  getTier1Model: jest.fn(() => 'tier1-model'),
+  getTier2Model: jest.fn(() => 'tier2-model'),
+  getTier3Model: jest.fn(() => 'tier3-model')
+}));
+
+jest.mock('../flows/router-flow', () => ({
+  routeQuestion: jest.fn().mockResolvedValue({ tier: 1, reasoning: 'test', confidence: 1 })
+}));
+
+jest.mock('../flows/recall-flow', () => ({
+  ...jest.requireActual('../flows/recall-flow'),
+  searchPastResearch: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../utils/memory-context', () => ({
+  getMemoryContext: jest.fn().mockResolvedValue({ factCount: 0, summaryCount: 0 }),
+  formatMemoryContext: jest.fn(() => '')
+}));
+
+jest.mock('../cost-tracking/cost-tracker', () => ({
+  logTokenUsage: jest.fn().mockResolvedValue(undefined),
+  logCancelledUsage: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../utils/rate-limiter', () => ({
+  checkTier3RateLimit: jest.fn().mockResolvedValue({ allowed: true }),
+  recordTier3Usage: jest.fn().mockResolvedValue(undefined)
+}));
+
+// T2 pipeline steps
+jest.mock('../tools/query-enricher', () => ({
+  enrichQuery: jest.fn(async ({ currentQuestion }: any) => ({ enriched: currentQuestion, contextUsed: false }))
+}));
+
+jest.mock('../tools/query-translator', () => ({
+  translateToEnglishForAPIs: jest.fn(async (query: string) => query)
+}));
+
+jest.mock('../tools/exa-search', () => ({
+  searchMedicalSources: jest.fn().mockResolvedValue([]),
+  formatExaForAI: jest.fn(() => '')
+}));
+
+// T3 research pipeline: no sources, synthesis only
+jest.mock('../flows/deep-research-v2', () => ({
+  executeDeepResearchV2: jest.fn().mockResolvedValue({
+    rounds: [],
+    totalSources: 0,
+    selectedSources: [],
+    plan: { estimatedRounds: 1, strategy: 'focused', focusAreas: [] },
+    allSources: { exa: [], pubmed: [], medrxiv: [], clinicalTrials: [] }
+  }),
+  formatResearchForSynthesis: jest.fn(() => '')
+}));
+
+jest.mock('../utils/error-logger', () => ({
+  logError: jest.fn(),
+  getUserFriendlyMessage: jest.fn(() => 'Bir hata oluştu')
+}));
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake Gemini stream: chunks are derived from the question so each request's
+ * output is recognisable; "hata" makes the stream fail midway
+ */
+function fakeGenerateStream(request: any) {
+  const question: string = typeof request.prompt === 'string' ? request.prompt : '';
+  const label = question.split(' ')[0];
+  const fail = question.includes('hata');
+
+  async function* stream() {
+    for (let i = 0; i < 5; i++) {
+      await sleep(5 + Math.random() * 10);
+      if (fail && i === 2) {
+        throw new Error('model failure');
+      }
+      yield { text: `${label}-${i} ` };
+    }
+  }
+
+  return {
+    stream: stream(),
+    response: Promise.resolve({
+      candidates: [{ finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+    })
+  };
+}
+
+/**
+ * Fake Gemini stream that never finishes on its own
+ */
+function endlessGenerateStream() {
+  async function* stream() {
+    for (let i = 0; ; i++) {
+      await sleep(10);
+      yield { text: `parça-${i} ` };
+    }
+  }
+
+  return { stream: stream(), response: new Promise(() => {}) };
+}
+
+function fakeRequest(question: string, userId: string, extra: object = {}): any {
+  return { method: 'POST', headers: {}, body: { question, userId, ...extra } };
+}
+
+function fakeResponse(): any {
+  const res: any = new EventEmitter();
+  res.output = [];
+  res.writableEnded = false;
+  res.destroyed = false;
+  res.setHeader = jest.fn();
+  res.status = jest.fn(() => res);
+  res.write = jest.fn((chunk: string) => {
+    res.output.push(chunk);
+    return true;
+  });
+  res.end = jest.fn(() => {
+    res.writableEnded = true;
+    res.emit('close');
+  });
+  return res;
+}
+
+/**
+ * Simulate the client dropping the connection right after the first token
+ */
+function disconnectAfterFirstToken(res: any): void {
+  let disconnected = false;
+  res.write = jest.fn((chunk: string) => {
+    res.output.push(chunk);
+    if (!disconnected && chunk.includes('"type":"token"')) {
+      disconnected = true;
+      setImmediate(() => res.emit('close'));
+    }
+    return true;
+  });
+}
+
+function events(res: any): any[] {
+  return (res.output as string[])
+    .filter(frame => frame.includes('data: '))
+    .map(frame => JSON.parse(frame.substring(frame.indexOf('data: ') + 6)));
+}
+
+describe('diabetesAssistantStream concurrency', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.clearAllMocks();
+    (ai.generateStream as jest.Mock).mockImplementation(fakeGenerateStream);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep parallel streams isolated from each other', async () => {
+    const labels = ['alfa', 'beta', 'gama', 'delta'];
+    const responses = labels.map(() => fakeResponse());
+
+    await Promise.all(labels.map((label, i) =>
+      (diabetesAssistantStream as any)(fakeRequest(`${label} sorusu`, `user-${i}`), responses[i])
+    ));
+
+    labels.forEach((label, i) => {
+      const tokens = events(responses[i])
+        .filter(event => event.type === 'token')
+        .map(event => event.content.trim());
+
+      expect(tokens).toEqual([0, 1, 2, 3, 4].map(n => `${label}-${n}`));
+      expect(events(responses[i]).filter(event => event.type === 'complete')).toHaveLength(1);
+      expect(responses[i].output[responses[i].output.length - 1]).toBe(': stream-end\n\n');
+      expect(responses[i].end).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should not let a failing request disturb the others', async () => {
+    const ok = fakeResponse();
+    const failing = fakeResponse();
+
+    await Promise.all([
+      (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-ok'), ok),
+      (diabetesAssistantStream as any)(fakeRequest('beta hata', 'user-fail'), failing)
+    ]);
+
+    const okEvents = events(ok);
+    expect(okEvents.filter(event => event.type === 'token')).toHaveLength(5);
+    expect(okEvents.some(event => event.type === 'error')).toBe(false);
+    expect(okEvents.filter(event => event.type === 'complete')).toHaveLength(1);
+
+    const failingEvents = events(failing);
+    expect(failingEvents[failingEvents.length - 1]).toEqual({ v: 1, type: 'error', message: 'Bir hata oluştu' });
+    expect(failing.end).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('diabetesAssistantStream cancellation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should abort the model call and log a cancelled usage record on disconnect', async () => {
+    (ai.generateStream as jest.Mock).mockImplementation(endlessGenerateStream);
+    const res = fakeResponse();
+    disconnectAfterFirstToken(res);
+
+    const startedAt = Date.now();
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1'), res);
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect((ai.generateStream as jest.Mock).mock.calls[0][0].abortSignal.aborted).toBe(true);
+    expect(logTokenUsage).not.toHaveBeenCalled();
+    expect(logCancelledUsage).toHaveBeenCalledWith(expect.objectContaining({
+      featureName: 'research_fast_t1',
+      modelName: 'tier1-model',
+      stage: 'generating',
+      userId: 'user-1'
+    }));
+    expect((logCancelledUsage as jest.Mock).mock.calls[0][0].streamedChars).toBeGreaterThan(0);
+    expect(events(res).some(event => event.type === 'complete')).toBe(false);
+  });
+
+  it('should keep a resumable request running through a short disconnect', async () => {
+    (ai.generateStream as jest.Mock).mockImplementation(fakeGenerateStream);
+    const res = fakeResponse();
+    disconnectAfterFirstToken(res);
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { resumable: true }), res);
+
+    expect((ai.generateStream as jest.Mock).mock.calls[0][0].abortSignal.aborted).toBe(false);
+    expect(logTokenUsage).toHaveBeenCalledTimes(1);
+    expect(logCancelledUsage).not.toHaveBeenCalled();
+  });
+});
+
+describe('diabetesAssistantStream recall', () => {
+  const recallRouting = {
+    tier: 0,
+    reasoning: 'recall',
+    confidence: 1,
+    isRecallRequest: true,
+    searchTerms: 'Dawn ile karışan etki'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.clearAllMocks();
+    (ai.generateStream as jest.Mock).mockImplementation(fakeGenerateStream);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should summarize matching past sessions with links to them', async () => {
+    (routeQuestion as jest.Mock).mockResolvedValueOnce(recallRouting);
+    (searchPastResearch as jest.Mock).mockResolvedValueOnce([{
+      session: { sessionId: 'session-dawn', title: 'Sabah şekerleri', summary: 'Dawn ve Somogyi etkisi' },
+      keywordScore: 1,
+      semanticScore: 0.9,
+      score: 0.94,
+      matchedTerms: ['dawn']
+    }]);
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('Dawn ile karışan etki neydi?', 'user-1'), res);
+
+    const complete = events(res).find(event => event.type === 'complete');
+    expect(complete.processingTier).toBe('RECALL');
+    expect(complete.sources[0]).toMatchObject({ type: 'past_session', sessionId: 'session-dawn' });
+    expect(complete.sources[0].url).toContain('session-dawn');
+    expect(logTokenUsage).toHaveBeenCalledWith(expect.objectContaining({ featureName: 'research_recall_t0' }));
+  });
+
+  it('should fall back to T1 when nothing matches', async () => {
+    (routeQuestion as jest.Mock).mockResolvedValueOnce(recallRouting);
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('Dawn ile karışan etki neydi?', 'user-1'), res);
+
+    const types = events(res).map(event => event.type);
+    expect(types).toContain('recall_fallback');
+    expect(types.filter(type => type === 'token')).toHaveLength(5);
+    expect(events(res).find(event => event.type === 'complete').processingTier).toBe('MODEL');
+    expect(logTokenUsage).toHaveBeenCalledWith(expect.objectContaining({ featureName: 'research_fast_t1' }));
+  });
+});
+
+describe('diabetesAssistantStream tier override', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.clearAllMocks();
+    (ai.generateStream as jest.Mock).mockImplementation(fakeGenerateStream);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run the requested tier without routing', async () => {
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 2 }), res);
+
+    expect(routeQuestion).not.toHaveBeenCalled();
+    expect(events(res).find(event => event.type === 'tier_selected')).toMatchObject({ tier: 2, requested: true });
+    expect(events(res).find(event => event.type === 'complete').processingTier).toBe('SEARCH');
+  });
+
+  it('should reject an invalid tier', async () => {
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 7 }), res);
+
+    expect(events(res)).toEqual([{ v: 1, type: 'error', message: 'Geçersiz araştırma seviyesi' }]);
+    expect(ai.generateStream).not.toHaveBeenCalled();
+  });
+
+  it('should enforce and record the T3 rate limit for requested deep research', async () => {
+    (checkTier3RateLimit as jest.Mock).mockResolvedValueOnce({ allowed: false, remaining: 0, resetAt: new Date() });
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 3 }), res);
+
+    const last = events(res)[events(res).length - 1];
+    expect(last.type).toBe('error');
+    expect(last.message).toContain('limitine ulaştınız');
+    expect(recordTier3Usage).not.toHaveBeenCalled();
+    expect(ai.generateStream).not.toHaveBeenCalled();
+  });
+
+  it('should record T3 usage only when the research runs', async () => {
+    const lookup = jest.spyOn(researchCache, 'getCachedAnswer').mockResolvedValueOnce({
+      key: 'cached-key',
+      tier: 3,
+      question: 'alfa sorusu',
+      normalizedQuery: 'alfa sorusu',
+      answer: 'Kayıtlı yanıt.',
+      sources: [],
+      researchSummary: null,
+      evidenceFingerprint: '',
+      createdAt: new Date('2026-10-01'),
+      expiresAt: new Date('2026-11-01')
+    });
+    const cachedRes = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 3 }), cachedRes);
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(events(cachedRes).find(event => event.type === 'complete').metadata.cache.hit).toBe(true);
+    expect(recordTier3Usage).not.toHaveBeenCalled();
+
+    const res = fakeResponse();
+    await (diabetesAssistantStream as any)(fakeRequest('beta sorusu', 'user-1', { requestedTier: 3 }), res);
+
+    expect(recordTier3Usage).toHaveBeenCalledWith('user-1', 'beta sorusu');
+    expect(events(res).find(event => event.type === 'complete').metadata.cache.hit).toBe(false);
+  });
+
+  it('should re-run an earlier answer one tier higher with the answer as context', async () => {
+    const transcript = jest.spyOn(resumableStream, 'readStreamTranscript').mockResolvedValue({
+      streamId: 'earlier-stream',
+      question: 'HbA1c nedir?',
+      tier: 1,
+      answer: 'HbA1c üç aylık ortalamadır.',
+      status: 'complete'
+    });
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(
+      { method: 'POST', headers: {}, body: { userId: 'user-1', upgradeFromMessageId: 'earlier-stream' } },
+      res
+    );
+
+    expect(transcript).toHaveBeenCalledWith('earlier-stream', 'user-1');
+    expect(events(res).find(event => event.type === 'tier_selected')).toMatchObject({
+      tier: 2,
+      upgradeFromMessageId: 'earlier-stream'
+    });
+
+    const prompt = (ai.generateStream as jest.Mock).mock.calls[0][0].prompt;
+    expect(prompt).toContain('HbA1c nedir?');
+    expect(prompt).toContain('HbA1c üç aylık ortalamadır.');
+  });
+
+  it('should report answers that can no longer be upgraded', async () => {
+    jest.spyOn(resumableStream, 'readStreamTranscript').mockResolvedValue(null);
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(
+      { method: 'POST', headers: {}, body: { userId: 'user-1', upgradeFromMessageId: 'expired' } },
+      res
+    );
+
+    expect(events(res)[0].type).toBe('error');
+    expect(ai.generateStream).not.toHaveBeenCalled();
+  });
+
+  it('should not upgrade a T3 answer', async () => {
+    jest.spyOn(resumableStream, 'readStreamTranscript').mockResolvedValue({
+      streamId: 'deep-stream',
+      question: 'Dawn fenomeni nedir?',
+      tier: 3,
+      answer: 'Derin araştırma yanıtı.',
+      status: 'complete'
+    });
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(
+      { method: 'POST', headers: {}, body: { userId: 'user-1', upgradeFromMessageId: 'deep-stream' } },
+      res
+    );
+
+    expect(events(res)).toEqual([expect.objectContaining({ type: 'error', message: expect.stringContaining('derinleştirilemez') })]);
+    expect(checkTier3RateLimit).not.toHaveBeenCalled();
+    expect(executeDeepResearchV2).not.toHaveBeenCalled();
+    expect(ai.generateStream).not.toHaveBeenCalled();
+  });
+});
+
+describe('diabetesAssistantStream guardrails', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.clearAllMocks();
+    (ai.generateStream as jest.Mock).mockImplementation(fakeGenerateStream);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([2, 3])('should add the dose rules and flag a prescribing T%i answer', async (tier) => {
+    (ai.generateStream as jest.Mock).mockImplementationOnce(() => ({
+      stream: (async function* () {
+        yield { text: 'Lantus dozunu 2 ünite artır.' };
+      })(),
+      response: Promise.resolve({ candidates: [{ finishReason: 'STOP' }], usageMetadata: {} })
+    }));
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(
+      fakeRequest('Lantus dozumu artırayım mı?', 'user-1', { requestedTier: tier, cache: 'bypass' }),
+      res
+    );
+
+    expect((ai.generateStream as jest.Mock).mock.calls[0][0].system).toContain('GÜVENLİK KURALLARI');
+
+    const streamed = events(res);
+    const notice = streamed.findIndex(event => event.type === 'token' && event.content === DOSE_CORRECTION_NOTICE);
+    const complete = streamed.findIndex(event => event.type === 'complete');
+    expect(notice).toBeGreaterThan(-1);
+    expect(notice).toBeLessThan(complete);
+    expect(streamed[complete].metadata.safety).toEqual({
+      categories: expect.arrayContaining(['dose_prescription']),
+      actions: ['dose_flagged']
+    });
+  });
+});
+
+describe('diabetesAssistantStream research cache', () => {
+  const grounding = (unsupported: number): citationVerifier.GroundingReport => ({
+    verified: true,
+    groundingScore: unsupported > 0 ? 0.5 : 1,
+    citedSentences: 2,
+    uncitedSentences: 0,
+    supported: 2 - unsupported,
+    partial: 0,
+    unsupported,
+    invalidCitations: [],
+    unsupportedClaims: unsupported > 0 ? [{ sentence: 'Pompa HbA1c düşürür [1].', citations: [1], reason: 'not in abstract' }] : []
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.clearAllMocks();
+    (ai.generateStream as jest.Mock).mockImplementation(fakeGenerateStream);
+    (executeDeepResearchV2 as jest.Mock).mockImplementation(async () => ({
+      rounds: [],
+      totalSources: 1,
+      selectedSources: [{
+        id: 1,
+        sourceType: 'exa',
+        source: { title: 'İnsülin pompası', url: 'https://example.org/pompa', snippet: 'HbA1c düştü.' }
+      }],
+      plan: { estimatedRounds: 1, strategy: 'focused', focusAreas: [] },
+      allSources: { exa: [], pubmed: [], medrxiv: [], clinicalTrials: [] }
+    }));
+    jest.spyOn(researchCache, 'getCachedAnswer').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const cachedAnswer = (tier: 2 | 3): researchCache.CachedAnswer => ({
+    key: 'cached-key',
+    tier,
+    question: 'alfa sorusu',
+    normalizedQuery: 'alfa sorusu',
+    answer: 'Kayıtlı yanıt.',
+    sources: [],
+    researchSummary: null,
+    evidenceFingerprint: '',
+    createdAt: new Date('2026-10-01'),
+    expiresAt: new Date('2026-11-01')
+  });
+
+  it.each([2, 3] as const)('should serve a T%i hit before loading memory or searching', async tier => {
+    (researchCache.getCachedAnswer as jest.Mock).mockResolvedValueOnce(cachedAnswer(tier));
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: tier }), res);
+
+    expect(events(res).find(event => event.type === 'complete').metadata.cache.hit).toBe(true);
+    expect(translateToEnglishForAPIs).toHaveBeenCalledTimes(1);
+    expect(getMemoryContext).not.toHaveBeenCalled();
+    expect(enrichQuery).not.toHaveBeenCalled();
+    expect(executeDeepResearchV2).not.toHaveBeenCalled();
+  });
+
+  it('should translate a T2 miss once when enrichment keeps the question', async () => {
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 2 }), res);
+
+    expect(events(res).find(event => event.type === 'complete').metadata.cache.hit).toBe(false);
+    expect(getMemoryContext).toHaveBeenCalledTimes(1);
+    expect(translateToEnglishForAPIs).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not cache a T3 answer with unsupported claims', async () => {
+    jest.spyOn(citationVerifier, 'verifyCitations').mockResolvedValueOnce(grounding(1));
+    const store = jest.spyOn(researchCache, 'storeCachedAnswer').mockResolvedValue({ evidenceChanged: false });
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 3 }), res);
+
+    expect(store).not.toHaveBeenCalled();
+    expect(events(res).find(event => event.type === 'complete').metadata.cache).toEqual({
+      hit: false,
+      stored: false,
+      evidenceChanged: false
+    });
+  });
+
+  it('should store the citation check with a T3 answer and send it on a hit', async () => {
+    jest.spyOn(citationVerifier, 'verifyCitations').mockResolvedValueOnce(grounding(0));
+    const store = jest.spyOn(researchCache, 'storeCachedAnswer').mockResolvedValue({ evidenceChanged: false });
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-1', { requestedTier: 3 }), fakeResponse());
+
+    expect(store).toHaveBeenCalledWith(expect.objectContaining({ tier: 3, grounding: grounding(0) }));
+
+    (researchCache.getCachedAnswer as jest.Mock).mockResolvedValueOnce({
+      ...store.mock.calls[0][0],
+      evidenceFingerprint: '',
+      createdAt: new Date('2026-10-01'),
+      expiresAt: new Date('2026-11-01')
+    });
+    const res = fakeResponse();
+
+    await (diabetesAssistantStream as any)(fakeRequest('alfa sorusu', 'user-2', { requestedTier: 3 }), res);
+
+    expect(events(res).find(event => event.type === 'complete').metadata).toMatchObject({
+      groundingScore: 1,
+      grounding: grounding(0),
+      cache: { hit: true }
+    });
+  });
+});
@@ -10,6 +10,12 @@ import {
   FeatureName,
 } from "./model-pricing";
 
+/**
+ * "cancelled" marks requests stopped early (client disconnected) -
+ * their token counts are estimates of the work done before cancellation
+ */
+export type UsageStatus = "completed" | "cancelled";
+
 export interface UsageLog {
   featureName: string;
   modelName: string;
@@ -18,6 +24,7 @@ export interface UsageLog {
   costUSD: number;
   timestamp: admin.firestore.Timestamp;
   userId?: string;
+  status?: UsageStatus;
   metadata?: Record<string, unknown>;
 }
 
@@ -39,6 +46,7 @@ export async function logTokenUsage(params: {
   inputTokens: number;
   outputTokens: number;
   userId?: string;
+  status?: UsageStatus;
   metadata?: Record<string, unknown>;
 }): Promise<void> {
   try {
@@ -56,6 +64,7 @@ export async function logTokenUsage(params: {
       costUSD: cost,
       timestamp: admin.firestore.Timestamp.now(),
       userId: params.userId,
+      status: params.status ?? "completed",
       metadata: params.metadata,
     };
 
@@ -76,7 +85,8 @@ export async function logTokenUsage(params: {
 
     console.log(
       `Cost tracked: ${params.featureName} - $${cost.toFixed(6)} ` +
-      `(${params.inputTokens} in, ${params.outputTokens} out)`
+      `(${params.inputTokens} in, ${params.outputTokens} out)` +
+      (params.status === "cancelled" ? " [cancelled]" : "")
     );
   } catch (error) {
     console.error("Failed to log token usage:", error);
@@ -84,6 +94,34 @@ export async function logTokenUsage(params: {
   }
 }
 
+/**
+ * Log a request that was cancelled before it finished
+ * Only the streamed output is known, so output tokens are estimated (~4 chars per token)
+ */
+export async function logCancelledUsage(params: {
+  featureName: FeatureName | string;
+  modelName: string;
+  stage: string;
+  streamedChars: number;
+  userId?: string;
+  metadata?: Record<string, unknown>;
+}): Promise<void> {
+  await logTokenUsage({
+    featureName: params.featureName,
+    modelName: params.modelName,
+    inputTokens: 0,
+    outputTokens: Math.ceil(params.streamedChars / 4),
+    userId: params.userId,
+    status: "cancelled",
+    metadata: {
+      ...params.metadata,
+      cancelledAt: params.stage,
+      streamedChars: params.streamedChars,
+      tokensEstimated: true,
+    },
+  });
+}
+
 /**
  * Log image generation usage
  */
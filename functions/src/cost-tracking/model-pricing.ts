@@ -101,6 +101,37 @@ export const IMAGEN_PRICING = {
   },
 };
 
+/**
+ * Research search API pricing (USD)
+ * Exa bills per search plus per result with page contents;
+ * PubMed, medRxiv, ClinicalTrials.gov and Europe PMC are free
+ */
+export const RESEARCH_API_PRICING: Record<string, { perRequest: number; perResult: number }> = {
+  "exa": {
+    perRequest: 0.005, // $5 per 1K searches
+    perResult: 0.001, // $1 per 1K pages of contents
+  },
+  "guidelines": { // Exa restricted to guideline publishers
+    perRequest: 0.005,
+    perResult: 0.001,
+  },
+  "tr-journals": { // Exa restricted to Turkish journals
+    perRequest: 0.005,
+    perResult: 0.001,
+  },
+  "tr-ministry": { // Exa restricted to T.C. Sağlık Bakanlığı
+    perRequest: 0.005,
+    perResult: 0.001,
+  },
+};
+
+/**
+ * Pricing for a model name, with or without provider prefix ("vertexai/gemini-2.5-flash")
+ */
+export function getModelPricing(modelName: string): ModelPricing | undefined {
+  return MODEL_PRICING[modelName] ?? MODEL_PRICING[modelName.replace(/^(vertexai|googleai)\//, "")];
+}
+
 /**
  * Calculate cost for token-based models
  */
@@ -109,7 +140,7 @@ export function calculateTokenCost(
   inputTokens: number,
   outputTokens: number
 ): number {
-  const pricing = MODEL_PRICING[modelName];
+  const pricing = getModelPricing(modelName);
   if (!pricing) {
     console.warn(`Unknown model: ${modelName}, returning $0 cost`);
     return 0;
@@ -121,6 +152,18 @@ export function calculateTokenCost(
   return inputCost + outputCost;
 }
 
+/**
+ * Calculate cost for a research API search (0 for free APIs)
+ */
+export function calculateSearchCost(sourceId: string, resultCount: number): number {
+  const pricing = RESEARCH_API_PRICING[sourceId];
+  if (!pricing || resultCount <= 0) {
+    return 0;
+  }
+
+  return pricing.perRequest + pricing.perResult * resultCount;
+}
+
 /**
  * Calculate cost for Imagen image generation
  */
@@ -146,8 +189,10 @@ export enum FeatureName {
   IMAGE_GENERATION = "image_generation",
   CHAT_ASSISTANT = "chat_assistant",
   VOICE_MEAL_LOGGING = "voice_meal_logging",
+  RESEARCH_RECALL = "research_recall_t0",
   RESEARCH_FAST = "research_fast_t1",
   RESEARCH_STANDARD = "research_standard_t2",
   RESEARCH_DEEP = "research_deep_t3",
+  RESEARCH_CITATION_VERIFICATION = "research_citation_verification",
   EMBEDDING_GENERATION = "embedding_generation",
 }
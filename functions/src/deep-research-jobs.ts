@@ -0,0 +1,337 @@
+/**
+ * Deep Research Background Jobs (T3)
+ *
+ * Runs T3 deep research outside the client's HTTP request so it is no longer
+ * bounded by the 540s streaming timeout and the app can pick results up later.
+ *
+ * FLOW:
+ * 1. POST startDeepResearchJob → checks the T3 rate limit, stores the job, enqueues
+ *    a Cloud Task and returns { jobId } immediately (HTTP 202)
+ *    (`evidenceMode`, `cache` and `budget` are stored with the job, see diabetes-assistant-stream.ts;
+ *    jobs default to a 20 minute time budget)
+ * 2. runDeepResearchJob (task queue, 30 min timeout) checks the rate limit again
+ *    (several queued jobs all passed step 1), applies the question guardrails
+ *    (emergency guidance, safetyInterventions) and runs the same pipeline as
+ *    streamDeepResearch into a detached resumable stream; every event updates the
+ *    job document (phase, rounds, sources, answer). T3 usage is recorded there,
+ *    once the research answer cache misses
+ * 3. GET getDeepResearchJobStatus?jobId=...&userId=... returns the progress snapshot
+ *
+ * COMPLETION:
+ * - The job document flips to status "complete" / "error" with `completedAt` -
+ *   the app can listen to `deepResearchJobs/{jobId}` instead of polling
+ * - The jobId doubles as a resume token for diabetesAssistantStream, so the app can
+ *   also follow the job live (replaying everything emitted so far)
+ */
+
+import { onRequest } from 'firebase-functions/v2/https';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getFunctions } from 'firebase-admin/functions';
+import { randomUUID } from 'crypto';
+import { streamDeepResearch } from './diabetes-assistant-stream';
+import { checkTier3RateLimit } from './utils/rate-limiter';
+import { ResumableStream } from './utils/resumable-stream';
+import { StreamContext } from './utils/stream-context';
+import { applyQuestionGuardrails, assessQuestion } from './services/medical-guardrails';
+import { parseEvidenceMode } from './tools/evidence-hierarchy';
+import type { EvidenceMode } from './flows/deep-research-v2-types';
+import { CacheMode, parseCacheMode } from './services/research-cache';
+import {
+  DEFAULT_JOB_BUDGET,
+  ResearchBudget,
+  ResearchBudgetLimits,
+  parseResearchBudget
+} from './tools/research-budget';
+import { getTier3Model } from './providers';
+import { versionEvent } from './utils/research-event-protocol';
+import {
+  JobProgress,
+  applyJobEvent,
+  createInitialJobProgress
+} from './utils/research-job-progress';
+import { logError, getUserFriendlyMessage } from './utils/error-logger';
+
+const db = getFirestore();
+
+const JOBS_COLLECTION = 'deepResearchJobs';
+const JOB_FUNCTION_NAME = 'locations/us-central1/functions/runDeepResearchJob';
+const PROGRESS_WRITE_INTERVAL_MS = 2000; // Throttle job document writes while tokens stream
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Finished jobs are kept for 7 days
+const MAX_HISTORY_MESSAGES = 20;
+const RATE_LIMIT_MESSAGE = 'Günlük derinlemesine araştırma limitine ulaştınız. Lütfen yarın tekrar deneyin.';
+
+interface JobTaskPayload {
+  jobId: string;
+}
+
+interface DeepResearchJobRecord extends JobProgress {
+  jobId: string;
+  userId: string;
+  question: string;
+  diabetesProfile: any | null;
+  conversationHistory: Array<{ role: string; content: string; imageBase64?: string }>;
+  evidenceMode?: EvidenceMode; // Missing on jobs created before evidence hierarchy mode
+  cacheMode?: CacheMode; // Missing on jobs created before the research answer cache
+  budgetLimits?: ResearchBudgetLimits; // Missing on jobs created before research budgets
+  createdAt: Date;
+  updatedAt: Date;
+  startedAt: Date | null;
+  completedAt: Date | null;
+  expiresAt: Date;
+}
+
+/**
+ * Create a T3 job and enqueue it
+ */
+export const startDeepResearchJob = onRequest(
+  {
+    region: 'us-central1',
+    cors: true,
+    maxInstances: 10,
+    memory: '256MiB',
+    timeoutSeconds: 30
+  },
+  async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ success: false, error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      const { question, userId, diabetesProfile, conversationHistory } = req.body;
+
+      if (!question || !userId) {
+        res.status(400).json({ success: false, error: 'Soru ve kullanıcı kimliği gereklidir' });
+        return;
+      }
+
+      const rateLimit = await checkTier3RateLimit(userId);
+      if (!rateLimit.allowed) {
+        res.status(429).json({
+          success: false,
+          error: RATE_LIMIT_MESSAGE,
+          resetAt: rateLimit.resetAt.toISOString()
+        });
+        return;
+      }
+
+      const jobId = randomUUID();
+      const now = new Date();
+
+      const record: DeepResearchJobRecord = {
+        ...createInitialJobProgress(),
+        jobId,
+        userId,
+        question,
+        diabetesProfile: diabetesProfile ?? null,
+        // Firestore documents are capped at 1 MB - keep recent history only
+        conversationHistory: (conversationHistory ?? []).slice(-MAX_HISTORY_MESSAGES),
+        evidenceMode: parseEvidenceMode(req.body.evidenceMode),
+        cacheMode: parseCacheMode(req.body.cache),
+        budgetLimits: parseResearchBudget(req.body.budget, DEFAULT_JOB_BUDGET),
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        expiresAt: new Date(now.getTime() + JOB_TTL_MS)
+      };
+
+      await db.collection(JOBS_COLLECTION).doc(jobId).set(record);
+      await getFunctions().taskQueue<JobTaskPayload>(JOB_FUNCTION_NAME).enqueue({ jobId });
+
+      console.log(`📥 [T3-JOB] Queued job ${jobId} for user ${userId}`);
+
+      res.status(202).json({
+        success: true,
+        jobId,
+        resumeToken: jobId,
+        status: record.status
+      });
+    } catch (error: any) {
+      logError(undefined, error, {
+        userId: req.body?.userId,
+        operation: 'start deep research job',
+        query: req.body?.question
+      });
+      res.status(500).json({ success: false, error: getUserFriendlyMessage(error) });
+    }
+  }
+);
+
+/**
+ * Execute a queued T3 job
+ * No retries: a half-finished research run would be billed twice
+ */
+export const runDeepResearchJob = onTaskDispatched<JobTaskPayload>(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 1800, // 30 minutes - task queue maximum
+    memory: '1GiB',
+    retryConfig: { maxAttempts: 1 },
+    rateLimits: { maxConcurrentDispatches: 10 }
+  },
+  async (request) => {
+    const { jobId } = request.data;
+    const jobRef = db.collection(JOBS_COLLECTION).doc(jobId);
+    const jobDoc = await jobRef.get();
+
+    if (!jobDoc.exists) {
+      console.error(`❌ [T3-JOB] Job ${jobId} not found`);
+      return;
+    }
+
+    const job = jobDoc.data() as DeepResearchJobRecord;
+    if (job.status !== 'queued') {
+      console.warn(`⚠️ [T3-JOB] Job ${jobId} already ${job.status} - skipping`);
+      return;
+    }
+
+    console.log(`🚀 [T3-JOB] Running job ${jobId} for user ${job.userId}`);
+
+    let progress: JobProgress = { ...createInitialJobProgress(), status: 'running' };
+    let lastWrite = 0;
+    let pendingWrite: Promise<unknown> = Promise.resolve();
+
+    const persistProgress = (force: boolean) => {
+      const now = Date.now();
+      if (!force && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+      lastWrite = now;
+
+      const snapshot = { ...progress, updatedAt: new Date(now) };
+      pendingWrite = pendingWrite
+        .then(() => jobRef.update(snapshot))
+        .catch((error: any) => {
+          console.error(`❌ [T3-JOB] Failed to update job ${jobId}: ${error.message}`);
+        });
+    };
+
+    await jobRef.update({ status: 'running', phase: 'memory', startedAt: new Date(), updatedAt: new Date() });
+
+    const { stream, sink } = await ResumableStream.openDetached(jobId, job.userId);
+    stream.onEvent(event => {
+      const previousPhase = progress.phase;
+      progress = applyJobEvent(progress, event);
+      // Phase changes are written right away, token updates are throttled
+      persistProgress(progress.phase !== previousPhase);
+    });
+
+    // Jobs queued together all passed the check in startDeepResearchJob - check again
+    // now that this one is about to run
+    const rateLimit = await checkTier3RateLimit(job.userId);
+
+    try {
+      if (!rateLimit.allowed) {
+        console.warn(`⚠️ [T3-JOB] Job ${jobId} is over the daily T3 limit - not running`);
+        stream.send(versionEvent({ type: 'error', message: RATE_LIMIT_MESSAGE }));
+        progress = { ...progress, status: 'error', phase: 'error', error: RATE_LIMIT_MESSAGE };
+        await stream.finish('error');
+      } else {
+        const ctx = new StreamContext(sink);
+        const safety = assessQuestion(job.question, job.diabetesProfile?.medications ?? []);
+
+        // Emergency guidance goes out before the research starts, as on the stream endpoint
+        await applyQuestionGuardrails(ctx, safety, job.question, job.userId, 3);
+
+        await streamDeepResearch(
+          ctx,
+          job.question,
+          job.userId,
+          job.diabetesProfile ?? undefined,
+          job.conversationHistory,
+          {
+            evidenceMode: job.evidenceMode ?? 'standard',
+            cacheMode: job.cacheMode ?? 'use',
+            budget: new ResearchBudget(job.budgetLimits ?? DEFAULT_JOB_BUDGET, getTier3Model())
+          },
+          safety
+        );
+
+        progress = { ...progress, status: 'complete', phase: 'complete' };
+        await stream.finish('complete');
+        console.log(`✅ [T3-JOB] Job ${jobId} complete: ${progress.roundsCompleted} rounds, ${progress.sourcesFound} sources`);
+      }
+    } catch (error: any) {
+      logError(undefined, error, {
+        userId: job.userId,
+        operation: 'deep research job',
+        query: job.question
+      });
+
+      const message = getUserFriendlyMessage(error);
+      stream.send(versionEvent({ type: 'error', message }));
+      progress = { ...progress, status: 'error', phase: 'error', error: message };
+      await stream.finish('error');
+    }
+
+    persistProgress(true);
+    await pendingWrite;
+    await jobRef.update({ completedAt: new Date() });
+  }
+);
+
+/**
+ * Read the progress of a job
+ */
+export const getDeepResearchJobStatus = onRequest(
+  {
+    region: 'us-central1',
+    cors: true,
+    maxInstances: 10,
+    memory: '256MiB',
+    timeoutSeconds: 30
+  },
+  async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    const jobId = (req.query.jobId as string) || req.body?.jobId;
+    const userId = (req.query.userId as string) || req.body?.userId;
+
+    if (!jobId || !userId) {
+      res.status(400).json({ success: false, error: 'Missing jobId or userId' });
+      return;
+    }
+
+    try {
+      const jobDoc = await db.collection(JOBS_COLLECTION).doc(jobId).get();
+      const job = jobDoc.data() as DeepResearchJobRecord | undefined;
+
+      // Same response for missing and foreign jobs - don't leak job ids
+      if (!job || job.userId !== userId) {
+        res.status(404).json({ success: false, error: 'Job not found' });
+        return;
+      }
+
+      const toIso = (value: any) => (value?.toDate ? value.toDate().toISOString() : value ?? null);
+
+      res.status(200).json({
+        success: true,
+        jobId,
+        status: job.status,
+        phase: job.phase,
+        roundsCompleted: job.roundsCompleted,
+        estimatedRounds: job.estimatedRounds,
+        sourcesFound: job.sourcesFound,
+        // Partial answers are only meaningful once the job is done
+        answer: job.status === 'complete' ? job.answer : null,
+        sources: job.status === 'complete' ? job.sources : [],
+        metadata: job.metadata,
+        error: job.error,
+        createdAt: toIso(job.createdAt),
+        startedAt: toIso(job.startedAt),
+        completedAt: toIso(job.completedAt)
+      });
+    } catch (error: any) {
+      logError(undefined, error, { userId, operation: 'deep research job status' });
+      res.status(500).json({ success: false, error: getUserFriendlyMessage(error) });
+    }
+  }
+);
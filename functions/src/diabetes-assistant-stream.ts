@@ -7,70 +7,146 @@
  * STATELESS DESIGN:
  * - Each request is completely independent
  * - No conversation history or session tracking
- * - No vector search or embeddings
+ * - Embeddings only in Tier 0 recall: the question is embedded and compared with the
+ *   summary embeddings memory sync stores with past sessions (flows/recall-flow.ts)
  * - Pure request-response model
+ *
+ * RESUMABLE STREAMS:
+ * - Every event carries an SSE id and is logged per request (see utils/resumable-stream.ts)
+ * - A client that drops mid-stream reconnects with Last-Event-ID / resumeToken
+ *   and receives the missed events while the job keeps running
+ *
+ * TIER OVERRIDE / UPGRADE:
+ * - `requestedTier` (1-3) skips the router and runs the chosen tier
+ * - `upgradeFromMessageId` (the messageId from `stream_started` of an earlier answer)
+ *   re-runs that answer's question at T2/T3 with the earlier answer as context;
+ *   answers can be upgraded while their event log exists (24 hours), T3 answers
+ *   cannot be upgraded
+ * - T3 is always subject to the daily T3 rate limit (answers served from the research
+ *   cache do not count against it)
+ *
+ * CANCELLATION:
+ * - When the client disconnects, the request's AbortSignal fires and stops the
+ *   research pipeline, the search tools and the LLM calls
+ * - Requests sent with `resumable: true` get a grace period to re-attach first
+ * - Cancelled requests log a "cancelled" usage record instead of a full one
+ *
+ * SAFETY GUARDRAILS (see services/medical-guardrails.ts):
+ * - Severe hypo/hyperglycemia and DKA questions get emergency guidance before the answer
+ * - Dose questions get refusal rules in every tier's prompt; T1 answers are held back
+ *   and dose prescriptions redacted, T2/T3 answers that prescribe get a correction notice
+ * - Medications in the question are checked against the interaction dataset
+ *   (tools/drug-interactions.ts); T1/T2 prompts get the warnings as [E1], [E2]...
+ *   and the complete event carries them in `metadata.interactions`
+ * - Every intervention is recorded in `safetyInterventions` for review
+ *
+ * EVIDENCE HIERARCHY MODE:
+ * - `evidenceMode: 'hierarchy'` makes T3 search systematic reviews, meta-analyses and
+ *   guideline publishers first, rank sources by level of evidence and lead the answer
+ *   with the strongest evidence (see tools/evidence-hierarchy.ts)
+ * - Each cited source carries its `evidenceLevel`; other tiers ignore the option
+ *
+ * RESEARCH ANSWER CACHE (see services/research-cache.ts):
+ * - T2/T3 answers are cached by the normalized English query (plus profile and
+ *   evidence mode) and served instantly with a `cached_answer` event and a
+ *   "cached on" note; the complete event carries `metadata.cache`
+ * - `cache: 'refresh'` researches again and replaces the entry, `cache: 'bypass'`
+ *   skips the cache entirely
+ * - T3 answers the citation check flagged are not cached; cached T3 answers carry
+ *   their `metadata.grounding` on every hit
+ *
+ * T3 BUDGET (see tools/research-budget.ts):
+ * - `budget: { maxCostUSD, timeLimitSeconds }` caps a deep research run (defaults:
+ *   $0.08, 7 minutes); rounds stop early when the next one would not fit
+ * - `research_budget` events report spent/remaining budget, the complete event
+ *   carries the final `metadata.budget` including synthesis
  */
 
 import { onRequest } from 'firebase-functions/v2/https';
 import { Response } from 'express';
-import { routeQuestion } from './flows/router-flow';
-import { getTier1Model, getTier2Model, getTier3Model } from './providers';
+import { routeQuestion, RouterOutput } from './flows/router-flow';
+import { getRouterModel, getTier1Model, getTier2Model, getTier3Model } from './providers';
 import { ai } from './genkit-instance';
-import { checkTier3RateLimit } from './utils/rate-limiter';
+import { checkTier3RateLimit, recordTier3Usage } from './utils/rate-limiter';
 import {
   logError,
   getUserFriendlyMessage,
   type ErrorContext
 } from './utils/error-logger';
-import { logTokenUsage } from './cost-tracking/cost-tracker';
+import { logTokenUsage, logCancelledUsage } from './cost-tracking/cost-tracker';
 import { FeatureName } from './cost-tracking/model-pricing';
+import { isCancellationError, throwIfAborted } from './utils/abort';
 
 // Tier-specific prompts
 import { buildTier1Prompt } from './prompts/fast-prompt-t1';
 import { buildTier2Prompt } from './prompts/research-prompt-t2';
 import { buildTier3PromptImproved } from './prompts/deep-research-prompt-t3';
+import { buildEvidenceHierarchyInstructions, parseEvidenceMode } from './tools/evidence-hierarchy';
+import { buildConflictingEvidenceInstructions, citableConflicts } from './tools/evidence-graph';
+import { buildPopulationMatchInstructions, toResearchPopulation } from './tools/population-match';
+import { buildLocalGuidanceInstructions } from './tools/turkish-sources';
+import type { DeepResearchOptions } from './flows/deep-research-v2-types';
+import { ResearchBudget, parseResearchBudget } from './tools/research-budget';
 
 // Research helper functions
-import { formatSourcesWithTypes } from './utils/research-helpers';
+import { formatSourcesWithTypes, formatSelectedSourcesWithTypes } from './utils/research-helpers';
 
 // Memory context helper
 import { getMemoryContext, formatMemoryContext } from './utils/memory-context';
 
+// Recall (tier 0) - search over past research sessions
+import { searchPastResearch, buildRecallPrompt, formatRecallSources } from './flows/recall-flow';
+
+// Medical safety guardrails (dose advice, emergencies, pregnancy, drug interactions)
+import {
+  applyQuestionGuardrails,
+  assessQuestion,
+  buildGuardrailInstructions,
+  checkAnswer,
+  redactDosePrescriptions,
+  recordIntervention,
+  DOSE_CORRECTION_NOTICE,
+  PREGNANCY_NOTICE,
+  type GuardrailAction,
+  type QuestionAssessment
+} from './services/medical-guardrails';
+import { formatInteractionsForPrompt } from './tools/drug-interactions';
+
+// Research answer cache (T2/T3)
+import {
+  buildCacheKey,
+  buildCachedMarker,
+  getCachedAnswer,
+  isCacheable,
+  normalizeQuery,
+  parseCacheMode,
+  storeCachedAnswer,
+  type CachedAnswer,
+  type CacheMode
+} from './services/research-cache';
+
+// Citation grounding (T3)
+import { verifyCitations, GroundingReport } from './tools/citation-verifier';
+
+// Resumable streams (event ids + Last-Event-ID replay)
+import {
+  ResumableStream,
+  StreamTranscript,
+  parseResumeRequest,
+  readStreamTranscript,
+  resumeStream
+} from './utils/resumable-stream';
+
+// Per-request stream state (writer, byte counter, heartbeat, abort signal)
+import { StreamContext } from './utils/stream-context';
+import { ResearchEvent } from './shared/research-events';
+import { versionEvent } from './utils/research-event-protocol';
+
 // Phase 2 imports: Query analyzer and parallel research fetcher
 // NOTE: These imports are currently unused (kept for future reference)
 // import { analyzeQuery, calculateSourceCounts } from './tools/query-analyzer';
 // import { fetchAllResearchSources, createT2Config } from './tools/parallel-research-fetcher';
 
-/**
- * SSE Event Types - Enhanced with granular research progress tracking
- */
-type SSEEvent =
-  | { type: 'routing'; message: string }
-  | { type: 'tier_selected'; tier: number; reasoning: string; confidence: number }
-  | { type: 'searching_memory'; message: string }
-  | { type: 'searching'; source: 'exa' | 'pubmed' | 'clinicaltrials' }
-  | { type: 'search_complete'; count: number; source: string }
-  | { type: 'sources_ready'; sources: any[] }
-  | { type: 'extracting_keywords' }
-  | { type: 'keywords_extracted'; keywords: string }
-  // NEW: Granular research progress events
-  | { type: 'research_stage'; stage: 'starting' | 'scanning' | 'fetching' | 'synthesizing'; message: string }
-  | { type: 'api_started'; api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa'; count: number; message: string; query?: string }
-  | { type: 'api_completed'; api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa'; count: number; duration: number; message: string; success: boolean; searchQuery?: string; topSources?: Array<{index: number; title: string; url: string; domain: string}> }
-  | { type: 'research_progress'; fetched: number; total: number; message: string }
-  | { type: 'synthesis_started'; totalRounds: number; totalSources: number; sequence: number }
-  // T2-specific events for detailed tracking
-  | { type: 't2_query_enrichment_started'; message: string }
-  | { type: 't2_query_enrichment_complete'; enrichedQuery: string; contextUsed: boolean; originalQuery?: string; duration?: number }
-  | { type: 't2_translation_started'; message: string }
-  | { type: 't2_translation_complete'; originalQuery: string; translatedQuery: string; duration: number }
-  | { type: 't2_source_analysis_started'; message: string }
-  | { type: 't2_source_analysis_complete'; totalSources: number; breakdown: { exa: number } }
-  | { type: 'generating'; message: string }
-  | { type: 'token'; content: string }
-  | { type: 'complete'; sources: any[]; metadata: any; researchSummary?: any; processingTier?: string; thinkingSummary?: string }
-  | { type: 'error'; message: string };
-
 // ===== THINKING TRIGGERS (Currently Disabled for Cost Optimization) =====
 // These patterns were used to conditionally enable extended thinking for complex queries
 // Commenting out since thinking is now disabled across all tiers for cost savings
@@ -144,73 +220,37 @@ function extractReasoningFromGenerateResponse(response: any): string | undefined
   return undefined;
 }
 
-/**
- * Response size tracking (Cloud Run has 10 MB limit for streaming)
- */
-let totalBytes = 0;
-const MAX_STREAM_SIZE = 9.5 * 1024 * 1024; // 9.5 MB safety margin
-
-/**
- * Helper to write SSE events with size tracking
- */
-function writeSSE(res: Response, event: SSEEvent): boolean {
-  const data = `data: ${JSON.stringify(event)}\n\n`;
-  const bytes = Buffer.byteLength(data, 'utf8');
+// A resumed connection follows the job for at most this long (function timeout is 9 min)
+const RESUME_MAX_WAIT_MS = 8 * 60 * 1000;
 
-  totalBytes += bytes;
-
-  if (totalBytes > MAX_STREAM_SIZE) {
-    console.error(`⚠️ [SSE] Response size exceeded 10MB limit: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      message: 'Yanıt çok uzun, lütfen soruyu daha spesifik hale getirin'
-    })}\n\n`);
-    return false;
-  }
+// How long a `resumable: true` request keeps working without a client
+const RESUMABLE_GRACE_MS = 60 * 1000;
 
-  res.write(data);
-
-  // 🔧 CRITICAL FIX: Force immediate flush after each write
-  // Cloud Run aggressively buffers responses, causing 10-minute delays
-  // This forces the data to be sent immediately
-  if (typeof (res as any).flush === 'function') {
-    (res as any).flush();
-    console.log(`💧 [SSE-FLUSH] Forced flush after writing ${bytes} bytes`);
-  }
-
-  return true;
-}
+// Only reaches clients replaying the event log - the original client is gone
+const CANCELLED_MESSAGE = 'Bağlantı koptuğu için araştırma durduruldu. Lütfen soruyu tekrar sorun.';
 
 /**
- * Keep-alive mechanism to prevent connection timeout
+ * Helper to write typed SSE events through the request's stream context
+ * Event shapes are defined once in shared/research-events.ts (also used by research-xray)
+ * Returns false once the response size limit is hit - callers should stop streaming
  */
-let keepAliveInterval: NodeJS.Timeout | null = null;
-
-function startKeepAlive(res: Response): void {
-  // Send comment every 15 seconds to keep connection alive
-  keepAliveInterval = setInterval(() => {
-    res.write(': keepalive\n\n');
-  }, 15000);
-}
-
-function stopKeepAlive(): void {
-  if (keepAliveInterval) {
-    clearInterval(keepAliveInterval);
-    keepAliveInterval = null;
-  }
+function writeSSE(ctx: StreamContext, event: ResearchEvent): boolean {
+  return ctx.writeEvent(versionEvent(event));
 }
 
 /**
  * Stream Tier 1 response with conversation history
  */
 async function streamTier1(
-  res: Response,
+  ctx: StreamContext,
   question: string,
   userId: string,
   diabetesProfile?: any,
-  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>
-): Promise<void> {
+  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>,
+  safety?: QuestionAssessment
+): Promise<GuardrailAction[]> {
   console.log(`🔵 [TIER1] Processing question for user ${userId}`);
+  const safetyActions: GuardrailAction[] = [];
 
   if (conversationHistory && conversationHistory.length > 0) {
     console.log(`🧠 [TIER1-MEMORY] Using conversation history: ${conversationHistory.length} messages`);
@@ -228,8 +268,9 @@ async function streamTier1(
   }
 
   // ===== STEP 1: Fetch cross-conversation memory context =====
-  writeSSE(res, { type: 'searching_memory', message: 'Önceki konuşmalar kontrol ediliyor...' });
+  writeSSE(ctx, { type: 'searching_memory', message: 'Önceki konuşmalar kontrol ediliyor...' });
   const memoryContext = await getMemoryContext(userId);
+  throwIfAborted(ctx.signal, 'memory');
   const formattedMemory = formatMemoryContext(memoryContext);
 
   if (formattedMemory) {
@@ -238,6 +279,10 @@ async function streamTier1(
 
   // ===== STEP 2: Build system prompt =====
   let systemPrompt = buildTier1Prompt();
+  if (safety) {
+    systemPrompt += buildGuardrailInstructions(safety);
+    systemPrompt += formatInteractionsForPrompt(safety.interactions);
+  }
 
   // ===== STEP 3: Build prompt with memory + conversation history =====
   let prompt = '';
@@ -260,7 +305,7 @@ async function streamTier1(
   // Add current question
   prompt += question;
 
-  writeSSE(res, { type: 'generating', message: 'Yanıt oluşturuluyor...' });
+  writeSSE(ctx, { type: 'generating', message: 'Yanıt oluşturuluyor...' });
 
   // ===== STEP 3: Call ai.generate() with full conversation context =====
   // Build generate request with optional image
@@ -282,6 +327,7 @@ async function streamTier1(
     model: getTier1Model(),
     system: systemPrompt,
     prompt: promptContent,
+    abortSignal: ctx.signal,
     // CRITICAL: Safety settings at top level for Vertex AI
     safetySettings: [
       { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
@@ -322,11 +368,11 @@ async function streamTier1(
     if (genError.message?.includes('SAFETY') || genError.message?.includes('BLOCK') || genError.message?.includes('candidate')) {
       console.error('🚨 [TIER1] Content blocked by Gemini safety filters');
       console.error('🚨 [TIER1] Question that was blocked:', question);
-      writeSSE(res, {
+      writeSSE(ctx, {
         type: 'error',
         message: 'Üzgünüm, bu soruyu yanıtlayamıyorum. Lütfen soruyu farklı bir şekilde sormayı deneyin.'
       });
-      return;
+      return safetyActions;
     }
 
     // Re-throw to be handled by outer catch
@@ -335,16 +381,21 @@ async function streamTier1(
 
   // ===== STEP 3: Stream chunks directly - NO batching, NO delays, NO word-splitting =====
   // The irregular chunking was caused by race conditions between batching layers
-  console.log(`🌊 [TIER1-DEBUG] Starting to iterate over stream...`);
+  // Dose questions are held back until the answer passes the dose check
+  const holdAnswer = safety?.holdAnswer === true;
+  console.log(`🌊 [TIER1-DEBUG] Starting to iterate over stream...${holdAnswer ? ' (held for safety check)' : ''}`);
   let fullText = '';
   let chunkCount = 0;
   for await (const chunk of stream) {
+    throwIfAborted(ctx.signal, 'tier 1 generation');
     if (chunk.text) {
       chunkCount++;
       console.log(`📤 [T1-CHUNK-${chunkCount}] Streaming: length=${chunk.text.length}, content="${chunk.text.substring(0, 50)}..."`);
 
       // Stream chunk directly - no word-splitting, no delays
-      writeSSE(res, { type: 'token', content: chunk.text });
+      if (!holdAnswer) {
+        writeSSE(ctx, { type: 'token', content: chunk.text });
+      }
       fullText += chunk.text;
     } else {
       console.log(`⚠️ [T1-CHUNK] Received chunk without text:`, chunk);
@@ -356,6 +407,33 @@ async function streamTier1(
     console.error(`🚨 [TIER1-CRITICAL] No chunks received from stream!`);
   }
 
+  // ===== STEP 4: Answer guardrails =====
+  if (holdAnswer) {
+    const doseMatches = checkAnswer(fullText);
+    const { text, redacted } = redactDosePrescriptions(fullText);
+    writeSSE(ctx, { type: 'token', content: text });
+
+    if (redacted.length > 0) {
+      safetyActions.push('dose_redacted');
+      await recordIntervention({
+        userId,
+        tier: 1,
+        stage: 'answer',
+        action: 'dose_redacted',
+        categories: ['dose_prescription'],
+        ruleIds: doseMatches.map(match => match.ruleId),
+        question,
+        excerpt: redacted.join('\n')
+      });
+    }
+  } else {
+    safetyActions.push(...await flagDosePrescriptions(ctx, fullText, question, userId, 1));
+  }
+
+  if (safety?.categories.includes('pregnancy')) {
+    writeSSE(ctx, { type: 'token', content: PREGNANCY_NOTICE });
+  }
+
   // AFTER stream completes - CHECK FINISH REASON
   const finalResponse = await response;
   const finishReason = (finalResponse as any)?.candidates?.[0]?.finishReason || 'unknown';
@@ -390,6 +468,172 @@ async function streamTier1(
   if (finishReason !== 'STOP') {
     console.error(`🚨 [TIER1-ABNORMAL] Stream ended with reason: ${finishReason} - ${finishMessage}`);
   }
+
+  return safetyActions;
+}
+
+/**
+ * Answer-stage dose check for answers that were streamed as generated (T1 without
+ * hold, T2, T3): the text is already out, so a prescribing answer gets the
+ * correction notice appended and the intervention recorded
+ */
+async function flagDosePrescriptions(
+  ctx: StreamContext,
+  fullText: string,
+  question: string,
+  userId: string,
+  tier: number
+): Promise<GuardrailAction[]> {
+  const doseMatches = checkAnswer(fullText);
+  if (doseMatches.length === 0) {
+    return [];
+  }
+
+  console.warn(`⚠️ [GUARDRAILS] T${tier} answer prescribes a dose (${doseMatches.map(match => match.ruleId).join(', ')})`);
+  writeSSE(ctx, { type: 'token', content: DOSE_CORRECTION_NOTICE });
+  await recordIntervention({
+    userId,
+    tier,
+    stage: 'answer',
+    action: 'dose_flagged',
+    categories: ['dose_prescription'],
+    ruleIds: doseMatches.map(match => match.ruleId),
+    question,
+    excerpt: fullText
+  });
+  return ['dose_flagged'];
+}
+
+/**
+ * Stream a recall answer (Tier 0) from the user's past research sessions
+ * Returns false without streaming any text when nothing matches - caller falls back to T1
+ */
+async function streamRecall(
+  ctx: StreamContext,
+  question: string,
+  userId: string,
+  searchTerms: string
+): Promise<boolean> {
+  const startTime = Date.now();
+
+  console.log(`📚 [RECALL] Searching past research for user ${userId}: "${searchTerms}"`);
+  writeSSE(ctx, {
+    type: 'recall_searching',
+    message: 'Geçmiş araştırmalar taranıyor...',
+    searchTerms
+  });
+
+  const matches = await searchPastResearch(userId, question, searchTerms);
+  throwIfAborted(ctx.signal, 'recall search');
+
+  if (matches.length === 0) {
+    console.log(`📚 [RECALL] Nothing found in past research - falling back to T1`);
+    return false;
+  }
+
+  const sources = formatRecallSources(matches);
+  writeSSE(ctx, { type: 'recall_results', matchCount: matches.length, sources });
+  writeSSE(ctx, { type: 'generating', message: 'Geçmiş araştırmalar özetleniyor...' });
+
+  const { stream, response } = await ai.generateStream({
+    model: getTier1Model(),
+    system: buildTier1Prompt(),
+    prompt: buildRecallPrompt(question, matches),
+    abortSignal: ctx.signal,
+    config: {
+      temperature: 0.1,
+      maxOutputTokens: 1500,
+      thinkingConfig: {
+        thinkingBudget: 0
+      }
+    }
+  } as any);
+
+  let fullText = '';
+  for await (const chunk of stream) {
+    throwIfAborted(ctx.signal, 'recall summary');
+    if (chunk.text) {
+      if (!writeSSE(ctx, { type: 'token', content: chunk.text })) {
+        break;
+      }
+      fullText += chunk.text;
+    }
+  }
+
+  const finalResponse = await response;
+  const rawResponse = (finalResponse as any).raw || (finalResponse as any).response;
+  const usageMetadata = rawResponse?.usageMetadata || (finalResponse as any).usageMetadata;
+
+  await logTokenUsage({
+    featureName: FeatureName.RESEARCH_RECALL,
+    modelName: getTier1Model(),
+    inputTokens: usageMetadata?.promptTokenCount || 0,
+    outputTokens: usageMetadata?.candidatesTokenCount || 0,
+    userId,
+    metadata: {
+      matchCount: matches.length,
+      sessionIds: matches.map(match => match.session.sessionId)
+    }
+  });
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  writeSSE(ctx, {
+    type: 'complete',
+    sources,
+    metadata: {
+      processingTime: `${duration}s`,
+      modelUsed: 'Gemini 2.5 Flash (Geçmiş Araştırmalar)',
+      costTier: 'low',
+      recall: {
+        matchCount: matches.length,
+        scores: matches.map(match => ({
+          sessionId: match.session.sessionId,
+          keyword: Number(match.keywordScore.toFixed(2)),
+          semantic: Number(match.semanticScore.toFixed(2))
+        }))
+      }
+    },
+    processingTier: 'RECALL'
+  });
+
+  console.log(`✅ [RECALL] Completed. ${matches.length} sessions, ${fullText.length} chars in ${duration}s`);
+  return true;
+}
+
+/**
+ * Send a cached T2/T3 answer, ending with the complete event
+ */
+function streamCachedAnswer(ctx: StreamContext, cached: CachedAnswer, startTime: number): void {
+  const cachedAt = cached.createdAt.toISOString();
+  const expiresAt = cached.expiresAt.toISOString();
+
+  writeSSE(ctx, {
+    type: 'cached_answer',
+    tier: cached.tier,
+    cachedAt,
+    expiresAt,
+    message: 'Bu soru yakın zamanda araştırıldı, kayıtlı yanıt getiriliyor...'
+  });
+  writeSSE(ctx, { type: 'sources_ready', sources: cached.sources });
+  writeSSE(ctx, { type: 'token', content: cached.answer + buildCachedMarker(cached.createdAt) });
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  writeSSE(ctx, {
+    type: 'complete',
+    sources: cached.sources,
+    metadata: {
+      processingTime: `${duration}s`,
+      modelUsed: 'Araştırma Önbelleği',
+      costTier: 'none',
+      ...(cached.grounding && { groundingScore: cached.grounding.groundingScore, grounding: cached.grounding }),
+      cache: { hit: true, cachedAt, expiresAt }
+    },
+    researchSummary: cached.researchSummary ?? undefined,
+    processingTier: cached.tier === 3 ? 'DEEP_RESEARCH' : 'SEARCH'
+  });
+
+  console.log(`✅ [RESEARCH-CACHE] Served T${cached.tier} answer from ${cachedAt} in ${duration}s`);
 }
 
 /**
@@ -402,11 +646,13 @@ async function streamTier1(
  * - Target: 3-5 seconds processing time
  */
 async function streamTier2Hybrid(
-  res: Response,
+  ctx: StreamContext,
   question: string,
   userId: string,
   diabetesProfile?: any,
-  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>
+  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>,
+  safety?: QuestionAssessment,
+  cacheMode: CacheMode = 'use'
 ): Promise<void> {
   const startTime = Date.now();
 
@@ -434,10 +680,41 @@ async function streamTier2Hybrid(
     console.log(`📋 [T2] Profile: ${diabetesProfile.type || 'Unknown type'}`);
   }
 
+  // ===== STEP 0.25: Research answer cache =====
+  // Keyed by the translated question rather than the enriched query, so a hit skips
+  // memory, enrichment and search: cacheable questions have no conversation history
+  // and the profile is part of the key
+  const { translateToEnglishForAPIs } = await import('./tools/query-translator');
+  const cacheable = cacheMode !== 'bypass' &&
+    isCacheable({ conversationHistory, hasImage: !!imageBase64, safety });
+  let questionInEnglish: string | null = null;
+  let normalizedQuery = '';
+  let cacheKey = '';
+
+  if (cacheable) {
+    questionInEnglish = await translateToEnglishForAPIs(question, ctx.signal);
+    throwIfAborted(ctx.signal, 'translation');
+    normalizedQuery = normalizeQuery(questionInEnglish);
+    cacheKey = buildCacheKey(2, normalizedQuery, {
+      diabetesType: diabetesProfile?.type,
+      medications: diabetesProfile?.medications
+    });
+
+    if (cacheMode === 'use') {
+      const cached = await getCachedAnswer(cacheKey);
+      throwIfAborted(ctx.signal, 'cache lookup');
+      if (cached) {
+        streamCachedAnswer(ctx, cached, startTime);
+        return;
+      }
+    }
+  }
+
   // ===== STEP 0.5: Fetch cross-conversation memory context =====
   console.log(`\n┌─ STAGE 1: MEMORY CONTEXT ─────────────────────────────────────────────────┐`);
-  writeSSE(res, { type: 'searching_memory', message: 'Önceki konuşmalar kontrol ediliyor...' });
+  writeSSE(ctx, { type: 'searching_memory', message: 'Önceki konuşmalar kontrol ediliyor...' });
   const memoryContext = await getMemoryContext(userId);
+  throwIfAborted(ctx.signal, 'memory');
   const formattedMemory = formatMemoryContext(memoryContext);
 
   if (formattedMemory) {
@@ -451,13 +728,20 @@ async function streamTier2Hybrid(
 
   // ===== STEP 1: Build static system prompt =====
   console.log(`\n┌─ STAGE 2: SYSTEM PROMPT ──────────────────────────────────────────────────┐`);
-  const systemPrompt = buildTier2Prompt();
+  let systemPrompt = buildTier2Prompt();
   console.log(`📝 [T2] System prompt loaded: T2 Web Search`);
+  if (safety) {
+    systemPrompt += buildGuardrailInstructions(safety);
+  }
+  if (safety && safety.interactions.length > 0) {
+    systemPrompt += formatInteractionsForPrompt(safety.interactions);
+    console.log(`💊 [T2] Added ${safety.interactions.length} drug interaction warning(s)`);
+  }
   console.log(`└───────────────────────────────────────────────────────────────────────────┘`);
 
   // ===== STEP 1.5: Enrich query with conversation context =====
   console.log(`\n┌─ STAGE 3: QUERY ENRICHMENT ───────────────────────────────────────────────┐`);
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 't2_query_enrichment_started',
     message: 'Sorgu bağlama göre zenginleştiriliyor...'
   });
@@ -469,6 +753,7 @@ async function streamTier2Hybrid(
     conversationHistory,
     diabetesProfile
   });
+  throwIfAborted(ctx.signal, 'query enrichment');
   const enrichmentDuration = Date.now() - enrichmentStartTime;
 
   const searchQuery = enrichedQueryResult.enriched;
@@ -478,7 +763,7 @@ async function streamTier2Hybrid(
   console.log(`⏱️  [T2-ENRICHMENT] Duration: ${enrichmentDuration}ms`);
   console.log(`└───────────────────────────────────────────────────────────────────────────┘`);
 
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 't2_query_enrichment_complete',
     enrichedQuery: searchQuery,
     contextUsed: enrichedQueryResult.contextUsed,
@@ -488,14 +773,17 @@ async function streamTier2Hybrid(
 
   // ===== STEP 2: Translate query to English for better Exa results =====
   console.log(`\n┌─ STAGE 4: TRANSLATION ────────────────────────────────────────────────────┐`);
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 't2_translation_started',
     message: 'Sorgu İngilizce\'ye çevriliyor...'
   });
 
-  const { translateToEnglishForAPIs } = await import('./tools/query-translator');
   const translationStartTime = Date.now();
-  const englishQuery = await translateToEnglishForAPIs(searchQuery);
+  // Reuse the cache key translation when enrichment left the question as it was
+  const englishQuery = questionInEnglish !== null && searchQuery === question
+    ? questionInEnglish
+    : await translateToEnglishForAPIs(searchQuery, ctx.signal);
+  throwIfAborted(ctx.signal, 'translation');
   const translationDuration = Date.now() - translationStartTime;
 
   console.log(`🌍 [T2-TRANSLATION] Translation complete:`);
@@ -504,7 +792,7 @@ async function streamTier2Hybrid(
   console.log(`   • Duration: ${translationDuration}ms`);
   console.log(`└───────────────────────────────────────────────────────────────────────────┘`);
 
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 't2_translation_complete',
     originalQuery: searchQuery,
     translatedQuery: englishQuery,
@@ -515,7 +803,7 @@ async function streamTier2Hybrid(
   console.log(`\n┌─ STAGE 5: SOURCE FETCHING ────────────────────────────────────────────────┐`);
   const exaStartTime = Date.now();
 
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 'api_started',
     api: 'exa',
     count: 15,
@@ -527,9 +815,11 @@ async function streamTier2Hybrid(
   console.log(`   • Query (English): "${englishQuery}"`);
   console.log(`   • Target count: 15 sources`);
 
-  const { searchMedicalSources, formatExaForAI } = await import('./tools/exa-search');
+  const { formatExaForAI } = await import('./tools/exa-search');
+  const { getResearchSourceProvider } = await import('./tools/research-source-provider');
 
-  const exaResults = await searchMedicalSources(englishQuery, 15).catch(() => []);
+  const exaResults = await getResearchSourceProvider().searchMedicalSources(englishQuery, 15, ctx.signal).catch(() => []);
+  throwIfAborted(ctx.signal, 'Exa search');
   const totalSources = exaResults.length;
   const exaDuration = Date.now() - exaStartTime;
 
@@ -541,7 +831,7 @@ async function streamTier2Hybrid(
     domain: result.domain || new URL(result.url).hostname
   }));
 
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 'api_completed',
     api: 'exa',
     count: totalSources,
@@ -570,12 +860,12 @@ async function streamTier2Hybrid(
 
   // ===== STEP 2.5: Source analysis =====
   console.log(`\n┌─ STAGE 5: SOURCE ANALYSIS ────────────────────────────────────────────────┐`);
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 't2_source_analysis_started',
     message: 'Kaynaklar analiz ediliyor...'
   });
 
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 't2_source_analysis_complete',
     totalSources,
     breakdown: {
@@ -602,7 +892,7 @@ async function streamTier2Hybrid(
     snippet: source.snippet
   }));
 
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 'sources_ready',
     sources: clientSources
   });
@@ -653,7 +943,7 @@ async function streamTier2Hybrid(
   console.log(`   • Max tokens: 3000`);
   console.log(`   • Prompt length: ${userPrompt.length} chars`);
 
-  writeSSE(res, { type: 'generating', message: 'Web araştırma sentezleniyor...' });
+  writeSSE(ctx, { type: 'generating', message: 'Web araştırma sentezleniyor...' });
 
   // ===== STEP 6: Call ai.generate() with full conversation context =====
   let stream, response;
@@ -676,6 +966,7 @@ async function streamTier2Hybrid(
       model: getTier2Model(),
       system: systemPrompt,
       prompt: promptContent,
+      abortSignal: ctx.signal,
       // CRITICAL: Safety settings at top level for Vertex AI
       safetySettings: [
         { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
@@ -703,7 +994,7 @@ async function streamTier2Hybrid(
     // Check if it's a safety/content filter issue
     if (genError.message?.includes('SAFETY') || genError.message?.includes('BLOCK')) {
       console.error('🚨 [T2-STATELESS] Content blocked by Gemini safety filters');
-      writeSSE(res, {
+      writeSSE(ctx, {
         type: 'error',
         message: 'İçerik güvenlik filtreleri tarafından engellendi. Lütfen farklı bir soru deneyin.'
       });
@@ -720,6 +1011,7 @@ async function streamTier2Hybrid(
   let chunkCount = 0;
 
   for await (const chunk of stream) {
+    throwIfAborted(ctx.signal, 'tier 2 synthesis');
     if (chunk.text) {
       chunkCount++;
       console.log(`📤 [T2-CHUNK-${chunkCount}] Streaming: length=${chunk.text.length}`);
@@ -727,7 +1019,7 @@ async function streamTier2Hybrid(
       tokenCount += chunk.text.length;
 
       // Stream chunk directly - no word-splitting, no delays, no batching
-      if (!writeSSE(res, { type: 'token', content: chunk.text })) {
+      if (!writeSSE(ctx, { type: 'token', content: chunk.text })) {
         console.error(`❌ [T2-STATELESS] Stream stopped due to size limit`);
         break;
       }
@@ -780,8 +1072,11 @@ async function streamTier2Hybrid(
     console.error(`🚨 [T2-ABNORMAL] Stream ended with reason: ${finishReason} - ${finishMessage}`);
   }
 
+  // ===== STEP 7.5: Answer guardrails =====
+  const safetyActions = await flagDosePrescriptions(ctx, fullText, question, userId, 2);
+
   // Flush tokens before complete event
-  res.write(': flush-tokens\n\n');
+  ctx.writeRaw(': flush-tokens\n\n');
   await new Promise<void>((resolve) => {
     setTimeout(() => resolve(), 200);
   });
@@ -800,8 +1095,32 @@ async function streamTier2Hybrid(
   const exaTimePercent = ((exaDuration / (Date.now() - startTime)) * 100).toFixed(1);
   const synthesisTimePercent = (100 - parseFloat(enrichmentTimePercent) - parseFloat(exaTimePercent)).toFixed(1);
 
+  const researchSummary = {
+    totalStudies: clientSources.length,
+    pubmedArticles: 0,
+    clinicalTrials: 0,
+    medrxivPapers: 0,
+    exaMedicalSources: exaResults.length,
+    evidenceQuality
+  };
+
+  // ===== STEP 8.5: Cache the answer (memory-personalized answers are not shared) =====
+  let cacheResult = { stored: false, evidenceChanged: false };
+  if (cacheable && !formattedMemory && finishReason === 'STOP' && fullText.length > 0 && safetyActions.length === 0) {
+    const { evidenceChanged } = await storeCachedAnswer({
+      key: cacheKey,
+      tier: 2,
+      question,
+      normalizedQuery,
+      answer: fullText,
+      sources: clientSources,
+      researchSummary
+    });
+    cacheResult = { stored: true, evidenceChanged };
+  }
+
   // ===== STEP 9: Send complete event (no sessionId) =====
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 'complete',
     sources: clientSources,
     metadata: {
@@ -812,16 +1131,12 @@ async function streamTier2Hybrid(
         enrichment: `${(enrichmentDuration / 1000).toFixed(2)}s (${enrichmentTimePercent}%)`,
         exaFetch: `${(exaDuration / 1000).toFixed(2)}s (${exaTimePercent}%)`,
         synthesis: `${synthesisTimePercent}%`
-      }
-    },
-    researchSummary: {
-      totalStudies: clientSources.length,
-      pubmedArticles: 0,
-      clinicalTrials: 0,
-      medrxivPapers: 0,
-      exaMedicalSources: exaResults.length,
-      evidenceQuality
+      },
+      ...(safety && safety.interactions.length > 0 ? { interactions: safety.interactions } : {}),
+      ...(safetyActions.length > 0 ? { safety: { categories: safety?.categories ?? [], actions: safetyActions } } : {}),
+      cache: { hit: false, ...cacheResult }
     },
+    researchSummary,
     processingTier: 'SEARCH',
     thinkingSummary
   });
@@ -862,17 +1177,22 @@ async function streamTier2Hybrid(
  * - Cost: ~$0.03-0.08/query (premium tier, user-controlled only)
  * - Target: 20-60 seconds processing time
  * - Trigger: ONLY when user explicitly requests deep research
+ * - Also runs as a background job (deep-research-jobs.ts) with a detached stream sink
  */
-async function streamDeepResearch(
-  res: Response,
+export async function streamDeepResearch(
+  ctx: StreamContext,
   question: string,
   userId: string,
   diabetesProfile?: any,
-  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>
+  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>,
+  options: DeepResearchOptions = {},
+  safety?: QuestionAssessment
 ): Promise<void> {
   const startTime = Date.now();
+  const evidenceHierarchy = options.evidenceMode === 'hierarchy';
+  const budget = options.budget ?? new ResearchBudget({}, getTier3Model());
 
-  console.log(`🔵 [T3] Processing deep research for user ${userId}`);
+  console.log(`🔵 [T3] Processing deep research for user ${userId}${evidenceHierarchy ? ' (evidence hierarchy)' : ''}`);
 
   if (conversationHistory && conversationHistory.length > 0) {
     console.log(`🧠 [T3-MEMORY] Using conversation history: ${conversationHistory.length} messages`);
@@ -888,27 +1208,84 @@ async function streamDeepResearch(
     }
   }
 
-  // ===== STEP 0.5: Fetch cross-conversation memory context =====
-  writeSSE(res, { type: 'searching_memory', message: 'Önceki konuşmalar kontrol ediliyor...' });
+  // ===== STEP 0.5: Research answer cache (keyed by the English question like T2) =====
+  const cacheMode = options.cacheMode ?? 'use';
+  let cacheKey: string | null = null;
+  let normalizedQuery = '';
+  if (cacheMode !== 'bypass' && isCacheable({ conversationHistory, hasImage: !!imageBase64, safety })) {
+    const { translateToEnglishForAPIs } = await import('./tools/query-translator');
+    normalizedQuery = normalizeQuery(await translateToEnglishForAPIs(question, ctx.signal));
+    throwIfAborted(ctx.signal, 'translation');
+    cacheKey = buildCacheKey(3, normalizedQuery, {
+      diabetesType: diabetesProfile?.type,
+      medications: diabetesProfile?.medications,
+      evidenceMode: options.evidenceMode ?? 'standard'
+    });
+
+    if (cacheMode === 'use') {
+      const cached = await getCachedAnswer(cacheKey);
+      throwIfAborted(ctx.signal, 'cache lookup');
+      if (cached) {
+        streamCachedAnswer(ctx, cached, startTime);
+        return;
+      }
+    }
+  }
+
+  // ===== STEP 0.7: Fetch cross-conversation memory context =====
+  writeSSE(ctx, { type: 'searching_memory', message: 'Önceki konuşmalar kontrol ediliyor...' });
   const memoryContext = await getMemoryContext(userId);
+  throwIfAborted(ctx.signal, 'memory');
   const formattedMemory = formatMemoryContext(memoryContext);
 
   if (formattedMemory) {
     console.log(`🧠 [T3-MEMORY] Using cross-conversation memory: ${memoryContext.factCount} facts, ${memoryContext.summaryCount} summaries`);
   }
 
+  // Cache hits are free - only research runs count against the daily T3 limit
+  await recordTier3Usage(userId, question);
+
   // ===== STEP 1: Execute deep research V2 =====
   const { executeDeepResearchV2, formatResearchForSynthesis } = await import('./flows/deep-research-v2');
 
-  const researchResults = await executeDeepResearchV2(question, res);
+  // Rank studies of the user's diabetes type and medications first
+  const population = toResearchPopulation(diabetesProfile);
+  const researchResults = await executeDeepResearchV2(question, ctx, { ...options, budget, population });
 
   console.log(
     `✅ [T3-STATELESS] Research complete: ${researchResults.rounds.length} rounds, ` +
     `${researchResults.totalSources} sources`
   );
 
+  // Sources the synthesis prompt lists - inline [n] markers refer to their ids
+  const selectedSources = researchResults.selectedSources ?? [];
+
   // ===== STEP 2: Build system prompt with source count =====
-  const systemPrompt = buildTier3PromptImproved(researchResults.totalSources);
+  let systemPrompt = buildTier3PromptImproved(selectedSources.length || researchResults.totalSources);
+  if (safety) {
+    systemPrompt += buildGuardrailInstructions(safety);
+  }
+  if (evidenceHierarchy) {
+    systemPrompt += buildEvidenceHierarchyInstructions();
+  }
+  // Sources disagree - the research context lists both sides, the answer presents them
+  const conflicts = citableConflicts(researchResults.evidenceGraph?.conflicts ?? [], selectedSources);
+  if (conflicts.length > 0) {
+    systemPrompt += buildConflictingEvidenceInstructions();
+    console.log(`⚖️ [T3] Sources disagree on ${conflicts.length} topic(s): ${conflicts.map(conflict => conflict.topic).join(', ')}`);
+  }
+  // Sources carry a "Population:" note - the answer says when a finding comes from another diabetes type
+  const mismatchedSources = selectedSources.filter(source => source.populationMatch?.fit === 'mismatch').length;
+  if (population && selectedSources.some(source => source.populationMatch)) {
+    systemPrompt += buildPopulationMatchInstructions(population);
+    console.log(`👤 [T3] Population notes on selected sources (${mismatchedSources} from other diabetes types)`);
+  }
+  // TEMD, Sağlık Bakanlığı or Turkish journal sources - cite them for local practice
+  const localSources = selectedSources.filter(source => source.localGuidance).length;
+  if (localSources > 0) {
+    systemPrompt += buildLocalGuidanceInstructions();
+    console.log(`🇹🇷 [T3] ${localSources} local guidance source(s) selected`);
+  }
 
   // ===== STEP 3: Format sources =====
   const formattedSources = formatSourcesWithTypes(
@@ -920,7 +1297,7 @@ async function streamDeepResearch(
 
   // ===== STEP 3.5: Emit synthesis_started event before building prompt =====
   // This signals the final research stage to the iOS app
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 'synthesis_started',
     totalRounds: researchResults.rounds.length,
     totalSources: researchResults.totalSources,
@@ -986,6 +1363,7 @@ async function streamDeepResearch(
     model: getTier3Model(),
     system: systemPrompt,
     prompt: promptContent,
+    abortSignal: ctx.signal,
     // CRITICAL: Safety settings at top level for Vertex AI
     safetySettings: [
       { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
@@ -1014,19 +1392,20 @@ async function streamDeepResearch(
   let chunkCount = 0;
 
   for await (const chunk of stream) {
+    throwIfAborted(ctx.signal, 'tier 3 synthesis');
     if (chunk.text) {
       chunkCount++;
       console.log(`📤 [T3-CHUNK-${chunkCount}] Streaming: length=${chunk.text.length}`);
 
       if (firstChunk) {
-        writeSSE(res, { type: 'generating', message: 'Derinlemesine araştırma sentezleniyor...' });
+        writeSSE(ctx, { type: 'generating', message: 'Derinlemesine araştırma sentezleniyor...' });
         firstChunk = false;
       }
 
       tokenCount += chunk.text.length;
 
       // Stream chunk directly - no word-splitting, no delays, no batching
-      const writeSuccess = writeSSE(res, { type: 'token', content: chunk.text });
+      const writeSuccess = writeSSE(ctx, { type: 'token', content: chunk.text });
 
       if (!writeSuccess) {
         console.error(`❌ [T3-STATELESS] Stream stopped due to size limit at ${tokenCount} tokens`);
@@ -1051,8 +1430,11 @@ async function streamDeepResearch(
     console.error(`🚨 [T3-ABNORMAL] Stream ended with reason: ${finishReason} - ${finishMessage}`);
   }
 
+  // Answer guardrails
+  const safetyActions = await flagDosePrescriptions(ctx, fullText, question, userId, 3);
+
   // Flush tokens before complete event
-  res.write(': flush-tokens\n\n');
+  ctx.writeRaw(': flush-tokens\n\n');
   await new Promise<void>((resolve) => {
     setTimeout(() => resolve(), 200);
   });
@@ -1067,6 +1449,18 @@ async function streamDeepResearch(
   const outputTokens = usageMetadata?.candidatesTokenCount || 0;
   const inputTokens = usageMetadata?.promptTokenCount || 0;
   const totalTokens = usageMetadata?.totalTokenCount || 0;
+  budget.recordTokens('synthesis', getTier3Model(), inputTokens, outputTokens);
+
+  // ===== STEP 6.5: Verify inline citations against the cited abstracts =====
+  let grounding: GroundingReport | undefined;
+  if (selectedSources.length > 0 && fullText.length > 0) {
+    writeSSE(ctx, {
+      type: 'verifying_citations',
+      message: 'Kaynaklar kontrol ediliyor...',
+      citedSources: selectedSources.length
+    });
+    grounding = await verifyCitations(fullText, selectedSources, { signal: ctx.signal, userId });
+  }
 
   // Track cost for Tier 3 deep research
   await logTokenUsage({
@@ -1085,7 +1479,23 @@ async function streamDeepResearch(
   const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
   // ===== STEP 7: Build sources array for client =====
-  const clientSources = formattedSources.map(source => ({
+  // With selected sources the list is in citation order: [n] in the answer is clientSources[n - 1]
+  const clientSources = selectedSources.length > 0
+    ? formatSelectedSourcesWithTypes(selectedSources).map(source => ({
+      id: source.id,
+      title: source.title,
+      url: source.url,
+      type: source.type,
+      authors: source.authors,
+      journal: source.journal,
+      year: source.year,
+      snippet: source.snippet,
+      evidenceLevel: source.evidenceLevel,
+      studyMetadata: source.studyMetadata,
+      alsoReportedBy: source.alsoReportedBy,
+      localGuidance: source.localGuidance
+    }))
+    : formattedSources.map(source => ({
     title: source.title,
     url: source.url,
     type: source.type,
@@ -1098,8 +1508,40 @@ async function streamDeepResearch(
   const lastRound = researchResults.rounds[researchResults.rounds.length - 1];
   const evidenceQuality = lastRound?.reflection?.evidenceQuality || 'moderate';
 
+  const researchSummary = {
+    totalStudies: clientSources.length,
+    pubmedArticles: researchResults.allSources.pubmed.length,
+    clinicalTrials: researchResults.allSources.clinicalTrials.length,
+    medrxivPapers: researchResults.allSources.medrxiv.length,
+    exaMedicalSources: researchResults.allSources.exa.length,
+    evidenceQuality,
+    rounds: researchResults.rounds.length,
+    focusAreas: researchResults.plan.focusAreas
+  };
+
+  // ===== STEP 7.5: Cache the answer (memory-personalized answers are not shared) =====
+  // Answers the citation check flagged are not served to other users
+  const ungrounded = !!grounding && (grounding.unsupported > 0 || grounding.invalidCitations.length > 0);
+  if (cacheKey && ungrounded) {
+    console.log(`🗄️ [T3] Not caching: ${grounding!.unsupported} unsupported claim(s), ${grounding!.invalidCitations.length} invalid citation(s)`);
+  }
+  let cacheResult = { stored: false, evidenceChanged: false };
+  if (cacheKey && !formattedMemory && finishReason === 'STOP' && fullText.length > 0 && safetyActions.length === 0 && !ungrounded) {
+    const { evidenceChanged } = await storeCachedAnswer({
+      key: cacheKey,
+      tier: 3,
+      question,
+      normalizedQuery,
+      answer: fullText,
+      sources: clientSources,
+      researchSummary,
+      grounding: grounding ?? null
+    });
+    cacheResult = { stored: true, evidenceChanged };
+  }
+
   // ===== STEP 8: Send complete event (no sessionId) =====
-  writeSSE(res, {
+  writeSSE(ctx, {
     type: 'complete',
     sources: clientSources,
     metadata: {
@@ -1110,22 +1552,20 @@ async function streamDeepResearch(
       rounds: researchResults.rounds.length,
       estimatedRounds: researchResults.plan.estimatedRounds,
       strategy: researchResults.plan.strategy,
+      evidenceMode: researchResults.evidenceMode ?? 'standard',
       tokenUsage: {
         input: inputTokens,
         output: outputTokens,
         total: totalTokens
-      }
-    },
-    researchSummary: {
-      totalStudies: clientSources.length,
-      pubmedArticles: researchResults.allSources.pubmed.length,
-      clinicalTrials: researchResults.allSources.clinicalTrials.length,
-      medrxivPapers: researchResults.allSources.medrxiv.length,
-      exaMedicalSources: researchResults.allSources.exa.length,
-      evidenceQuality,
-      rounds: researchResults.rounds.length,
-      focusAreas: researchResults.plan.focusAreas
+      },
+      groundingScore: grounding?.groundingScore ?? null,
+      grounding,
+      cache: { hit: false, ...cacheResult },
+      budget: budget.snapshot(),
+      conflictingTopics: conflicts.map(conflict => conflict.topic),
+      ...(safetyActions.length > 0 ? { safety: { categories: safety?.categories ?? [], actions: safetyActions } } : {})
     },
+    researchSummary,
     processingTier: 'DEEP_RESEARCH',
     thinkingSummary
   });
@@ -1133,6 +1573,117 @@ async function streamDeepResearch(
   console.log(`✅ [T3-STATELESS] Completed. Duration: ${duration}s`);
 }
 
+type ConversationMessage = { role: string; content: string; imageBase64?: string };
+
+/**
+ * Validate a client-selected tier
+ * Returns undefined when none was sent, null when the value is not 1-3
+ */
+function parseRequestedTier(value: unknown): 1 | 2 | 3 | undefined | null {
+  if (value === undefined || value === null) return undefined;
+  const tier = Number(value);
+  return tier === 1 || tier === 2 || tier === 3 ? tier : null;
+}
+
+/**
+ * Add the answer being upgraded to the history (unless the app already sent it)
+ */
+function withUpgradeContext(
+  history: ConversationMessage[] | undefined,
+  transcript: StreamTranscript
+): ConversationMessage[] {
+  const messages = [...(history ?? [])];
+  const alreadyIncluded = messages.some(msg => msg.role === 'assistant' && msg.content.trim() === transcript.answer.trim());
+
+  if (!alreadyIncluded) {
+    messages.push(
+      { role: 'user', content: transcript.question ?? '' },
+      { role: 'assistant', content: transcript.answer }
+    );
+  }
+
+  return messages;
+}
+
+/**
+ * Record the work done by a cancelled request
+ */
+async function logCancelledRequest(ctx: StreamContext, tier: number | null, userId?: string): Promise<void> {
+  const usage =
+    tier === 0 ? { featureName: FeatureName.RESEARCH_RECALL, modelName: getTier1Model() } :
+    tier === 1 ? { featureName: FeatureName.RESEARCH_FAST, modelName: getTier1Model() } :
+    tier === 2 ? { featureName: FeatureName.RESEARCH_STANDARD, modelName: getTier2Model() } :
+    tier === 3 ? { featureName: FeatureName.RESEARCH_DEEP, modelName: getTier3Model() } :
+    { featureName: FeatureName.CHAT_ASSISTANT, modelName: getRouterModel() }; // Cancelled while routing
+
+  await logCancelledUsage({
+    ...usage,
+    stage: ctx.lastStage,
+    streamedChars: ctx.streamedChars,
+    userId,
+    metadata: { tier }
+  });
+}
+
+/**
+ * Serve a reconnecting client from the event log of an earlier request
+ * Does NOT re-run routing or count against the T3 rate limit - the job is already running
+ */
+async function handleResume(
+  res: Response,
+  resumeRequest: { streamId: string; afterSeq: number },
+  userId?: string
+): Promise<void> {
+  if (!userId) {
+    res.write(`data: ${JSON.stringify({ type: 'error', message: 'Soru ve kullanıcı kimliği gereklidir' })}\n\n`);
+    res.end();
+    return;
+  }
+
+  console.log(`🔁 [STREAM] Resume request for ${resumeRequest.streamId} after event ${resumeRequest.afterSeq} from ${userId}`);
+
+  // Resume frames are written without ids so they don't disturb the client's Last-Event-ID
+  res.write(`data: ${JSON.stringify({
+    type: 'stream_resumed',
+    streamId: resumeRequest.streamId,
+    replayedFrom: resumeRequest.afterSeq
+  })}\n\n`);
+
+  const keepAlive = setInterval(() => res.write(': keepalive\n\n'), 15000);
+
+  try {
+    const outcome = await resumeStream(res, resumeRequest, userId, {
+      maxWaitMs: RESUME_MAX_WAIT_MS
+    });
+
+    console.log(`🔁 [STREAM] Resume of ${resumeRequest.streamId} ended: ${outcome}`);
+
+    if (outcome === 'not_found' || outcome === 'forbidden') {
+      res.write(`data: ${JSON.stringify({
+        type: 'error',
+        message: 'Devam ettirilecek yanıt bulunamadı veya süresi doldu. Lütfen soruyu tekrar sorun.'
+      })}\n\n`);
+    } else if (outcome === 'abandoned' || outcome === 'timed_out') {
+      res.write(`data: ${JSON.stringify({
+        type: 'error',
+        message: 'Araştırma yarıda kaldı. Lütfen soruyu tekrar sorun.'
+      })}\n\n`);
+    }
+  } catch (error: any) {
+    logError(undefined, error, { userId, operation: 'stream resume' });
+    res.write(`data: ${JSON.stringify({
+      type: 'error',
+      message: getUserFriendlyMessage(error)
+    })}\n\n`);
+  } finally {
+    clearInterval(keepAlive);
+    if (!res.writableEnded) {
+      res.write(': stream-end\n\n');
+      res.end();
+    }
+  }
+}
+
 /**
  * Main streaming endpoint
  */
@@ -1153,7 +1704,7 @@ export const diabetesAssistantStream = onRequest(
     res.setHeader('Transfer-Encoding', 'chunked'); // Explicit chunked encoding
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
 
     // Handle preflight
     if (req.method === 'OPTIONS') {
@@ -1161,15 +1712,30 @@ export const diabetesAssistantStream = onRequest(
       return;
     }
 
-    // Reset response size tracking for this request
-    totalBytes = 0;
+    // Reconnecting client: replay missed events and follow the running job
+    const resumeRequest = parseResumeRequest(req.headers, req.body);
+    if (resumeRequest) {
+      await handleResume(res, resumeRequest, req.body?.userId);
+      return;
+    }
+
+    // All per-request state (byte count, heartbeat, abort signal) lives on the context
+    const ctx = new StreamContext(res);
+
+    let stream: ResumableStream | null = null;
+    let tier: number | null = null;
 
     try {
-      const { question, userId, diabetesProfile, conversationHistory } = req.body;
+      const { userId, diabetesProfile, upgradeFromMessageId } = req.body;
+      let { question, conversationHistory } = req.body;
+      const requestedTier = parseRequestedTier(req.body.requestedTier);
+      const evidenceMode = parseEvidenceMode(req.body.evidenceMode);
+      const cacheMode = parseCacheMode(req.body.cache);
+      const budgetLimits = parseResearchBudget(req.body.budget);
 
       // Validate
-      if (!question || !userId) {
-        writeSSE(res, {
+      if ((!question && !upgradeFromMessageId) || !userId) {
+        writeSSE(ctx, {
           type: 'error',
           message: 'Soru ve kullanıcı kimliği gereklidir'
         });
@@ -1177,6 +1743,48 @@ export const diabetesAssistantStream = onRequest(
         return;
       }
 
+      if (requestedTier === null) {
+        writeSSE(ctx, {
+          type: 'error',
+          message: 'Geçersiz araştırma seviyesi'
+        });
+        res.end();
+        return;
+      }
+
+      // "Research this deeper": re-run an earlier answer's question with the answer as context
+      let upgrade: StreamTranscript | null = null;
+      if (upgradeFromMessageId) {
+        upgrade = await readStreamTranscript(upgradeFromMessageId, userId);
+        if (!upgrade?.question) {
+          writeSSE(ctx, {
+            type: 'error',
+            message: 'Derinleştirilecek yanıt bulunamadı veya süresi doldu. Lütfen soruyu tekrar sorun.'
+          });
+          res.end();
+          return;
+        }
+
+        // T3 is the deepest tier - an upgrade would only run the same research again
+        if (upgrade.tier === 3) {
+          writeSSE(ctx, {
+            type: 'error',
+            message: 'Bu yanıt zaten derinlemesine araştırma ile oluşturuldu, daha fazla derinleştirilemez.'
+          });
+          res.end();
+          return;
+        }
+
+        question = upgrade.question;
+        conversationHistory = withUpgradeContext(conversationHistory, upgrade);
+        console.log(`⬆️ [STREAM] Upgrading answer ${upgradeFromMessageId} (T${upgrade.tier ?? '?'})`);
+      }
+
+      // Upgrades go at least to T2 - one tier above the original answer unless a tier was requested
+      const forcedTier = upgrade
+        ? Math.max(requestedTier ?? (upgrade.tier ?? 1) + 1, 2) as 2 | 3
+        : requestedTier;
+
       console.log(`🌊 [STREAM] New streaming request from ${userId}`);
       console.log(`📝 [STREAM] Question: "${question.substring(0, 100)}..."`);
 
@@ -1185,80 +1793,137 @@ export const diabetesAssistantStream = onRequest(
         console.log(`🧠 [MEMORY] Conversation history: ${conversationHistory.length} messages`);
       }
 
-      // Start keep-alive heartbeat
-      startKeepAlive(res);
+      // Every event from here on gets an id and is logged for replay
+      stream = await ResumableStream.open(res, userId, undefined, { question });
+      writeSSE(ctx, {
+        type: 'stream_started',
+        streamId: stream.streamId,
+        resumeToken: stream.streamId,
+        messageId: stream.streamId
+      });
 
-      // Step 1: Route the question
-      writeSSE(res, { type: 'routing', message: 'Soru analiz ediliyor...' });
+      // Stop the work once the client is gone - right away, or after a grace period
+      // for clients that can re-attach with the resume token
+      const abandonGraceMs = req.body.resumable === true ? RESUMABLE_GRACE_MS : 0;
+      stream.onAbandoned(abandonGraceMs, () => ctx.abort('client_disconnected'));
 
-      const routing = await routeQuestion({
-        question,
-        userId,
-        diabetesProfile,
-        conversationHistory
-      });
+      // Start keep-alive heartbeat
+      ctx.startHeartbeat();
+
+      // Step 1: Route the question (skipped when the app chose the tier)
+      let routing: RouterOutput;
+      if (forcedTier) {
+        routing = {
+          tier: forcedTier,
+          reasoning: upgrade ? 'Önceki yanıt daha derinlemesine araştırılıyor' : 'Araştırma seviyesi kullanıcı tarafından seçildi',
+          confidence: 1
+        };
+        console.log(`🎚️ [STREAM] Tier ${forcedTier} requested by client - skipping router`);
+      } else {
+        writeSSE(ctx, { type: 'routing', message: 'Soru analiz ediliyor...' });
+
+        routing = await routeQuestion({
+          question,
+          userId,
+          diabetesProfile,
+          conversationHistory
+        });
+        throwIfAborted(ctx.signal, 'routing');
+      }
+      tier = routing.tier;
 
-      writeSSE(res, {
+      writeSSE(ctx, {
         type: 'tier_selected',
         tier: routing.tier,
         reasoning: routing.reasoning,
-        confidence: routing.confidence
+        confidence: routing.confidence,
+        ...(forcedTier ? { requested: true } : {}),
+        ...(upgrade ? { upgradeFromMessageId } : {})
       });
 
       // Check rate limit for T3 Deep Research tier (tier 3)
       if (routing.tier === 3) {
-        const canProceed = await checkTier3RateLimit(userId);
-        if (!canProceed) {
-          writeSSE(res, {
+        const rateLimit = await checkTier3RateLimit(userId);
+        if (!rateLimit.allowed) {
+          writeSSE(ctx, {
             type: 'error',
             message: 'Günlük derinlemesine araştırma limitine ulaştınız (10/gün). Lütfen yarın tekrar deneyin.'
           });
-          stopKeepAlive();
+          ctx.stopHeartbeat();
+          await stream.finish('error');
           res.end();
           return;
         }
+        // Usage is recorded by streamDeepResearch once the answer cache misses
       }
 
+      // Emergency guidance goes out before any answer
+      const safety = assessQuestion(question, diabetesProfile?.medications ?? []);
+      const safetyActions = await applyQuestionGuardrails(ctx, safety, question, userId, routing.tier);
+
       // Step 2: Stream based on tier (3-TIER SYSTEM WITH IN-CONVERSATION MEMORY)
       const tierStart = Date.now();
 
-      if (routing.tier === 1) {
+      // Tier 0: Recall from past research - falls back to T1 when nothing matches
+      let servedByRecall = false;
+      if (routing.tier === 0) {
+        servedByRecall = await streamRecall(ctx, question, userId, routing.searchTerms || question);
+        if (!servedByRecall) {
+          tier = 1;
+          writeSSE(ctx, {
+            type: 'recall_fallback',
+            message: 'Geçmiş araştırmalarda bulunamadı, genel bilgiyle yanıtlanıyor...'
+          });
+        }
+      }
+
+      if (servedByRecall) {
+        // Complete event already sent inside streamRecall
+      } else if (routing.tier === 0 || routing.tier === 1) {
         // Tier 1: Flash with conversation history
-        await streamTier1(res, question, userId, diabetesProfile, conversationHistory);
+        safetyActions.push(...await streamTier1(ctx, question, userId, diabetesProfile, conversationHistory, safety));
         const tier1Duration = ((Date.now() - tierStart) / 1000).toFixed(2);
 
         // Send complete event for Tier 1
         const sources = [{ title: 'Genel Diyabet Bilgi Tabanı', type: 'knowledge_base' }];
 
-        writeSSE(res, {
+        writeSSE(ctx, {
           type: 'complete',
           sources,
           metadata: {
             processingTime: `${tier1Duration}s`,
             modelUsed: 'Gemini 2.5 Flash',
-            costTier: 'low'
+            costTier: 'low',
+            ...(safetyActions.length > 0 ? { safety: { categories: safety.categories, actions: safetyActions } } : {}),
+            ...(safety.interactions.length > 0 ? { interactions: safety.interactions } : {})
           },
           processingTier: 'MODEL'
         });
       } else if (routing.tier === 2) {
         // Tier 2: Web Search with conversation history
-        await streamTier2Hybrid(res, question, userId, diabetesProfile, conversationHistory);
+        await streamTier2Hybrid(ctx, question, userId, diabetesProfile, conversationHistory, safety, cacheMode);
         // Complete event already sent inside streamTier2Hybrid
       } else {
         // Tier 3: Deep Research with conversation history
-        await streamDeepResearch(res, question, userId, diabetesProfile, conversationHistory);
+        await streamDeepResearch(ctx, question, userId, diabetesProfile, conversationHistory, {
+          evidenceMode,
+          cacheMode,
+          budget: new ResearchBudget(budgetLimits, getTier3Model())
+        }, safety);
         // Complete event already sent inside streamDeepResearch
       }
 
       // Stop keep-alive
-      stopKeepAlive();
+      ctx.stopHeartbeat();
+
+      // Persist the tail of the event log and release any resumed clients
+      await stream.finish('complete');
 
       // ✅ FIX: Ensure ALL data is flushed before closing
-      console.log(`🔍 [STREAM-FIX] Starting graceful shutdown sequence - totalBytes: ${totalBytes}`);
+      console.log(`🔍 [STREAM-FIX] Starting graceful shutdown sequence - totalBytes: ${ctx.totalBytes}`);
 
       // Force flush
-      if (typeof (res as any).flush === 'function') {
-        (res as any).flush();
+      if (ctx.flush()) {
         console.log(`💧 [STREAM-FIX] Forced final flush before shutdown`);
       }
 
@@ -1271,12 +1936,11 @@ export const diabetesAssistantStream = onRequest(
       console.log(`🔍 [STREAM-FIX] End-of-stream comment sent`);
 
       // Force flush again
-      if (typeof (res as any).flush === 'function') {
-        (res as any).flush();
+      if (ctx.flush()) {
         console.log(`💧 [STREAM-FIX] Forced flush after padding`);
       }
 
-      console.log(`✅ [STREAM-STATELESS] Completed. Size: ${(totalBytes / 1024).toFixed(2)} KB`);
+      console.log(`✅ [STREAM-STATELESS] Completed. Size: ${(ctx.totalBytes / 1024).toFixed(2)} KB`);
       console.log(`📤 [STREAM-STATELESS] Waiting for network buffers to drain...`);
 
       // Wait for buffers to drain
@@ -1292,8 +1956,18 @@ export const diabetesAssistantStream = onRequest(
       console.log(`✅ [STREAM-FIX] Graceful shutdown complete`);
 
     } catch (error: any) {
+      ctx.stopHeartbeat();
+
+      if (ctx.aborted || isCancellationError(error)) {
+        console.log(`🛑 [STREAM] Request cancelled during ${ctx.lastStage} (${ctx.streamedChars} chars streamed)`);
+        await logCancelledRequest(ctx, tier, req.body?.userId);
+        writeSSE(ctx, { type: 'error', message: CANCELLED_MESSAGE });
+        await stream?.finish('cancelled');
+        res.end();
+        return;
+      }
+
       console.error('❌ [STREAM-STATELESS] Error:', error);
-      stopKeepAlive();
 
       // Log error with structured context
       const errorContext: ErrorContext = {
@@ -1307,11 +1981,14 @@ export const diabetesAssistantStream = onRequest(
       // Get user-friendly error message (don't expose internal details)
       const userMessage = getUserFriendlyMessage(error);
 
-      writeSSE(res, {
+      writeSSE(ctx, {
         type: 'error',
         message: userMessage
       });
+      await stream?.finish('error');
       res.end();
+    } finally {
+      ctx.close();
     }
   }
 );
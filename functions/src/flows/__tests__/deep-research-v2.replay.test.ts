@@ -0,0 +1,180 @@
+/**
+ * End-to-end T3 research run offline: recorded search responses + fake Gemini
+ */
+
+import * as path from 'path';
+import { executeDeepResearchV2 } from '../deep-research-v2';
+import {
+  createResearchSourceProvider,
+  setResearchSourceProvider
+} from '../../tools/research-source-provider';
+import { FakeGemini } from '../../utils/fake-gemini';
+import { SSEResponse } from '../../utils/resumable-stream';
+import { StreamContext } from '../../utils/stream-context';
+import { T3_QUESTION, ROUND_1_QUERY, ROUND_2_QUERY } from './fixtures/fake-gemini-t3';
+import * as genkitInstance from '../../genkit-instance';
+import { getTemdIndex, setTemdIndex } from '../../tools/turkish-sources';
+
+jest.mock('../../genkit-instance', () => {
+  const { genkit } = require('genkit/beta');
+  const { createFakeGemini } = require('../../utils/fake-gemini');
+  const { T3_SCRIPT } = require('./fixtures/fake-gemini-t3');
+
+  const fakeGemini = createFakeGemini(T3_SCRIPT);
+  return { ai: genkit({ plugins: fakeGemini.plugins }), fakeGemini };
+});
+
+jest.mock('../../providers', () => ({
+  getRouterModel: () => 'googleai/gemini-2.5-flash-lite'
+}));
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn()
+}));
+
+const fakeGemini = (genkitInstance as unknown as { fakeGemini: FakeGemini }).fakeGemini;
+
+function eventSink(): { ctx: StreamContext; events: any[] } {
+  const events: any[] = [];
+  const res = {
+    write: (data: string) => {
+      events.push(JSON.parse(data.replace(/^data: /, '').trim()));
+      return true;
+    }
+  } as unknown as SSEResponse;
+
+  return { ctx: new StreamContext(res), events };
+}
+
+describe('executeDeepResearchV2 (replay)', () => {
+  // The bundled TEMD index only holds scope summaries; search its sections as guideline text
+  const summaryIndex = getTemdIndex();
+
+  beforeAll(() => {
+    setResearchSourceProvider(createResearchSourceProvider('replay', path.join(__dirname, 'fixtures/research')));
+    setTemdIndex({
+      ...summaryIndex,
+      documents: summaryIndex.documents.map(document => ({ ...document, summaryOnly: false }))
+    });
+  });
+
+  afterAll(() => {
+    setResearchSourceProvider(null);
+    setTemdIndex(summaryIndex);
+  });
+
+  beforeEach(() => {
+    fakeGemini.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run both rounds from the recorded responses', async () => {
+    const { ctx, events } = eventSink();
+
+    const results = await executeDeepResearchV2(T3_QUESTION, ctx);
+
+    expect(fakeGemini.calls.map(call => call.rule)).toEqual([
+      'planner',
+      'query-analyzer',
+      'translator',
+      'claim-extractor',
+      'reflector',
+      'refiner',
+      'query-analyzer', // Round 2 query is English - no translation
+      'claim-extractor'
+    ]);
+
+    expect(events.filter(e => e.type === 'round_started').map(e => e.query)).toEqual([T3_QUESTION, ROUND_2_QUERY]);
+    // PubMed and ClinicalTrials.gov search MeSH-based queries built from the translation
+    expect(events.find(e => e.type === 'api_started' && e.api === 'exa')?.query).toBe(ROUND_1_QUERY);
+    expect(events.find(e => e.type === 'api_started' && e.api === 'pubmed')).toMatchObject({
+      query: expect.stringContaining('("Insulin Infusion Systems"[MeSH Terms] OR "insulin pump"[Title/Abstract]'),
+      meshTerms: ['Insulin Infusion Systems', 'Diabetes Mellitus, Type 1']
+    });
+    expect(events.find(e => e.type === 'api_started' && e.api === 'clinicaltrials')?.query)
+      .toBe('condition: "type 1 diabetes" | intervention: "insulin pump"');
+
+    // Turkish source track searches the user's own question in round 1
+    expect(events.filter(e => e.type === 'api_started' && ['temd', 'tr-journals', 'tr-ministry'].includes(e.api)))
+      .toEqual(['temd', 'tr-journals', 'tr-ministry'].map(api => expect.objectContaining({ api, query: T3_QUESTION })));
+
+    // Round 1: everything recorded (+3 TEMD sections, no Turkish web results);
+    // round 2: one PubMed duplicate, medRxiv never recorded
+    expect(results.rounds.map(round => round.sourceCount)).toEqual([10, 2]);
+    expect(events.filter(e => e.type === 'api_completed' && e.api === 'medrxiv').map(e => e.success))
+      .toEqual([true, false]);
+
+    expect(results.selectedSources?.map(source => source.id)).toEqual(
+      results.selectedSources?.map((_, i) => i + 1)
+    );
+    // Open-access full text recorded for one article (Europe PMC), others have none
+    const withFullText = results.selectedSources?.filter(source => source.fullText) ?? [];
+    expect(withFullText.map(source => source.document?.articleIds?.pmid)).toEqual(['34567890']);
+    expect(withFullText[0].fullText?.map(chunk => chunk.section)).toEqual(['methods', 'results', 'conclusions']);
+
+    // TEMD sections are ranked with the English results and flagged as local guidance
+    const temd = results.selectedSources?.filter(source => source.sourceType === 'temd') ?? [];
+    expect(temd.length).toBeGreaterThan(0);
+    expect(temd.every(source => source.localGuidance === 'TEMD kılavuzu (Türkiye)')).toBe(true);
+
+    // Research events go through the request's stream context
+    expect(ctx.lastStage).toBe('synthesis_preparation');
+    expect(ctx.totalBytes).toBe(events.reduce((sum, e) => sum + Buffer.byteLength(`data: ${JSON.stringify(e)}\n\n`, 'utf8'), 0));
+  });
+
+  it('should not search TEMD while the index only holds scope summaries', async () => {
+    const fullTextIndex = getTemdIndex();
+    setTemdIndex(summaryIndex);
+    const { ctx, events } = eventSink();
+
+    try {
+      const results = await executeDeepResearchV2(T3_QUESTION, ctx);
+
+      expect(events.filter(e => e.type === 'api_started').map(e => e.api)).not.toContain('temd');
+      expect(results.rounds[0].sourceCount).toBe(7);
+      expect(results.selectedSources?.some(source => source.sourceType === 'temd')).toBe(false);
+    } finally {
+      setTemdIndex(fullTextIndex);
+    }
+  });
+
+  it('should detect disagreeing sources and feed them into reflection', async () => {
+    const { ctx, events } = eventSink();
+
+    const results = await executeDeepResearchV2(T3_QUESTION, ctx);
+
+    expect(events.filter(e => e.type === 'evidence_conflicts')).toEqual([
+      expect.objectContaining({
+        round: 1,
+        conflicts: [{
+          topic: 'insulin pump → fasting glucose',
+          directions: ['benefit', 'no_effect'],
+          sourceCount: 2,
+          populationDiffers: true
+        }]
+      })
+    ]);
+
+    const reflector = fakeGemini.calls.find(call => call.rule === 'reflector');
+    expect(reflector?.request.text).toContain('CONFLICTING EVIDENCE');
+    expect(results.rounds[0].reflection?.gapsIdentified).toContain('Conflicting evidence: insulin pump → fasting glucose');
+    expect(results.evidenceGraph?.conflicts.map(conflict => conflict.topic)).toEqual(['insulin pump → fasting glucose']);
+  });
+
+  it('should produce the same selection on every run', async () => {
+    const first = await executeDeepResearchV2(T3_QUESTION, eventSink().ctx);
+    fakeGemini.reset();
+    const second = await executeDeepResearchV2(T3_QUESTION, eventSink().ctx);
+
+    const titles = (results: typeof first) => results.selectedSources?.map(source => source.citation);
+    expect(titles(second)).toEqual(titles(first));
+    expect(first.selectedSources?.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Fake Gemini script for a two-round T3 run on the dawn phenomenon
+ * Search responses for the same run are in ./research
+ */
+
+import { FakeGeminiScript } from '../../../utils/fake-gemini';
+
+export const T3_QUESTION = 'Dawn fenomeni nedir, insülin pompasıyla nasıl yönetilir?';
+export const ROUND_1_QUERY = 'dawn phenomenon management insulin pump type 1 diabetes';
+export const ROUND_2_QUERY = 'dawn phenomenon insulin pump basal rate adjustment';
+
+export const T3_SCRIPT: FakeGeminiScript = {
+  rules: [
+    {
+      name: 'planner',
+      match: 'medical research strategist',
+      model: 'gemini-2.5-pro',
+      respond: {
+        estimatedRounds: 2,
+        strategy: 'Broad initial scan',
+        focusAreas: ['pathophysiology', 'insulin pump basal rates']
+      }
+    },
+    {
+      name: 'translator',
+      match: 'medical translator',
+      respond: ROUND_1_QUERY
+    },
+    {
+      name: 'query-analyzer',
+      match: 'medical query analyzer',
+      respond: {
+        category: 'treatment',
+        pubmedRatio: 0.6,
+        medrxivRatio: 0.2,
+        clinicalTrialsRatio: 0.2,
+        confidence: 0.9
+      }
+    },
+    {
+      name: 'reflector',
+      match: 'research quality evaluator',
+      respond: {
+        evidenceQuality: 'medium',
+        gapsIdentified: ['Insulin pump basal rate adjustment details'],
+        shouldContinue: true,
+        reasoning: 'Mechanism covered, practical pump settings missing'
+      }
+    },
+    {
+      name: 'refiner',
+      match: 'research query optimizer',
+      respond: {
+        refined: ROUND_2_QUERY,
+        focusArea: 'basal rate programming',
+        reasoning: 'Targets the pump settings gap'
+      }
+    },
+    {
+      name: 'claim-extractor',
+      match: 'medical evidence extractor',
+      respond: {
+        claims: [
+          {
+            source: 1,
+            intervention: 'Insulin pump',
+            outcome: 'Fasting glucose',
+            claim: 'Raising early-morning basal rates lowered fasting glucose.',
+            direction: 'benefit',
+            population: 'adults with type 1 diabetes'
+          },
+          {
+            source: 2,
+            intervention: 'insulin pump',
+            outcome: 'fasting glucose',
+            claim: 'Fasting glucose did not differ between pump and injection users.',
+            direction: 'no_effect',
+            population: 'adolescents with type 1 diabetes'
+          }
+        ]
+      }
+    }
+  ]
+};
@@ -0,0 +1,139 @@
+/**
+ * Tests for recall-flow keyword and vector search over past sessions
+ */
+
+import {
+  PastResearchSession,
+  extractKeywords,
+  keywordSearch,
+  findSimilarSessions,
+  searchPastResearch,
+  formatRecallSources
+} from '../recall-flow';
+import { embedTexts } from '../../utils/embeddings';
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn()
+}));
+
+jest.mock('../../utils/embeddings', () => ({
+  ...jest.requireActual('../../utils/embeddings'),
+  embedTexts: jest.fn()
+}));
+
+// Toy embedding: one dimension per topic word
+const TOPICS = ['dawn', 'kahvaltı', 'egzersiz'];
+function toyEmbedding(text: string): number[] {
+  const lower = text.toLocaleLowerCase('tr-TR');
+  return TOPICS.map(topic => (lower.includes(topic) ? 1 : 0));
+}
+
+const SESSIONS: PastResearchSession[] = [
+  {
+    sessionId: 'session-dawn',
+    title: 'Sabah yüksek şekerleri',
+    summary: 'Dawn fenomeni ile Somogyi etkisinin farkı ve gece insülin ayarları incelendi.',
+    endTime: new Date('2025-03-10T09:00:00Z'),
+    summaryEmbedding: [1, 0, 0]
+  },
+  {
+    sessionId: 'session-exercise',
+    summary: 'Egzersiz sonrası geç hipoglisemi ve karbonhidrat takviyesi konuşuldu.',
+    endTime: new Date('2025-02-01T09:00:00Z'),
+    summaryEmbedding: [0, 0, 1]
+  }
+];
+
+describe('recall-flow', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    (embedTexts as jest.Mock).mockReset().mockImplementation(async (texts: string[]) => texts.map(toyEmbedding));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('extractKeywords', () => {
+    it('should drop stop words and fold Turkish characters', () => {
+      expect(extractKeywords('Dawn ile karışan etki')).toEqual(['dawn', 'karisan', 'etki']);
+    });
+  });
+
+  describe('keywordSearch', () => {
+    it('should match keywords with different Turkish suffixes', () => {
+      const [dawn, exercise] = keywordSearch(SESSIONS, extractKeywords('insülinin ayarı'));
+
+      expect(dawn.matchedTerms).toEqual(['insulinin', 'ayari']);
+      expect(dawn.score).toBe(1);
+      expect(exercise.score).toBe(0);
+    });
+  });
+
+  describe('findSimilarSessions', () => {
+    it('should embed only the query and compare it with the stored summary embeddings', async () => {
+      const sessions: PastResearchSession[] = [
+        { ...SESSIONS[0], summaryEmbedding: undefined }, // Synced before summaries were embedded
+        SESSIONS[1]
+      ];
+
+      const matches = await findSimilarSessions('egzersiz', sessions, { minSimilarity: 0.5 });
+
+      expect(matches.map(match => match.session.sessionId)).toEqual(['session-exercise']);
+      expect(embedTexts).toHaveBeenCalledTimes(1);
+      expect(embedTexts).toHaveBeenCalledWith(['egzersiz']);
+    });
+
+    it('should not embed the query when no session has an embedding', async () => {
+      const sessions = SESSIONS.map(session => ({ ...session, summaryEmbedding: undefined }));
+
+      await expect(findSimilarSessions('egzersiz', sessions)).resolves.toEqual([]);
+      expect(embedTexts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchPastResearch', () => {
+    it('should return the session that matches by keyword or meaning', async () => {
+      const matches = await searchPastResearch('user-1', 'Dawn ile karışan etki neydi?', 'Dawn ile karışan etki', {
+        sessions: SESSIONS
+      });
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].session.sessionId).toBe('session-dawn');
+      expect(matches[0].semanticScore).toBeCloseTo(1);
+    });
+
+    it('should return nothing when no past session is related', async () => {
+      const matches = await searchPastResearch('user-1', 'Metformin yan etkileri neydi?', 'Metformin yan etkileri', {
+        sessions: SESSIONS
+      });
+
+      expect(matches).toEqual([]);
+    });
+
+    it('should fall back to keywords when embedding fails', async () => {
+      (embedTexts as jest.Mock).mockRejectedValue(new Error('quota'));
+
+      const matches = await searchPastResearch('user-1', 'egzersiz sonrası hipoglisemi neydi', 'egzersiz sonrası hipoglisemi', {
+        sessions: SESSIONS
+      });
+
+      expect(matches.map(match => match.session.sessionId)).toEqual(['session-exercise']);
+      expect(matches[0].semanticScore).toBe(0);
+    });
+  });
+
+  describe('formatRecallSources', () => {
+    it('should link every match to its original session', async () => {
+      const matches = await searchPastResearch('user-1', 'Dawn etkisi', 'Dawn etkisi', { sessions: SESSIONS });
+
+      expect(formatRecallSources(matches)[0]).toMatchObject({
+        title: 'Sabah yüksek şekerleri',
+        type: 'past_session',
+        sessionId: 'session-dawn',
+        url: 'com.anaxoniclabs.balli://research/session/session-dawn'
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for router-flow tier routing and the semantic tier classifier
+ */
+
+import { routeQuestion } from '../router-flow';
+import { TierClassifier, TierClassification, voteOnNeighbours } from '../tier-classifier';
+
+// The default classifier is never used here, but its module imports Genkit
+jest.mock('../../genkit-instance', () => ({
+  ai: {
+    generate: jest.fn(),
+    embedMany: jest.fn()
+  }
+}));
+
+jest.mock('../../providers', () => ({
+  getRouterModel: jest.fn(() => 'router-model'),
+  getEmbedder: jest.fn(() => 'embedder')
+}));
+
+function fakeClassifier(result: TierClassification): TierClassifier & { classify: jest.Mock } {
+  return {
+    name: 'fake',
+    classify: jest.fn().mockResolvedValue(result)
+  };
+}
+
+describe('routeQuestion', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should route "derinleş" to T3 without calling the classifier', async () => {
+    const classifier = fakeClassifier({ tier: 1, confidence: 1, reasoning: '', method: 'embedding' });
+
+    const result = await routeQuestion(
+      { question: 'Teplizumab hakkında derinleş', userId: 'u1' },
+      { classifier }
+    );
+
+    expect(result.tier).toBe(3);
+    expect(result.explicitDeepRequest).toBe(true);
+    expect(result.classifierMethod).toBe('keyword');
+    expect(classifier.classify).not.toHaveBeenCalled();
+  });
+
+  it('should route "araştır" to T2 without calling the classifier', async () => {
+    const classifier = fakeClassifier({ tier: 3, confidence: 1, reasoning: '', method: 'embedding' });
+
+    const result = await routeQuestion(
+      { question: 'Ozempic yan etkilerini araştır', userId: 'u1' },
+      { classifier }
+    );
+
+    expect(result.tier).toBe(2);
+    expect(result.classifierMethod).toBe('keyword');
+    expect(classifier.classify).not.toHaveBeenCalled();
+  });
+
+  it('should detect recall requests before tier routing', async () => {
+    const classifier = fakeClassifier({ tier: 1, confidence: 1, reasoning: '', method: 'embedding' });
+
+    const result = await routeQuestion(
+      { question: 'Geçen sefer metformin hakkında ne konuşmuştuk?', userId: 'u1' },
+      { classifier }
+    );
+
+    expect(result.tier).toBe(0);
+    expect(result.isRecallRequest).toBe(true);
+    expect(classifier.classify).not.toHaveBeenCalled();
+  });
+
+  it('should use the plugged-in classifier for other questions', async () => {
+    const classifier = fakeClassifier({ tier: 2, confidence: 0.8, reasoning: 'ilaç güvenliği', method: 'embedding' });
+
+    const result = await routeQuestion(
+      {
+        question: 'Forxiga böbreklerime zarar verir mi?',
+        userId: 'u1',
+        diabetesProfile: { type: '2', medications: ['Forxiga'] }
+      },
+      { classifier }
+    );
+
+    expect(result.tier).toBe(2);
+    expect(result.confidence).toBe(0.8);
+    expect(result.classifierMethod).toBe('embedding');
+    expect(classifier.classify).toHaveBeenCalledWith(
+      'Forxiga böbreklerime zarar verir mi?',
+      expect.objectContaining({ diabetesProfile: { type: '2', medications: ['Forxiga'] } })
+    );
+  });
+
+  it('should cap T3 classifications at T2 whatever the confidence', async () => {
+    for (const confidence of [0.6, 0.95]) {
+      const classifier = fakeClassifier({ tier: 3, confidence, reasoning: 'yeni çalışmalar', method: 'embedding' });
+
+      const result = await routeQuestion({ question: 'Oral insülin ne durumda?', userId: 'u1' }, { classifier });
+
+      expect(result).toMatchObject({ tier: 2, suggestedTier: 3 });
+      expect(result.explicitDeepRequest).toBeUndefined();
+    }
+  });
+
+  it('should fall back to T1 when the classifier throws', async () => {
+    const classifier: TierClassifier = {
+      name: 'broken',
+      classify: jest.fn().mockRejectedValue(new Error('quota exceeded'))
+    };
+
+    const result = await routeQuestion({ question: 'İnsülin direnci nedir?', userId: 'u1' }, { classifier });
+
+    expect(result.tier).toBe(1);
+    expect(result.classifierMethod).toBe('fallback');
+  });
+});
+
+describe('voteOnNeighbours', () => {
+  it('should return null when there are no neighbours', () => {
+    expect(voteOnNeighbours([])).toBeNull();
+  });
+
+  it('should pick the tier with the highest similarity-weighted vote', () => {
+    const result = voteOnNeighbours([
+      { example: { question: 'a', tier: 2 }, similarity: 0.9 },
+      { example: { question: 'b', tier: 1 }, similarity: 0.5 },
+      { example: { question: 'c', tier: 1 }, similarity: 0.3 },
+      { example: { question: 'd', tier: 2 }, similarity: 0.8 }
+    ]);
+
+    expect(result?.tier).toBe(2);
+    expect(result?.confidence).toBeCloseTo(1.7 / 2.5);
+    expect(result?.method).toBe('embedding');
+  });
+
+  it('should ignore negative similarities', () => {
+    const result = voteOnNeighbours([
+      { example: { question: 'a', tier: 3 }, similarity: -0.4 },
+      { example: { question: 'b', tier: 1 }, similarity: 0.6 }
+    ]);
+
+    expect(result?.tier).toBe(1);
+    expect(result?.confidence).toBe(1);
+  });
+});
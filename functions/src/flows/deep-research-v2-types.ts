@@ -7,6 +7,12 @@ import { ExaSearchResult } from '../tools/exa-search';
 import { PubMedArticleResult } from '../tools/pubmed-search';
 import { MedRxivResult } from '../tools/medrxiv-search';
 import { ClinicalTrialResult } from '../tools/clinical-trials';
+import { SelectedSource } from '../tools/source-selector';
+import type { ResearchDocument } from '../tools/research-sources';
+import type { CacheMode } from '../services/research-cache';
+import type { ResearchBudget, ResearchBudgetSnapshot } from '../tools/research-budget';
+import type { EvidenceGraphSummary } from '../tools/evidence-graph';
+import type { ResearchPopulation } from '../tools/population-match';
 
 /**
  * Research Plan from Latents Planning Phase
@@ -40,6 +46,7 @@ export interface RoundResult {
     medrxiv: MedRxivResult[];
     clinicalTrials: ClinicalTrialResult[];
   };
+  documents: ResearchDocument[]; // Normalized sources of every registered source type
   sourceCount: number;
   duration: number;
   reflection?: ResearchReflection;
@@ -61,6 +68,8 @@ export interface SelectionMetadata {
   selectedCount: number;
   deduplicatedCount: number;
   totalTokens: number;
+  fullTextTokens?: number; // Part of totalTokens from open-access full text
+  fullTextSourceCount?: number; // Selected sources with full-text excerpts
   selectionStrategy: string;
   qualityMetrics: {
     averageRelevance: number;
@@ -86,7 +95,28 @@ export interface DeepResearchResults {
   };
   rankingMetadata?: RankingMetadata; // Optional - only present if ranking is enabled
   selectionMetadata?: SelectionMetadata; // Optional - only present if selection is enabled
-  selectedSources?: any[]; // Selected sources for synthesis (SelectedSource[])
+  selectedSources?: SelectedSource[]; // Selected sources for synthesis, cited by id
+  evidenceMode?: EvidenceMode;
+  budget?: ResearchBudgetSnapshot; // Spent/remaining budget when research finished (before synthesis)
+  evidenceGraph?: EvidenceGraphSummary; // Claims across rounds and the topics sources disagree on
+}
+
+/**
+ * How T3 weighs sources
+ * - standard: relevance, credibility and recency
+ * - hierarchy: also searches reviews/meta-analyses and guideline publishers in round 1,
+ *   ranks by level of evidence and leads the synthesis with the strongest evidence
+ */
+export type EvidenceMode = 'standard' | 'hierarchy';
+
+/**
+ * Per-request deep research options
+ */
+export interface DeepResearchOptions {
+  evidenceMode?: EvidenceMode; // Default: 'standard'
+  cacheMode?: CacheMode; // Research answer cache, default: 'use' (see services/research-cache.ts)
+  budget?: ResearchBudget; // Cost/time caps, default: DEFAULT_STREAM_BUDGET (see tools/research-budget.ts)
+  population?: ResearchPopulation | null; // User's diabetes type and medications (see tools/population-match.ts)
 }
 
 /**
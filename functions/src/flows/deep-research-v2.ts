@@ -9,15 +9,41 @@
  * 5. Rounds 2-4: Refined Fetches (if needed)
  * 6. Final Synthesis
  *
+ * BUDGET (options.budget, see tools/research-budget.ts):
+ * Planning caps its round estimate at what the budget affords, and a further round
+ * only starts when its estimated cost and duration fit next to the synthesis
+ * reserve; spent/remaining budget is reported in research_budget events
+ *
+ * EVIDENCE GRAPH (tools/evidence-graph.ts):
+ * Claims of every round's new sources are added to one graph; topics on which sources
+ * disagree are reported in evidence_conflicts events, become reflection gaps and
+ * refinement targets, and get a "studies disagree" section in the synthesis
+ *
+ * POPULATION MATCH (options.population, see tools/population-match.ts):
+ * Ranking boosts studies of the user's diabetes type and medications and demotes other
+ * diabetes types; selected sources carry a "Population:" note into the synthesis
+ *
+ * EVIDENCE HIERARCHY MODE (options.evidenceMode = 'hierarchy'):
+ * Round 1 also queries 'pubmed-reviews' and 'guidelines', and ranking boosts
+ * sources by level of evidence (tools/evidence-hierarchy.ts)
+ *
+ * TURKISH SOURCE TRACK (tools/turkish-sources.ts):
+ * Round 1 also searches the local TEMD guideline index ('temd', on top of the round's
+ * sources, once it holds guideline text) and, from the Exa share, Turkish journals and Ministry of Health pages with
+ * the user's own question; they are ranked with the English results and flagged as
+ * local guidance in the synthesis and the source list
+ *
  * iOS APP expects these SSE events (DO NOT CHANGE):
  * - planning_started, planning_complete
  * - round_started, round_complete
- * - api_started, api_completed, source_found
+ * - api_started, api_completed, source_found, research_budget
+ * - evidence_conflicts (sources disagree on a topic, see tools/evidence-graph.ts)
+ * - source_skipped (a source's circuit breaker is open; its quota went to the others,
+ *   see tools/source-health.ts)
  * - reflection_started, reflection_complete
  * - synthesis_started, answer_complete
  */
 
-import { Response } from 'express';
 import { logger } from 'firebase-functions/v2';
 
 // Planning and reflection
@@ -30,12 +56,29 @@ import { refineQueryForGaps } from '../tools/query-refiner';
 // Source deduplication
 import { SourceDeduplicator } from '../tools/source-deduplicator';
 
+// Sample size, population, duration... per source
+import { attachStudyMetadata } from '../tools/study-metadata';
+
+// Cross-round claims and contradictions
+import {
+  EvidenceConflict,
+  EvidenceGraph,
+  extractEvidenceClaims,
+  formatConflictsForSynthesis
+} from '../tools/evidence-graph';
+
 // Source ranking
 import { rankSourcesByRelevance, reorderSourcesByRanking } from '../tools/source-ranker';
 
+// Open-access full text
+import { attachOpenAccessFullText } from '../tools/full-text-enricher';
+
 // Source selection
 import { selectSourcesForSynthesis, formatSelectedSourcesForSynthesis } from '../tools/source-selector';
 
+// Cost and time budget
+import { ResearchBudget } from '../tools/research-budget';
+
 // Stopping conditions
 import {
   evaluateStoppingConditions,
@@ -48,8 +91,11 @@ import { analyzeQuery, calculateSourceCounts } from '../tools/query-analyzer';
 import {
   fetchAllResearchSources,
   ProgressCallback,
-  ResearchFetchConfig
+  ResearchFetchConfig,
+  totalRequested
 } from '../tools/parallel-research-fetcher';
+import { ResearchDocument, getResearchSource, toClientSource, toSourceBuckets } from '../tools/research-sources';
+import { hasTemdGuidelineText } from '../tools/turkish-sources';
 
 // Source formatting
 import { formatExaForAI } from '../tools/exa-search';
@@ -57,145 +103,110 @@ import { formatPubMedForAI } from '../tools/pubmed-search';
 import { formatMedRxivForAI } from '../tools/medrxiv-search';
 import { formatClinicalTrialsForAI } from '../tools/clinical-trials';
 
+// Per-request SSE writer (byte limit, last stage)
+import { StreamContext } from '../utils/stream-context';
+
+// Cancellation
+import { throwIfAborted } from '../utils/abort';
+
+// SSE event protocol (shared with research-xray)
+import { ResearchEvent } from '../shared/research-events';
+import { versionEvent } from '../utils/research-event-protocol';
+
 // Types
 import {
-  ResearchPlan,
-  ResearchReflection,
   RoundResult,
-  DeepResearchResults
+  DeepResearchResults,
+  DeepResearchOptions
 } from './deep-research-v2-types';
 
 /**
- * SSE Event Types (iOS app expects these)
+ * Helper to emit SSE events (shapes: shared/research-events.ts)
  */
-type SSEEvent =
-  | { type: 'planning_started'; message: string; sequence: number }
-  | { type: 'planning_complete'; plan: ResearchPlan; sequence: number }
-  | { type: 'round_started'; round: number; query: string; estimatedSources: number; sequence: number }
-  | { type: 'round_complete'; round: number; sourceCount: number; duration: number; sources: any[]; status: string; sequence: number }
-  | { type: 'api_started'; api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa'; count: number; message: string; query?: string }
-  | { type: 'api_completed'; api: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa'; count: number; duration: number; message: string; success: boolean }
-  | { type: 'source_found'; title: string; sourceType: string }
-  | { type: 'reflection_started'; round: number; sequence: number }
-  | { type: 'reflection_complete'; round: number; reflection: ResearchReflection; sequence: number }
-  | { type: 'source_selection_started'; message: string; sequence: number }  // NEW: Stage 7
-  | { type: 'synthesis_preparation'; message: string; sequence: number }     // NEW: Stage 8
-  | { type: 'synthesis_started'; totalRounds: number; totalSources: number; sequence: number }
-  | { type: 'token'; content: string }
-  | { type: 'answer_complete'; metadata: any };
+function emitSSE(ctx: StreamContext, rawEvent: ResearchEvent): void {
+  ctx.writeEvent(versionEvent(rawEvent));
+}
 
 /**
- * Helper to emit SSE events
+ * Report the run's spent/remaining budget
  */
-function emitSSE(res: Response, event: SSEEvent): void {
-  const data = `data: ${JSON.stringify(event)}\n\n`;
-  res.write(data);
+function emitBudget(
+  ctx: StreamContext,
+  budget: ResearchBudget,
+  decision: 'planned' | 'continue' | 'stop',
+  message: string,
+  sequence: number,
+  nextRoundCostUSD?: number
+): void {
+  const { budgetUSD, spentUSD, remainingUSD, elapsedMs, remainingMs } = budget.snapshot();
+
+  emitSSE(ctx, {
+    type: 'research_budget',
+    decision,
+    budgetUSD,
+    spentUSD,
+    remainingUSD,
+    elapsedMs,
+    remainingMs,
+    nextRoundCostUSD,
+    message,
+    sequence
+  });
 }
 
 /**
  * Convert fetched sources to SourceResponse format for iOS app
  */
-function formatSourcesForIOS(uniqueSources: {
-  exa: any[];
-  pubmed: any[];
-  medrxiv: any[];
-  clinicalTrials: any[];
-}): any[] {
-  const formatted: any[] = [];
-
-  // Format Exa sources
-  for (const source of uniqueSources.exa) {
-    formatted.push({
-      id: source.id || source.url,
-      url: source.url,
-      domain: source.domain || new URL(source.url).hostname,
-      title: source.title,
-      snippet: source.text || source.snippet || '',
-      publishDate: source.publishedDate || source.published_date || null,
-      author: source.author || null,
-      credibilityBadge: 'credible', // Exa sources are generally credible
-      type: 'medical_source'
-    });
-  }
-
-  // Format PubMed sources
-  for (const source of uniqueSources.pubmed) {
-    formatted.push({
-      id: source.pmid,
-      url: `https://pubmed.ncbi.nlm.nih.gov/${source.pmid}/`,
-      domain: 'pubmed.ncbi.nlm.nih.gov',
-      title: source.title,
-      snippet: source.abstract || '',
-      publishDate: source.pubdate || null,
-      author: source.authors?.[0] || null,
-      credibilityBadge: 'highly_credible',
-      type: 'pubmed'
-    });
-  }
-
-  // Format medRxiv sources
-  for (const source of uniqueSources.medrxiv) {
-    formatted.push({
-      id: source.doi,
-      url: source.url,
-      domain: 'medrxiv.org',
-      title: source.title,
-      snippet: source.abstract || '',
-      publishDate: source.date || null,
-      author: source.authors?.split(',')[0] || null,
-      credibilityBadge: 'credible',
-      type: 'medrxiv'
-    });
-  }
-
-  // Format Clinical Trial sources
-  for (const source of uniqueSources.clinicalTrials) {
-    formatted.push({
-      id: source.nctId,
-      url: `https://clinicaltrials.gov/study/${source.nctId}`,
-      domain: 'clinicaltrials.gov',
-      title: source.title,
-      snippet: source.description || '',
-      publishDate: source.startDate || null,
-      author: source.sponsor || null,
-      credibilityBadge: 'highly_credible',
-      type: 'clinical_trial'
-    });
-  }
-
-  return formatted;
+function formatSourcesForIOS(documents: ResearchDocument[]): any[] {
+  return documents.map(toClientSource);
 }
 
 /**
  * Execute multi-round deep research with Latents planning and reflection
  *
  * @param question - User's research query
- * @param res - Express response object for SSE streaming
+ * @param ctx - Request stream context: SSE writer (response or detached job sink) and
+ *   the signal aborted when the client disconnects, checked between every stage
+ * @param options - Per-request options (evidence mode, cost/time budget)
  * @returns DeepResearchResults with all rounds and sources
+ * @throws ResearchCancelledError if the signal is aborted
  */
 export async function executeDeepResearchV2(
   question: string,
-  res: Response
+  ctx: StreamContext,
+  options: DeepResearchOptions = {}
 ): Promise<DeepResearchResults> {
+  const { signal } = ctx;
   const overallStartTime = Date.now();
+  const evidenceHierarchy = options.evidenceMode === 'hierarchy';
+  const budget = options.budget ?? new ResearchBudget();
 
   logger.info(`🔬 [DEEP-RESEARCH-V2] Starting multi-round research for: "${question.substring(0, 100)}..."`);
 
   // ===== PHASE 1: PLANNING (Latents) =====
-  emitSSE(res, {
+  emitSSE(ctx, {
     type: 'planning_started',
     message: 'Araştırma stratejisi planlanıyor...',
     sequence: 0
   });
 
-  const plan = await planResearchStrategy(question);
+  const plan = await planResearchStrategy(question, signal, budget);
+  throwIfAborted(signal, 'planning');
 
-  emitSSE(res, {
+  emitSSE(ctx, {
     type: 'planning_complete',
     plan,
     sequence: 1
   });
 
+  emitBudget(
+    ctx,
+    budget,
+    'planned',
+    `Araştırma bütçesi: $${budget.limits.maxCostUSD.toFixed(2)}, ${Math.round(budget.limits.timeLimitMs / 60000)} dakika`,
+    2
+  );
+
   logger.info(
     `📋 [DEEP-RESEARCH-V2] Plan: ${plan.estimatedRounds} rounds, ` +
     `strategy="${plan.strategy}", focus=[${plan.focusAreas.join(', ')}]`
@@ -205,11 +216,13 @@ export async function executeDeepResearchV2(
   const maxRounds = Math.min(plan.estimatedRounds, 4); // Hard cap at 4
   const rounds: RoundResult[] = [];
   const deduplicator = new SourceDeduplicator();
+  const evidenceGraph = new EvidenceGraph();
 
   let currentQuery = question;
   let shouldContinue = true;
 
   for (let roundNum = 1; roundNum <= maxRounds && shouldContinue; roundNum++) {
+    throwIfAborted(signal, `round ${roundNum}`);
     const roundStartTime = Date.now();
 
     logger.info(`🔄 [DEEP-RESEARCH-V2] Starting Round ${roundNum}/${maxRounds}`);
@@ -219,9 +232,23 @@ export async function executeDeepResearchV2(
     // Rounds 2-4: 15 total sources (5 Exa + 10 Academic APIs)
     const exaCount = roundNum === 1 ? 10 : 5;
     const apiSourceCount = roundNum === 1 ? 15 : 10;  // FIXED: Was 25/15, now 15/10
-    const totalSourceCount = exaCount + apiSourceCount;
 
-    emitSSE(res, {
+    // Turkish source track: round 1 searches the user's own question in Turkish journals
+    // and Ministry of Health pages (from the Exa share) and the TEMD index (local, free;
+    // skipped while the index only holds chapter scope summaries)
+    const turkishTrack = roundNum === 1;
+    const turkishJournalCount = turkishTrack ? 2 : 0;
+    const ministryCount = turkishTrack ? 1 : 0;
+    const temdCount = turkishTrack && hasTemdGuidelineText() ? 3 : 0;
+    const totalSourceCount = exaCount + apiSourceCount + temdCount;
+
+    // Evidence hierarchy: round 1 spends part of each budget on guideline publishers
+    // (from the Exa share) and reviews/meta-analyses (from the academic API share)
+    const evidenceFirst = evidenceHierarchy && roundNum === 1;
+    const guidelineCount = evidenceFirst ? 4 : 0;
+    const reviewCount = evidenceFirst ? 5 : 0;
+
+    emitSSE(ctx, {
       type: 'round_started',
       round: roundNum,
       query: currentQuery,
@@ -230,8 +257,10 @@ export async function executeDeepResearchV2(
     });
 
     // ===== STEP 1: Query Analysis (determine Academic API source distribution) =====
-    const queryAnalysis = await analyzeQuery(currentQuery, apiSourceCount);
-    const sourceCounts = calculateSourceCounts(queryAnalysis, apiSourceCount);
+    const queryAnalysis = await analyzeQuery(currentQuery, apiSourceCount - reviewCount, signal);
+    throwIfAborted(signal, 'query analysis');
+    budget.recordEstimatedCall('query_analysis');
+    const sourceCounts = calculateSourceCounts(queryAnalysis, apiSourceCount - reviewCount);
 
     logger.debug(
       `📊 [DEEP-RESEARCH-V2] Round ${roundNum} distribution: ` +
@@ -241,14 +270,16 @@ export async function executeDeepResearchV2(
 
     // ===== STEP 2: Create Config (explicit Exa count) =====
     const config: ResearchFetchConfig = {
-      exaCount: exaCount,
-      pubmedCount: sourceCounts.pubmedCount,
-      medrxivCount: sourceCounts.medrxivCount,
-      clinicalTrialsCount: sourceCounts.clinicalTrialsCount
+      exa: exaCount - guidelineCount - turkishJournalCount - ministryCount,
+      pubmed: sourceCounts.pubmedCount,
+      medrxiv: sourceCounts.medrxivCount,
+      clinicaltrials: sourceCounts.clinicalTrialsCount,
+      ...(evidenceFirst && { 'pubmed-reviews': reviewCount, guidelines: guidelineCount }),
+      ...(turkishTrack && { temd: temdCount, 'tr-journals': turkishJournalCount, 'tr-ministry': ministryCount })
     };
 
     // Validate total matches expectation
-    const actualTotal = config.exaCount + config.pubmedCount + config.medrxivCount + config.clinicalTrialsCount;
+    const actualTotal = totalRequested(config);
     if (actualTotal !== totalSourceCount) {
       logger.warn(
         `⚠️ [DEEP-RESEARCH-V2] Source count mismatch in Round ${roundNum}: ` +
@@ -258,8 +289,10 @@ export async function executeDeepResearchV2(
 
     logger.info(
       `📊 [DEEP-RESEARCH-V2] Round ${roundNum} requesting ${actualTotal} sources: ` +
-      `Exa=${config.exaCount}, PubMed=${config.pubmedCount}, ` +
-      `medRxiv=${config.medrxivCount}, Trials=${config.clinicalTrialsCount}`
+      `Exa=${config.exa}, PubMed=${config.pubmed}, ` +
+      `medRxiv=${config.medrxiv}, Trials=${config.clinicaltrials}` +
+      (evidenceFirst ? `, Reviews=${config['pubmed-reviews']}, Guidelines=${config.guidelines}` : '') +
+      (turkishTrack ? `, TEMD=${config.temd}, TR journals=${config['tr-journals']}, TR ministry=${config['tr-ministry']}` : '')
     );
 
     // ===== STEP 3: Fetch Sources (parallel with progress tracking) =====
@@ -273,15 +306,38 @@ export async function executeDeepResearchV2(
           pubmed: `PubMed'den ${event.count} makale aranıyor...${queryPreview}`,
           medrxiv: `medRxiv'den ${event.count} önbaskı çalışma kontrol ediliyor...${queryPreview}`,
           clinicaltrials: `Klinik denemeler inceleniyor (${event.count} deneme)...${queryPreview}`,
-          exa: `Güvenilir tıbbi siteler taranıyor (${event.count} kaynak)...${queryPreview}`
+          exa: `Güvenilir tıbbi siteler taranıyor (${event.count} kaynak)...${queryPreview}`,
+          'pubmed-reviews': `PubMed'de sistematik derleme ve meta-analizler aranıyor (${event.count})...${queryPreview}`,
+          guidelines: `Klinik kılavuzlar taranıyor (ADA, EASD, TEMD)...${queryPreview}`,
+          temd: `TEMD kılavuzlarında aranıyor (${event.count} bölüm)...`,
+          'tr-journals': `Türk tıp dergileri taranıyor (${event.count} kaynak)...`,
+          'tr-ministry': `Sağlık Bakanlığı kaynakları taranıyor (${event.count})...`
         };
 
-        emitSSE(res, {
+        emitSSE(ctx, {
           type: 'api_started',
           api: event.api!,
           count: event.count!,
-          message: messages[event.api!] || `${event.api} aranıyor...${queryPreview}`,
-          query: event.query  // Pass full query in dedicated field
+          message: messages[event.api!] || `${getResearchSource(event.api!)?.label || event.api} aranıyor...${queryPreview}`,
+          query: event.query,  // Pass full query in dedicated field
+          meshTerms: event.meshTerms,
+          timeoutMs: event.timeoutMs,
+          adaptiveTimeout: event.adaptiveTimeout
+        });
+      } else if (event.type === 'source_skipped') {
+        const label = getResearchSource(event.api!)?.label || event.api;
+        const reallocated = Object.entries(event.reallocated ?? {})
+          .map(([id, count]) => `${getResearchSource(id)?.label || id} +${count}`)
+          .join(', ');
+
+        emitSSE(ctx, {
+          type: 'source_skipped',
+          api: event.api!,
+          reason: 'circuit_open',
+          retryAt: event.retryAt ? new Date(event.retryAt).toISOString() : undefined,
+          reallocated: event.reallocated ?? {},
+          message: `${label} şu an yanıt vermiyor, geçici olarak atlandı` +
+            (reallocated ? ` (kaynak payı aktarıldı: ${reallocated})` : '')
         });
       } else if (event.type === 'api_completed') {
         const messages: Record<string, (count: number, duration: number, success: boolean) => string> = {
@@ -300,39 +356,60 @@ export async function executeDeepResearchV2(
           exa: (count, duration, success) =>
             success
               ? `Exa: ${count} kaynak ✓ (${(duration / 1000).toFixed(1)}s)`
-              : `Exa: sonuç alınamadı`
+              : `Exa: sonuç alınamadı`,
+          'pubmed-reviews': (count, duration, success) =>
+            success
+              ? `Derlemeler: ${count} sistematik derleme/meta-analiz ✓ (${(duration / 1000).toFixed(1)}s)`
+              : `Derlemeler: sonuç alınamadı`,
+          guidelines: (count, duration, success) =>
+            success
+              ? `Kılavuzlar: ${count} kaynak ✓ (${(duration / 1000).toFixed(1)}s)`
+              : `Kılavuzlar: sonuç alınamadı`,
+          temd: (count, _duration, success) =>
+            success ? `TEMD: ${count} kılavuz bölümü ✓` : `TEMD: sonuç alınamadı`,
+          'tr-journals': (count, duration, success) =>
+            success
+              ? `Türk dergileri: ${count} kaynak ✓ (${(duration / 1000).toFixed(1)}s)`
+              : `Türk dergileri: sonuç alınamadı`,
+          'tr-ministry': (count, duration, success) =>
+            success
+              ? `Sağlık Bakanlığı: ${count} kaynak ✓ (${(duration / 1000).toFixed(1)}s)`
+              : `Sağlık Bakanlığı: sonuç alınamadı`
         };
 
-        emitSSE(res, {
+        emitSSE(ctx, {
           type: 'api_completed',
           api: event.api!,
           count: event.count!,
           duration: event.duration!,
-          message: messages[event.api!](event.count!, event.duration!, event.success!),
-          success: event.success!
+          message: messages[event.api!]
+            ? messages[event.api!](event.count!, event.duration!, event.success!)
+            : `${getResearchSource(event.api!)?.label || event.api}: ` +
+              (event.success ? `${event.count} kaynak ✓` : 'sonuç alınamadı'),
+          success: event.success!,
+          timedOut: event.timedOut
         });
       }
     };
 
-    const fetchResults = await fetchAllResearchSources(currentQuery, config, progressCallback);
+    const fetchResults = await fetchAllResearchSources(currentQuery, config, progressCallback, signal);
 
-    // ===== STEP 3: Deduplicate Sources =====
-    const uniqueSources = {
-      exa: deduplicator.filterExa(fetchResults.exa),
-      pubmed: deduplicator.filterPubMed(fetchResults.pubmed),
-      medrxiv: deduplicator.filterMedRxiv(fetchResults.medrxiv),
-      clinicalTrials: deduplicator.filterClinicalTrials(fetchResults.clinicalTrials)
-    };
+    // Search APIs bill per result fetched (per search variant, e.g. guidelines run on Exa)
+    const fetchedCounts: ResearchFetchConfig = {};
+    for (const document of fetchResults.documents) {
+      const sourceId = document.via || document.sourceId;
+      fetchedCounts[sourceId] = (fetchedCounts[sourceId] ?? 0) + 1;
+    }
+    budget.recordSearch(fetchedCounts);
 
-    const roundSourceCount =
-      uniqueSources.exa.length +
-      uniqueSources.pubmed.length +
-      uniqueSources.medrxiv.length +
-      uniqueSources.clinicalTrials.length;
+    // ===== STEP 3: Deduplicate Sources =====
+    const uniqueDocuments = deduplicator.filter(fetchResults.documents);
+    const roundSourceCount = uniqueDocuments.length;
+    attachStudyMetadata(uniqueDocuments);
 
     // Emit source_found events for key sources
-    for (const article of uniqueSources.pubmed.slice(0, 3)) {
-      emitSSE(res, {
+    for (const article of uniqueDocuments.filter(document => document.sourceId === 'pubmed').slice(0, 3)) {
+      emitSSE(ctx, {
         type: 'source_found',
         title: article.title,
         sourceType: 'PubMed'
@@ -343,7 +420,8 @@ export async function executeDeepResearchV2(
 
     const roundResult: RoundResult = {
       roundNumber: roundNum,
-      sources: uniqueSources,
+      sources: toSourceBuckets(uniqueDocuments),
+      documents: uniqueDocuments,
       sourceCount: roundSourceCount,
       duration: roundDuration
     };
@@ -351,9 +429,9 @@ export async function executeDeepResearchV2(
     rounds.push(roundResult);
 
     // Format sources for iOS app
-    const formattedSources = formatSourcesForIOS(uniqueSources);
+    const formattedSources = formatSourcesForIOS(uniqueDocuments);
 
-    emitSSE(res, {
+    emitSSE(ctx, {
       type: 'round_complete',
       round: roundNum,
       sourceCount: roundSourceCount,
@@ -368,9 +446,36 @@ export async function executeDeepResearchV2(
       `${roundSourceCount} unique sources in ${roundDuration}ms`
     );
 
+    // ===== STEP 3.5: EVIDENCE GRAPH (claims + contradictions across rounds) =====
+    const claims = await extractEvidenceClaims(question, uniqueDocuments, roundNum, evidenceGraph.topics(), signal);
+    throwIfAborted(signal, 'claim extraction');
+    budget.recordEstimatedCall('claim_extraction');
+    evidenceGraph.addClaims(claims);
+
+    const conflicts: EvidenceConflict[] = evidenceGraph.findContradictions();
+    const newConflicts = conflicts.filter(conflict => conflict.firstRound === roundNum);
+    if (newConflicts.length > 0) {
+      emitSSE(ctx, {
+        type: 'evidence_conflicts',
+        round: roundNum,
+        conflicts: newConflicts.map(conflict => ({
+          topic: conflict.topic,
+          directions: conflict.sides.map(side => side.direction),
+          sourceCount: conflict.sides.reduce((sum, side) => sum + side.claims.length, 0),
+          populationDiffers: conflict.populationDiffers
+        })),
+        message: `${newConflicts.length} konuda çalışmalar farklı sonuçlar gösteriyor`
+      });
+
+      logger.info(
+        `⚖️ [DEEP-RESEARCH-V2] Round ${roundNum}: sources disagree on ` +
+        `[${newConflicts.map(conflict => conflict.topic).join(', ')}]`
+      );
+    }
+
     // ===== STEP 4: REFLECTION (if not final round) =====
     if (shouldDoReflection(roundNum, maxRounds)) {
-      emitSSE(res, {
+      emitSSE(ctx, {
         type: 'reflection_started',
         round: roundNum,
         sequence: roundNum * 10 + 6
@@ -381,12 +486,16 @@ export async function executeDeepResearchV2(
         roundNum,
         roundResult,
         rounds.slice(0, -1), // All previous rounds
-        maxRounds
+        maxRounds,
+        signal,
+        conflicts
       );
+      throwIfAborted(signal, 'reflection');
+      budget.recordEstimatedCall('reflection');
 
       roundResult.reflection = reflection;
 
-      emitSSE(res, {
+      emitSSE(ctx, {
         type: 'reflection_complete',
         round: roundNum,
         reflection,
@@ -399,12 +508,25 @@ export async function executeDeepResearchV2(
       );
 
       // ===== STEP 5: STOPPING CONDITION EVALUATION =====
+      const nextRoundBudget = budget.checkNextRound(roundNum + 1);
       const stoppingDecision = evaluateStoppingConditions(
         roundNum,
         maxRounds,
         roundResult,
         rounds,
-        reflection
+        reflection,
+        nextRoundBudget
+      );
+
+      emitBudget(
+        ctx,
+        budget,
+        stoppingDecision.shouldStop ? 'stop' : 'continue',
+        nextRoundBudget.affordable
+          ? `Bütçe: $${budget.snapshot().spentUSD.toFixed(3)} / $${budget.limits.maxCostUSD.toFixed(2)} kullanıldı`
+          : 'Bütçe sınırına yaklaşıldı, toplanan kaynaklarla devam ediliyor',
+        roundNum * 10 + 8,
+        nextRoundBudget.estimatedCostUSD
       );
 
       if (stoppingDecision.shouldStop) {
@@ -412,12 +534,16 @@ export async function executeDeepResearchV2(
         shouldContinue = false;
       } else {
         // ===== STEP 6: QUERY REFINEMENT for next round =====
-        if (reflection.gapsIdentified.length > 0 && roundNum < maxRounds) {
+        if ((reflection.gapsIdentified.length > 0 || conflicts.length > 0) && roundNum < maxRounds) {
           const refinedQuery = await refineQueryForGaps(
             question,
             reflection.gapsIdentified,
-            roundNum + 1
+            roundNum + 1,
+            signal,
+            conflicts
           );
+          throwIfAborted(signal, 'query refinement');
+          budget.recordEstimatedCall('query_refinement');
 
           currentQuery = refinedQuery.refined;
 
@@ -432,24 +558,19 @@ export async function executeDeepResearchV2(
       logger.info(`🏁 [DEEP-RESEARCH-V2] Final round ${roundNum} - skipping reflection`);
       shouldContinue = false;
     }
+
+    budget.recordRoundDuration(Date.now() - roundStartTime);
+    logger.info(`💰 [DEEP-RESEARCH-V2] Budget after Round ${roundNum}: ${budget.describe()}`);
   }
 
+  throwIfAborted(signal, 'source ranking');
+
   // ===== PHASE 3: AGGREGATE RESULTS =====
   const totalDuration = Date.now() - overallStartTime;
 
   // Combine all sources
-  const allSources = {
-    exa: rounds.flatMap(r => r.sources.exa),
-    pubmed: rounds.flatMap(r => r.sources.pubmed),
-    medrxiv: rounds.flatMap(r => r.sources.medrxiv),
-    clinicalTrials: rounds.flatMap(r => r.sources.clinicalTrials)
-  };
-
-  const totalSources =
-    allSources.exa.length +
-    allSources.pubmed.length +
-    allSources.medrxiv.length +
-    allSources.clinicalTrials.length;
+  const allDocuments = rounds.flatMap(r => r.documents);
+  const totalSources = allDocuments.length;
 
   // Log deduplication summary
   deduplicator.logSummary();
@@ -458,7 +579,7 @@ export async function executeDeepResearchV2(
   logger.info(`🎯 [DEEP-RESEARCH-V2] Ranking ${totalSources} sources by relevance...`);
 
   // NEW: Emit source selection started event for user-friendly stage display
-  emitSSE(res, {
+  emitSSE(ctx, {
     type: 'source_selection_started',
     message: 'En ilgili kaynakları seçiyorum',
     sequence: 200
@@ -467,14 +588,18 @@ export async function executeDeepResearchV2(
   // Rank all sources by relevance to original query
   const rankingResult = await rankSourcesByRelevance(
     question, // Original query for best relevance
-    allSources,
+    allDocuments,
     {
-      topN: 30 // Top 30 most relevant sources
+      topN: 30, // Top 30 most relevant sources
+      evidenceHierarchy, // Boost guidelines, meta-analyses and RCTs
+      population: options.population // Boost the user's diabetes type, demote others
     }
   );
 
+  throwIfAborted(signal, 'source selection');
+
   // Reorder sources by relevance (highest score first)
-  const rankedSources = reorderSourcesByRanking(allSources, rankingResult);
+  const rankedSources = reorderSourcesByRanking(rankingResult);
 
   logger.info(
     `✅ [DEEP-RESEARCH-V2] Ranking complete: avg relevance=${rankingResult.averageRelevance.toFixed(1)}, ` +
@@ -482,6 +607,16 @@ export async function executeDeepResearchV2(
     `duration=${rankingResult.rankingDuration}ms`
   );
 
+  // ===== PHASE 3.55: OPEN-ACCESS FULL TEXT (Europe PMC) =====
+  // Only the best-ranked articles can make it into synthesis, so only they are looked up
+  await attachOpenAccessFullText(
+    rankingResult.rankedSources
+      .map(ranked => ranked.document)
+      .filter((document): document is ResearchDocument => document !== undefined),
+    { maxArticles: 8, deadlineMs: 12000 },
+    signal
+  );
+
   // ===== PHASE 3.6: INTELLIGENT SOURCE SELECTION (TOP-P STRATEGY) =====
   logger.info(`🎯 [DEEP-RESEARCH-V2] Selecting best sources for synthesis...`);
 
@@ -495,7 +630,8 @@ export async function executeDeepResearchV2(
       tokenBudget: 16800, // Maximum tokens for synthesis
       minRelevanceScore: 40, // Minimum score to include
       semanticSimilarityThreshold: 0.85, // Similarity threshold for dedup
-      enableSemanticDedup: true // Enable near-duplicate removal
+      enableSemanticDedup: true, // Enable near-duplicate removal
+      fullTextTokenBudget: 4000 // Open-access results/methods/conclusions excerpts
     }
   );
 
@@ -507,7 +643,7 @@ export async function executeDeepResearchV2(
   );
 
   // NEW: Emit synthesis preparation event for user-friendly stage display
-  emitSSE(res, {
+  emitSSE(ctx, {
     type: 'synthesis_preparation',
     message: 'Bilgileri bir araya getiriyorum',
     sequence: 210
@@ -528,10 +664,15 @@ export async function executeDeepResearchV2(
       selectedCount: selectionResult.selectedCount,
       deduplicatedCount: selectionResult.deduplicatedCount,
       totalTokens: selectionResult.totalTokens,
+      fullTextTokens: selectionResult.fullTextTokens,
+      fullTextSourceCount: selectionResult.fullTextSourceCount,
       selectionStrategy: selectionResult.selectionStrategy,
       qualityMetrics: selectionResult.qualityMetrics
     },
-    selectedSources: selectionResult.selectedSources // Selected sources for synthesis
+    selectedSources: selectionResult.selectedSources, // Selected sources for synthesis
+    evidenceMode: options.evidenceMode || 'standard',
+    budget: budget.snapshot(),
+    evidenceGraph: evidenceGraph.summary()
   };
 
   // Calculate completeness score
@@ -547,7 +688,8 @@ export async function executeDeepResearchV2(
   logger.info(
     `✅ [DEEP-RESEARCH-V2] Research complete: ${rounds.length} rounds, ` +
     `${totalSources} sources, ${(totalDuration / 1000).toFixed(1)}s, ` +
-    `completeness=${(completenessScore * 100).toFixed(0)}%`
+    `completeness=${(completenessScore * 100).toFixed(0)}%, ` +
+    `${evidenceGraph.claimCount} claims, ${results.evidenceGraph?.conflicts.length ?? 0} conflicts`
   );
 
   return results;
@@ -573,6 +715,12 @@ export function formatResearchForSynthesis(results: DeepResearchResults): string
     // Use formatted selected sources
     context += formatSelectedSourcesForSynthesis(results.selectedSources);
 
+    // Topics the selected sources disagree on, with citations for both sides
+    const conflictContext = formatConflictsForSynthesis(results.evidenceGraph?.conflicts ?? [], results.selectedSources);
+    if (conflictContext) {
+      context += '\n' + conflictContext;
+    }
+
     return context;
   }
 
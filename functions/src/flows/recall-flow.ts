@@ -0,0 +1,290 @@
+/**
+ * Recall Flow - Tier 0
+ *
+ * Answers "what did we find about X?" questions from the user's past research
+ * sessions instead of running new research.
+ *
+ * SEARCH:
+ * - Sessions are the conversation summaries the app syncs to
+ *   `users/{userId}/conversation_summaries` (see memory-sync.ts)
+ * - Keyword search: router search terms against title, key topics and summary
+ *   (Turkish-aware folding + prefix matching so suffixes still match)
+ * - Vector search: findSimilarSessions against the summary embeddings memory sync
+ *   stores with each summary (only the query is embedded per recall)
+ * - Both scores are combined; nothing above the thresholds → caller falls back to T1
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { embedTexts, cosineSimilarity } from '../utils/embeddings';
+import { foldTurkish } from '../utils/turkish-text';
+
+const db = getFirestore();
+
+const MAX_SESSIONS_SCANNED = 200; // Most recent sessions considered per recall
+const MIN_KEYWORD_SCORE = 0.5; // At least half of the search terms must match
+const MIN_SEMANTIC_SIMILARITY = 0.72;
+const KEYWORD_WEIGHT = 0.4;
+const SEMANTIC_WEIGHT = 0.6;
+const DEFAULT_MAX_MATCHES = 3;
+
+// Deep link the app opens for a past session
+const SESSION_LINK_PREFIX = 'com.anaxoniclabs.balli://research/session/';
+
+// Words that carry no topic information in recall questions
+const STOP_WORDS = new Set([
+  've', 'ile', 'bir', 'bu', 'şu', 'için', 'ne', 'mi', 'mı', 'mu', 'mü', 'da', 'de',
+  'ki', 'olan', 'hakkında', 'konusunda', 'ilgili', 'nedir', 'neler', 'bana', 'biz', 'sen',
+  'araştırma', 'araştırmıştık', 'konuşmuştuk', 'bulmuştuk', 'demiştik', 'sefer', 'önce'
+]);
+
+/**
+ * A past research session as stored by memory sync
+ */
+export interface PastResearchSession {
+  sessionId: string;
+  summary: string;
+  title?: string;
+  keyTopics?: string[];
+  tier?: string;
+  startTime?: Date;
+  endTime?: Date;
+  summaryEmbedding?: number[]; // Server embedding of sessionText, written by memory sync
+}
+
+export interface RecallMatch {
+  session: PastResearchSession;
+  keywordScore: number; // 0-1, share of search terms found
+  semanticScore: number; // Cosine similarity, 0 if not computed
+  score: number; // Weighted combination used for ordering
+  matchedTerms: string[];
+}
+
+export interface SemanticMatch {
+  session: PastResearchSession;
+  similarity: number;
+}
+
+export interface RecallSearchOptions {
+  maxMatches?: number;
+  sessions?: PastResearchSession[]; // Skip the Firestore read (tests, callers that already loaded them)
+}
+
+function tokenize(text: string): string[] {
+  return foldTurkish(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0);
+}
+
+/**
+ * Split router search terms into meaningful keywords
+ */
+export function extractKeywords(searchTerms: string): string[] {
+  const stopWords = new Set([...STOP_WORDS].map(foldTurkish));
+  const keywords = tokenize(searchTerms).filter(token => token.length >= 3 && !stopWords.has(token));
+  return [...new Set(keywords)];
+}
+
+/**
+ * Prefix used to match a keyword - Turkish suffixes ("insülin" / "insülinin") share it
+ */
+function keywordStem(keyword: string): string {
+  return keyword.length > 4 ? keyword.slice(0, Math.max(4, keyword.length - 3)) : keyword;
+}
+
+/**
+ * Searchable text of a session (title, key topics and summary) - also what its
+ * summary embedding is computed from
+ */
+export function sessionText(session: Pick<PastResearchSession, 'title' | 'keyTopics' | 'summary'>): string {
+  return [session.title, ...(session.keyTopics ?? []), session.summary].filter(Boolean).join(' ');
+}
+
+/**
+ * Score sessions by the share of keywords they contain
+ */
+export function keywordSearch(
+  sessions: PastResearchSession[],
+  keywords: string[]
+): Array<{ session: PastResearchSession; score: number; matchedTerms: string[] }> {
+  if (keywords.length === 0) return [];
+
+  return sessions.map(session => {
+    const tokens = tokenize(sessionText(session));
+    const matchedTerms = keywords.filter(keyword => {
+      const stem = keywordStem(keyword);
+      return tokens.some(token => token.startsWith(stem));
+    });
+
+    return { session, score: matchedTerms.length / keywords.length, matchedTerms };
+  });
+}
+
+/**
+ * Rank sessions by embedding similarity to the query
+ *
+ * Only the query is embedded here: session embeddings are written with the summary
+ * by memory sync (`summaryEmbedding`, see memory-sync.ts). Sessions synced before
+ * that have none and are only found by keywords.
+ */
+export async function findSimilarSessions(
+  queryText: string,
+  sessions: PastResearchSession[],
+  options: { minSimilarity?: number; limit?: number } = {}
+): Promise<SemanticMatch[]> {
+  const minSimilarity = options.minSimilarity ?? MIN_SEMANTIC_SIMILARITY;
+  const limit = options.limit ?? DEFAULT_MAX_MATCHES;
+
+  const embedded = sessions.filter(session => (session.summaryEmbedding?.length ?? 0) > 0);
+  if (embedded.length === 0) return [];
+
+  const [queryEmbedding] = await embedTexts([queryText]);
+
+  return embedded
+    .filter(session => session.summaryEmbedding!.length === queryEmbedding.length)
+    .map(session => ({
+      session,
+      similarity: cosineSimilarity(queryEmbedding, session.summaryEmbedding!)
+    }))
+    .filter(match => match.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Load the user's most recent past sessions
+ */
+export async function fetchPastResearchSessions(
+  userId: string,
+  limit: number = MAX_SESSIONS_SCANNED
+): Promise<PastResearchSession[]> {
+  try {
+    const snapshot = await db
+      .collection(`users/${userId}/conversation_summaries`)
+      .orderBy('endTime', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs
+      .map(doc => {
+        const data = doc.data();
+        return {
+          sessionId: data.id ?? doc.id,
+          summary: data.summary ?? '',
+          title: data.title,
+          keyTopics: Array.isArray(data.keyTopics) ? data.keyTopics : undefined,
+          tier: data.tier,
+          startTime: data.startTime?.toDate?.(),
+          endTime: data.endTime?.toDate?.(),
+          summaryEmbedding: Array.isArray(data.summaryEmbedding) ? data.summaryEmbedding : undefined
+        };
+      })
+      .filter(session => session.summary.length > 0);
+  } catch (error) {
+    console.error('❌ [RECALL] Failed to fetch past sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Search past research by keywords and embeddings
+ * Returns the best matches (highest combined score first), empty if nothing qualifies
+ */
+export async function searchPastResearch(
+  userId: string,
+  question: string,
+  searchTerms: string,
+  options: RecallSearchOptions = {}
+): Promise<RecallMatch[]> {
+  const maxMatches = options.maxMatches ?? DEFAULT_MAX_MATCHES;
+  const sessions = options.sessions ?? await fetchPastResearchSessions(userId);
+
+  if (sessions.length === 0) {
+    console.log(`📚 [RECALL] No past sessions for user ${userId}`);
+    return [];
+  }
+
+  const keywords = extractKeywords(searchTerms || question);
+  const keywordResults = keywordSearch(sessions, keywords);
+
+  let semanticMatches: SemanticMatch[] = [];
+  try {
+    semanticMatches = await findSimilarSessions(searchTerms || question, sessions, {
+      limit: maxMatches * 2
+    });
+  } catch (error: any) {
+    // Keyword results alone are still useful
+    console.warn(`⚠️ [RECALL] Semantic search failed, using keywords only: ${error.message}`);
+  }
+
+  const semanticById = new Map(semanticMatches.map(match => [match.session.sessionId, match.similarity]));
+  const keywordById = new Map(keywordResults.map(result => [result.session.sessionId, result]));
+
+  const matches: RecallMatch[] = sessions
+    .map(session => {
+      const keyword = keywordById.get(session.sessionId);
+      const keywordScore = keyword?.score ?? 0;
+      const semanticScore = semanticById.get(session.sessionId) ?? 0;
+
+      return {
+        session,
+        keywordScore,
+        semanticScore,
+        score: KEYWORD_WEIGHT * keywordScore + SEMANTIC_WEIGHT * semanticScore,
+        matchedTerms: keyword?.matchedTerms ?? []
+      };
+    })
+    .filter(match => match.keywordScore >= MIN_KEYWORD_SCORE || match.semanticScore >= MIN_SEMANTIC_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxMatches);
+
+  console.log(
+    `📚 [RECALL] ${matches.length} matches from ${sessions.length} sessions ` +
+    `(keywords=[${keywords.join(', ')}], semantic=${semanticMatches.length})`
+  );
+
+  return matches;
+}
+
+/**
+ * Deep link to a past session
+ */
+export function sessionLink(sessionId: string): string {
+  return `${SESSION_LINK_PREFIX}${encodeURIComponent(sessionId)}`;
+}
+
+/**
+ * Client-facing source entries for matched sessions
+ */
+export function formatRecallSources(matches: RecallMatch[]): Array<Record<string, unknown>> {
+  return matches.map(match => ({
+    title: match.session.title || match.session.summary.substring(0, 80),
+    url: sessionLink(match.session.sessionId),
+    type: 'past_session',
+    sessionId: match.session.sessionId,
+    date: match.session.endTime?.toISOString(),
+    snippet: match.session.summary.substring(0, 200)
+  }));
+}
+
+/**
+ * Prompt for summarizing the matched sessions
+ */
+export function buildRecallPrompt(question: string, matches: RecallMatch[]): string {
+  const sessions = matches.map((match, i) => {
+    const date = match.session.endTime
+      ? match.session.endTime.toLocaleDateString('tr-TR', { day: 'numeric', month: 'long', year: 'numeric' })
+      : 'tarih bilinmiyor';
+    const title = match.session.title ? ` - ${match.session.title}` : '';
+    return `[${i + 1}] (${date})${title}\n${match.session.summary}`;
+  }).join('\n\n');
+
+  return `--- GEÇMİŞ ARAŞTIRMALAR ---
+${sessions}
+
+--- SORU ---
+${question}
+
+Kullanıcı daha önce yaptığınız araştırmaları hatırlamak istiyor. Yalnızca yukarıdaki geçmiş araştırmalarda bulunanları özetle.
+Her bilgiyi ilgili oturuma [1][2] şeklinde bağla ve oturumun tarihini belirt.
+Geçmiş araştırmalarda olmayan yeni bilgi ekleme; eksik kalan bir konu varsa yeni bir araştırma yapılabileceğini söyle.`;
+}
@@ -6,12 +6,16 @@
  * - T2 (tier 2): Hybrid Research with Flash + thinking + 10 sources (40% of queries)
  * - T3 (tier 3): Deep Research with Pro + 25+ sources - USER CONTROLLED ONLY (20% of queries)
  *
- * Uses simple string matching for tier determination:
- * - Contains "derinleş" → T3 (Deep Research)
- * - Contains "araştır" → T2 (Hybrid Research)
- * - Everything else → T1 (Model-only)
+ * Tier determination:
+ * - Contains "derinleş" → T3 (Deep Research) - explicit override
+ * - Contains "araştır" → T2 (Hybrid Research) - explicit override
+ * - Everything else → semantic tier classifier (see tier-classifier.ts), capped at T2:
+ *   T3 is expensive and uses the user's daily quota, so it only runs on "derinleş"
+ *   or a requestedTier from the app
  */
 
+import { getDefaultTierClassifier, TierClassifier, TierClassification } from './tier-classifier';
+
 export interface RouterInput {
   question: string;
   userId: string;
@@ -29,10 +33,16 @@ export interface RouterOutput {
   explicitDeepRequest?: boolean; // NEW: Flag for user-requested T3
   isRecallRequest?: boolean; // NEW: Flag for recall from past sessions
   searchTerms?: string; // NEW: Extracted search terms for recall queries
+  classifierMethod?: 'keyword' | 'embedding' | 'llm_tiebreak' | 'fallback';
+  suggestedTier?: 3; // Classifier judged the question deep research worthy (answered as T2)
+}
+
+export interface RouterOptions {
+  classifier?: TierClassifier; // Defaults to the shared semantic classifier
 }
 
 // Router configuration for 3-tier system
-// T1 is the default tier - T2 only activates when user says "araştır"
+// Keywords are explicit overrides - everything else goes through the classifier
 
 // RECALL DETECTION PATTERNS (Turkish language patterns for past conversation retrieval)
 // These patterns detect when user is asking about previous research sessions
@@ -96,7 +106,10 @@ function extractSearchTerms(question: string): string {
 }
 
 
-export async function routeQuestion(input: RouterInput): Promise<RouterOutput> {
+export async function routeQuestion(
+  input: RouterInput,
+  options: RouterOptions = {}
+): Promise<RouterOutput> {
     console.log(`🔀 [ROUTER] Classifying question for user ${input.userId}`);
 
     const startTime = Date.now();
@@ -116,38 +129,70 @@ export async function routeQuestion(input: RouterInput): Promise<RouterOutput> {
       };
     }
 
-    // STEP 1: Simple string matching for tier determination (case-insensitive)
+    // STEP 1: Explicit keyword overrides (case-insensitive)
     const questionLower = input.question.toLowerCase();
-    let tier: 0 | 1 | 2 | 3 = 1; // Default to T1
-    let reasoning = 'Default tier - model-only response';
-    let explicitDeepRequest = false;
 
     // Check for T3 (Deep Research) - highest priority
     if (questionLower.includes('derinleş')) {
-      tier = 3;
-      reasoning = 'Kullanıcı "derinleş" kelimesini kullandı - deep research';
-      explicitDeepRequest = true;
       console.log('✅ [ROUTER] T3 detected: User said "derinleş" - activating deep research');
+      return {
+        tier: 3,
+        reasoning: 'Kullanıcı "derinleş" kelimesini kullandı - deep research',
+        confidence: 1.0,
+        explicitDeepRequest: true,
+        classifierMethod: 'keyword'
+      };
     }
+
     // Check for T2 (Hybrid Research) - if not T3
-    else if (questionLower.includes('araştır')) {
-      tier = 2;
-      reasoning = 'Kullanıcı "araştır" kelimesini kullandı - hybrid research';
+    if (questionLower.includes('araştır')) {
       console.log('✅ [ROUTER] T2 detected: User said "araştır" - activating hybrid research');
+      return {
+        tier: 2,
+        reasoning: 'Kullanıcı "araştır" kelimesini kullandı - hybrid research',
+        confidence: 1.0,
+        classifierMethod: 'keyword'
+      };
+    }
+
+    // STEP 2: Semantic classification (no explicit keywords)
+    const classifier = options.classifier ?? getDefaultTierClassifier();
+    let classification: TierClassification;
+    try {
+      classification = await classifier.classify(input.question, {
+        diabetesProfile: input.diabetesProfile,
+        conversationHistory: input.conversationHistory
+      });
+    } catch (error: any) {
+      // Routing must never fail the request - fall back to the cheapest tier
+      console.error(`❌ [ROUTER] Classifier ${classifier.name} failed: ${error.message}`);
+      classification = {
+        tier: 1,
+        confidence: 0.5,
+        reasoning: 'Sınıflandırma başarısız - varsayılan model yanıtı',
+        method: 'fallback'
+      };
     }
-    // Default T1 (Model-only)
-    else {
-      console.log('✅ [ROUTER] T1 (default): No research keywords found - model-only response');
+
+    const tier: 1 | 2 = classification.tier === 1 ? 1 : 2;
+    let reasoning = classification.reasoning;
+
+    if (classification.tier === 3) {
+      reasoning = `${reasoning} (derin araştırma için "derinleş" yazılmalı - T2 ile yanıtlanıyor)`;
+      console.log('⬇️ [ROUTER] Classifier suggested T3 - capped at T2, deep research needs an explicit request');
     }
 
     const duration = Date.now() - startTime;
-    console.log(`✅ [ROUTER] Classified as Tier ${tier} in ${duration}ms`);
+    console.log(
+      `✅ [ROUTER] Classified as Tier ${tier} by ${classifier.name} ` +
+      `(${classification.method}, confidence=${classification.confidence.toFixed(2)}) in ${duration}ms`
+    );
 
     return {
       tier,
       reasoning,
-      confidence: 1.0, // Simple string matching has perfect confidence
-      explicitDeepRequest: explicitDeepRequest || undefined
+      confidence: classification.confidence,
+      classifierMethod: classification.method,
+      ...(classification.tier === 3 ? { suggestedTier: 3 as const } : {})
     };
 }
-
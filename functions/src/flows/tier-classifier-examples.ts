@@ -0,0 +1,62 @@
+/**
+ * Labelled reference questions for the semantic tier classifier
+ *
+ * Each incoming question is embedded and compared against these examples
+ * (nearest-neighbour vote). Keep the set balanced across tiers and do NOT
+ * copy questions from the evaluation set in scripts/data, or the reported
+ * accuracy becomes meaningless.
+ *
+ * TIER GUIDE:
+ * - 1: Definitions, general education, everyday self-management
+ * - 2: Needs current external evidence (drug safety, interactions, comparisons, guidelines)
+ * - 3: Cutting-edge or multi-faceted research questions (new trials, emerging therapies)
+ */
+
+export interface LabelledTierExample {
+  question: string;
+  tier: 1 | 2 | 3;
+}
+
+export const TIER_REFERENCE_EXAMPLES: LabelledTierExample[] = [
+  // ===== T1: Model-only =====
+  { question: 'HbA1c nedir?', tier: 1 },
+  { question: 'Hipoglisemi belirtileri nelerdir?', tier: 1 },
+  { question: 'Tip 1 ve tip 2 diyabet arasındaki fark ne?', tier: 1 },
+  { question: 'Glisemik indeks ne demek?', tier: 1 },
+  { question: 'İnsülin pompası nasıl çalışır?', tier: 1 },
+  { question: 'Açlık kan şekeri kaç olmalı?', tier: 1 },
+  { question: 'Karbonhidrat sayımı nasıl yapılır?', tier: 1 },
+  { question: 'Sensörü koldan mı karından mı takmak daha iyi?', tier: 1 },
+  { question: 'Egzersizden önce ne yemeliyim?', tier: 1 },
+  { question: 'Bazal ve bolus insülin arasındaki fark nedir?', tier: 1 },
+  { question: 'Ketonlar neden yükselir?', tier: 1 },
+  { question: 'Şafak fenomeni nedir?', tier: 1 },
+
+  // ===== T2: Hybrid research =====
+  { question: 'Metformin ile greyfurt suyu etkileşir mi?', tier: 2 },
+  { question: 'Jardiance kullanırken idrar yolu enfeksiyonu riski artar mı?', tier: 2 },
+  { question: 'Ozempic mi Trulicity mi kilo kaybında daha etkili?', tier: 2 },
+  { question: 'ADA 2025 rehberinde HbA1c hedefi değişti mi?', tier: 2 },
+  { question: 'Lantus ile Toujeo arasındaki farklar nelerdir?', tier: 2 },
+  { question: 'Berberin takviyesi kan şekerini gerçekten düşürür mü?', tier: 2 },
+  { question: 'Libre 3 sensörünün doğruluğu Dexcom G7 ile karşılaştırıldığında nasıl?', tier: 2 },
+  { question: 'SGLT2 inhibitörleri ketoasidoz riskini artırır mı?', tier: 2 },
+  { question: 'Aralıklı oruç tip 2 diyabette güvenli mi?', tier: 2 },
+  { question: 'Metformin B12 eksikliği yapar mı?', tier: 2 },
+  { question: 'Antibiyotik kullanırken insülin ihtiyacı değişir mi?', tier: 2 },
+  { question: 'Tarçın kapsülü ilaçlarımla etkileşime girer mi?', tier: 2 },
+
+  // ===== T3: Deep research =====
+  { question: 'Beta hücre rejenerasyonunda son klinik çalışmalar ne durumda?', tier: 3 },
+  { question: 'Kök hücre tedavisiyle tip 1 diyabetin tedavisinde yeni denemeler var mı?', tier: 3 },
+  { question: 'Teplizumab tip 1 diyabeti geciktirmede ne kadar etkili, uzun vadeli veriler ne diyor?', tier: 3 },
+  { question: 'Retatrutid faz 3 sonuçları tip 2 diyabet için ne gösteriyor?', tier: 3 },
+  { question: 'Yapay pankreas sistemlerinin uzun dönem sonuçlarını karşılaştıran çalışmalar neler?', tier: 3 },
+  { question: 'LADA tedavisinde ortaya çıkan yeni yaklaşımlar nelerdir?', tier: 3 },
+  { question: 'Adacık hücresi nakli sonrası insülinden bağımsızlık oranları son yıllarda nasıl değişti?', tier: 3 },
+  { question: 'Diyabetik nöropatide yeni ilaç adaylarının klinik deneme sonuçları', tier: 3 },
+  { question: 'GLP-1 agonistlerinin kardiyovasküler ve böbrek sonuçlarını birlikte değerlendiren meta-analizler', tier: 3 },
+  { question: 'Tip 1 diyabette immünoterapi alanındaki güncel araştırmalar', tier: 3 },
+  { question: 'Glukagon benzeri peptid ilaçlarının kanser riskiyle ilişkisi hakkındaki tüm kanıtlar', tier: 3 },
+  { question: 'Gestasyonel diyabetin çocuk üzerindeki uzun vadeli etkilerine dair kohort çalışmaları', tier: 3 }
+];
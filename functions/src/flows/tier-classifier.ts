@@ -0,0 +1,281 @@
+/**
+ * Semantic Tier Classifier - Pluggable classification stage for routeQuestion
+ *
+ * PIPELINE:
+ * 1. Embed the question and find the k nearest labelled reference examples
+ * 2. Similarity-weighted vote → tier + confidence
+ * 3. If the vote is weak (low confidence or no close neighbour), ask the
+ *    router model (Flash Lite) to break the tie, giving it the neighbours as hints
+ *
+ * Keyword overrides ("derinleş", "araştır") and recall detection stay in
+ * router-flow.ts and run BEFORE this stage.
+ */
+
+import { ai } from '../genkit-instance';
+import { getRouterModel } from '../providers';
+import { embedText, embedTexts, cosineSimilarity } from '../utils/embeddings';
+import { TIER_REFERENCE_EXAMPLES, LabelledTierExample } from './tier-classifier-examples';
+
+/**
+ * Result of a tier classification
+ */
+export interface TierClassification {
+  tier: 1 | 2 | 3;
+  confidence: number; // 0.0 - 1.0
+  reasoning: string;
+  method: 'embedding' | 'llm_tiebreak' | 'fallback';
+}
+
+/**
+ * Optional context available to classifiers
+ */
+export interface TierClassifierContext {
+  diabetesProfile?: {
+    type: string;
+    medications?: string[];
+  };
+  conversationHistory?: Array<{ role: string; content: string }>;
+}
+
+/**
+ * Pluggable classifier stage used by routeQuestion
+ */
+export interface TierClassifier {
+  name: string;
+  classify(question: string, context?: TierClassifierContext): Promise<TierClassification>;
+}
+
+/**
+ * Configuration for the embedding + tie-breaker classifier
+ */
+export interface SemanticTierClassifierConfig {
+  examples?: LabelledTierExample[];
+  k?: number; // Neighbours to vote (default: 5)
+  confidenceThreshold?: number; // Below this, call tie-breaker (default: 0.6)
+  minSimilarity?: number; // Nearest neighbour must be at least this close (default: 0.55)
+  enableTieBreaker?: boolean; // Default: true
+}
+
+interface ScoredExample {
+  example: LabelledTierExample;
+  similarity: number;
+}
+
+const TIE_BREAKER_SYSTEM_PROMPT = `You route Turkish diabetes questions to one of three answer tiers.
+
+TIERS:
+- 1: General knowledge the model can answer directly (definitions, basic self-management, everyday tips)
+- 2: Needs current external evidence (drug side effects, drug/supplement interactions, product comparisons, guideline updates)
+- 3: Deep multi-source research (new clinical trials, emerging therapies, questions requiring many studies to be weighed)
+
+Prefer the LOWEST tier that can answer the question safely and accurately.
+
+Return ONLY valid JSON (no markdown, no code blocks):
+{
+  "tier": <1|2|3>,
+  "confidence": <0.0-1.0>,
+  "reasoning": "<one short sentence in Turkish>"
+}`;
+
+/**
+ * Embedding nearest-neighbour classifier with an LLM tie-breaker
+ */
+export class SemanticTierClassifier implements TierClassifier {
+  readonly name = 'semantic-knn';
+
+  private readonly examples: LabelledTierExample[];
+  private readonly k: number;
+  private readonly confidenceThreshold: number;
+  private readonly minSimilarity: number;
+  private readonly enableTieBreaker: boolean;
+
+  // Reference embeddings are computed once per instance (cold start)
+  private exampleEmbeddings: Promise<number[][]> | null = null;
+
+  constructor(config: SemanticTierClassifierConfig = {}) {
+    this.examples = config.examples ?? TIER_REFERENCE_EXAMPLES;
+    this.k = config.k ?? 5;
+    this.confidenceThreshold = config.confidenceThreshold ?? 0.6;
+    this.minSimilarity = config.minSimilarity ?? 0.55;
+    this.enableTieBreaker = config.enableTieBreaker ?? true;
+  }
+
+  async classify(question: string, context?: TierClassifierContext): Promise<TierClassification> {
+    const startTime = Date.now();
+
+    let vote: TierClassification | null = null;
+    let neighbours: ScoredExample[] = [];
+
+    try {
+      neighbours = await this.findNearestExamples(question);
+      vote = voteOnNeighbours(neighbours);
+    } catch (error: any) {
+      console.error(`❌ [TIER-CLASSIFIER] Embedding stage failed: ${error.message}`);
+    }
+
+    const nearestSimilarity = neighbours[0]?.similarity ?? 0;
+    const isConfident =
+      vote !== null &&
+      vote.confidence >= this.confidenceThreshold &&
+      nearestSimilarity >= this.minSimilarity;
+
+    if (vote && (isConfident || !this.enableTieBreaker)) {
+      console.log(
+        `🧭 [TIER-CLASSIFIER] Embedding vote: T${vote.tier} ` +
+        `(confidence=${vote.confidence.toFixed(2)}, nearest=${nearestSimilarity.toFixed(2)}) in ${Date.now() - startTime}ms`
+      );
+      return vote;
+    }
+
+    if (this.enableTieBreaker) {
+      const tieBreak = await breakTieWithRouterModel(question, neighbours, context);
+      if (tieBreak) {
+        console.log(
+          `🧭 [TIER-CLASSIFIER] Tie-breaker: T${tieBreak.tier} ` +
+          `(confidence=${tieBreak.confidence.toFixed(2)}) in ${Date.now() - startTime}ms`
+        );
+        return tieBreak;
+      }
+    }
+
+    if (vote) {
+      return vote;
+    }
+
+    // Both stages failed - stay on the cheapest tier
+    return {
+      tier: 1,
+      confidence: 0.5,
+      reasoning: 'Sınıflandırma yapılamadı - varsayılan model yanıtı',
+      method: 'fallback'
+    };
+  }
+
+  /**
+   * Embed the question and return the k most similar reference examples
+   */
+  private async findNearestExamples(question: string): Promise<ScoredExample[]> {
+    if (!this.exampleEmbeddings) {
+      this.exampleEmbeddings = embedTexts(this.examples.map(e => e.question));
+      // Allow retry on the next request if the warm-up fails
+      this.exampleEmbeddings.catch(() => {
+        this.exampleEmbeddings = null;
+      });
+    }
+
+    const [questionEmbedding, exampleEmbeddings] = await Promise.all([
+      embedText(question),
+      this.exampleEmbeddings
+    ]);
+
+    return this.examples
+      .map((example, index) => ({
+        example,
+        similarity: cosineSimilarity(questionEmbedding, exampleEmbeddings[index])
+      }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.k);
+  }
+}
+
+/**
+ * Similarity-weighted vote over nearest neighbours
+ * Confidence = winning tier's share of the total weight
+ */
+export function voteOnNeighbours(neighbours: ScoredExample[]): TierClassification | null {
+  if (neighbours.length === 0) return null;
+
+  const weights: Record<1 | 2 | 3, number> = { 1: 0, 2: 0, 3: 0 };
+  let totalWeight = 0;
+
+  for (const { example, similarity } of neighbours) {
+    const weight = Math.max(0, similarity);
+    weights[example.tier] += weight;
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) return null;
+
+  const tier = ([1, 2, 3] as const).reduce((best, t) => (weights[t] > weights[best] ? t : best), 1 as 1 | 2 | 3);
+  const confidence = weights[tier] / totalWeight;
+  const closest = neighbours.find(n => n.example.tier === tier);
+
+  return {
+    tier,
+    confidence,
+    reasoning: `Benzer örneklere göre T${tier} (en yakın: "${closest?.example.question ?? ''}")`,
+    method: 'embedding'
+  };
+}
+
+/**
+ * Ask the router model to decide when the embedding vote is inconclusive
+ * Returns null on any failure so the caller can fall back
+ */
+async function breakTieWithRouterModel(
+  question: string,
+  neighbours: ScoredExample[],
+  context?: TierClassifierContext
+): Promise<TierClassification | null> {
+  try {
+    const hints = neighbours
+      .map(n => `- "${n.example.question}" → T${n.example.tier} (benzerlik ${n.similarity.toFixed(2)})`)
+      .join('\n');
+
+    const medications = context?.diabetesProfile?.medications?.join(', ');
+
+    const result = await ai.generate({
+      model: getRouterModel(),
+      config: {
+        temperature: 0.1,
+        maxOutputTokens: 200
+      },
+      system: TIE_BREAKER_SYSTEM_PROMPT,
+      prompt:
+        `Question: "${question}"\n` +
+        (medications ? `User medications: ${medications}\n` : '') +
+        (hints ? `\nSimilar labelled questions:\n${hints}\n` : '') +
+        `\nWhich tier should answer this question?`
+    });
+
+    const cleaned = (result.text || '')
+      .replace(/```json\n?/g, '')
+      .replace(/```\n?/g, '')
+      .trim();
+
+    const parsed = JSON.parse(cleaned);
+    const tier = Number(parsed.tier);
+
+    if (tier !== 1 && tier !== 2 && tier !== 3) {
+      console.warn(`⚠️ [TIER-CLASSIFIER] Tie-breaker returned invalid tier: ${parsed.tier}`);
+      return null;
+    }
+
+    const confidence = typeof parsed.confidence === 'number'
+      ? Math.max(0, Math.min(1, parsed.confidence))
+      : 0.6;
+
+    return {
+      tier,
+      confidence,
+      reasoning: parsed.reasoning || `Router modeli T${tier} seçti`,
+      method: 'llm_tiebreak'
+    };
+  } catch (error: any) {
+    console.error(`❌ [TIER-CLASSIFIER] Tie-breaker failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Shared default instance so reference embeddings are reused across requests
+let defaultClassifier: TierClassifier | null = null;
+
+/**
+ * Get the default classifier used by routeQuestion
+ */
+export function getDefaultTierClassifier(): TierClassifier {
+  if (!defaultClassifier) {
+    defaultClassifier = new SemanticTierClassifier();
+  }
+  return defaultClassifier;
+}
@@ -13,6 +13,7 @@ dotenv.config();
 
 import { genkit } from 'genkit/beta';
 import { getProviderConfig } from './providers';
+import { isFakeGeminiEnabled, createFakeGemini, loadFakeGeminiScript } from './utils/fake-gemini';
 import { initializeApp } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
 import * as admin from 'firebase-admin';
@@ -28,10 +29,19 @@ if (!admin.apps.length) {
   console.log('🔥 [FIREBASE] Admin SDK initialized in genkit-instance');
 }
 
+// Offline runs (emulator): FAKE_GEMINI_SCRIPT replaces the real provider with a scripted model
+const plugins = isFakeGeminiEnabled()
+  ? createFakeGemini(loadFakeGeminiScript(process.env.FAKE_GEMINI_SCRIPT!)).plugins
+  : [getProviderConfig()];
+
+if (isFakeGeminiEnabled()) {
+  console.log(`🧪 [ENV] FAKE_GEMINI_SCRIPT set - using scripted model from ${process.env.FAKE_GEMINI_SCRIPT}`);
+}
+
 // Export ai instance for use across all flows and endpoints
 // Chat API (sessions, multi-turn) available through beta import
 export const ai = genkit({
-  plugins: [getProviderConfig()],
+  plugins,
   promptDir: './prompts'  // Works in both dev (src/genkit-instance.ts) and prod (lib/genkit-instance.js with lib/prompts/)
 });
 
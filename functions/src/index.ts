@@ -1157,6 +1157,13 @@ export { diabetesAssistantStream } from './diabetes-assistant-stream';
 // Export session metadata generation endpoint
 export { generateSessionMetadata } from './generate-session-metadata';
 
+// Export T3 deep research background job endpoints
+export {
+  startDeepResearchJob,
+  runDeepResearchJob,
+  getDeepResearchJobStatus
+} from './deep-research-jobs';
+
 // REMOVED: Memory sync endpoints - deleted to free up CPU quota
 
 // ============================================
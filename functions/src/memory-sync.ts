@@ -11,16 +11,23 @@
  *
  * Conflict Resolution: Last-write-wins based on timestamps
  * Authentication: Hardcoded userId validation (2-user app)
+ *
+ * Conversation summaries are embedded with the server embedder when they are written
+ * (`summaryEmbedding`), so Tier 0 recall (flows/recall-flow.ts) only embeds the query
  */
 
 import { onRequest } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
 import { logError, logOperationStart, logOperationSuccess, ErrorType } from './utils/error-logger';
 import { retryWithBackoff } from './utils/retry-handler';
+import { embedTexts } from './utils/embeddings';
+import { sessionText } from './flows/recall-flow';
 import * as cors from 'cors';
 
 const db = getFirestore();
 
+const SUMMARY_EMBEDDING_BATCH = 50; // Summaries per embedMany call
+
 // Configure CORS for iOS app
 const corsHandler = cors.default({
   origin: true,
@@ -75,6 +82,30 @@ function encodeEmbedding(embedding: number[] | null | undefined): string | undef
   }
 }
 
+/**
+ * Add the server embedding recall searches with to each summary
+ * Summaries keep syncing without it when embedding fails (recall then finds them by keywords)
+ */
+async function withSummaryEmbeddings(summaries: any[]): Promise<any[]> {
+  const embeddable = summaries.filter(summary => typeof summary.summary === 'string' && summary.summary.length > 0);
+  const embeddings = new Map<any, number[]>();
+
+  try {
+    for (let i = 0; i < embeddable.length; i += SUMMARY_EMBEDDING_BATCH) {
+      const batch = embeddable.slice(i, i + SUMMARY_EMBEDDING_BATCH);
+      const vectors = await embedTexts(batch.map(summary => sessionText(summary)));
+      batch.forEach((summary, j) => embeddings.set(summary, vectors[j]));
+    }
+  } catch (error) {
+    console.warn(`⚠️ [SYNC] Failed to embed ${embeddable.length} summaries, syncing without embeddings:`, error);
+  }
+
+  return summaries.map(summary => embeddings.has(summary)
+    ? { ...summary, summaryEmbedding: embeddings.get(summary) }
+    : summary
+  );
+}
+
 /**
  * Convert ISO date string to Firestore Timestamp
  */
@@ -180,6 +211,7 @@ async function fetchDocuments(
     return {
       ...data,
       embedding: encodeEmbedding(data.embedding),
+      summaryEmbedding: undefined, // Server-side only
       createdAt: data.createdAt ? fromTimestamp(data.createdAt) : undefined,
       lastAccessedAt: data.lastAccessedAt ? fromTimestamp(data.lastAccessedAt) : undefined,
       startTime: data.startTime ? fromTimestamp(data.startTime) : undefined,
@@ -314,7 +346,7 @@ export const syncConversationSummaries = onRequest({
           return;
         }
 
-        const syncedCount = await batchWriteDocuments(collectionPath, summaries, userId);
+        const syncedCount = await batchWriteDocuments(collectionPath, await withSummaryEmbeddings(summaries), userId);
 
         logOperationSuccess('syncConversationSummaries', Date.now() - startTime, {
           userId,
@@ -642,7 +674,11 @@ export const syncAllMemory = onRequest({
           results.facts = await batchWriteDocuments(`users/${userId}/user_facts`, facts, userId);
         }
         if (summaries && summaries.length > 0) {
-          results.summaries = await batchWriteDocuments(`users/${userId}/conversation_summaries`, summaries, userId);
+          results.summaries = await batchWriteDocuments(
+            `users/${userId}/conversation_summaries`,
+            await withSummaryEmbeddings(summaries),
+            userId
+          );
         }
         if (recipes && recipes.length > 0) {
           results.recipes = await batchWriteDocuments(`users/${userId}/recipe_preferences`, recipes, userId);
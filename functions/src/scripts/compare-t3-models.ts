@@ -11,6 +11,7 @@
 import { Response } from 'express';
 import { executeDeepResearchV2, formatResearchForSynthesis } from '../flows/deep-research-v2';
 import { buildResearchSystemPrompt } from '../research-prompts';
+import { StreamContext } from '../utils/stream-context';
 import { ai } from '../genkit-instance';
 import * as fs from 'fs';
 import * as path from 'path';
@@ -251,7 +252,7 @@ async function compareModels(query: string): Promise<void> {
   // Step 1: Execute research ONCE (shared sources)
   console.log(`📚 [1/4] Executing T3 research flow (shared sources)...`);
   const mockRes = new MockResponse() as unknown as Response;
-  const researchResults = await executeDeepResearchV2(query, mockRes);
+  const researchResults = await executeDeepResearchV2(query, new StreamContext(mockRes));
 
   console.log(`✅ Research complete:`);
   console.log(`   - Rounds: ${researchResults.rounds.length}`);
@@ -0,0 +1,220 @@
+/**
+ * CLI Tool: Evaluate Source Ranking
+ *
+ * Ranks the sources of every query in the labelled relevance set with the keyword
+ * ranker and the learned ranker (tools/learned-ranker.ts) and prints nDCG@10 and
+ * precision@5/@10 per query and on average.
+ *
+ * With --fit the learned ranker's weights are first refit on the whole set and written
+ * to tools/data/ranking-weights.json; leave-one-query-out scores are printed as well,
+ * since scores on the training queries themselves are optimistic.
+ *
+ * Usage:
+ *   npm run evaluate-ranker
+ *   npm run evaluate-ranker -- --fit       (refit the bundled weights)
+ *   npm run evaluate-ranker -- --verbose   (print every ranking)
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { ResearchDocument, getResearchSource } from '../tools/research-sources';
+import { rankSourcesByRelevance } from '../tools/source-ranker';
+import { attachStudyMetadata } from '../tools/study-metadata';
+import { toResearchPopulation } from '../tools/population-match';
+import {
+  RankingExample,
+  RankingWeights,
+  fitRankingWeights,
+  getRankingWeights,
+  learnedScore,
+  ndcgAtK,
+  precisionAtK,
+  setRankingWeights
+} from '../tools/learned-ranker';
+import evalSet from './data/ranking-eval-set.json';
+
+type Ranker = 'keyword' | 'learned';
+
+interface EvalItem {
+  query: string;
+  diabetesProfile?: { type?: string; medications?: string[] };
+  sources: Record<string, Array<Record<string, unknown> & { relevance: number }>>;
+}
+
+interface LabelledDocument {
+  document: ResearchDocument;
+  relevance: number;
+}
+
+interface QueryMetrics {
+  ndcg10: number;
+  precision5: number;
+  precision10: number;
+}
+
+// Fixture buckets (source-ranker.test.ts style) → ResearchSource ids
+const BUCKET_SOURCES: Record<string, string> = {
+  pubmed: 'pubmed',
+  clinicalTrials: 'clinicaltrials',
+  exa: 'exa',
+  medrxiv: 'medrxiv'
+};
+
+const WEIGHTS_PATH = path.join(__dirname, '../tools/data/ranking-weights.json');
+
+/**
+ * Normalize the fixture results into documents, in a fixed order unrelated to the labels
+ * (rankings keep input order on ties, and fixtures list the best sources first)
+ */
+export function toLabelledDocuments(item: EvalItem): LabelledDocument[] {
+  const labelled: LabelledDocument[] = [];
+
+  for (const [bucket, results] of Object.entries(item.sources)) {
+    const source = getResearchSource(BUCKET_SOURCES[bucket] ?? bucket);
+    if (!source) continue;
+
+    for (const { relevance, ...result } of results) {
+      labelled.push({ document: source.normalize(result), relevance });
+    }
+  }
+
+  attachStudyMetadata(labelled.map(entry => entry.document));
+  return labelled.sort((a, b) => hash(a.document.id) - hash(b.document.id));
+}
+
+/**
+ * Relevance grades in ranked order, and every source's features
+ */
+async function rankItem(item: EvalItem, ranker: Ranker): Promise<{ relevances: number[]; examples: RankingExample[] }> {
+  const labelled = toLabelledDocuments(item);
+  const relevanceOf = new Map(labelled.map(entry => [entry.document, entry.relevance]));
+
+  const result = await rankSourcesByRelevance(item.query, labelled.map(entry => entry.document), {
+    topN: labelled.length,
+    ranker,
+    population: toResearchPopulation(item.diabetesProfile)
+  });
+
+  return {
+    relevances: result.rankedSources.map(ranked => relevanceOf.get(ranked.document!) ?? 0),
+    examples: result.rankedSources.map(ranked => ({
+      features: ranked.features ?? {},
+      relevance: relevanceOf.get(ranked.document!) ?? 0
+    }))
+  };
+}
+
+function metricsOf(relevances: number[]): QueryMetrics {
+  return {
+    ndcg10: ndcgAtK(relevances, 10),
+    precision5: precisionAtK(relevances, 5),
+    precision10: precisionAtK(relevances, 10)
+  };
+}
+
+function average(metrics: QueryMetrics[]): QueryMetrics {
+  const mean = (key: keyof QueryMetrics) => metrics.reduce((sum, m) => sum + m[key], 0) / Math.max(1, metrics.length);
+  return { ndcg10: mean('ndcg10'), precision5: mean('precision5'), precision10: mean('precision10') };
+}
+
+function formatMetrics(metrics: QueryMetrics): string {
+  return `nDCG@10=${metrics.ndcg10.toFixed(3)} P@5=${metrics.precision5.toFixed(2)} P@10=${metrics.precision10.toFixed(2)}`;
+}
+
+/**
+ * Refit the weights on every query, report leave-one-query-out scores and save them
+ */
+async function fitWeights(items: EvalItem[]): Promise<void> {
+  // Features do not depend on the weights; 'learned' also computes embedding similarity
+  const examplesByQuery: RankingExample[][] = [];
+  for (const item of items) {
+    examplesByQuery.push((await rankItem(item, 'learned')).examples);
+  }
+
+  const heldOut = examplesByQuery.map((examples, i) => {
+    const fold = fitRankingWeights(examplesByQuery.filter((_, j) => j !== i).flat());
+    const model = { ...getRankingWeights(), ...fold };
+    const ranked = [...examples].sort((a, b) => learnedScore(b.features, model) - learnedScore(a.features, model));
+    return metricsOf(ranked.map(example => example.relevance));
+  });
+
+  const fitted = fitRankingWeights(examplesByQuery.flat());
+  const today = new Date().toISOString().slice(0, 10);
+  const weights: RankingWeights = {
+    version: today.replace(/-/g, '.'),
+    trainedAt: today,
+    source: 'Ridge regression on scripts/data/ranking-eval-set.json; refit with `npm run evaluate-ranker -- --fit`',
+    training: {
+      queries: items.length,
+      examples: examplesByQuery.flat().length,
+      unavailableFeatures: fitted.unavailableFeatures
+    },
+    bias: fitted.bias,
+    weights: fitted.weights,
+    means: fitted.means
+  };
+
+  fs.writeFileSync(WEIGHTS_PATH, JSON.stringify(weights, null, 2) + '\n');
+  setRankingWeights(weights);
+
+  console.log(`🧮 Fitted weights ${weights.version} on ${weights.training.examples} sources from ${items.length} queries`);
+  console.log(`   ${Object.entries(weights.weights).map(([feature, weight]) => `${feature}=${weight}`).join(' ')} bias=${weights.bias}`);
+  if (fitted.unavailableFeatures.length > 0) {
+    console.log(`   ⚠️ Not computed during training (weight 0): ${fitted.unavailableFeatures.join(', ')}`);
+  }
+  console.log(`   Leave-one-query-out: ${formatMetrics(average(heldOut))}\n`);
+}
+
+async function evaluateRanker(fit: boolean, verbose: boolean): Promise<void> {
+  const items = evalSet.items as EvalItem[];
+
+  console.log(`📚 Evaluating source ranking on ${items.length} labelled queries...\n`);
+
+  if (fit) {
+    await fitWeights(items);
+  }
+
+  const results: Record<Ranker, QueryMetrics[]> = { keyword: [], learned: [] };
+
+  for (const item of items) {
+    console.log(`🔎 "${item.query}"`);
+    for (const ranker of ['keyword', 'learned'] as Ranker[]) {
+      const { relevances } = await rankItem(item, ranker);
+      const metrics = metricsOf(relevances);
+      results[ranker].push(metrics);
+      console.log(`   ${ranker.padEnd(8)} ${formatMetrics(metrics)}${verbose ? `  [${relevances.join(' ')}]` : ''}`);
+    }
+  }
+
+  console.log(`\n📈 Average over ${items.length} queries (weights ${getRankingWeights().version})\n`);
+  for (const ranker of ['keyword', 'learned'] as Ranker[]) {
+    console.log(`   ${ranker.padEnd(8)} ${formatMetrics(average(results[ranker]))}`);
+  }
+}
+
+function hash(text: string): number {
+  let value = 0;
+  for (let i = 0; i < text.length; i++) {
+    value = (value * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return value;
+}
+
+/**
+ * CLI Entry Point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    await evaluateRanker(args.includes('--fit'), args.includes('--verbose'));
+  } catch (error) {
+    console.error(`\n❌ Ranker evaluation failed:`, error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,150 @@
+/**
+ * CLI Tool: Evaluate Router Tier Classification
+ *
+ * Runs every question in the labelled Turkish evaluation set through
+ * routeQuestion and prints a confusion matrix plus per-tier precision/recall.
+ * T3 is scored on the classifier's suggestion - the router itself only runs T3
+ * on an explicit request.
+ *
+ * Usage:
+ *   npm run evaluate-router
+ *   npm run evaluate-router -- --verbose   (print every misclassification)
+ */
+
+import { routeQuestion } from '../flows/router-flow';
+import evalSet from './data/router-eval-set.tr.json';
+
+type Tier = 0 | 1 | 2 | 3;
+
+interface EvalItem {
+  question: string;
+  tier: Tier;
+}
+
+interface EvalPrediction {
+  item: EvalItem;
+  predicted: Tier;
+  method?: string;
+  confidence: number;
+}
+
+const TIERS: Tier[] = [0, 1, 2, 3];
+
+/**
+ * Build a confusion matrix: matrix[expected][predicted] = count
+ */
+export function buildConfusionMatrix(
+  predictions: Array<{ expected: Tier; predicted: Tier }>
+): Record<Tier, Record<Tier, number>> {
+  const matrix = {} as Record<Tier, Record<Tier, number>>;
+  for (const expected of TIERS) {
+    matrix[expected] = { 0: 0, 1: 0, 2: 0, 3: 0 };
+  }
+
+  for (const { expected, predicted } of predictions) {
+    matrix[expected][predicted]++;
+  }
+
+  return matrix;
+}
+
+/**
+ * Per-tier precision and recall from a confusion matrix
+ */
+export function computeTierMetrics(
+  matrix: Record<Tier, Record<Tier, number>>
+): Record<Tier, { precision: number; recall: number; support: number }> {
+  const metrics = {} as Record<Tier, { precision: number; recall: number; support: number }>;
+
+  for (const tier of TIERS) {
+    const truePositives = matrix[tier][tier];
+    const support = TIERS.reduce<number>((sum, p) => sum + matrix[tier][p], 0);
+    const predictedCount = TIERS.reduce<number>((sum, e) => sum + matrix[e][tier], 0);
+
+    metrics[tier] = {
+      precision: predictedCount > 0 ? truePositives / predictedCount : 0,
+      recall: support > 0 ? truePositives / support : 0,
+      support
+    };
+  }
+
+  return metrics;
+}
+
+function printConfusionMatrix(matrix: Record<Tier, Record<Tier, number>>): void {
+  const cell = (value: string | number) => String(value).padStart(6);
+
+  console.log(`\n📊 Confusion matrix (rows = expected, columns = predicted)\n`);
+  console.log(cell('') + TIERS.map(t => cell(`T${t}`)).join(''));
+  for (const expected of TIERS) {
+    console.log(cell(`T${expected}`) + TIERS.map(p => cell(matrix[expected][p])).join(''));
+  }
+}
+
+async function evaluateRouter(verbose: boolean): Promise<void> {
+  const items = evalSet.items as EvalItem[];
+  const predictions: EvalPrediction[] = [];
+
+  console.log(`🔀 Evaluating router on ${items.length} labelled questions...\n`);
+
+  // Sequential on purpose - keeps embedding/router quota usage predictable
+  for (const item of items) {
+    const result = await routeQuestion({ question: item.question, userId: 'router-eval' });
+    predictions.push({
+      item,
+      predicted: result.suggestedTier ?? result.tier,
+      method: result.classifierMethod,
+      confidence: result.confidence
+    });
+  }
+
+  const matrix = buildConfusionMatrix(
+    predictions.map(p => ({ expected: p.item.tier, predicted: p.predicted }))
+  );
+  const metrics = computeTierMetrics(matrix);
+  const correct = predictions.filter(p => p.predicted === p.item.tier).length;
+
+  printConfusionMatrix(matrix);
+
+  console.log(`\n📈 Per-tier metrics\n`);
+  for (const tier of TIERS) {
+    const { precision, recall, support } = metrics[tier];
+    if (support === 0) continue;
+    console.log(
+      `   T${tier}: precision=${(precision * 100).toFixed(1)}% ` +
+      `recall=${(recall * 100).toFixed(1)}% (n=${support})`
+    );
+  }
+
+  console.log(`\n✅ Accuracy: ${correct}/${predictions.length} (${((correct / predictions.length) * 100).toFixed(1)}%)`);
+
+  const misses = predictions.filter(p => p.predicted !== p.item.tier);
+  if (verbose && misses.length > 0) {
+    console.log(`\n❌ Misclassifications\n`);
+    for (const miss of misses) {
+      console.log(
+        `   T${miss.item.tier} → T${miss.predicted} [${miss.method ?? 'recall'}, ${miss.confidence.toFixed(2)}] ` +
+        `"${miss.item.question}"`
+      );
+    }
+  }
+}
+
+/**
+ * CLI Entry Point
+ */
+async function main() {
+  const verbose = process.argv.slice(2).includes('--verbose');
+
+  try {
+    await evaluateRouter(verbose);
+  } catch (error) {
+    console.error(`\n❌ Router evaluation failed:`, error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,71 @@
+/**
+ * CLI Tool: Build the TEMD Guideline Index
+ *
+ * Reads text/markdown exports of TEMD guidelines and writes the section index the
+ * 'temd' research source searches (src/tools/data/temd-guidelines.json):
+ * - Each file starts with front matter (id, title, edition, url between `---` lines)
+ * - Markdown headings and numbered upper-case headings ("3.2. HİPOGLİSEMİ") start sections
+ * - Long sections are split at paragraph boundaries and tagged with MeSH descriptors
+ *
+ * The bundled input (src/scripts/data/temd/) only holds chapter scope summaries, marked
+ * `content: summary` so the 'temd' source stays off; add the full guideline text
+ * exports there and rerun to index the recommendations.
+ *
+ * Usage:
+ *   npm run ingest-temd-guidelines
+ *   npm run ingest-temd-guidelines -- path/to/exports
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { TemdGuidelineFile, buildTemdIndex } from '../tools/turkish-sources';
+
+const DEFAULT_INPUT_DIR = path.join(__dirname, 'data/temd');
+const INDEX_PATH = path.join(__dirname, '../tools/data/temd-guidelines.json');
+
+/**
+ * Read the guideline files of a directory, in file name order
+ */
+function readGuidelineFiles(inputDir: string): TemdGuidelineFile[] {
+  return fs.readdirSync(inputDir)
+    .filter(fileName => /\.(md|txt)$/.test(fileName))
+    .sort()
+    .map(fileName => ({ fileName, content: fs.readFileSync(path.join(inputDir, fileName), 'utf8') }));
+}
+
+/**
+ * CLI Entry Point
+ */
+function main() {
+  const inputDir = path.resolve(process.argv[2] || DEFAULT_INPUT_DIR);
+
+  try {
+    const files = readGuidelineFiles(inputDir);
+    if (files.length === 0) {
+      console.error(`❌ No .md or .txt guideline files in ${inputDir}`);
+      process.exit(1);
+    }
+
+    const index = buildTemdIndex(files);
+    fs.writeFileSync(INDEX_PATH, JSON.stringify(index, null, 2) + '\n');
+
+    console.log(`\n📚 Indexed ${index.documents.length} guideline(s), ${index.sections.length} sections:`);
+    for (const document of index.documents) {
+      const sections = index.sections.filter(section => section.documentId === document.id);
+      const untagged = sections.filter(section => section.topics.length === 0).length;
+      console.log(
+        `   • ${document.title}: ${sections.length} sections (${untagged} without MeSH topics)` +
+        (document.summaryOnly ? ' - scope summaries, not searched' : '')
+      );
+    }
+    console.log(`\n✅ Wrote ${path.relative(process.cwd(), INDEX_PATH)}`);
+  } catch (error) {
+    console.error(`\n❌ Ingestion failed:`, error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,151 @@
+/**
+ * CLI Tool: Check the Drug Interaction Dataset Against openFDA Labels
+ *
+ * For every ingredient with an FDA label (labelName), fetches the current label
+ * from openFDA and compares its drug interaction / warning sections with
+ * src/tools/data/drug-interactions.json:
+ * - STALE: an entry cites a label that no longer mentions the other side
+ * - MISSING: a label mentions another dataset ingredient or class without an entry
+ *
+ * Entries are curated by hand (Turkish effect/management texts); this script only
+ * points at what to review. With --write it stamps `updatedAt` once nothing is stale.
+ *
+ * Usage:
+ *   npm run update-drug-interactions
+ *   npm run update-drug-interactions -- --write
+ */
+
+import axios from 'axios';
+import * as fs from 'fs';
+import * as path from 'path';
+import { InteractionDataset, InteractionEntry, getInteractionDataset } from '../tools/drug-interactions';
+
+const OPENFDA_LABEL_URL = 'https://api.fda.gov/drug/label.json';
+const DATASET_PATH = path.join(__dirname, '../tools/data/drug-interactions.json');
+const LABEL_SECTIONS = ['drug_interactions', 'warnings_and_cautions', 'warnings', 'precautions'];
+
+// How FDA labels refer to each class
+const CLASS_LABEL_TERMS: Record<string, string[]> = {
+  antidiabetic: ['antidiabetic', 'hypoglycemic agent', 'insulin secretagogue'],
+  biguanide: ['metformin'],
+  sulfonylurea: ['sulfonylurea'],
+  sglt2: ['sglt2', 'sodium-glucose'],
+  glp1: ['glp-1'],
+  dpp4: ['dpp-4', 'dipeptidyl peptidase'],
+  tzd: ['thiazolidinedione'],
+  insulin: ['insulin'],
+  beta_blocker: ['beta-blocker', 'beta blocker', 'beta-adrenergic blocking'],
+  loop_diuretic: ['loop diuretic', 'diuretic'],
+  thiazide: ['thiazide'],
+  corticosteroid: ['corticosteroid', 'glucocorticoid'],
+  fluoroquinolone: ['fluoroquinolone', 'quinolone'],
+  carbonic_anhydrase_inhibitor: ['carbonic anhydrase'],
+  glucose_lowering_supplement: []
+};
+
+/**
+ * Label terms for one side of an interaction (ingredient aliases or class terms)
+ */
+function termsForSide(dataset: InteractionDataset, side: string[]): string[] {
+  return side.flatMap(item => {
+    if (item.startsWith('class:')) {
+      const classId = item.slice('class:'.length);
+      const members = Object.values(dataset.ingredients).filter(ingredient => ingredient.classes.includes(classId));
+      return [...(CLASS_LABEL_TERMS[classId] ?? []), ...members.flatMap(ingredient => ingredient.aliases)];
+    }
+    return dataset.ingredients[item]?.aliases ?? [];
+  }).map(term => term.toLowerCase());
+}
+
+function sideIncludes(dataset: InteractionDataset, side: string[], ingredientId: string): boolean {
+  const classes = dataset.ingredients[ingredientId]?.classes ?? [];
+  return side.some(item => item === ingredientId || (item.startsWith('class:') && classes.includes(item.slice('class:'.length))));
+}
+
+/**
+ * Interaction-relevant label text for a generic name ('' when openFDA has no label)
+ */
+async function fetchLabelText(labelName: string): Promise<string> {
+  try {
+    const response = await axios.get(OPENFDA_LABEL_URL, {
+      params: { search: `openfda.generic_name:"${labelName}"`, limit: 1 },
+      timeout: 15000
+    });
+    const label = response.data?.results?.[0] ?? {};
+    return LABEL_SECTIONS.flatMap(section => label[section] ?? []).join('\n').toLowerCase();
+  } catch (error: any) {
+    console.warn(`⚠️ No openFDA label for "${labelName}": ${error.response?.status ?? error.message}`);
+    return '';
+  }
+}
+
+async function checkDataset(write: boolean): Promise<void> {
+  const dataset = getInteractionDataset();
+  const labelled = Object.entries(dataset.ingredients).filter(([, ingredient]) => ingredient.labelName);
+  const stale: string[] = [];
+  const missing: string[] = [];
+
+  console.log(`💊 Checking dataset ${dataset.version} against ${labelled.length} openFDA labels...\n`);
+
+  // Sequential on purpose - openFDA allows 240 requests/minute without a key
+  for (const [ingredientId, ingredient] of labelled) {
+    const text = await fetchLabelText(ingredient.labelName!);
+    if (!text) continue;
+
+    const entries = dataset.interactions.filter((entry: InteractionEntry) =>
+      sideIncludes(dataset, entry.a, ingredientId) || sideIncludes(dataset, entry.b, ingredientId)
+    );
+
+    for (const entry of entries.filter(candidate => candidate.labels.includes(ingredient.labelName!))) {
+      const otherSide = sideIncludes(dataset, entry.a, ingredientId) ? entry.b : entry.a;
+      if (!termsForSide(dataset, otherSide).some(term => text.includes(term))) {
+        stale.push(`${entry.id}: ${ingredient.labelName} label no longer mentions [${otherSide.join(', ')}]`);
+      }
+    }
+
+    for (const [otherId, other] of Object.entries(dataset.ingredients)) {
+      if (otherId === ingredientId) continue;
+      const mentioned = other.aliases.find(alias => /^[a-z0-9 '-]+$/.test(alias) && text.includes(alias.toLowerCase()));
+      const covered = entries.some(entry =>
+        (sideIncludes(dataset, entry.a, ingredientId) && sideIncludes(dataset, entry.b, otherId)) ||
+        (sideIncludes(dataset, entry.b, ingredientId) && sideIncludes(dataset, entry.a, otherId))
+      );
+      if (mentioned && !covered) {
+        missing.push(`${ingredient.labelName} label mentions "${mentioned}" (${otherId})`);
+      }
+    }
+  }
+
+  console.log(`\n🕰️ Stale entries: ${stale.length}`);
+  stale.forEach(line => console.log(`   • ${line}`));
+  console.log(`\n🔍 Label mentions without an entry (review, not all are interactions): ${missing.length}`);
+  missing.forEach(line => console.log(`   • ${line}`));
+
+  if (write && stale.length === 0) {
+    const today = new Date().toISOString().split('T')[0];
+    const json = fs.readFileSync(DATASET_PATH, 'utf8').replace(/"updatedAt": "[^"]*"/, `"updatedAt": "${today}"`);
+    fs.writeFileSync(DATASET_PATH, json);
+    console.log(`\n✅ Stamped updatedAt=${today}`);
+  } else if (write) {
+    console.log(`\n❌ Not stamping updatedAt - review the stale entries first`);
+  }
+}
+
+/**
+ * CLI Entry Point
+ */
+async function main() {
+  const write = process.argv.slice(2).includes('--write');
+
+  try {
+    await checkDataset(write);
+  } catch (error) {
+    console.error(`\n❌ Dataset check failed:`, error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
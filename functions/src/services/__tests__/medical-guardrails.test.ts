@@ -0,0 +1,160 @@
+/**
+ * Tests for medical-guardrails rules, redaction and the review log
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import {
+  assessQuestion,
+  checkAnswer,
+  redactDosePrescriptions,
+  buildEmergencyGuidance,
+  buildGuardrailInstructions,
+  buildInteractionNotice,
+  extractGlucoseReadings,
+  recordIntervention,
+  DOSE_REDACTION_NOTE
+} from '../medical-guardrails';
+import { QUESTION_CORPUS, SAFE_QUESTIONS, PRESCRIBING_ANSWERS, SAFE_ANSWERS } from './guardrail-corpus';
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn()
+}));
+
+describe('medical-guardrails', () => {
+  describe('assessQuestion', () => {
+    it.each(QUESTION_CORPUS.map(c => [c.ruleId, c.text, c.category] as const))(
+      '%s: "%s"',
+      (ruleId, text, category) => {
+        const assessment = assessQuestion(text);
+
+        expect(assessment.matches.map(match => match.ruleId)).toContain(ruleId);
+        expect(assessment.categories).toContain(category);
+      }
+    );
+
+    it.each(SAFE_QUESTIONS)('should not flag "%s"', text => {
+      expect(assessQuestion(text).categories).toEqual([]);
+    });
+
+    it('should mark emergencies and hold dose answers', () => {
+      expect(assessQuestion('Şekerim 40, bayılacak gibiyim')).toMatchObject({ emergency: true, holdAnswer: false });
+      expect(assessQuestion('Kaç ünite insülin yapmalıyım?')).toMatchObject({ emergency: false, holdAnswer: true });
+      expect(assessQuestion('Hamileyim, şekerim 120')).toMatchObject({
+        emergency: false,
+        holdAnswer: false,
+        categories: ['pregnancy']
+      });
+    });
+
+    it('should flag moderate and major interactions with profile medications', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const assessment = assessQuestion('Klacid başladım, bir şey olur mu?', ['Amaryl']);
+      expect(assessment).toMatchObject({
+        categories: ['drug_interaction'],
+        matches: [{ ruleId: 'interaction_sulfonylurea-cyp-inhibitors', category: 'drug_interaction' }],
+        holdAnswer: false
+      });
+      expect(buildInteractionNotice(assessment.interactions)).toContain('Klacid (Klaritromisin) + Amaryl (Glimepirid)');
+
+      const minorOnly = assessQuestion('B12 takviyesi alayım mı?', ['Glifor']);
+      expect(minorOnly.categories).toEqual([]);
+      expect(minorOnly.interactions.map(warning => warning.id)).toEqual(['metformin-b12']);
+      expect(buildInteractionNotice(minorOnly.interactions)).toBeNull();
+
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('extractGlucoseReadings', () => {
+    it('should read glucose values and skip doses, grams and durations', () => {
+      expect(extractGlucoseReadings('sekerim 45 oldu, 4 unite yaptim')).toEqual([45]);
+      expect(extractGlucoseReadings('olcum 60 dakika sonra 250 mg/dl')).toEqual([250]);
+      expect(extractGlucoseReadings('15 gram karbonhidrat, 20 dakika bekledim')).toEqual([]);
+    });
+  });
+
+  describe('checkAnswer', () => {
+    it.each(PRESCRIBING_ANSWERS)('should flag "%s"', answer => {
+      expect(checkAnswer(answer).map(match => match.ruleId)).toEqual(['answer_dose_prescription']);
+    });
+
+    it.each(SAFE_ANSWERS)('should not flag "%s"', answer => {
+      expect(checkAnswer(answer)).toEqual([]);
+    });
+  });
+
+  describe('redactDosePrescriptions', () => {
+    it('should replace only the prescribing sentences', () => {
+      const answer = 'Sabah yüksekliği dawn fenomeni olabilir. Lantus dozunu 2 ünite artır.\n- Doktorunla konuş.';
+
+      const { text, redacted } = redactDosePrescriptions(answer);
+
+      expect(text).toBe(`Sabah yüksekliği dawn fenomeni olabilir. ${DOSE_REDACTION_NOTE}\n- Doktorunla konuş.`);
+      expect(redacted).toEqual(['Lantus dozunu 2 ünite artır.']);
+    });
+  });
+
+  describe('guidance', () => {
+    it('should build emergency guidance per category', () => {
+      expect(buildEmergencyGuidance(['severe_hypoglycemia'])).toContain('112');
+      expect(buildEmergencyGuidance(['dka'])).toContain('ketoasidoz');
+      expect(buildEmergencyGuidance(['pregnancy'])).toBeNull();
+    });
+
+    it('should add prompt instructions only for flagged risks', () => {
+      expect(buildGuardrailInstructions(assessQuestion('Dozumu azaltayım mı?'))).toContain('ASLA');
+      expect(buildGuardrailInstructions(assessQuestion('Metformin nedir?'))).toBe('');
+    });
+  });
+
+  describe('recordIntervention', () => {
+    const add = jest.fn();
+
+    beforeEach(() => {
+      (getFirestore as jest.Mock).mockReturnValue({ collection: jest.fn(() => ({ add })) });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      add.mockReset();
+    });
+
+    it('should store the intervention unreviewed', async () => {
+      add.mockResolvedValue({ id: 'doc-1' });
+
+      await recordIntervention({
+        userId: 'user-1',
+        tier: 1,
+        stage: 'question',
+        action: 'emergency_guidance',
+        categories: ['severe_hypoglycemia'],
+        ruleIds: ['hypo_low_reading'],
+        question: 'Şekerim 45 oldu'
+      });
+
+      expect(add).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        action: 'emergency_guidance',
+        reviewed: false,
+        createdAt: expect.any(Date)
+      }));
+    });
+
+    it('should not throw when Firestore fails', async () => {
+      add.mockRejectedValue(new Error('unavailable'));
+
+      await expect(recordIntervention({
+        userId: 'user-1',
+        tier: 1,
+        stage: 'answer',
+        action: 'dose_redacted',
+        categories: ['dose_prescription'],
+        ruleIds: ['answer_dose_prescription'],
+        question: 'Kaç ünite?'
+      })).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for research answer cache keys, cacheability and Firestore storage
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import {
+  buildCacheKey,
+  buildCachedMarker,
+  fingerprintSources,
+  getCachedAnswer,
+  isCacheable,
+  normalizeQuery,
+  parseCacheMode,
+  storeCachedAnswer,
+  CACHE_TTL_MS
+} from '../research-cache';
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('research-cache', () => {
+  describe('keys', () => {
+    it('should normalize wording differences away', () => {
+      expect(normalizeQuery('Metformin: side effects of the drug?')).toBe('metformin side effects drug');
+      expect(normalizeQuery('What are the side effects of metformin?')).toBe(normalizeQuery('side effects of Metformin'));
+      expect(normalizeQuery('metformin dose, metformin timing')).toBe('metformin dose timing');
+    });
+
+    it('should keep the word order', () => {
+      expect(normalizeQuery('insulin before metformin')).not.toBe(normalizeQuery('metformin before insulin'));
+    });
+
+    it('should separate tiers and answer variants', () => {
+      const query = normalizeQuery('metformin side effects');
+
+      expect(buildCacheKey(2, query)).not.toBe(buildCacheKey(3, query));
+      expect(buildCacheKey(2, query, { diabetesType: 'type1' })).not.toBe(buildCacheKey(2, query, { diabetesType: 'type2' }));
+      expect(buildCacheKey(3, query, { evidenceMode: 'hierarchy' })).not.toBe(buildCacheKey(3, query, { evidenceMode: 'standard' }));
+      expect(buildCacheKey(2, query, { medications: ['Lantus', 'Glifor'] }))
+        .toBe(buildCacheKey(2, query, { medications: ['glifor ', 'lantus'] }));
+    });
+
+    it('should fingerprint sources independent of order', () => {
+      const a = { url: 'https://a.example' };
+      const b = { url: 'https://b.example' };
+
+      expect(fingerprintSources([a, b])).toBe(fingerprintSources([b, a]));
+      expect(fingerprintSources([a, b])).not.toBe(fingerprintSources([a]));
+    });
+  });
+
+  describe('parseCacheMode / isCacheable', () => {
+    it('should default to use', () => {
+      expect(parseCacheMode('refresh')).toBe('refresh');
+      expect(parseCacheMode('bypass')).toBe('bypass');
+      expect(parseCacheMode(undefined)).toBe('use');
+      expect(parseCacheMode('yes')).toBe('use');
+    });
+
+    it('should only cache answers without personal context', () => {
+      expect(isCacheable({})).toBe(true);
+      expect(isCacheable({ conversationHistory: [{ role: 'user', content: 'Merhaba' }] })).toBe(false);
+      expect(isCacheable({ hasImage: true })).toBe(false);
+      expect(isCacheable({ safety: { categories: ['pregnancy'], interactions: [] } })).toBe(false);
+      expect(isCacheable({ safety: { categories: [], interactions: [{ id: 'metformin-b12' }] } })).toBe(false);
+    });
+  });
+
+  describe('Firestore', () => {
+    const get = jest.fn();
+    const set = jest.fn();
+    const doc = jest.fn(() => ({ get, set }));
+
+    const entry = {
+      key: 'key-1',
+      tier: 2 as const,
+      question: 'Metformin yan etkileri nelerdir?',
+      normalizedQuery: 'effects metformin side',
+      answer: 'Metformin en sık sindirim yan etkileri yapar [1].',
+      sources: [{ title: 'Metformin', url: 'https://a.example' }],
+      researchSummary: { totalStudies: 1 }
+    };
+
+    beforeEach(() => {
+      (getFirestore as jest.Mock).mockReturnValue({ collection: jest.fn(() => ({ doc })) });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      get.mockReset();
+      set.mockReset();
+    });
+
+    it('should return a stored answer with dates', async () => {
+      const createdAt = new Date(Date.now() - DAY_MS);
+      get.mockResolvedValue({
+        exists: true,
+        data: () => ({
+          ...entry,
+          createdAt: { toDate: () => createdAt },
+          expiresAt: { toDate: () => new Date(createdAt.getTime() + CACHE_TTL_MS[2]) }
+        })
+      });
+
+      const cached = await getCachedAnswer('key-1');
+
+      expect(doc).toHaveBeenCalledWith('key-1');
+      expect(cached).toMatchObject({ answer: entry.answer, createdAt });
+    });
+
+    it('should ignore expired entries and errors', async () => {
+      get.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ ...entry, createdAt: new Date(0), expiresAt: new Date(Date.now() - 1000) })
+      });
+      expect(await getCachedAnswer('key-1')).toBeNull();
+
+      get.mockRejectedValueOnce(new Error('unavailable'));
+      expect(await getCachedAnswer('key-1')).toBeNull();
+    });
+
+    it('should store with the tier TTL and report changed evidence', async () => {
+      get.mockResolvedValue({ exists: true, data: () => ({ evidenceFingerprint: fingerprintSources([{ url: 'https://old.example' }]) }) });
+
+      const result = await storeCachedAnswer({ ...entry, tier: 3 });
+
+      expect(result).toEqual({ evidenceChanged: true });
+      const stored = set.mock.calls[0][0];
+      expect(stored.evidenceFingerprint).toBe(fingerprintSources(entry.sources));
+      expect(stored.expiresAt.getTime() - stored.createdAt.getTime()).toBe(CACHE_TTL_MS[3]);
+    });
+
+    it('should not throw when storing fails', async () => {
+      get.mockResolvedValue({ exists: false });
+      set.mockRejectedValue(new Error('unavailable'));
+
+      await expect(storeCachedAnswer(entry)).resolves.toEqual({ evidenceChanged: false });
+    });
+  });
+
+  describe('buildCachedMarker', () => {
+    it('should name the date the research was done', () => {
+      expect(buildCachedMarker(new Date('2026-03-05T12:00:00Z'))).toContain('2026');
+    });
+  });
+});
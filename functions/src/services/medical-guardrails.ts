@@ -0,0 +1,439 @@
+/**
+ * Medical Safety Guardrails
+ *
+ * Rule-based checks around assistant answers, on top of the prompt-level
+ * instructions in the tier prompts:
+ *
+ * QUESTION (before generation):
+ * - severe_hypoglycemia / severe_hyperglycemia / dka → emergency guidance is sent
+ *   before the answer, whatever tier answers it
+ * - dose_prescription (asks for a specific insulin/medication dose or change)
+ *   → every tier's model is told not to prescribe, and the T1 answer is held back
+ *   until it passes the answer check
+ * - pregnancy → targets and medications differ, caution note added
+ * - drug_interaction (moderate/major interaction between medications in the
+ *   question and the profile, see tools/drug-interactions.ts) → the warnings go
+ *   into the T1/T2 prompt; major ones are also shown as a caution notice
+ *
+ * ANSWER (after generation, every tier):
+ * - dose_prescription sentences ("Lantus dozunu 2 ünite artır") are redacted when
+ *   the T1 answer was held back, otherwise a correction note is appended
+ *
+ * Every intervention is written to `safetyInterventions` for review.
+ * Rules match on folded text (see utils/turkish-text.ts); the Turkish corpus in
+ * __tests__/guardrail-corpus.ts covers each rule.
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { foldTurkish } from '../utils/turkish-text';
+import { InteractionWarning, checkInteractions } from '../tools/drug-interactions';
+import { StreamContext } from '../utils/stream-context';
+import { versionEvent } from '../utils/research-event-protocol';
+
+const INTERVENTIONS_COLLECTION = 'safetyInterventions';
+
+const SEVERE_HYPO_THRESHOLD = 54; // mg/dL - level 2 hypoglycemia
+const SEVERE_HYPER_THRESHOLD = 300; // mg/dL - check ketones, seek care with symptoms
+const MAX_STORED_TEXT = 500;
+
+export type RiskCategory =
+  | 'dose_prescription'
+  | 'severe_hypoglycemia'
+  | 'severe_hyperglycemia'
+  | 'dka'
+  | 'pregnancy'
+  | 'drug_interaction';
+
+export type GuardrailAction =
+  | 'emergency_guidance' // Emergency instructions sent before the answer
+  | 'dose_refusal' // Model instructed not to prescribe a dose
+  | 'pregnancy_caution' // Pregnancy note added
+  | 'interaction_warning' // Major drug interaction notice shown
+  | 'dose_redacted' // Dose prescription removed from a held-back answer
+  | 'dose_flagged'; // Dose prescription found in an already streamed answer
+
+export interface GuardrailMatch {
+  ruleId: string;
+  category: RiskCategory;
+}
+
+export interface QuestionAssessment {
+  matches: GuardrailMatch[];
+  categories: RiskCategory[];
+  emergency: boolean; // Emergency guidance must be sent
+  holdAnswer: boolean; // Check the answer before the user sees it
+  interactions: InteractionWarning[]; // All severities, most severe first
+}
+
+export interface SafetyIntervention {
+  userId: string;
+  tier: number | null;
+  stage: 'question' | 'answer';
+  action: GuardrailAction;
+  categories: RiskCategory[];
+  ruleIds: string[];
+  question: string;
+  excerpt?: string; // Redacted/flagged answer text
+}
+
+interface GuardrailRule {
+  id: string;
+  category: RiskCategory;
+  test: (folded: string) => boolean;
+}
+
+const EMERGENCY_CATEGORIES: RiskCategory[] = ['severe_hypoglycemia', 'severe_hyperglycemia', 'dka'];
+
+// ===== SHARED PATTERNS (folded text) =====
+
+const GLUCOSE_CONTEXT = /(seker|glukoz|olcum|olctum|deger|cgm|sensor|libre|dexcom)\w*\D{0,20}$/;
+const NON_GLUCOSE_UNIT = /^\s*(unite|u\b|iu|gr|gram|g\b|dk|dakika|saat|yas|kg|kilo|mg\b(?!\s*\/)|%|tablet|hafta|gun|yil|karbonhidrat)/;
+
+const HYPO_CONTEXT = /hipo|seker\w*\s+(cok\s+)?(dustu|dusuk|dusuyor|dusmus)|dusuk seker/;
+const HYPER_CONTEXT = /hiper|seker\w*\s+(cok\s+)?(yuksek|yukseldi|cikti|fırladı|firladi)/;
+const SEVERE_SYMPTOMS = /bayil|bilinc\w*\s+(kayb|kapan|bulan|yerinde degil)|uyandiramiy|uyanmiyor|nobet|kasil|yutamiy|konusamiyor|tepki vermiyor/;
+const KETONE_SIGNS = /kus|bulanti|karin agri|nefes|aseton|meyve gibi|yuksek|pozitif|cikti|\+|mmol/;
+const DKA_SUSPICION = /kus|bulanti|karin agri|nefes|aseton|olabilir mi|yasiyor|giriyor|oluyor|supheleniyor/;
+
+const DOSE_SUBJECT = /doz|unite|insulin|lantus|levemir|tresiba|toujeo|basaglar|novorapid|humalog|apidra|fiasp|bolus|bazal|metformin|glifor|glukofen|jardiance|forxiga|januvia|ozempic|trulicity|gliklazid|diamicron|amaryl/;
+const DOSE_CHANGE_QUESTION = /(artir|azalt|degistir|yukselt|dusur|ayarla|yap|vur|al|ic|kes|birak)\w*\s+(mi|mu)\w*\b/;
+const DOSE_AMOUNT_QUESTION = /kac\s+(unite|u\b|iu|mg|tablet|doz|birim)|ne kadar\s+(insulin|unite|doz|mg|bolus|bazal|yap|vur|al|artir|azalt)|hangi doz|\d+\s*(unite|u|iu|mg)\b[^?]{0,25}\b(mi|mu)\b/;
+const DOSE_QUESTION_EN = /(how many|how much)\s+(units?|insulin|mg)|should i\s+(increase|decrease|change|take|skip)\s+(my\s+)?(insulin|dose|medication)/;
+
+const RECOMMENDATION_VERB = '(artir|azalt|ekle|dusur|cikar|vur|yap|enjekte et|indir|al|kullan)(abilirsin|ebilirsin|malisin|melisin|man|men|in|iniz|)\\b';
+const DOSE_PRESCRIPTION_PATTERNS = [
+  // "2 ünite artır", "dozunu 12 üniteye çıkar", "500 mg metformin al"
+  new RegExp(`\\b\\d+([.,]\\d+)?\\s*(unite|iu|mg)\\w*[^.\\n]{0,40}?\\b${RECOMMENDATION_VERB}`),
+  // "Lantus dozunu %10 artır"
+  new RegExp(`doz\\w*[^.\\n]{0,30}%\\s*\\d+[^.\\n]{0,20}?\\b${RECOMMENDATION_VERB}`)
+];
+
+/**
+ * Glucose values mentioned in the text (numbers next to glucose words or mg/dL)
+ */
+export function extractGlucoseReadings(folded: string): number[] {
+  const readings: number[] = [];
+
+  for (const match of folded.matchAll(/(\d{2,3})(\s*mg\s*\/\s*dl)?/g)) {
+    const index = match.index ?? 0;
+    const after = folded.slice(index + match[0].length, index + match[0].length + 15);
+    const before = folded.slice(Math.max(0, index - 30), index);
+    const hasUnit = Boolean(match[2]);
+
+    if (!hasUnit && NON_GLUCOSE_UNIT.test(after)) continue;
+    if (hasUnit || GLUCOSE_CONTEXT.test(before)) {
+      readings.push(parseInt(match[1], 10));
+    }
+  }
+
+  return readings;
+}
+
+// ===== RULES =====
+
+const QUESTION_RULES: GuardrailRule[] = [
+  {
+    id: 'hypo_low_reading',
+    category: 'severe_hypoglycemia',
+    test: folded => extractGlucoseReadings(folded).some(value => value < SEVERE_HYPO_THRESHOLD)
+  },
+  {
+    id: 'hypo_severe_symptoms',
+    category: 'severe_hypoglycemia',
+    test: folded => HYPO_CONTEXT.test(folded) && SEVERE_SYMPTOMS.test(folded)
+  },
+  {
+    id: 'hyper_high_reading',
+    category: 'severe_hyperglycemia',
+    test: folded => extractGlucoseReadings(folded).some(value => value >= SEVERE_HYPER_THRESHOLD && value <= 999)
+  },
+  {
+    id: 'hyper_meter_hi',
+    category: 'severe_hyperglycemia',
+    test: folded => /\bhi\b\s*(yaziyor|gosteriyor|cikti|diyor)|\b(olcum|cihaz|glukometre)\w*[^.?!]{0,20}\bhi\b/.test(folded)
+  },
+  {
+    id: 'hyper_severe_symptoms',
+    category: 'severe_hyperglycemia',
+    test: folded => HYPER_CONTEXT.test(folded) && (SEVERE_SYMPTOMS.test(folded) || /kus|nefes/.test(folded))
+  },
+  {
+    id: 'dka_ketones',
+    category: 'dka',
+    test: folded => /keton/.test(folded) && KETONE_SIGNS.test(folded.replace(/keton\w*/g, ''))
+  },
+  {
+    id: 'dka_suspected',
+    category: 'dka',
+    test: folded => /ketoasidoz|\bdka\b/.test(folded) && DKA_SUSPICION.test(folded)
+  },
+  {
+    id: 'dose_change_request',
+    category: 'dose_prescription',
+    test: folded => DOSE_SUBJECT.test(folded) && DOSE_CHANGE_QUESTION.test(folded)
+  },
+  {
+    id: 'dose_amount_request',
+    category: 'dose_prescription',
+    test: folded => DOSE_AMOUNT_QUESTION.test(folded) || DOSE_QUESTION_EN.test(folded)
+  },
+  {
+    id: 'pregnancy',
+    category: 'pregnancy',
+    test: folded => /hamile|gebe\b|gebeyim|gebelik|bebek bekliyorum|pregnan|gestasyonel/.test(folded)
+  }
+];
+
+const ANSWER_RULES: GuardrailRule[] = [
+  {
+    id: 'answer_dose_prescription',
+    category: 'dose_prescription',
+    test: folded => DOSE_PRESCRIPTION_PATTERNS.some(pattern => pattern.test(folded))
+  }
+];
+
+function unique<T>(values: T[]): T[] {
+  return [...new Set(values)];
+}
+
+function runRules(rules: GuardrailRule[], text: string): GuardrailMatch[] {
+  const folded = foldTurkish(text);
+  return rules
+    .filter(rule => rule.test(folded))
+    .map(rule => ({ ruleId: rule.id, category: rule.category }));
+}
+
+// ===== QUESTION STAGE =====
+
+/**
+ * Classify an incoming question
+ *
+ * @param question - User's question
+ * @param medications - Profile medications, checked for interactions with the question
+ */
+export function assessQuestion(question: string, medications: string[] = []): QuestionAssessment {
+  const { warnings: interactions } = checkInteractions(question, medications);
+  const matches = [
+    ...runRules(QUESTION_RULES, question),
+    ...interactions
+      .filter(warning => warning.severity !== 'minor')
+      .map(warning => ({ ruleId: `interaction_${warning.id}`, category: 'drug_interaction' as const }))
+  ];
+  const categories = unique(matches.map(match => match.category));
+
+  return {
+    matches,
+    categories,
+    emergency: categories.some(category => EMERGENCY_CATEGORIES.includes(category)),
+    holdAnswer: categories.includes('dose_prescription'),
+    interactions
+  };
+}
+
+/**
+ * Emergency instructions shown before the answer (markdown, Turkish)
+ */
+export function buildEmergencyGuidance(categories: RiskCategory[]): string | null {
+  const sections: string[] = [];
+
+  if (categories.includes('severe_hypoglycemia')) {
+    sections.push(
+      '> **🚨 Ciddi hipoglisemi olabilir.**\n' +
+      '> - Bilinç yerindeyse ve yutabiliyorsa: hemen 15 gram hızlı şeker (meyve suyu, glukoz tableti) al, 15 dakika sonra tekrar ölç.\n' +
+      '> - Bayılma, nöbet ya da yutamama varsa ağızdan hiçbir şey verilmez: glukagon uygulanmalı ve **112** aranmalı.'
+    );
+  }
+
+  if (categories.includes('dka')) {
+    sections.push(
+      '> **🚨 Diyabetik ketoasidoz belirtileri olabilir.**\n' +
+      '> Keton yüksekliğiyle birlikte kusma, karın ağrısı, hızlı/derin nefes veya ağızda aseton kokusu varsa **hemen 112\'yi ara veya acil servise git.** Evde beklemek güvenli değil.'
+    );
+  }
+
+  if (categories.includes('severe_hyperglycemia')) {
+    sections.push(
+      '> **⚠️ Çok yüksek kan şekeri.**\n' +
+      '> Keton ölçebiliyorsan hemen ölç, bol su iç. Kusma, nefes darlığı, bilinç bulanıklığı varsa ya da şeker düşmüyorsa **112\'yi ara veya acil servise git.** Ek insülin dozunu doktorunun verdiği plana göre yap.'
+    );
+  }
+
+  return sections.length > 0 ? sections.join('\n>\n') + '\n\n' : null;
+}
+
+/**
+ * System prompt addendum for the flagged risks
+ */
+export function buildGuardrailInstructions(assessment: QuestionAssessment): string {
+  const lines: string[] = [];
+
+  if (assessment.categories.includes('dose_prescription')) {
+    lines.push(
+      '- Kullanıcı belirli bir insülin/ilaç dozu veya doz değişikliği soruyor. ASLA ünite, mg veya yüzde olarak doz önerme, ' +
+      '"X ünite artır/azalt" gibi talimat verme. Dozu etkileyen faktörleri açıkla ve doz değişikliğini doktoru veya diyabet ' +
+      'hemşiresiyle planlamasını söyle.'
+    );
+  }
+
+  if (assessment.emergency) {
+    lines.push(
+      '- Kullanıcı acil olabilecek bir durum anlatıyor. Yanıtın başında acil adımlar zaten gösterildi; kısa tut, ' +
+      'acil yardım almayı geciktirecek bir şey söyleme.'
+    );
+  }
+
+  if (assessment.categories.includes('pregnancy')) {
+    lines.push(
+      '- Kullanıcı gebelikle ilgili soruyor. Gebelikte hedef değerler ve ilaç güvenliği farklıdır; genel hedefleri ' +
+      'gebeliğe uyarlama ve kadın doğum/endokrinoloji ekibine danışmasını söyle.'
+    );
+  }
+
+  return lines.length > 0 ? `\n\n## GÜVENLİK KURALLARI (bu soru için zorunlu)\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Caution notice for major interactions (markdown, Turkish), null if there are none
+ */
+export function buildInteractionNotice(interactions: InteractionWarning[]): string | null {
+  const major = interactions.filter(warning => warning.severity === 'major');
+  if (major.length === 0) {
+    return null;
+  }
+
+  const lines = major.map(warning => `> - **${warning.names[0]} + ${warning.names[1]}:** ${warning.effect}`);
+  return `> **💊 Önemli ilaç etkileşimi**\n${lines.join('\n')}\n> İlacını kendi başına bırakma; doktoruna veya eczacına danış.`;
+}
+
+export const PREGNANCY_NOTICE =
+  '\n\n> **🤰 Gebelikte** kan şekeri hedefleri ve kullanılabilecek ilaçlar farklıdır. ' +
+  'Herhangi bir değişikliği kadın doğum ve endokrinoloji ekibinle birlikte planla.';
+
+export const DOSE_REDACTION_NOTE = '*(Kişisel doz önerisi kaldırıldı - doz değişikliklerini doktorunla planla.)*';
+
+export const DOSE_CORRECTION_NOTICE =
+  '\n\n> **⚠️ Not:** Bu yanıttaki doz rakamları kişisel bir öneri değildir. ' +
+  'İnsülin veya ilaç dozunu değiştirmeden önce doktoruna ya da diyabet hemşirene danış.';
+
+// ===== ANSWER STAGE =====
+
+/**
+ * Check a generated answer for dose prescriptions
+ */
+export function checkAnswer(answer: string): GuardrailMatch[] {
+  return runRules(ANSWER_RULES, answer);
+}
+
+/**
+ * Replace sentences that prescribe a dose with DOSE_REDACTION_NOTE
+ */
+export function redactDosePrescriptions(answer: string): { text: string; redacted: string[] } {
+  const redacted: string[] = [];
+
+  const text = answer.replace(/[^.!?\n]+[.!?]*/g, sentence => {
+    if (checkAnswer(sentence).length === 0) return sentence;
+    redacted.push(sentence.trim());
+    const leading = sentence.match(/^\s*/)?.[0] ?? '';
+    return `${leading}${DOSE_REDACTION_NOTE}`;
+  });
+
+  return { text, redacted };
+}
+
+// ===== REVIEW LOG =====
+
+/**
+ * Record an intervention for review - never throws
+ */
+export async function recordIntervention(intervention: SafetyIntervention): Promise<void> {
+  try {
+    await getFirestore().collection(INTERVENTIONS_COLLECTION).add({
+      ...intervention,
+      question: intervention.question.substring(0, MAX_STORED_TEXT),
+      ...(intervention.excerpt ? { excerpt: intervention.excerpt.substring(0, MAX_STORED_TEXT) } : {}),
+      reviewed: false,
+      createdAt: new Date()
+    });
+
+    console.log(
+      `🛡️ [GUARDRAILS] ${intervention.action} (${intervention.stage}) for user ${intervention.userId}: ` +
+      `[${intervention.ruleIds.join(', ')}]`
+    );
+  } catch (error) {
+    console.error('❌ [GUARDRAILS] Failed to record intervention:', error);
+  }
+}
+
+// ===== QUESTION STAGE =====
+
+/**
+ * Question-stage guardrails: emergency guidance ahead of any tier's answer,
+ * major drug interaction and pregnancy notices, dose refusal (each tier adds the
+ * refusal rules to its system prompt)
+ * Used by the stream endpoint and by background T3 jobs
+ * Returns the actions taken, all recorded for review
+ */
+export async function applyQuestionGuardrails(
+  ctx: StreamContext,
+  safety: QuestionAssessment,
+  question: string,
+  userId: string,
+  tier: number
+): Promise<GuardrailAction[]> {
+  const actions: GuardrailAction[] = [];
+  if (safety.categories.length === 0) {
+    return actions;
+  }
+
+  const guidance = buildEmergencyGuidance(safety.categories);
+  if (safety.emergency && guidance) {
+    ctx.writeEvent(versionEvent({
+      type: 'safety_notice',
+      severity: 'emergency',
+      categories: safety.categories,
+      message: guidance.trim()
+    }));
+    // Also as answer text so clients without safety_notice support show it
+    ctx.writeEvent(versionEvent({ type: 'token', content: guidance }));
+    actions.push('emergency_guidance');
+  }
+
+  if (safety.categories.includes('dose_prescription')) {
+    actions.push('dose_refusal');
+  }
+
+  const interactionNotice = buildInteractionNotice(safety.interactions);
+  if (interactionNotice) {
+    ctx.writeEvent(versionEvent({
+      type: 'safety_notice',
+      severity: 'caution',
+      categories: ['drug_interaction'],
+      message: interactionNotice
+    }));
+    actions.push('interaction_warning');
+  }
+
+  if (safety.categories.includes('pregnancy')) {
+    ctx.writeEvent(versionEvent({
+      type: 'safety_notice',
+      severity: 'caution',
+      categories: ['pregnancy'],
+      message: PREGNANCY_NOTICE.trim()
+    }));
+    actions.push('pregnancy_caution');
+  }
+
+  for (const action of actions) {
+    await recordIntervention({
+      userId,
+      tier,
+      stage: 'question',
+      action,
+      categories: safety.categories,
+      ruleIds: safety.matches.map(match => match.ruleId),
+      question
+    });
+  }
+
+  return actions;
+}
@@ -0,0 +1,212 @@
+/**
+ * Research Answer Cache (T2/T3)
+ *
+ * Popular questions ("metformin yemekten önce mi sonra mı?") are answered once and
+ * served from Firestore afterwards instead of paying for Exa and Gemini every time.
+ *
+ * KEY:
+ * - The English query from translateToEnglishForAPIs, normalized (lowercase, no
+ *   punctuation/stop words, repeated terms dropped) so wording differences still hit.
+ *   Word order is kept: "insulin before metformin" is not "metformin before insulin"
+ * - Plus the tier and the inputs that change the answer (diabetes type and
+ *   medications from the profile, T3 evidence mode)
+ *
+ * ENTRY:
+ * - Answer text, client sources and research summary
+ * - T3: the citation grounding report, sent again with every hit (T3 answers with
+ *   unsupported claims or invalid citations are not stored)
+ * - evidenceFingerprint (hash of the source URLs) - a refresh reports whether the
+ *   evidence behind the answer changed
+ * - `expiresAt` per tier (T2: 7 days, T3: 30 days) for a Firestore TTL policy;
+ *   expired entries are also ignored on read
+ *
+ * ONLY PERSONAL-CONTEXT-FREE ANSWERS ARE CACHED:
+ * no conversation history, no image, no safety flags or drug interactions (see isCacheable). Answers
+ * written with cross-conversation memory are served from the cache but never stored,
+ * since entries are shared between users.
+ *
+ * Client control via `cache` in the request body: 'use' (default), 'refresh'
+ * (skip the lookup, store the new answer) or 'bypass' (neither read nor write).
+ * Cache failures never fail a request.
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { createHash } from 'crypto';
+import type { GroundingReport } from '../tools/citation-verifier';
+
+const CACHE_COLLECTION = 'researchAnswerCache';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export type CacheMode = 'use' | 'refresh' | 'bypass';
+export type CachedTier = 2 | 3;
+
+export const CACHE_TTL_MS: Record<CachedTier, number> = {
+  2: 7 * DAY_MS, // Web sources change often
+  3: 30 * DAY_MS // Peer-reviewed evidence changes slowly
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'for', 'to', 'with', 'by', 'at', 'from',
+  'is', 'are', 'be', 'it', 'its', 'as', 'vs', 'versus', 'what', 'which', 'how', 'does', 'do',
+  'should', 'can', 'when', 'i', 'my'
+]);
+
+export interface CachedAnswer {
+  key: string;
+  tier: CachedTier;
+  question: string; // Question that produced the answer
+  normalizedQuery: string;
+  answer: string;
+  sources: any[]; // Client sources as sent in the complete event
+  researchSummary: Record<string, unknown> | null;
+  grounding?: GroundingReport | null; // T3 citation check of the answer
+  evidenceFingerprint: string;
+  createdAt: Date;
+  expiresAt: Date;
+}
+
+/**
+ * Read the cache mode from a request body (anything unrecognized is 'use')
+ */
+export function parseCacheMode(value: unknown): CacheMode {
+  return value === 'refresh' || value === 'bypass' ? value : 'use';
+}
+
+/**
+ * Normalize a translated query so equivalent wordings share a key (keeps the term
+ * order, since it can change the question)
+ */
+export function normalizeQuery(englishQuery: string): string {
+  const terms = englishQuery
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 0 && !STOP_WORDS.has(term));
+
+  return [...new Set(terms)].join(' ');
+}
+
+/**
+ * Inputs besides the question that change the answer
+ */
+export interface CacheVariant {
+  diabetesType?: string;
+  medications?: string[]; // Profile medications end up in the synthesis prompt
+  evidenceMode?: string; // T3 only
+}
+
+/**
+ * Cache document id for a tier, normalized query and answer variant
+ */
+export function buildCacheKey(tier: CachedTier, normalizedQuery: string, variant: CacheVariant = {}): string {
+  const medications = (variant.medications ?? []).map(medication => medication.trim().toLowerCase()).sort();
+
+  return createHash('sha256')
+    .update([
+      `t${tier}`,
+      normalizedQuery,
+      variant.diabetesType ?? '',
+      medications.join(','),
+      variant.evidenceMode ?? ''
+    ].join('|'))
+    .digest('hex')
+    .substring(0, 40);
+}
+
+/**
+ * Hash of the sources an answer is based on (order-independent)
+ */
+export function fingerprintSources(sources: Array<{ url?: string | null; title?: string }>): string {
+  const ids = sources.map(source => source.url || source.title || '').sort();
+  return createHash('sha256').update(ids.join('\n')).digest('hex').substring(0, 16);
+}
+
+/**
+ * Whether an answer depends only on the question (and the cache key variant)
+ */
+export function isCacheable(input: {
+  conversationHistory?: Array<{ role: string; content: string; imageBase64?: string }>;
+  hasImage?: boolean;
+  safety?: { categories: string[]; interactions: unknown[] };
+}): boolean {
+  return (input.conversationHistory?.length ?? 0) === 0 &&
+    !input.hasImage &&
+    (input.safety?.categories.length ?? 0) === 0 &&
+    (input.safety?.interactions.length ?? 0) === 0;
+}
+
+function toDate(value: any): Date {
+  return value?.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Look up a cached answer - returns null on miss, expiry or error
+ */
+export async function getCachedAnswer(key: string): Promise<CachedAnswer | null> {
+  try {
+    const snapshot = await getFirestore().collection(CACHE_COLLECTION).doc(key).get();
+    if (!snapshot.exists) {
+      console.log(`🗄️ [RESEARCH-CACHE] Miss: ${key.substring(0, 12)}`);
+      return null;
+    }
+
+    const data = snapshot.data()!;
+    const entry: CachedAnswer = {
+      ...(data as CachedAnswer),
+      createdAt: toDate(data.createdAt),
+      expiresAt: toDate(data.expiresAt)
+    };
+
+    // TTL deletion runs with a delay - never serve an expired answer
+    if (entry.expiresAt.getTime() <= Date.now()) {
+      console.log(`🗄️ [RESEARCH-CACHE] Expired: ${key.substring(0, 12)}`);
+      return null;
+    }
+
+    console.log(`✅ [RESEARCH-CACHE] Hit: ${key.substring(0, 12)} (T${entry.tier}, cached ${entry.createdAt.toISOString()})`);
+    return entry;
+  } catch (error) {
+    console.error('❌ [RESEARCH-CACHE] Lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store an answer - never throws
+ * @returns Whether the evidence changed compared to the entry it replaces
+ */
+export async function storeCachedAnswer(
+  entry: Omit<CachedAnswer, 'createdAt' | 'expiresAt' | 'evidenceFingerprint'>
+): Promise<{ evidenceChanged: boolean }> {
+  try {
+    const ref = getFirestore().collection(CACHE_COLLECTION).doc(entry.key);
+    const previous = await ref.get();
+    const evidenceFingerprint = fingerprintSources(entry.sources);
+    const evidenceChanged = previous.exists && previous.data()?.evidenceFingerprint !== evidenceFingerprint;
+    const now = new Date();
+
+    await ref.set({
+      ...entry,
+      evidenceFingerprint,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + CACHE_TTL_MS[entry.tier])
+    });
+
+    console.log(
+      `🗄️ [RESEARCH-CACHE] Stored T${entry.tier} answer ${entry.key.substring(0, 12)} ` +
+      `(${entry.sources.length} sources${evidenceChanged ? ', evidence changed' : ''})`
+    );
+    return { evidenceChanged };
+  } catch (error) {
+    console.error('❌ [RESEARCH-CACHE] Store failed:', error);
+    return { evidenceChanged: false };
+  }
+}
+
+/**
+ * "Cached on" note appended to a served answer (Turkish)
+ */
+export function buildCachedMarker(cachedAt: Date): string {
+  const date = cachedAt.toLocaleDateString('tr-TR', { day: 'numeric', month: 'long', year: 'numeric' });
+  return `\n\n*🗄️ Bu yanıt ${date} tarihli araştırmadan getirildi. Güncel kaynaklarla yeniden araştırmak için yenileyebilirsin.*`;
+}
@@ -0,0 +1,78 @@
+/**
+ * Tests for the shared research SSE event protocol
+ */
+
+import { checkResearchEvent, RESEARCH_EVENTS_PROTOCOL_VERSION } from '../research-events';
+import { versionEvent } from '../../utils/research-event-protocol';
+
+describe('research-events', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkResearchEvent', () => {
+    it('should accept events emitted by the stream and deep research', () => {
+      const events = [
+        { v: 1, type: 'tier_selected', tier: 3, reasoning: 'Derin araştırma', confidence: 1, requested: true },
+        { v: 1, type: 'round_started', round: 2, query: 'dawn phenomenon', estimatedSources: 15, sequence: 20 },
+        { v: 1, type: 'api_completed', api: 'pubmed', count: 4, duration: 820, message: 'PubMed', success: true },
+        { type: 'token', content: 'Merhaba' } // Servers before versioning
+      ];
+
+      for (const event of events) {
+        expect(checkResearchEvent(event)).toMatchObject({ ok: true });
+      }
+    });
+
+    it('should report unknown event types', () => {
+      expect(checkResearchEvent({ type: 'round_paused', round: 1 })).toMatchObject({
+        ok: false,
+        reason: 'unknown_type'
+      });
+      expect(checkResearchEvent({ content: 'no type' })).toMatchObject({ ok: false, reason: 'unknown_type' });
+    });
+
+    it('should report malformed events with the offending field', () => {
+      const check = checkResearchEvent({ v: 1, type: 'round_started', round: '2', query: 'x', estimatedSources: 15 });
+
+      expect(check.ok).toBe(false);
+      if (!check.ok) {
+        expect(check.reason).toBe('malformed');
+        expect(check.message).toContain('round');
+        expect(check.message).toContain('sequence');
+      }
+    });
+
+    it('should keep fields it does not know and warn about other protocol versions', () => {
+      const check = checkResearchEvent({ v: 2, type: 'token', content: 'a', language: 'tr' });
+
+      expect(check.ok).toBe(true);
+      if (check.ok) {
+        expect(check.event).toMatchObject({ language: 'tr' });
+        expect(check.warning).toContain('v2');
+      }
+    });
+  });
+
+  describe('versionEvent', () => {
+    it('should stamp the protocol version', () => {
+      expect(versionEvent({ type: 'routing', message: 'Soru analiz ediliyor...' })).toEqual({
+        v: RESEARCH_EVENTS_PROTOCOL_VERSION,
+        type: 'routing',
+        message: 'Soru analiz ediliyor...'
+      });
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should warn but still return events that break the schema', () => {
+      const event = versionEvent({ type: 'synthesis_started', totalRounds: 2, totalSources: 30 } as any);
+
+      expect(event.type).toBe('synthesis_started');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('[SSE-SCHEMA] Malformed synthesis_started'));
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Research SSE Event Protocol
+ *
+ * Single definition of every event the research endpoints stream:
+ * - diabetes-assistant-stream.ts (writeSSE) and flows/deep-research-v2.ts (emitSSE) emit them
+ * - research-xray (cli-tool/src/collectors/research-interceptor.ts) parses them
+ *
+ * Every emitted event carries `v` (RESEARCH_EVENTS_PROTOCOL_VERSION). Bump the
+ * version when an existing event changes shape; adding a new event type or an
+ * optional field does not need a bump.
+ *
+ * This file is compiled into both packages - keep it free of firebase/genkit
+ * imports (zod only).
+ */
+
+import { z } from 'zod';
+
+export const RESEARCH_EVENTS_PROTOCOL_VERSION = 1;
+
+const protocolVersion = z.number().int().positive().optional();
+
+// Research source id from the functions source registry (pubmed, medrxiv, clinicaltrials, exa, ...)
+const researchApi = z.string();
+
+const topSource = z.object({
+  index: z.number(),
+  title: z.string(),
+  url: z.string(),
+  domain: z.string()
+});
+
+export const researchPlanSchema = z.object({
+  estimatedRounds: z.number(),
+  strategy: z.string(),
+  focusAreas: z.array(z.string())
+});
+
+export const researchReflectionSchema = z.object({
+  evidenceQuality: z.enum(['low', 'medium', 'high']),
+  gapsIdentified: z.array(z.string()),
+  shouldContinue: z.boolean(),
+  reasoning: z.string()
+});
+
+/**
+ * Define an event: `type` literal + payload, all events accept the protocol version
+ */
+function event<T extends string, S extends z.ZodRawShape>(type: T, shape: S) {
+  return z.object({ v: protocolVersion, type: z.literal(type), ...shape });
+}
+
+// ===== STREAM LIFECYCLE =====
+
+const streamStarted = event('stream_started', {
+  streamId: z.string(),
+  resumeToken: z.string(),
+  messageId: z.string()
+});
+const streamResumed = event('stream_resumed', { streamId: z.string(), replayedFrom: z.number() });
+
+// ===== ROUTING =====
+
+const routing = event('routing', { message: z.string() });
+const tierSelected = event('tier_selected', {
+  tier: z.number().int().min(0).max(3),
+  reasoning: z.string(),
+  confidence: z.number(),
+  requested: z.boolean().optional(),
+  upgradeFromMessageId: z.string().optional()
+});
+const safetyNotice = event('safety_notice', {
+  severity: z.enum(['emergency', 'caution']),
+  categories: z.array(z.string()),
+  message: z.string()
+});
+const cachedAnswer = event('cached_answer', {
+  tier: z.number().int().min(2).max(3),
+  cachedAt: z.string(),
+  expiresAt: z.string(),
+  message: z.string()
+});
+
+// ===== MEMORY / RECALL (T0) =====
+
+const searchingMemory = event('searching_memory', { message: z.string() });
+const recallSearching = event('recall_searching', { message: z.string(), searchTerms: z.string() });
+const recallResults = event('recall_results', { matchCount: z.number(), sources: z.array(z.any()) });
+const recallFallback = event('recall_fallback', { message: z.string() });
+
+// ===== SEARCH (T2) =====
+
+const searching = event('searching', { source: z.enum(['exa', 'pubmed', 'clinicaltrials']) });
+const searchComplete = event('search_complete', { count: z.number(), source: z.string() });
+const sourcesReady = event('sources_ready', { sources: z.array(z.any()) });
+const extractingKeywords = event('extracting_keywords', {});
+const keywordsExtracted = event('keywords_extracted', { keywords: z.string() });
+
+const t2QueryEnrichmentStarted = event('t2_query_enrichment_started', { message: z.string() });
+const t2QueryEnrichmentComplete = event('t2_query_enrichment_complete', {
+  enrichedQuery: z.string(),
+  contextUsed: z.boolean(),
+  originalQuery: z.string().optional(),
+  duration: z.number().optional()
+});
+const t2TranslationStarted = event('t2_translation_started', { message: z.string() });
+const t2TranslationComplete = event('t2_translation_complete', {
+  originalQuery: z.string(),
+  translatedQuery: z.string(),
+  duration: z.number()
+});
+const t2SourceAnalysisStarted = event('t2_source_analysis_started', { message: z.string() });
+const t2SourceAnalysisComplete = event('t2_source_analysis_complete', {
+  totalSources: z.number(),
+  breakdown: z.object({ exa: z.number() })
+});
+
+// ===== RESEARCH PROGRESS (T2/T3) =====
+
+const researchStage = event('research_stage', {
+  stage: z.enum(['starting', 'scanning', 'fetching', 'synthesizing']),
+  message: z.string()
+});
+const apiStarted = event('api_started', {
+  api: researchApi,
+  count: z.number(),
+  message: z.string(),
+  query: z.string().optional(),
+  meshTerms: z.array(z.string()).optional(),
+  timeoutMs: z.number().optional(),
+  adaptiveTimeout: z.boolean().optional()
+});
+const apiCompleted = event('api_completed', {
+  api: researchApi,
+  count: z.number(),
+  duration: z.number(),
+  message: z.string(),
+  success: z.boolean(),
+  searchQuery: z.string().optional(),
+  topSources: z.array(topSource).optional(),
+  timedOut: z.boolean().optional()
+});
+const sourceSkipped = event('source_skipped', {
+  api: researchApi,
+  reason: z.literal('circuit_open'),
+  retryAt: z.string().optional(),
+  reallocated: z.record(z.string(), z.number()),
+  message: z.string()
+});
+const researchProgress = event('research_progress', {
+  fetched: z.number(),
+  total: z.number(),
+  message: z.string()
+});
+
+// ===== DEEP RESEARCH ROUNDS (T3) =====
+// `sequence` orders T3 stages for the app: planning 0-1 (budget 2), round N at N*10 (+5 complete,
+// +6/+7 reflection, +8 budget), source selection 200, synthesis preparation 210, synthesis 220
+
+const planningStarted = event('planning_started', { message: z.string(), sequence: z.number() });
+const planningComplete = event('planning_complete', { plan: researchPlanSchema, sequence: z.number() });
+const roundStarted = event('round_started', {
+  round: z.number(),
+  query: z.string(),
+  estimatedSources: z.number(),
+  sequence: z.number()
+});
+const roundComplete = event('round_complete', {
+  round: z.number(),
+  sourceCount: z.number(),
+  duration: z.number(),
+  sources: z.array(z.any()),
+  status: z.enum(['complete', 'partial', 'failed']),
+  sequence: z.number()
+});
+const researchBudget = event('research_budget', {
+  decision: z.enum(['planned', 'continue', 'stop']),
+  budgetUSD: z.number(),
+  spentUSD: z.number(),
+  remainingUSD: z.number(),
+  elapsedMs: z.number(),
+  remainingMs: z.number(),
+  nextRoundCostUSD: z.number().optional(),
+  message: z.string(),
+  sequence: z.number()
+});
+const sourceFound = event('source_found', { title: z.string(), sourceType: z.string() });
+const evidenceConflicts = event('evidence_conflicts', {
+  round: z.number(),
+  conflicts: z.array(z.object({
+    topic: z.string(), // "intervention → outcome"
+    directions: z.array(z.enum(['benefit', 'harm', 'no_effect', 'mixed'])),
+    sourceCount: z.number(),
+    populationDiffers: z.boolean()
+  })),
+  message: z.string()
+});
+const reflectionStarted = event('reflection_started', { round: z.number(), sequence: z.number() });
+const reflectionComplete = event('reflection_complete', {
+  round: z.number(),
+  reflection: researchReflectionSchema,
+  sequence: z.number()
+});
+const sourceSelectionStarted = event('source_selection_started', { message: z.string(), sequence: z.number() });
+const synthesisPreparation = event('synthesis_preparation', { message: z.string(), sequence: z.number() });
+const synthesisStarted = event('synthesis_started', {
+  totalRounds: z.number(),
+  totalSources: z.number(),
+  sequence: z.number()
+});
+
+// ===== ANSWER =====
+
+const generating = event('generating', { message: z.string() });
+const verifyingCitations = event('verifying_citations', { message: z.string(), citedSources: z.number() });
+const token = event('token', { content: z.string() });
+const answerComplete = event('answer_complete', { metadata: z.any() });
+const complete = event('complete', {
+  sources: z.array(z.any()),
+  metadata: z.any(),
+  researchSummary: z.any().optional(),
+  processingTier: z.string().optional(),
+  thinkingSummary: z.string().optional()
+});
+const error = event('error', { message: z.string() });
+
+export const researchEventSchema = z.discriminatedUnion('type', [
+  streamStarted,
+  streamResumed,
+  routing,
+  tierSelected,
+  safetyNotice,
+  cachedAnswer,
+  searchingMemory,
+  recallSearching,
+  recallResults,
+  recallFallback,
+  searching,
+  searchComplete,
+  sourcesReady,
+  extractingKeywords,
+  keywordsExtracted,
+  t2QueryEnrichmentStarted,
+  t2QueryEnrichmentComplete,
+  t2TranslationStarted,
+  t2TranslationComplete,
+  t2SourceAnalysisStarted,
+  t2SourceAnalysisComplete,
+  researchStage,
+  apiStarted,
+  apiCompleted,
+  sourceSkipped,
+  researchProgress,
+  planningStarted,
+  planningComplete,
+  roundStarted,
+  roundComplete,
+  researchBudget,
+  sourceFound,
+  evidenceConflicts,
+  reflectionStarted,
+  reflectionComplete,
+  sourceSelectionStarted,
+  synthesisPreparation,
+  synthesisStarted,
+  generating,
+  verifyingCitations,
+  token,
+  answerComplete,
+  complete,
+  error
+]);
+
+export type ResearchEvent = z.infer<typeof researchEventSchema>;
+export type ResearchEventType = ResearchEvent['type'];
+
+/**
+ * Narrow the union to one event type: ResearchEventOf<'round_started'>
+ */
+export type ResearchEventOf<T extends ResearchEventType> = Extract<ResearchEvent, { type: T }>;
+
+export const RESEARCH_EVENT_TYPES: ReadonlySet<string> = new Set(
+  researchEventSchema.options.map(option => option.shape.type.value)
+);
+
+export type ResearchEventCheck =
+  | { ok: true; event: ResearchEvent; warning?: string }
+  | { ok: false; reason: 'unknown_type' | 'malformed'; message: string };
+
+/**
+ * Check an event against the protocol
+ *
+ * - unknown_type: `type` missing or not part of this protocol version
+ * - malformed: known type, payload doesn't match its schema
+ * - warning (still ok): event was emitted with a different protocol version
+ */
+export function checkResearchEvent(raw: unknown): ResearchEventCheck {
+  const type = (raw as { type?: unknown } | null)?.type;
+
+  if (typeof type !== 'string' || !RESEARCH_EVENT_TYPES.has(type)) {
+    return { ok: false, reason: 'unknown_type', message: `Unknown event type: ${String(type)}` };
+  }
+
+  const result = researchEventSchema.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    return { ok: false, reason: 'malformed', message: `Malformed ${type} event - ${issues}` };
+  }
+
+  // Return the event as received - zod would strip fields added by a newer server
+  const event = raw as ResearchEvent;
+  const version = result.data.v;
+  if (version !== undefined && version !== RESEARCH_EVENTS_PROTOCOL_VERSION) {
+    return {
+      ok: true,
+      event,
+      warning: `${type} event uses protocol v${version}, expected v${RESEARCH_EVENTS_PROTOCOL_VERSION}`
+    };
+  }
+
+  return { ok: true, event };
+}
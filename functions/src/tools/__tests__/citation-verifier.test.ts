@@ -0,0 +1,152 @@
+/**
+ * Tests for citation-verifier
+ */
+
+import {
+  extractCitationIds,
+  extractCitedClaims,
+  verifyCitations
+} from '../citation-verifier';
+import { SelectedSource } from '../source-selector';
+import { ai } from '../../genkit-instance';
+import { logTokenUsage } from '../../cost-tracking/cost-tracker';
+import { ResearchCancelledError } from '../../utils/abort';
+
+jest.mock('../../genkit-instance', () => ({
+  ai: { generate: jest.fn() }
+}));
+
+jest.mock('../../providers', () => ({
+  getRouterModel: () => 'googleai/gemini-2.5-flash-lite'
+}));
+
+jest.mock('../../cost-tracking/cost-tracker', () => ({
+  logTokenUsage: jest.fn()
+}));
+
+function selected(id: number, summary: string): SelectedSource {
+  return {
+    id,
+    source: { title: `Study ${id}` },
+    relevanceScore: 80,
+    sourceType: 'pubmed',
+    citation: `Author et al. (2024). Study ${id}. Diabetes Care.`,
+    summary,
+    credibilityBadge: 'highly_credible',
+    estimatedTokens: 100
+  };
+}
+
+const SOURCES = [
+  selected(1, 'Metformin lowered HbA1c by 1.1% compared with placebo over 24 weeks.'),
+  selected(2, 'Dawn phenomenon occurred in about half of people with type 1 diabetes.')
+];
+
+const ANSWER = `## Metformin
+
+Metformin HbA1c değerini yaklaşık %1,1 düşürür [1]. Tip 1 diyabetlilerin yarısında dawn fenomeni görülür [2].
+- Metformin kilo kaybını da garanti eder [1][9].
+Bu bilgiler genel bir özettir ve doktorunuzla konuşmalısınız.`;
+
+function mockVerdicts(results: Array<{ claim: number; verdict: string; reason?: string }>) {
+  (ai.generate as jest.Mock).mockResolvedValue({
+    text: JSON.stringify({ results }),
+    usage: { inputTokens: 500, outputTokens: 60 }
+  });
+}
+
+describe('citation-verifier', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('extractCitationIds', () => {
+    it('should read single, grouped and ranged markers', () => {
+      expect(extractCitationIds('A [1][3] b [3, 7] c [4-6].')).toEqual([1, 3, 7, 4, 5, 6]);
+    });
+
+    it('should not expand implausible ranges', () => {
+      expect(extractCitationIds('bkz. [2-40]')).toEqual([2]);
+    });
+  });
+
+  describe('extractCitedClaims', () => {
+    it('should pair each sentence with its citations and count uncited sentences', () => {
+      const { claims, uncitedCount } = extractCitedClaims(ANSWER);
+
+      expect(claims).toEqual([
+        { sentence: 'Metformin HbA1c değerini yaklaşık %1,1 düşürür.', citations: [1] },
+        { sentence: 'Tip 1 diyabetlilerin yarısında dawn fenomeni görülür.', citations: [2] },
+        { sentence: 'Metformin kilo kaybını da garanti eder.', citations: [1, 9] }
+      ]);
+      expect(uncitedCount).toBe(1);
+    });
+  });
+
+  describe('verifyCitations', () => {
+    it('should score the answer from the verdicts and list unsupported claims', async () => {
+      mockVerdicts([
+        { claim: 1, verdict: 'supported' },
+        { claim: 2, verdict: 'partial', reason: 'Source says about half' },
+        { claim: 3, verdict: 'unsupported', reason: 'Weight loss not mentioned' }
+      ]);
+
+      const report = await verifyCitations(ANSWER, SOURCES, { userId: 'user-1' });
+
+      expect(report).toMatchObject({
+        verified: true,
+        groundingScore: 0.5,
+        citedSentences: 3,
+        uncitedSentences: 1,
+        supported: 1,
+        partial: 1,
+        unsupported: 1,
+        invalidCitations: [9],
+        unsupportedClaims: [
+          { sentence: 'Metformin kilo kaybını da garanti eder.', citations: [1, 9], reason: 'Weight loss not mentioned' }
+        ]
+      });
+      expect(logTokenUsage).toHaveBeenCalledWith(expect.objectContaining({ inputTokens: 500, userId: 'user-1' }));
+    });
+
+    it('should only send the cited abstracts to the model', async () => {
+      mockVerdicts([{ claim: 1, verdict: 'supported' }]);
+
+      await verifyCitations('Metformin HbA1c değerini düşürür [1].', SOURCES);
+
+      const { prompt } = (ai.generate as jest.Mock).mock.calls[0][0];
+      expect(prompt).toContain('Metformin lowered HbA1c');
+      expect(prompt).not.toContain('Dawn phenomenon');
+    });
+
+    it('should mark claims citing only unknown sources unsupported without a model call', async () => {
+      const report = await verifyCitations('Bu etki kanıtlanmıştır [12].', SOURCES);
+
+      expect(ai.generate).not.toHaveBeenCalled();
+      expect(report.groundingScore).toBe(0);
+      expect(report.unsupportedClaims[0].reason).toBe('Cited source does not exist');
+    });
+
+    it('should report an unverified answer when the model check fails', async () => {
+      (ai.generate as jest.Mock).mockResolvedValue({ text: 'not json' });
+
+      const report = await verifyCitations(ANSWER, SOURCES);
+
+      expect(report.verified).toBe(false);
+      expect(report.groundingScore).toBeNull();
+      expect(report.citedSentences).toBe(3);
+      expect(report.invalidCitations).toEqual([9]);
+    });
+
+    it('should stop with a cancellation when the client disconnects', async () => {
+      const controller = new AbortController();
+      (ai.generate as jest.Mock).mockImplementation(async () => {
+        controller.abort();
+        throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+      });
+
+      await expect(verifyCitations(ANSWER, SOURCES, { signal: controller.signal }))
+        .rejects.toBeInstanceOf(ResearchCancelledError);
+    });
+  });
+});
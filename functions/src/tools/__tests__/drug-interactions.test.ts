@@ -0,0 +1,106 @@
+/**
+ * Tests for brand resolution and interaction lookup against the bundled dataset
+ */
+
+import {
+  checkInteractions,
+  findMedications,
+  formatInteractionsForPrompt,
+  getInteractionDataset,
+  setInteractionDataset
+} from '../drug-interactions';
+
+describe('drug interactions', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findMedications', () => {
+    it('should resolve Turkish brand names to active ingredients', () => {
+      expect(findMedications('Janumet ve Glifor kullanıyorum')).toEqual([
+        { term: 'janumet', brand: 'Janumet', ingredients: ['sitagliptin', 'metformin'], fromProfile: false },
+        { term: 'glifor', brand: 'Glifor', ingredients: ['metformin'], fromProfile: false }
+      ]);
+    });
+
+    it('should prefer the longest brand and accept Turkish suffixes', () => {
+      expect(findMedications("Galvusmet'i bırakıp Galvus'a geçtim").map(match => match.brand))
+        .toEqual(['Galvusmet', 'Galvus']);
+      expect(findMedications('Metformini alkolle alabilir miyim?').map(match => match.ingredients[0]))
+        .toEqual(['metformin', 'alcohol']);
+    });
+
+    it('should not match short terms inside other words', () => {
+      expect(findMedications('Biraz tarçın yedim')).toEqual([
+        expect.objectContaining({ ingredients: ['cinnamon'] })
+      ]);
+    });
+  });
+
+  describe('checkInteractions', () => {
+    it('should warn about interactions between medications in the question', () => {
+      const result = checkInteractions('Glifor kullanırken rakı içebilir miyim?');
+
+      expect(result.warnings).toEqual([
+        expect.objectContaining({
+          id: 'metformin-alcohol',
+          severity: 'major',
+          names: ['Glifor (Metformin)', 'Alkol'],
+          source: 'FDA ilaç prospektüsü (openFDA): metformin'
+        })
+      ]);
+      expect(result.datasetVersion).toBe(getInteractionDataset().version);
+    });
+
+    it('should match drug classes and combine the question with profile medications', () => {
+      const result = checkInteractions('Doktor Klacid verdi, sorun olur mu?', ['Amaryl 2 mg', 'Lantus']);
+
+      expect(result.warnings.map(warning => [warning.id, warning.severity])).toEqual([
+        ['sulfonylurea-cyp-inhibitors', 'major']
+      ]);
+      expect(result.warnings[0].names).toEqual(['Klacid (Klaritromisin)', 'Amaryl (Glimepirid)']);
+    });
+
+    it('should ignore pairs that only come from the profile', () => {
+      expect(checkInteractions('Metformin nasıl etki eder?', ['Amaryl', 'Beloc']).warnings).toEqual([]);
+      expect(checkInteractions('Kahvaltıda ne yemeliyim?', ['Glifor', 'alkol']).medications).toEqual([]);
+    });
+
+    it('should order warnings by severity', () => {
+      const result = checkInteractions('B12, Jardiance ve Glifor kullanırken alkol içilir mi?');
+
+      expect(result.warnings.map(warning => warning.id)).toEqual(['metformin-alcohol', 'sglt2-alcohol', 'metformin-b12']);
+    });
+  });
+
+  describe('formatInteractionsForPrompt', () => {
+    it('should number warnings for citation', () => {
+      const { warnings } = checkInteractions('Glifor ile bira ve B12 takviyesi');
+      const block = formatInteractionsForPrompt(warnings);
+
+      expect(block).toContain('[E1] CİDDİ - Glifor (Metformin) + Alkol');
+      expect(block).toContain('[E2] HAFİF - Glifor (Metformin) + B12 vitamini');
+      expect(formatInteractionsForPrompt([])).toBe('');
+    });
+  });
+
+  describe('setInteractionDataset', () => {
+    const bundled = getInteractionDataset();
+
+    afterEach(() => setInteractionDataset(bundled));
+
+    it('should use an updated dataset', () => {
+      setInteractionDataset({
+        ...bundled,
+        version: 'test',
+        brands: { ...bundled.brands, Yenimet: ['metformin'] }
+      });
+
+      expect(checkInteractions('Yenimet ve alkol').warnings[0]).toMatchObject({ names: ['Yenimet (Metformin)', 'Alkol'] });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for Europe PMC full-text extraction and the full-text token budget
+ */
+
+import { extractFullTextSections, OpenAccessFullText } from '../europe-pmc';
+import { selectSourcesForSynthesis } from '../source-selector';
+import { RankedSource } from '../source-ranker';
+import { pubmedSource } from '../research-sources/pubmed';
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+jest.mock('../arxiv-search', () => ({}));
+
+const JATS = `<?xml version="1.0"?>
+<article>
+  <front><article-meta><abstract><p>Structured abstract that should not be used as a section.</p></abstract></article-meta></front>
+  <body>
+    <sec id="s1"><title>Introduction</title><p>The dawn phenomenon is an early-morning rise in blood glucose without hypoglycemia.</p></sec>
+    <sec id="s2" sec-type="materials|methods"><title>Materials and Methods</title>
+      <sec><title>Participants</title><p>We enrolled 64 adults with type 1 diabetes using insulin pumps <xref ref-type="bibr" rid="b1">[1]</xref>.</p></sec>
+      <fig id="f1"><caption><p>Study flow chart with all screened and enrolled participants.</p></caption></fig>
+    </sec>
+    <sec id="s3"><title>Results</title>
+      <p>Fasting glucose fell by 21 mg/dL (95% CI 15&#x2013;27) with the programmed basal increase.</p>
+      <table-wrap><table><tr><td>Table content that must not appear in the output</td></tr></table></table-wrap>
+      <p>Short.</p>
+    </sec>
+    <sec id="s4"><title>Discussion</title><p>Our findings agree with earlier closed-loop studies &amp; extend them to pump users.</p></sec>
+    <sec id="s5"><title>Conclusions</title><p>An early-morning basal increase is a simple and effective way to counter the dawn phenomenon.</p></sec>
+  </body>
+</article>`;
+
+const FULL_TEXT: OpenAccessFullText = {
+  pmcid: 'PMC1',
+  url: 'https://europepmc.org/article/PMC/PMC1',
+  sections: [
+    { name: 'methods', title: 'Methods', paragraphs: ['M'.repeat(2400)] },
+    { name: 'results', title: 'Results', paragraphs: ['Results sentence one. '.repeat(40), 'R'.repeat(4000)] },
+    { name: 'conclusions', title: 'Conclusions', paragraphs: ['Conclusion paragraph about the dawn phenomenon. '.repeat(5)] }
+  ]
+};
+
+function rankedArticle(pmid: string, relevanceScore: number, fullText?: OpenAccessFullText): RankedSource {
+  const document = pubmedSource.normalize({
+    pmid,
+    title: `Dawn phenomenon study ${pmid}`,
+    authors: ['Author A'],
+    abstract: `Abstract for ${pmid}`,
+    journal: 'Diabetes Care',
+    publishDate: '2023-01-01',
+    doi: null,
+    url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+    citationCount: null,
+    articleType: 'RCT',
+    meshTerms: []
+  });
+  document.fullText = fullText;
+
+  return { source: document.raw, relevanceScore, reasoning: '', sourceType: 'pubmed', document };
+}
+
+describe('extractFullTextSections', () => {
+  it('should extract methods, results and conclusions from JATS XML', () => {
+    const sections = extractFullTextSections(JATS);
+
+    expect(sections.map(section => section.name)).toEqual(['methods', 'results', 'conclusions']);
+    expect(sections[0].paragraphs).toEqual(['We enrolled 64 adults with type 1 diabetes using insulin pumps.']);
+    expect(sections[1].paragraphs).toEqual(['Fasting glucose fell by 21 mg/dL (95% CI 15–27) with the programmed basal increase.']);
+  });
+
+  it('should put a conclusions section before the discussion', () => {
+    const conclusions = extractFullTextSections(JATS)[2];
+
+    expect(conclusions.title).toBe('Conclusions / Discussion');
+    expect(conclusions.paragraphs[0]).toMatch(/^An early-morning basal increase/);
+    expect(conclusions.paragraphs[1]).toContain('studies & extend them');
+  });
+
+  it('should return nothing for documents without a body', () => {
+    expect(extractFullTextSections('<article><front/></article>')).toEqual([]);
+  });
+});
+
+describe('selectSourcesForSynthesis full text', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should add full-text excerpts within the per-source and total budgets', async () => {
+    const result = await selectSourcesForSynthesis(
+      [rankedArticle('1', 90, FULL_TEXT), rankedArticle('2', 85), rankedArticle('3', 80, FULL_TEXT), rankedArticle('4', 75, FULL_TEXT)],
+      { fullTextTokenBudget: 600, maxFullTextTokensPerSource: 800, enableSemanticDedup: false }
+    );
+
+    const [first, second, third, fourth] = result.selectedSources;
+
+    // Results first, then conclusions; methods did not fit
+    expect(first.fullText?.map(chunk => chunk.section)).toEqual(['results', 'conclusions']);
+    expect(second.fullText).toBeUndefined();
+    expect(third.fullText?.map(chunk => chunk.section)).toEqual(['results']);
+    expect(fourth.fullText).toBeUndefined();
+
+    expect(result.fullTextSourceCount).toBe(2);
+    expect(result.fullTextTokens).toBeLessThanOrEqual(600);
+    expect(result.totalTokens).toBe(
+      result.selectedSources.reduce((sum, source) => sum + source.estimatedTokens, 0)
+    );
+  });
+
+  it('should skip full text when the budget is 0', async () => {
+    const result = await selectSourcesForSynthesis([rankedArticle('1', 90, FULL_TEXT)], { fullTextTokenBudget: 0 });
+
+    expect(result.selectedSources[0].fullText).toBeUndefined();
+    expect(result.fullTextTokens).toBe(0);
+  });
+});
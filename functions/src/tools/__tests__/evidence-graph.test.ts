@@ -0,0 +1,209 @@
+/**
+ * Tests for cross-round evidence claims and contradiction detection
+ */
+
+import { ai } from '../../genkit-instance';
+import {
+  EvidenceClaim,
+  EvidenceGraph,
+  citableConflicts,
+  evidenceDocumentKey,
+  extractEvidenceClaims,
+  formatConflictsForSynthesis,
+  normalizeTopic,
+  parseClaims
+} from '../evidence-graph';
+import { ResearchDocument } from '../research-sources';
+import { SelectedSource } from '../source-selector';
+
+jest.mock('../../genkit-instance', () => ({
+  ai: { generate: jest.fn() }
+}));
+
+jest.mock('../../providers', () => ({
+  getRouterModel: () => 'googleai/gemini-2.5-flash-lite'
+}));
+
+function doc(id: string, title: string, abstract = 'Results were reported.'): ResearchDocument {
+  return {
+    sourceId: 'pubmed',
+    id,
+    identifier: { type: 'pubmed', value: id },
+    title,
+    abstract,
+    url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+    domain: 'pubmed.ncbi.nlm.nih.gov',
+    publishDate: '2024-01-01',
+    authors: [],
+    venue: null,
+    raw: {}
+  };
+}
+
+function claim(documentKey: string, direction: EvidenceClaim['direction'], overrides: Partial<EvidenceClaim> = {}): EvidenceClaim {
+  return {
+    documentKey,
+    title: documentKey,
+    round: 1,
+    topic: 'metformin → hba1c',
+    claim: `${direction} finding`,
+    direction,
+    population: 'adults with type 2 diabetes',
+    studyType: 'observational',
+    ...overrides
+  };
+}
+
+function selected(id: number, document: ResearchDocument): SelectedSource {
+  return {
+    id,
+    source: document.raw,
+    relevanceScore: 80,
+    sourceType: document.sourceId,
+    document,
+    citation: document.title,
+    summary: document.abstract,
+    credibilityBadge: 'highly_credible',
+    estimatedTokens: 100
+  };
+}
+
+describe('evidence-graph', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    (ai.generate as jest.Mock).mockReset();
+  });
+
+  describe('EvidenceGraph', () => {
+    it('should detect opposite directions on the same topic', () => {
+      const graph = new EvidenceGraph();
+      graph.addClaims([
+        claim('a', 'benefit', { studyType: 'rct' }),
+        claim('b', 'benefit'),
+        claim('c', 'no_effect', { round: 2 }),
+        claim('d', 'mixed')
+      ]);
+
+      const [conflict] = graph.findContradictions();
+
+      expect(conflict).toMatchObject({ topic: 'metformin → hba1c', populationDiffers: false, firstRound: 2 });
+      expect(conflict.sides.map(side => [side.direction, side.claims.length, side.strongestLevel])).toEqual([
+        ['benefit', 2, 'rct'],
+        ['no_effect', 1, 'observational']
+      ]);
+    });
+
+    it('should not report agreement or mixed findings as conflicts', () => {
+      const graph = new EvidenceGraph();
+      graph.addClaims([claim('a', 'benefit'), claim('b', 'benefit'), claim('c', 'mixed')]);
+
+      expect(graph.findContradictions()).toEqual([]);
+      expect(graph.summary()).toMatchObject({ claimCount: 3, topicCount: 1 });
+    });
+
+    it('should flag sides that studied different populations', () => {
+      const graph = new EvidenceGraph();
+      graph.addClaims([
+        claim('a', 'benefit', { population: 'Adults with type 2 diabetes' }),
+        claim('b', 'harm', { population: 'pregnant women with gestational diabetes' })
+      ]);
+
+      expect(graph.findContradictions()[0].populationDiffers).toBe(true);
+    });
+
+    it('should keep one claim per source and topic across rounds', () => {
+      const graph = new EvidenceGraph();
+
+      expect(graph.addClaims([claim('a', 'benefit')])).toBe(1);
+      expect(graph.addClaims([claim('a', 'harm', { round: 2 }), claim('a', 'benefit', { topic: 'metformin → weight' })])).toBe(1);
+      expect(graph.topics()).toEqual(['metformin → hba1c', 'metformin → weight']);
+    });
+  });
+
+  describe('parseClaims', () => {
+    const documents = [doc('1', 'Randomized controlled trial of metformin'), doc('2', 'Metformin cohort')];
+
+    it('should map claims to their documents and normalize topics', () => {
+      const claims = parseClaims('```json\n' + JSON.stringify({
+        claims: [
+          { source: 1, intervention: 'Metformin', outcome: 'HbA1c.', claim: 'Lowered HbA1c', direction: 'benefit', population: 'adults' },
+          { source: 2, intervention: 'metformin', outcome: 'hba1c', claim: 'Unclear', direction: 'maybe' },
+          { source: 9, intervention: 'metformin', outcome: 'hba1c', claim: 'Unknown source', direction: 'harm' },
+          { source: 1, intervention: '', outcome: 'hba1c', claim: 'No intervention', direction: 'harm' }
+        ]
+      }) + '\n```', documents, 2);
+
+      expect(claims).toEqual([
+        expect.objectContaining({ documentKey: 'pubmed:1', topic: 'metformin → hba1c', direction: 'benefit', studyType: 'rct', round: 2 }),
+        expect.objectContaining({ documentKey: 'pubmed:2', topic: 'metformin → hba1c', direction: 'mixed', population: '' })
+      ]);
+      expect(normalizeTopic(' Low-Carb  diet ', 'Weight (kg)')).toBe('low-carb diet → weight kg');
+    });
+
+    it('should return no claims for unparseable output', () => {
+      expect(parseClaims('not json', documents, 1)).toEqual([]);
+    });
+  });
+
+  describe('extractEvidenceClaims', () => {
+    it('should send sources with abstracts and the known topics', async () => {
+      (ai.generate as jest.Mock).mockResolvedValue({
+        text: JSON.stringify({ claims: [{ source: 1, intervention: 'cgm', outcome: 'hypoglycemia', claim: 'Fewer lows', direction: 'benefit' }] })
+      });
+
+      const claims = await extractEvidenceClaims(
+        'CGM hipoglisemiyi azaltır mı?',
+        [doc('1', 'Abstract-less', ''), doc('2', 'CGM trial')],
+        1,
+        ['cgm → hypoglycemia']
+      );
+
+      const request = (ai.generate as jest.Mock).mock.calls[0][0];
+      expect(request.prompt).toContain('[1] CGM trial');
+      expect(request.prompt).not.toContain('Abstract-less');
+      expect(request.prompt).toContain('- cgm → hypoglycemia');
+      expect(claims.map(c => c.documentKey)).toEqual(['pubmed:2']);
+    });
+
+    it('should skip the round when the model call fails', async () => {
+      (ai.generate as jest.Mock).mockRejectedValue(new Error('deadline exceeded'));
+
+      await expect(extractEvidenceClaims('q', [doc('1', 'Trial')], 1)).resolves.toEqual([]);
+      expect(await extractEvidenceClaims('q', [doc('1', 'Trial', '')], 1)).toEqual([]);
+    });
+  });
+
+  describe('synthesis', () => {
+    const a = doc('1', 'Trial A');
+    const b = doc('2', 'Cohort B');
+    const c = doc('3', 'Cohort C');
+
+    function conflictOf(...documents: ResearchDocument[]) {
+      const graph = new EvidenceGraph();
+      graph.addClaims(documents.map((document, i) =>
+        claim(evidenceDocumentKey(document), i === 0 ? 'benefit' : 'no_effect', { studyType: i === 0 ? 'rct' : 'observational' })
+      ));
+      return graph.findContradictions();
+    }
+
+    it('should cite both sides of a conflict by selected source id', () => {
+      const context = formatConflictsForSynthesis(conflictOf(a, b, c), [selected(4, a), selected(7, b), selected(2, c)]);
+
+      expect(context).toContain('### metformin → hba1c');
+      expect(context).toContain('- Benefit [4]: benefit finding');
+      expect(context).toContain('- No effect [2][7]: no_effect finding');
+    });
+
+    it('should leave out conflicts with a side missing from the selection', () => {
+      const conflicts = conflictOf(a, b);
+
+      expect(citableConflicts(conflicts, [selected(1, a)])).toEqual([]);
+      expect(formatConflictsForSynthesis(conflicts, [selected(1, a)])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for evidence level classification and evidence hierarchy ranking
+ */
+
+import { classifyEvidenceLevel, parseEvidenceMode } from '../evidence-hierarchy';
+import { rankSourcesByRelevance } from '../source-ranker';
+import { formatSelectedSourcesForSynthesis, selectSourcesForSynthesis } from '../source-selector';
+import { pubmedSource } from '../research-sources/pubmed';
+import { pubmedReviewsSource } from '../research-sources/pubmed-reviews';
+import { guidelinesSource } from '../research-sources/guidelines';
+import { clinicalTrialsSource } from '../research-sources/clinical-trials';
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+jest.mock('../arxiv-search', () => ({}));
+
+function pubmedArticle(pmid: string, title: string, articleType: string) {
+  return {
+    pmid,
+    title,
+    authors: ['Smith J'],
+    abstract: `${title}: abstract of PMID ${pmid}`,
+    journal: 'Diabetes Care',
+    publishDate: '2015-01-01',
+    doi: null,
+    url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+    citationCount: null,
+    articleType,
+    meshTerms: []
+  };
+}
+
+function exaResult(title: string) {
+  return {
+    id: 'https://diabetesjournals.org/care/standards',
+    title,
+    url: 'https://diabetesjournals.org/care/standards',
+    domain: 'diabetesjournals.org',
+    publishedDate: '2015-01-01',
+    author: null,
+    snippet: 'Metformin and vitamin B12 deficiency in type 2 diabetes',
+    highlights: [],
+    credibilityLevel: 'peer_reviewed_journal' as const
+  };
+}
+
+describe('evidence hierarchy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should classify PubMed articles by publication type before the title', () => {
+    expect(classifyEvidenceLevel(pubmedSource.normalize(pubmedArticle('1', 'Metformin outcomes', 'Meta-Analysis'))))
+      .toBe('systematic_review');
+    expect(classifyEvidenceLevel(pubmedSource.normalize(pubmedArticle('2', 'A randomized trial of metformin', 'Case Report'))))
+      .toBe('case_report');
+    expect(classifyEvidenceLevel(pubmedSource.normalize(pubmedArticle('3', 'A randomized trial of metformin', 'Research Article'))))
+      .toBe('rct');
+    expect(classifyEvidenceLevel(pubmedSource.normalize(pubmedArticle('4', 'Metformin outcomes', 'Research Article'))))
+      .toBe('observational');
+  });
+
+  it('should classify guideline publishers, trials and web pages', () => {
+    expect(classifyEvidenceLevel(guidelinesSource.normalize(exaResult('Pharmacologic approaches to glycemic treatment'))))
+      .toBe('guideline');
+    expect(classifyEvidenceLevel(guidelinesSource.normalize(exaResult('Cohort study of metformin users'))))
+      .toBe('observational');
+    expect(classifyEvidenceLevel(clinicalTrialsSource.normalize({
+      nctId: 'NCT01',
+      title: 'Metformin and B12',
+      status: 'Completed',
+      phase: ['Phase 4'],
+      conditions: ['Type 2 Diabetes'],
+      interventions: ['Metformin'],
+      summary: 'B12 levels on metformin',
+      startDate: '2015-01-01',
+      completionDate: null,
+      enrollmentCount: 100,
+      sponsor: null,
+      url: 'https://clinicaltrials.gov/study/NCT01',
+      locations: []
+    } as any))).toBe('clinical_trial');
+  });
+
+  it('should mark reviews found through the PubMed review search', () => {
+    const document = pubmedReviewsSource.normalize(pubmedArticle('5', 'Metformin and B12', 'Systematic Review'));
+
+    expect(document).toMatchObject({ sourceId: 'pubmed', via: 'pubmed-reviews' });
+    expect(classifyEvidenceLevel(document)).toBe('systematic_review');
+  });
+
+  it('should rank meta-analyses above case reports only in hierarchy mode', async () => {
+    const documents = [
+      pubmedSource.normalize(pubmedArticle('10', 'Severe neuropathy from metformin vitamin B12 deficiency in an elderly patient', 'Case Report')),
+      pubmedSource.normalize(pubmedArticle('11', 'Metformin vitamin B12 deficiency: pooled results of 29 cohorts', 'Meta-Analysis'))
+    ];
+
+    const standard = await rankSourcesByRelevance('metformin vitamin B12 deficiency', documents, { topN: 5 });
+    expect(standard.rankedSources[0].relevanceScore).toBe(standard.rankedSources[1].relevanceScore);
+    expect(standard.rankedSources[0].evidenceLevel).toBeUndefined();
+
+    const hierarchy = await rankSourcesByRelevance(
+      'metformin vitamin B12 deficiency',
+      documents,
+      { topN: 5, evidenceHierarchy: true }
+    );
+    expect(hierarchy.rankedSources.map(ranked => ranked.evidenceLevel)).toEqual(['systematic_review', 'case_report']);
+    expect(hierarchy.rankedSources.map(ranked => ranked.relevanceScore)).toEqual([100, 75]); // 105 capped at 100
+    expect(hierarchy.rankedSources[0].reasoning).toContain('Evidence: 20 (systematic_review)');
+
+    const selection = await selectSourcesForSynthesis(hierarchy.rankedSources);
+    const formatted = formatSelectedSourcesForSynthesis(selection.selectedSources);
+    expect(formatted).toContain('**Evidence level:** 1 (Sistematik derleme / meta-analiz)');
+    expect(formatted).toContain('**Evidence level:** 5 (Vaka sunumu)');
+  });
+
+  it('should fall back to standard mode for unknown values', () => {
+    expect(parseEvidenceMode('hierarchy')).toBe('hierarchy');
+    expect(parseEvidenceMode('HIERARCHY')).toBe('standard');
+    expect(parseEvidenceMode(undefined)).toBe('standard');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the learned ranker: fitting, scoring and offline metrics
+ */
+
+import { ai } from '../../genkit-instance';
+import {
+  RankingWeights,
+  fitRankingWeights,
+  getRankingWeights,
+  learnedScore,
+  ndcgAtK,
+  precisionAtK,
+  setRankingWeights
+} from '../learned-ranker';
+import { ResearchDocument } from '../research-sources';
+import { rankSourcesByRelevance } from '../source-ranker';
+
+// Query and "cgm" sources point the same way, everything else is orthogonal
+jest.mock('../../genkit-instance', () => ({
+  ai: {
+    embedMany: jest.fn(async ({ content }: { content: string[] }) => content.map(text => ({
+      embedding: /cgm|sensör/i.test(text) ? [1, 0] : [0, 1]
+    })))
+  }
+}));
+
+jest.mock('../../providers', () => ({
+  getEmbedder: () => 'googleai/gemini-embedding-001'
+}));
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+
+const ZERO = { keyword: 0, embedding: 0, evidence: 0, recency: 0, population: 0, source: 0, study: 0 };
+
+function model(overrides: Partial<RankingWeights>): RankingWeights {
+  return {
+    version: 'test',
+    trainedAt: '2026-01-01',
+    source: 'test',
+    training: { queries: 0, examples: 0, unavailableFeatures: [] },
+    bias: 0,
+    weights: ZERO,
+    means: ZERO,
+    ...overrides
+  };
+}
+
+function doc(id: string, title: string): ResearchDocument {
+  return {
+    sourceId: 'pubmed',
+    id,
+    identifier: null,
+    title,
+    abstract: '',
+    url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+    domain: 'pubmed.ncbi.nlm.nih.gov',
+    publishDate: null,
+    authors: [],
+    venue: null,
+    raw: {}
+  };
+}
+
+describe('learned-ranker', () => {
+  describe('metrics', () => {
+    it('should compute nDCG@k against the ideal order', () => {
+      // DCG = 7 + 3/log2(3) + 0 + 1/log2(5), ideal = 7 + 3/log2(3) + 1/2
+      expect(ndcgAtK([3, 2, 0, 1], 10)).toBeCloseTo(0.9926, 4);
+      expect(ndcgAtK([3, 2, 1, 0], 10)).toBe(1);
+      expect(ndcgAtK([0, 0], 10)).toBe(0);
+    });
+
+    it('should count grades of 2 and up as relevant for precision@k', () => {
+      expect(precisionAtK([3, 2, 0, 1], 2)).toBe(1);
+      expect(precisionAtK([3, 2, 0, 1], 4)).toBe(0.5);
+      expect(precisionAtK([3], 5)).toBe(0.2);
+    });
+  });
+
+  describe('fitRankingWeights', () => {
+    it('should recover a linear relation and leave uncomputed features at 0', () => {
+      const examples = [0, 0.25, 0.5, 0.75, 1].flatMap(keyword => [
+        { features: { keyword, recency: 0 }, relevance: keyword * 3 },
+        { features: { keyword, recency: 1 }, relevance: keyword * 3 }
+      ]);
+
+      const fitted = fitRankingWeights(examples, 0.0001);
+
+      expect(fitted.weights.keyword).toBeCloseTo(100, 0);
+      expect(fitted.weights.recency).toBeCloseTo(0, 1);
+      expect(fitted.bias).toBeCloseTo(0, 0);
+      expect(fitted.unavailableFeatures).toEqual(['embedding', 'evidence', 'population', 'source', 'study']);
+      expect(fitted.weights.embedding).toBe(0);
+    });
+  });
+
+  describe('learnedScore', () => {
+    it('should use the training mean for missing features and stay within 0-100', () => {
+      const weights = model({ bias: 10, weights: { ...ZERO, keyword: 50, embedding: 40 }, means: { ...ZERO, embedding: 0.5 } });
+
+      expect(learnedScore({ keyword: 1, embedding: 1 }, weights)).toBe(100);
+      expect(learnedScore({ keyword: 0.5 }, weights)).toBe(55);
+      expect(learnedScore({ keyword: -5 }, weights)).toBe(0);
+    });
+  });
+
+  describe('rankSourcesByRelevance (learned)', () => {
+    const bundled = getRankingWeights();
+
+    beforeEach(() => {
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      setRankingWeights(model({ bias: 20, weights: { ...ZERO, embedding: 60 }, means: { ...ZERO, embedding: 0.5 } }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      setRankingWeights(bundled);
+    });
+
+    it('should score by the fitted weights with embedding similarity', async () => {
+      const documents = [doc('a', 'Diet and glucose'), doc('b', 'CGM alarms and lows')];
+
+      const result = await rankSourcesByRelevance('Sensör hipoglisemiyi azaltır mı?', documents, { topN: 2, ranker: 'learned' });
+
+      expect(result.rankedSources.map(ranked => [ranked.document?.id, ranked.relevanceScore])).toEqual([['b', 80], ['a', 20]]);
+      expect(result.rankedSources[0].features).toMatchObject({ embedding: 1, keyword: 0 });
+      expect(result.rankedSources[0].reasoning).toContain('Learned: keyword 0.00');
+    });
+
+    it('should fall back to the training mean when embedding fails', async () => {
+      (ai.embedMany as jest.Mock).mockRejectedValueOnce(new Error('quota exceeded'));
+
+      const result = await rankSourcesByRelevance('cgm', [doc('a', 'CGM alarms')], { topN: 1, ranker: 'learned' });
+
+      expect(result.rankedSources[0].features?.embedding).toBeUndefined();
+      expect(result.rankedSources[0].relevanceScore).toBe(50);
+    });
+
+    it('should not embed while the embedding weight is zero', async () => {
+      setRankingWeights(model({ bias: 20, weights: { ...ZERO, keyword: 60 }, means: ZERO }));
+      (ai.embedMany as jest.Mock).mockClear();
+
+      const result = await rankSourcesByRelevance('cgm', [doc('a', 'CGM alarms')], { topN: 1, ranker: 'learned' });
+
+      expect(ai.embedMany).not.toHaveBeenCalled();
+      expect(result.rankedSources[0].relevanceScore).toBe(80);
+    });
+
+    it('should keep the keyword ranker by default', async () => {
+      (ai.embedMany as jest.Mock).mockClear();
+
+      const result = await rankSourcesByRelevance('cgm', [doc('a', 'CGM alarms')], { topN: 1 });
+
+      expect(ai.embedMany).not.toHaveBeenCalled();
+      expect(result.rankedSources[0].reasoning).toMatch(/^Keywords: 70/);
+    });
+  });
+});
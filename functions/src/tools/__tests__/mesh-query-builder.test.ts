@@ -0,0 +1,144 @@
+/**
+ * Tests for MeSH term mapping and the PubMed / ClinicalTrials.gov queries built from it
+ */
+
+import {
+  buildSearchQueries,
+  getMeshVocabulary,
+  matchMeshTerms,
+  setMeshVocabulary
+} from '../mesh-query-builder';
+import { fetchAllResearchSources } from '../parallel-research-fetcher';
+import { ResearchSourceProvider, setResearchSourceProvider } from '../research-source-provider';
+
+jest.mock('../query-translator', () => ({
+  translateToEnglishForAPIs: jest.fn(async () => 'dawn phenomenon management insulin pump type 1 diabetes')
+}));
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+jest.mock('../arxiv-search', () => ({}));
+
+const PUMP_CLAUSE = '("Insulin Infusion Systems"[MeSH Terms] OR "insulin pump"[Title/Abstract] OR ' +
+  '"insulin infusion system"[Title/Abstract] OR "continuous subcutaneous insulin infusion"[Title/Abstract] OR ' +
+  '"CSII"[Title/Abstract])';
+
+describe('mesh-query-builder', () => {
+  describe('matchMeshTerms', () => {
+    it('should prefer the longest term and keep query order', () => {
+      expect(matchMeshTerms('insulin resistance in type 2 diabetes').map(match => match.descriptor)).toEqual([
+        'Insulin Resistance',
+        'Diabetes Mellitus, Type 2'
+      ]);
+    });
+
+    it('should map Turkish terms with suffixes when the translation failed', () => {
+      const question = 'Oruç tutarken şekerim düşer mi, kilo kaybı olur mu?';
+
+      expect(matchMeshTerms(question, question)).toEqual([
+        { descriptor: 'Fasting', category: 'intervention', term: 'oruc', language: 'tr' },
+        { descriptor: 'Hypoglycemia', category: 'condition', term: 'sekerim dus', language: 'tr' },
+        { descriptor: 'Weight Loss', category: 'outcome', term: 'kilo kaybi', language: 'tr' }
+      ]);
+    });
+
+    it('should add terms only the original question names', () => {
+      const matches = matchMeshTerms('Sensörüm gece alarm veriyor', 'night alarms');
+
+      expect(matches).toEqual([expect.objectContaining({ descriptor: 'Continuous Glucose Monitoring', language: 'tr' })]);
+    });
+  });
+
+  describe('buildSearchQueries', () => {
+    it('should build a field-tagged PubMed query and trial parameters', () => {
+      const queries = buildSearchQueries(
+        'Dawn fenomeni nedir, insülin pompasıyla nasıl yönetilir?',
+        'dawn phenomenon management insulin pump type 1 diabetes'
+      );
+
+      expect(queries.pubmed).toBe(
+        `${PUMP_CLAUSE} AND ("Diabetes Mellitus, Type 1"[MeSH Terms] OR "type 1 diabetes"[Title/Abstract] OR ` +
+        '"type 1 diabetes mellitus"[Title/Abstract] OR "T1D"[Title/Abstract] OR "T1DM"[Title/Abstract] OR ' +
+        '"insulin-dependent diabetes"[Title/Abstract] OR "juvenile diabetes"[Title/Abstract]) AND dawn phenomenon'
+      );
+      expect(queries.unmapped).toEqual(['dawn phenomenon']);
+      expect(queries.clinicalTrials).toEqual({ condition: '"type 1 diabetes"', intervention: '"insulin pump"' });
+    });
+
+    it('should search diabetes trials when only an intervention maps', () => {
+      const queries = buildSearchQueries('Metformin yan etkileri nelerdir?', 'metformin side effects');
+
+      expect(queries.clinicalTrials).toEqual({ condition: 'diabetes', intervention: 'metformin' });
+      expect(queries.unmapped).toEqual([]);
+    });
+
+    it('should keep the English query when nothing maps', () => {
+      expect(buildSearchQueries('beta cell regeneration', 'beta cell regeneration')).toEqual({
+        original: 'beta cell regeneration',
+        english: 'beta cell regeneration',
+        pubmed: 'beta cell regeneration',
+        clinicalTrials: { condition: 'beta cell regeneration' },
+        meshTerms: [],
+        unmapped: []
+      });
+    });
+
+    it('should use a replaced vocabulary', () => {
+      const bundled = getMeshVocabulary();
+      setMeshVocabulary({
+        version: 'test',
+        source: 'test',
+        descriptors: [{ name: 'Beta Cells', category: 'condition', entryTerms: ['beta cell'], turkish: ['beta hücre'] }]
+      });
+
+      try {
+        expect(buildSearchQueries('beta hücreleri', 'beta cell regeneration').pubmed)
+          .toBe('("Beta Cells"[MeSH Terms] OR "beta cell"[Title/Abstract]) AND regeneration');
+      } finally {
+        setMeshVocabulary(bundled);
+      }
+    });
+  });
+
+  describe('fetchAllResearchSources', () => {
+    const provider = {
+      mode: 'live',
+      searchPubMed: jest.fn(async () => []),
+      searchClinicalTrials: jest.fn(async () => [])
+    };
+
+    beforeAll(() => {
+      setResearchSourceProvider(provider as unknown as ResearchSourceProvider);
+    });
+
+    afterAll(() => {
+      setResearchSourceProvider(null);
+    });
+
+    it('should search and report the MeSH queries per source', async () => {
+      const events: any[] = [];
+
+      await fetchAllResearchSources(
+        'Dawn fenomeni nedir, insülin pompasıyla nasıl yönetilir?',
+        { pubmed: 2, clinicaltrials: 1 },
+        event => events.push(event)
+      );
+
+      expect(provider.searchPubMed).toHaveBeenCalledWith(expect.stringMatching(/^\("Insulin Infusion Systems"/), 2, 5, undefined, undefined);
+      expect(provider.searchClinicalTrials).toHaveBeenCalledWith('"type 1 diabetes"', '"insulin pump"', 'all', 1, undefined);
+      expect(events.filter(event => event.type === 'api_started')).toEqual([
+        expect.objectContaining({
+          api: 'pubmed',
+          query: expect.stringContaining(PUMP_CLAUSE),
+          meshTerms: ['Insulin Infusion Systems', 'Diabetes Mellitus, Type 1']
+        }),
+        expect.objectContaining({
+          api: 'clinicaltrials',
+          query: 'condition: "type 1 diabetes" | intervention: "insulin pump"'
+        })
+      ]);
+    });
+  });
+});
@@ -1,263 +1,128 @@
 /**
- * Parallel Research Fetcher Integration Tests
- * Tests concurrent API fetching with fault tolerance
+ * Tests for the parallel research fetcher, replaying the recorded T3 round 1 responses
  */
 
-import { describe, it, expect } from '@jest/globals';
+import * as path from 'path';
 import {
   fetchAllResearchSources,
   createT2Config,
   createT3Config,
+  totalRequested,
   type ResearchFetchConfig
 } from '../parallel-research-fetcher';
+import { createResearchSourceProvider, setResearchSourceProvider } from '../research-source-provider';
+import { resetSourceHealth } from '../source-health';
+import { T3_QUESTION, ROUND_1_QUERY } from '../../flows/__tests__/fixtures/fake-gemini-t3';
 
-describe('Parallel Research Fetcher', () => {
-  // Longer timeout for real API calls
-  const TEST_TIMEOUT = 20000;
+jest.mock('../query-translator', () => ({
+  translateToEnglishForAPIs: jest.fn(async () => ROUND_1_QUERY)
+}));
 
-  describe('Basic Fetching', () => {
-    it('should fetch from all sources in parallel', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 2,
-        pubmedCount: 2,
-        arxivCount: 2,
-        clinicalTrialsCount: 2
-      };
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+jest.mock('../arxiv-search', () => ({}));
 
-      const results = await fetchAllResearchSources('diabetes type 1 treatment', config);
+const FIXTURES_DIR = path.join(__dirname, '../../flows/__tests__/fixtures/research');
 
-      // Should have results from each API (may be partial due to availability)
-      expect(results).toBeDefined();
-      expect(results.exa).toBeDefined();
-      expect(results.pubmed).toBeDefined();
-      expect(results.arxiv).toBeDefined();
-      expect(results.clinicalTrials).toBeDefined();
+// Round 1 distribution the fixtures were recorded with
+const ROUND_1_CONFIG: ResearchFetchConfig = { exa: 7, pubmed: 9, medrxiv: 3, clinicaltrials: 3 };
 
-      // Should have timing data
-      expect(results.timings.total).toBeGreaterThan(0);
-      expect(results.timings.exa).toBeGreaterThanOrEqual(0);
-      expect(results.timings.pubmed).toBeGreaterThanOrEqual(0);
-      expect(results.timings.arxiv).toBeGreaterThanOrEqual(0);
-      expect(results.timings.clinicalTrials).toBeGreaterThanOrEqual(0);
-    }, TEST_TIMEOUT);
-
-    it('should respect requested source counts', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 3,
-        pubmedCount: 3,
-        arxivCount: 0, // Skip arXiv
-        clinicalTrialsCount: 0 // Skip trials
-      };
-
-      const results = await fetchAllResearchSources('metformin side effects', config);
-
-      // Should have attempted to fetch Exa and PubMed
-      expect(results.exa.length).toBeLessThanOrEqual(3);
-      expect(results.pubmed.length).toBeLessThanOrEqual(3);
-      expect(results.arxiv.length).toBe(0); // Should be empty
-      expect(results.clinicalTrials.length).toBe(0); // Should be empty
-    }, TEST_TIMEOUT);
+describe('fetchAllResearchSources (replay)', () => {
+  beforeAll(() => {
+    setResearchSourceProvider(createResearchSourceProvider('replay', FIXTURES_DIR));
   });
 
-  describe('T2 Configuration (10 sources)', () => {
-    it('should fetch T2 sources within 8 seconds', async () => {
-      const config = createT2Config(3, 1, 1); // 5 Exa + 3 PubMed + 1 arXiv + 1 Trial = 10 total
-
-      const startTime = Date.now();
-      const results = await fetchAllResearchSources('insulin therapy guidelines', config);
-      const duration = Date.now() - startTime;
-
-      // Should complete within 8 seconds (Phase 1 success criterion)
-      expect(duration).toBeLessThan(8000);
-
-      // Should attempt to fetch correct source counts
-      expect(config.exaCount).toBe(5);
-      expect(config.pubmedCount + config.arxivCount + config.clinicalTrialsCount).toBe(5);
-    }, TEST_TIMEOUT);
-
-    it('should handle T2 drug safety query', async () => {
-      const config = createT2Config(4, 0, 1); // 70% PubMed, 0% arXiv, 20% Trials
-
-      const results = await fetchAllResearchSources('SGLT2 inhibitor contraindications', config);
-
-      // Should prioritize PubMed for drug safety
-      expect(config.pubmedCount).toBeGreaterThan(config.arxivCount);
-      expect(config.pubmedCount).toBeGreaterThan(config.clinicalTrialsCount);
-    });
+  afterAll(() => {
+    setResearchSourceProvider(null);
   });
 
-  describe('T3 Configuration (25 sources)', () => {
-    it('should fetch T3 sources within 20 seconds', async () => {
-      const config = createT3Config(8, 4, 3); // 10 Exa + 8 PubMed + 4 arXiv + 3 Trial = 25 total
-
-      const startTime = Date.now();
-      const results = await fetchAllResearchSources('beta cell regeneration research', config);
-      const duration = Date.now() - startTime;
-
-      // Should complete within 20 seconds (Phase 1 success criterion)
-      expect(duration).toBeLessThan(20000);
-
-      // Should attempt to fetch correct source counts
-      expect(config.exaCount).toBe(10);
-      expect(config.pubmedCount + config.arxivCount + config.clinicalTrialsCount).toBe(15);
-    }, TEST_TIMEOUT);
-
-    it('should handle T3 new research query', async () => {
-      const config = createT3Config(6, 6, 3); // Balanced for new research
-
-      const results = await fetchAllResearchSources('GLP-1 agonist 2025 trials', config);
-
-      // Should have balanced distribution
-      expect(config.pubmedCount).toBeGreaterThanOrEqual(5);
-      expect(config.arxivCount).toBeGreaterThanOrEqual(5);
-    });
+  beforeEach(() => {
+    resetSourceHealth();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
   });
 
-  describe('Fault Tolerance', () => {
-    it('should handle partial failures gracefully', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 3,
-        pubmedCount: 3,
-        arxivCount: 3,
-        clinicalTrialsCount: 3
-      };
-
-      // Use a query that might fail on some APIs
-      const results = await fetchAllResearchSources('xyz123 nonexistent query', config);
-
-      // Should not throw - should return empty arrays for failed APIs
-      expect(results).toBeDefined();
-      expect(results.errors).toBeDefined();
-
-      // Should have timing data even for failures
-      expect(results.timings.total).toBeGreaterThan(0);
-    }, TEST_TIMEOUT);
-
-    it('should continue when one API fails', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 2,
-        pubmedCount: 2,
-        arxivCount: 2,
-        clinicalTrialsCount: 2
-      };
-
-      const results = await fetchAllResearchSources('diabetes', config);
-
-      // Even if one API fails, others should succeed
-      const totalSources = results.exa.length + results.pubmed.length +
-                          results.arxiv.length + results.clinicalTrials.length;
-
-      expect(totalSources).toBeGreaterThan(0);
-    }, TEST_TIMEOUT);
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
 
-  describe('Error Reporting', () => {
-    it('should log errors without breaking request', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 1,
-        pubmedCount: 1,
-        arxivCount: 1,
-        clinicalTrialsCount: 1
-      };
-
-      const results = await fetchAllResearchSources('test query', config);
+  it('should return the documents of every configured source in registry order', async () => {
+    const results = await fetchAllResearchSources(T3_QUESTION, ROUND_1_CONFIG);
 
-      // Should have errors object
-      expect(results.errors).toBeDefined();
-
-      // If there are errors, they should be strings
-      if (results.errors.exa) expect(typeof results.errors.exa).toBe('string');
-      if (results.errors.pubmed) expect(typeof results.errors.pubmed).toBe('string');
-      if (results.errors.arxiv) expect(typeof results.errors.arxiv).toBe('string');
-      if (results.errors.clinicalTrials) expect(typeof results.errors.clinicalTrials).toBe('string');
-    }, TEST_TIMEOUT);
+    expect(results.documents.map(document => document.sourceId)).toEqual([
+      'exa', 'exa', 'pubmed', 'pubmed', 'pubmed', 'medrxiv', 'clinicaltrials'
+    ]);
+    expect(results.errors).toEqual({});
+    expect(results.skipped).toEqual([]);
+    expect(Object.keys(results.timings).sort()).toEqual(['clinicaltrials', 'exa', 'medrxiv', 'pubmed', 'total']);
   });
 
-  describe('Performance', () => {
-    it('should fetch sources faster in parallel than sequential', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 2,
-        pubmedCount: 2,
-        arxivCount: 2,
-        clinicalTrialsCount: 2
-      };
-
-      const results = await fetchAllResearchSources('insulin resistance', config);
+  it('should report each source as it starts and completes', async () => {
+    const events: any[] = [];
 
-      // Parallel fetch should be faster than sum of individual timings
-      // (This validates that we're actually fetching in parallel)
-      const sumOfIndividual = results.timings.exa + results.timings.pubmed +
-                              results.timings.arxiv + results.timings.clinicalTrials;
+    await fetchAllResearchSources(T3_QUESTION, ROUND_1_CONFIG, event => events.push(event));
 
-      // Total time should be less than sum (parallel speedup)
-      // Allow some overhead for Promise.all coordination
-      expect(results.timings.total).toBeLessThan(sumOfIndividual * 0.8);
-    }, TEST_TIMEOUT);
+    expect(events.filter(event => event.type === 'api_started').map(event => [event.api, event.count])).toEqual([
+      ['exa', 7], ['pubmed', 9], ['medrxiv', 3], ['clinicaltrials', 3]
+    ]);
+    expect(events.find(event => event.type === 'api_started' && event.api === 'exa')?.query).toBe(ROUND_1_QUERY);
+    expect(events.filter(event => event.type === 'api_completed').map(event => [event.api, event.count, event.success]))
+      .toEqual(expect.arrayContaining([['exa', 2, true], ['pubmed', 3, true], ['medrxiv', 1, true], ['clinicaltrials', 1, true]]));
+    expect(events.filter(event => event.type === 'progress_update').pop()).toEqual({ type: 'progress_update', fetched: 7, total: 22 });
   });
 
-  describe('Source Distribution', () => {
-    it('should return sources in the order: Exa, PubMed, arXiv, Trials', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 2,
-        pubmedCount: 2,
-        arxivCount: 2,
-        clinicalTrialsCount: 2
-      };
+  it('should keep the other sources when one fails', async () => {
+    // No medRxiv response was recorded for 4 results
+    const results = await fetchAllResearchSources(T3_QUESTION, { ...ROUND_1_CONFIG, medrxiv: 4 });
 
-      const results = await fetchAllResearchSources('type 2 diabetes', config);
-
-      // Results should be organized by source type
-      expect(Array.isArray(results.exa)).toBe(true);
-      expect(Array.isArray(results.pubmed)).toBe(true);
-      expect(Array.isArray(results.arxiv)).toBe(true);
-      expect(Array.isArray(results.clinicalTrials)).toBe(true);
-    }, TEST_TIMEOUT);
+    expect(results.errors).toEqual({ medrxiv: expect.stringContaining('No recorded medrxiv response') });
+    expect(results.documents.map(document => document.sourceId)).toEqual([
+      'exa', 'exa', 'pubmed', 'pubmed', 'pubmed', 'clinicaltrials'
+    ]);
+    expect(results.timings.medrxiv).toBeGreaterThanOrEqual(0);
   });
 
-  describe('Zero Count Handling', () => {
-    it('should handle zero counts gracefully', async () => {
-      const config: ResearchFetchConfig = {
-        exaCount: 0,
-        pubmedCount: 5,
-        arxivCount: 0,
-        clinicalTrialsCount: 0
-      };
-
-      const results = await fetchAllResearchSources('metformin', config);
+  it('should only search sources with a count', async () => {
+    const results = await fetchAllResearchSources(T3_QUESTION, { exa: 0, pubmed: 9, unknown: 3 });
 
-      // Should only fetch from PubMed
-      expect(results.exa.length).toBe(0);
-      expect(results.arxiv.length).toBe(0);
-      expect(results.clinicalTrials.length).toBe(0);
-      expect(results.pubmed.length).toBeLessThanOrEqual(5);
-    }, TEST_TIMEOUT);
+    expect(results.documents.map(document => document.sourceId)).toEqual(['pubmed', 'pubmed', 'pubmed']);
+    expect(Object.keys(results.timings).sort()).toEqual(['pubmed', 'total']);
   });
+});
 
-  describe('Config Validation', () => {
-    it('should warn when T2 API sources do not sum to 5', () => {
-      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+describe('tier configs', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
 
-      createT2Config(3, 3, 3); // Sums to 9, not 5
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
 
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('T2 API sources should sum to 5')
-      );
+  it('should request 5 Exa results plus the API split for T2', () => {
+    expect(createT2Config(3, 1, 1)).toEqual({ exa: 5, pubmed: 3, medrxiv: 1, clinicaltrials: 1 });
+    expect(console.warn).not.toHaveBeenCalled();
+  });
 
-      consoleSpy.mockRestore();
-    });
+  it('should warn when T2 API sources do not sum to 5', () => {
+    createT2Config(3, 3, 3);
 
-    it('should warn when T3 API sources do not sum to 15', () => {
-      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('T2 API sources should sum to 5'));
+  });
 
-      createT3Config(5, 5, 5); // Sums to 15, correct
-      expect(consoleSpy).not.toHaveBeenCalled();
+  it('should request 10 Exa results plus 15 API results for T3', () => {
+    expect(createT3Config(9, 3, 3)).toEqual({ exa: 10, pubmed: 9, medrxiv: 3, clinicaltrials: 3 });
+  });
 
-      createT3Config(10, 10, 10); // Sums to 30, wrong
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('T3 API sources should sum to 15')
-      );
+  it('should scale T3 API sources that do not sum to 15', () => {
+    const config = createT3Config(10, 10, 10);
 
-      consoleSpy.mockRestore();
-    });
+    expect(config).toEqual({ exa: 10, pubmed: 5, medrxiv: 5, clinicaltrials: 5 });
+    expect(totalRequested(config)).toBe(25);
   });
 });
@@ -0,0 +1,130 @@
+/**
+ * Tests for population-aware ranking against the user's diabetes profile
+ */
+
+import {
+  buildPopulationMatchInstructions,
+  matchPopulation,
+  toResearchPopulation
+} from '../population-match';
+import { ResearchDocument } from '../research-sources';
+import { rankSourcesByRelevance } from '../source-ranker';
+import { formatSelectedSourcesForSynthesis, selectSourcesForSynthesis } from '../source-selector';
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+
+function doc(id: string, title: string, abstract = ''): ResearchDocument {
+  return {
+    sourceId: 'pubmed',
+    id,
+    identifier: null,
+    title,
+    abstract,
+    url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+    domain: 'pubmed.ncbi.nlm.nih.gov',
+    publishDate: null,
+    authors: [],
+    venue: null,
+    raw: {}
+  };
+}
+
+describe('population-match', () => {
+  describe('toResearchPopulation', () => {
+    it('should read profile types and resolve brand names to ingredients', () => {
+      expect(toResearchPopulation({ type: '1', medications: ['Lantus 20 ünite', 'Glifor 1000 mg'] })).toEqual({
+        diabetesType: '1',
+        medications: ['insulin', 'metformin']
+      });
+      expect(toResearchPopulation({ type: 'Type 2' })?.diabetesType).toBe('2');
+      expect(toResearchPopulation({ type: 'LADA' })?.diabetesType).toBe('LADA');
+      expect(toResearchPopulation({ type: 'unknown', medications: [] })).toBeNull();
+      expect(toResearchPopulation(undefined)).toBeNull();
+    });
+  });
+
+  describe('matchPopulation', () => {
+    const type1 = { diabetesType: '1' as const, medications: ['insulin'] };
+
+    it('should boost the same diabetes type and the user\'s medications', () => {
+      const match = matchPopulation(doc('1', 'Insulin glargine in type 1 diabetes'), type1);
+
+      expect(match).toEqual({
+        fit: 'match',
+        boost: 13,
+        medications: ['insulin'],
+        note: 'Matches the user\'s type 1 diabetes; covers the user\'s medication: insulin'
+      });
+    });
+
+    it('should demote other diabetes types with an explanation', () => {
+      const match = matchPopulation(doc('2', 'Empagliflozin in adults with type 2 diabetes'), type1);
+
+      expect(match).toMatchObject({ fit: 'mismatch', boost: -12 });
+      expect(match.note).toBe('⚠️ Studied type 2 diabetes; user has type 1 diabetes - findings may not apply');
+    });
+
+    it('should treat type 1 and type 2 studies as a partial fit for LADA', () => {
+      const lada = { diabetesType: 'LADA' as const, medications: [] };
+
+      expect(matchPopulation(doc('3', 'Sitagliptin in type 2 diabetes'), lada)).toMatchObject({
+        fit: 'partial',
+        boost: 2,
+        note: 'Studied type 2 diabetes; user has LADA - findings apply only in part'
+      });
+      expect(matchPopulation(doc('4', 'Gestational diabetes outcomes'), lada).fit).toBe('mismatch');
+    });
+
+    it('should leave sources without a stated population alone', () => {
+      expect(matchPopulation(doc('5', 'Diabetes distress', 'A narrative review.'), type1)).toEqual({
+        fit: 'unknown',
+        boost: 0,
+        medications: [],
+        note: null
+      });
+    });
+  });
+
+  describe('ranking and synthesis', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rank a type 1 study above an equal type 2 study for a type 1 user', async () => {
+      const type2 = doc('t2', 'Carbohydrate counting in type 2 diabetes');
+      const type1 = doc('t1', 'Carbohydrate counting in type 1 diabetes');
+      const population = toResearchPopulation({ type: '1' });
+
+      const plain = await rankSourcesByRelevance('carbohydrate counting', [type2, type1], { topN: 2 });
+      const ranked = await rankSourcesByRelevance('carbohydrate counting', [type2, type1], { topN: 2, population });
+
+      expect(plain.rankedSources[0].populationMatch).toBeUndefined();
+      expect(ranked.rankedSources.map(source => source.document?.id)).toEqual(['t1', 't2']);
+      expect(ranked.rankedSources[0].relevanceScore - ranked.rankedSources[1].relevanceScore).toBe(20);
+      expect(ranked.rankedSources[1].reasoning).toContain('Population: -12 (mismatch)');
+    });
+
+    it('should carry the population note into the synthesis prompt', async () => {
+      const ranked = await rankSourcesByRelevance(
+        'carbohydrate counting',
+        [doc('t2', 'Carbohydrate counting in type 2 diabetes', 'Carbohydrate counting lowered HbA1c.')],
+        { topN: 1, population: toResearchPopulation({ type: '1' }) }
+      );
+      const { selectedSources } = await selectSourcesForSynthesis(ranked.rankedSources, { minRelevanceScore: 0 });
+
+      expect(selectedSources[0].populationMatch?.fit).toBe('mismatch');
+      expect(formatSelectedSourcesForSynthesis(selectedSources)).toContain(
+        '**Population:** ⚠️ Studied type 2 diabetes; user has type 1 diabetes - findings may not apply'
+      );
+      expect(buildPopulationMatchInstructions({ diabetesType: '1', medications: ['insulin'] }))
+        .toContain('Kullanıcı: tip 1 diyabet, ilaçları: insulin.');
+    });
+  });
+});
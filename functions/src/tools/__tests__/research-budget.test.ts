@@ -0,0 +1,112 @@
+/**
+ * Tests for T3 cost/time budgets and the budget stopping condition
+ */
+
+import {
+  DEFAULT_JOB_BUDGET,
+  DEFAULT_STREAM_BUDGET,
+  ResearchBudget,
+  STAGE_TOKEN_ESTIMATES,
+  parseResearchBudget
+} from '../research-budget';
+import { evaluateStoppingConditions } from '../stopping-condition-evaluator';
+import { calculateSearchCost, calculateTokenCost } from '../../cost-tracking/model-pricing';
+import { RoundResult } from '../../flows/deep-research-v2-types';
+
+const START = 1_000_000;
+
+describe('research budget', () => {
+  describe('model-pricing', () => {
+    it('should price provider-prefixed model names and Exa searches', () => {
+      expect(calculateTokenCost('vertexai/gemini-2.5-flash', 1_000_000, 0)).toBe(calculateTokenCost('gemini-2.5-flash', 1_000_000, 0));
+      expect(calculateTokenCost('googleai/gemini-2.5-pro', 0, 1_000_000)).toBe(5);
+      expect(calculateSearchCost('exa', 10)).toBeCloseTo(0.015);
+      expect(calculateSearchCost('pubmed', 10)).toBe(0);
+    });
+  });
+
+  describe('parseResearchBudget', () => {
+    it('should fall back to the defaults and clamp client values', () => {
+      expect(parseResearchBudget(undefined)).toEqual(DEFAULT_STREAM_BUDGET);
+      expect(parseResearchBudget({ maxCostUSD: 'x', timeLimitSeconds: -5 })).toEqual(DEFAULT_STREAM_BUDGET);
+      expect(parseResearchBudget({ maxCostUSD: 0.001, timeLimitSeconds: 10 })).toEqual({ maxCostUSD: 0.005, timeLimitMs: 60000 });
+      expect(parseResearchBudget({ maxCostUSD: 5, timeLimitSeconds: 3600 })).toEqual({ maxCostUSD: 0.5, timeLimitMs: DEFAULT_STREAM_BUDGET.timeLimitMs });
+      expect(parseResearchBudget({ timeLimitSeconds: 900 }, DEFAULT_JOB_BUDGET).timeLimitMs).toBe(900000);
+    });
+  });
+
+  describe('ResearchBudget', () => {
+    it('should track spending per stage', () => {
+      const budget = new ResearchBudget({ maxCostUSD: 0.05 }, 'vertexai/gemini-2.5-flash', START);
+
+      budget.recordTokens('planning', 'vertexai/gemini-2.5-pro', 1000, 1000);
+      budget.recordSearch({ exa: 10, pubmed: 15 });
+      budget.recordEstimatedCall('reflection');
+
+      const snapshot = budget.snapshot(START + 30000);
+      const reflection = STAGE_TOKEN_ESTIMATES.reflection;
+      const expected = 0.00625 + 0.015 + calculateTokenCost(reflection.model, reflection.inputTokens, reflection.outputTokens);
+
+      expect(snapshot.spentUSD).toBeCloseTo(expected, 6);
+      expect(snapshot.remainingUSD).toBeCloseTo(0.05 - expected, 6);
+      expect(snapshot).toMatchObject({ elapsedMs: 30000, remainingMs: DEFAULT_STREAM_BUDGET.timeLimitMs - 30000 });
+      expect(Object.keys(snapshot.byStage)).toEqual(['planning', 'search', 'reflection']);
+    });
+
+    it('should afford all rounds with the default budget', () => {
+      const budget = new ResearchBudget({}, 'vertexai/gemini-2.5-flash', START);
+      budget.recordEstimatedCall('planning');
+
+      expect(budget.affordableRounds(START)).toBe(4);
+    });
+
+    it('should cap rounds by cost and by time', () => {
+      expect(new ResearchBudget({ maxCostUSD: 0.035 }, undefined, START).affordableRounds(START)).toBe(2);
+      expect(new ResearchBudget({ timeLimitMs: 100000 }, undefined, START).affordableRounds(START)).toBe(2);
+      expect(new ResearchBudget({ maxCostUSD: 0.005 }, undefined, START).affordableRounds(START)).toBe(1);
+    });
+
+    it('should refuse a round that does not fit next to the synthesis reserve', () => {
+      const budget = new ResearchBudget({ maxCostUSD: 0.032, timeLimitMs: 120000 }, undefined, START);
+      budget.recordSearch({ exa: 10 });
+
+      expect(budget.checkNextRound(2, START)).toMatchObject({ affordable: true });
+      budget.recordSearch({ exa: 5 });
+      expect(budget.checkNextRound(2, START)).toMatchObject({ affordable: false, reason: expect.stringContaining('Cost budget') });
+
+      const slow = new ResearchBudget({ timeLimitMs: 120000 }, undefined, START);
+      slow.recordRoundDuration(45000);
+      expect(slow.checkNextRound(2, START + 45000)).toMatchObject({
+        affordable: false,
+        estimatedDurationMs: 45000,
+        reason: expect.stringContaining('Time budget')
+      });
+    });
+  });
+
+  describe('evaluateStoppingConditions', () => {
+    const round: RoundResult = {
+      roundNumber: 1,
+      sources: { exa: [], pubmed: [], medrxiv: [], clinicalTrials: [] },
+      documents: [],
+      sourceCount: 12,
+      duration: 15000
+    };
+    const reflection = {
+      evidenceQuality: 'medium' as const,
+      gapsIdentified: ['long-term outcomes'],
+      shouldContinue: true,
+      reasoning: 'Gaps remain'
+    };
+
+    it('should stop when the next round exceeds the budget', () => {
+      const check = { affordable: false, estimatedCostUSD: 0.011, estimatedDurationMs: 20000, reason: 'Cost budget exceeded' };
+
+      expect(evaluateStoppingConditions(1, 4, round, [round], reflection).shouldStop).toBe(false);
+      expect(evaluateStoppingConditions(1, 4, round, [round], reflection, check)).toMatchObject({
+        shouldStop: true,
+        triggeredConditions: ['Cost budget exceeded']
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for research-source-provider record and replay modes
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createResearchSourceProvider, fixturePath } from '../research-source-provider';
+import { searchPubMed } from '../pubmed-search';
+import { ResearchCancelledError } from '../../utils/abort';
+
+jest.mock('../pubmed-search', () => ({
+  searchPubMed: jest.fn()
+}));
+
+jest.mock('../exa-search', () => ({
+  searchMedicalSources: jest.fn(),
+  searchGeneralWeb: jest.fn()
+}));
+
+const ARTICLE = { pmid: '31234567', title: 'Dawn phenomenon in type 1 diabetes' };
+
+describe('research-source-provider', () => {
+  let fixturesDir: string;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-fixtures-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should name fixtures after the call arguments without the abort signal', () => {
+    const file = fixturePath(fixturesDir, 'clinicaltrials', ['Dawn Phenomenon', undefined, 'all', 3, new AbortController().signal]);
+
+    expect(path.relative(fixturesDir, file)).toBe(path.join('clinicaltrials', 'dawn-phenomenon_____all__3.json'));
+  });
+
+  it('should use the same fixture whether or not a signal is passed before later arguments', () => {
+    const domains = ['saglik.gov.tr'];
+
+    expect(fixturePath(fixturesDir, 'exa', ['Dawn', 1, new AbortController().signal, domains]))
+      .toBe(fixturePath(fixturesDir, 'exa', ['Dawn', 1, undefined, domains]));
+  });
+
+  it('should replay what record mode captured', async () => {
+    (searchPubMed as jest.Mock).mockResolvedValue([ARTICLE]);
+    const signal = new AbortController().signal;
+
+    const recorded = await createResearchSourceProvider('record', fixturesDir)
+      .searchPubMed('dawn phenomenon', 8, 5, undefined, signal);
+    const replayed = await createResearchSourceProvider('replay', fixturesDir)
+      .searchPubMed('dawn phenomenon', 8, 5);
+
+    expect(recorded).toEqual([ARTICLE]);
+    expect(replayed).toEqual([ARTICLE]);
+    expect(searchPubMed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail replayed calls that were never recorded', async () => {
+    await expect(createResearchSourceProvider('replay', fixturesDir).searchPubMed('metformin', 8, 5))
+      .rejects.toThrow('No recorded pubmed response');
+  });
+
+  it('should stop replay when the request was cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(createResearchSourceProvider('replay', fixturesDir)
+      .searchPubMed('dawn phenomenon', 8, 5, undefined, controller.signal))
+      .rejects.toBeInstanceOf(ResearchCancelledError);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for the research source registry and the pipeline pieces built on it
+ */
+
+import {
+  ResearchDocument,
+  ResearchSource,
+  getResearchSources,
+  registerResearchSource,
+  toClientSource,
+  toSourceBuckets,
+  unregisterResearchSource
+} from '../research-sources';
+import { pubmedSource } from '../research-sources/pubmed';
+import { clinicalTrialsSource } from '../research-sources/clinical-trials';
+import { exaSource } from '../research-sources/exa';
+import { fetchAllResearchSources } from '../parallel-research-fetcher';
+import { SourceDeduplicator } from '../source-deduplicator';
+import { rankSourcesByRelevance } from '../source-ranker';
+
+jest.mock('../query-translator', () => ({
+  translateToEnglishForAPIs: jest.fn(async (query: string) => query)
+}));
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+jest.mock('../arxiv-search', () => ({}));
+
+interface GuidelineResult {
+  code: string;
+  heading: string;
+  body: string;
+  year: string;
+}
+
+const guidelineSource: ResearchSource<GuidelineResult> = {
+  id: 'society-index',
+  label: 'Society index',
+  clientType: 'guideline',
+  credibility: { badge: 'highly_credible', rankingBoost: 12 },
+  timeoutMs: 1000,
+  search: jest.fn(async (_query: string, count: number) => [
+    { code: 'G-1', heading: 'Dawn phenomenon basal adjustment', body: 'Raise early morning basal rate', year: '2025' },
+    { code: 'G-2', heading: 'Night-time hypoglycemia', body: 'Check 3 AM glucose', year: '2019' }
+  ].slice(0, count)),
+  normalize: (result) => ({
+    sourceId: 'society-index',
+    id: result.code,
+    identifier: { type: 'url', value: `society-index:${result.code}` },
+    title: result.heading,
+    abstract: result.body,
+    url: `https://guidelines.example/${result.code}`,
+    domain: 'guidelines.example',
+    publishDate: `${result.year}-01-01`,
+    authors: [],
+    venue: 'Guideline index',
+    raw: result
+  })
+};
+
+const PUBMED_ARTICLE = {
+  pmid: '31234567',
+  title: 'Dawn phenomenon in type 1 diabetes',
+  authors: ['Smith J', 'Doe A'],
+  abstract: 'Early morning hyperglycemia...',
+  journal: 'Diabetes Care',
+  publishDate: '2021-05-01',
+  doi: '10.2337/dc21-0001',
+  url: 'https://pubmed.ncbi.nlm.nih.gov/31234567/',
+  citationCount: null,
+  articleType: 'Review',
+  meshTerms: []
+};
+
+describe('research source registry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registerResearchSource(guidelineSource);
+  });
+
+  afterEach(() => {
+    unregisterResearchSource('society-index');
+    jest.restoreAllMocks();
+  });
+
+  it('should register the built-in sources in fetch order', () => {
+    expect(getResearchSources().map(source => source.id))
+      .toEqual([
+        'exa', 'pubmed', 'medrxiv', 'clinicaltrials', 'pubmed-reviews', 'guidelines',
+        'temd', 'tr-journals', 'tr-ministry', 'society-index'
+      ]);
+  });
+
+  it('should normalize built-in results to documents', () => {
+    const document = pubmedSource.normalize(PUBMED_ARTICLE);
+
+    expect(document).toMatchObject({
+      sourceId: 'pubmed',
+      id: '31234567',
+      identifier: { type: 'pubmed', value: '31234567' },
+      abstract: 'Early morning hyperglycemia...',
+      publishDate: '2021-05-01',
+      venue: 'Diabetes Care'
+    });
+    expect(toClientSource(document)).toMatchObject({
+      id: '31234567',
+      author: 'Smith J',
+      credibilityBadge: 'highly_credible',
+      type: 'pubmed'
+    });
+  });
+
+  it('should normalize Exa URLs for deduplication', () => {
+    const document = exaSource.normalize({
+      id: 'exa-1',
+      title: 'Dawn phenomenon',
+      url: 'https://www.diabetes.org/dawn-phenomenon/?utm=1',
+      domain: 'diabetes.org',
+      publishedDate: null,
+      author: null,
+      snippet: 'Morning highs',
+      highlights: [],
+      credibilityLevel: 'medical_institution'
+    });
+
+    expect(document.identifier).toEqual({ type: 'url', value: 'https://diabetes.org/dawn-phenomenon' });
+  });
+
+  it('should fetch registered sources by id and keep going when one fails', async () => {
+    const failingTrials = { ...clinicalTrialsSource, search: jest.fn().mockRejectedValue(new Error('503')) };
+    registerResearchSource(failingTrials);
+    const events: any[] = [];
+
+    try {
+      const results = await fetchAllResearchSources(
+        'dawn phenomenon',
+        { 'society-index': 1, clinicaltrials: 2 },
+        event => events.push(event)
+      );
+
+      expect(results.documents.map(document => document.id)).toEqual(['G-1']);
+      expect(results.errors).toEqual({ clinicaltrials: '503' });
+      expect(events.filter(event => event.type === 'api_completed').map(event => [event.api, event.success]))
+        .toEqual(expect.arrayContaining([['society-index', true], ['clinicaltrials', false]]));
+    } finally {
+      registerResearchSource(clinicalTrialsSource);
+    }
+  });
+
+  it('should deduplicate and rank documents from any registered source', async () => {
+    const results = await fetchAllResearchSources('dawn phenomenon', { 'society-index': 2 });
+    const deduplicator = new SourceDeduplicator();
+
+    const firstRound = deduplicator.filter(results.documents);
+    const secondRound = deduplicator.filter([...results.documents, pubmedSource.normalize(PUBMED_ARTICLE)]);
+
+    expect(firstRound).toHaveLength(2);
+    expect(secondRound.map(document => document.sourceId)).toEqual(['pubmed']);
+
+    const ranking = await rankSourcesByRelevance('dawn phenomenon basal', firstRound, { topN: 5 });
+    expect(ranking.rankedSources[0]).toMatchObject({ sourceType: 'society-index', source: { code: 'G-1' } });
+    expect(ranking.rankedSources[0].reasoning).toContain('Credibility: 12');
+  });
+
+  it('should group documents back into the per-type lists', () => {
+    const documents: ResearchDocument[] = [
+      pubmedSource.normalize(PUBMED_ARTICLE),
+      guidelineSource.normalize({ code: 'G-3', heading: 'h', body: 'b', year: '2024' })
+    ];
+
+    expect(toSourceBuckets(documents)).toEqual({
+      exa: [],
+      pubmed: [PUBMED_ARTICLE],
+      medrxiv: [],
+      clinicalTrials: []
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for embedding clustering and same-study detection in source selection
+ */
+
+import { ai } from '../../genkit-instance';
+import { clusterSources, formatAlsoReportedBy } from '../source-clustering';
+import { ResearchDocument } from '../research-sources';
+import { RankedSource } from '../source-ranker';
+import { formatSelectedSourcesForSynthesis, selectSourcesForSynthesis } from '../source-selector';
+import { attachStudyMetadata } from '../study-metadata';
+
+// Topic vectors: one dimension per keyword, so texts on the same topic point the same way
+jest.mock('../../genkit-instance', () => ({
+  ai: {
+    embedMany: jest.fn(async ({ content }: { content: string[] }) => content.map(text => ({
+      embedding: ['sglt2', 'kidney', 'dapagliflozin', 'empagliflozin', 'exercise'].map(keyword => (text.includes(keyword) ? 1 : 0))
+    })))
+  }
+}));
+
+jest.mock('../../providers', () => ({
+  getEmbedder: () => 'googleai/gemini-embedding-001'
+}));
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+
+function ranked(relevanceScore: number, document: Partial<ResearchDocument> & Pick<ResearchDocument, 'sourceId' | 'id'>): RankedSource {
+  const full: ResearchDocument = {
+    identifier: null,
+    title: '',
+    abstract: '',
+    url: `https://example.org/${document.id}`,
+    domain: 'example.org',
+    publishDate: null,
+    authors: [],
+    venue: null,
+    raw: {},
+    ...document
+  };
+  attachStudyMetadata([full]);
+  return { source: full.raw, relevanceScore, reasoning: '', sourceType: full.sourceId, document: full };
+}
+
+const news = ranked(92, {
+  sourceId: 'exa',
+  id: 'news',
+  title: 'Diabetes drug protects the kidneys, study finds',
+  abstract: 'An SGLT2 inhibitor slowed kidney decline in 1,204 people, researchers led by Dr. Heerspink reported.',
+  url: 'https://www.statnews.com/2024/sglt2-kidney'
+});
+const preprint = ranked(85, {
+  sourceId: 'medrxiv',
+  id: 'preprint',
+  title: 'Dapagliflozin and kidney outcomes in type 2 diabetes: the DAPA-KIDNEY trial',
+  abstract: 'Preprint. SGLT2 inhibition with dapagliflozin reduced kidney function decline. NCT03036150.',
+  authors: ['Heerspink HJL', 'Stefansson BV'],
+  identifier: { type: 'doi', value: '10.1101/2024.01.01.24300001' }
+});
+const article = ranked(80, {
+  sourceId: 'pubmed',
+  id: 'article',
+  title: 'Dapagliflozin and kidney outcomes in type 2 diabetes: the DAPA-KIDNEY randomized trial',
+  abstract: 'SGLT2 inhibitor dapagliflozin lowered the risk of kidney failure among 1,204 participants.',
+  authors: ['Heerspink HJL'],
+  venue: 'N Engl J Med'
+});
+const registration = ranked(75, {
+  sourceId: 'clinicaltrials',
+  id: 'NCT03036150',
+  title: 'Dapagliflozin in Chronic Kidney Disease',
+  abstract: 'Randomized study of the SGLT2 inhibitor dapagliflozin in kidney disease.'
+});
+const exercise = ranked(70, {
+  sourceId: 'pubmed',
+  id: 'exercise',
+  title: 'Resistance exercise and glycaemic control',
+  abstract: 'Supervised exercise lowered HbA1c.',
+  authors: ['Colberg SR']
+});
+
+describe('source-clustering', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should cluster the preprint, publication, registration and news on one study', async () => {
+    const { clusters, method } = await clusterSources([news, preprint, article, registration, exercise], {
+      similarityThreshold: 0.85
+    });
+
+    expect(method).toBe('embedding');
+    expect(clusters.map(cluster => cluster.primary.document?.id)).toEqual(['article', 'exercise']);
+    expect(clusters[0].alsoReportedBy.map(other => [other.sourceType, other.relation])).toEqual([
+      ['exa', 'news'],
+      ['medrxiv', 'preprint'],
+      ['clinicaltrials', 'trial_registration']
+    ]);
+  });
+
+  it('should keep sources on the same topic apart unless they are near-duplicates', async () => {
+    const otherTrial = ranked(78, {
+      sourceId: 'pubmed',
+      id: 'other',
+      title: 'Empagliflozin and kidney disease progression',
+      abstract: 'SGLT2 inhibitor empagliflozin in 6,609 patients.',
+      authors: ['Herrington WG']
+    });
+
+    const strict = await clusterSources([article, otherTrial], { similarityThreshold: 0.85 });
+    const loose = await clusterSources([article, otherTrial], { similarityThreshold: 0.6 });
+
+    expect(strict.clusters).toHaveLength(2);
+    expect(loose.clusters).toHaveLength(1);
+    expect(loose.clusters[0].alsoReportedBy[0].relation).toBe('similar');
+  });
+
+  it('should fall back to word overlap when the embedder fails', async () => {
+    (ai.embedMany as jest.Mock).mockRejectedValueOnce(new Error('quota exceeded'));
+
+    const { clusters, method } = await clusterSources([preprint, registration, exercise], { similarityThreshold: 0.85 });
+
+    expect(method).toBe('lexical');
+    expect(clusters.map(cluster => cluster.members.length)).toEqual([2, 1]);
+    expect(clusters[0].primary.document?.id).toBe('NCT03036150');
+  });
+
+  it('should list the other members in the synthesis prompt', async () => {
+    const result = await selectSourcesForSynthesis([news, preprint, article, exercise], { minRelevanceScore: 0 });
+
+    expect(result).toMatchObject({ selectedCount: 2, deduplicatedCount: 2, clusteringMethod: 'embedding' });
+    expect(result.selectedSources[0].document?.id).toBe('article');
+    expect(formatSelectedSourcesForSynthesis(result.selectedSources)).toContain(
+      '**Also reported by:** news (statnews.com): "Diabetes drug protects the kidneys, study finds"; ' +
+      'preprint (medRxiv): "Dapagliflozin and kidney outcomes in type 2 diabetes: the DAPA-KIDNEY trial"'
+    );
+    expect(formatAlsoReportedBy([])).toBe('');
+  });
+});
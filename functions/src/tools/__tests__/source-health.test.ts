@@ -0,0 +1,200 @@
+/**
+ * Tests for adaptive source timeouts, circuit breakers and quota reallocation
+ */
+
+import { ResearchSource, registerResearchSource, unregisterResearchSource } from '../research-sources';
+import {
+  SOURCE_HEALTH_CONFIG,
+  getSourceHealth,
+  planSourceCall,
+  recordSourceOutcome,
+  resetSourceHealth
+} from '../source-health';
+import { fetchAllResearchSources, reallocateQuota } from '../parallel-research-fetcher';
+
+jest.mock('../query-translator', () => ({
+  translateToEnglishForAPIs: jest.fn(async (query: string) => query)
+}));
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+jest.mock('../arxiv-search', () => ({}));
+
+function fakeSource(id: string, search: ResearchSource<string>['search']): ResearchSource<string> {
+  return {
+    id,
+    label: id.toUpperCase(),
+    clientType: 'test',
+    credibility: { badge: 'standard', rankingBoost: 0 },
+    timeoutMs: 10000,
+    search: jest.fn(search),
+    normalize: result => ({
+      sourceId: id,
+      id: result,
+      identifier: null,
+      title: result,
+      abstract: '',
+      url: `https://${id}.example/${result}`,
+      domain: `${id}.example`,
+      publishDate: null,
+      authors: [],
+      venue: null,
+      raw: result
+    })
+  };
+}
+
+const succeed = (durationMs: number) => ({ durationMs, success: true, timedOut: false });
+const fail = () => ({ durationMs: 50, success: false, timedOut: false });
+
+describe('source health', () => {
+  const source = fakeSource('flaky', async () => []);
+
+  beforeEach(() => resetSourceHealth());
+
+  describe('planSourceCall', () => {
+    it('should use the configured timeout until enough calls were seen', () => {
+      for (let i = 0; i < SOURCE_HEALTH_CONFIG.minSamples - 1; i++) {
+        recordSourceOutcome('flaky', succeed(1000));
+      }
+
+      expect(planSourceCall(source)).toMatchObject({ allowed: true, timeoutMs: 10000, adaptive: false });
+    });
+
+    it('should derive the timeout from the observed p95', () => {
+      [800, 900, 1000, 1100, 2000].forEach(duration => recordSourceOutcome('flaky', succeed(duration)));
+
+      expect(planSourceCall(source)).toMatchObject({ timeoutMs: 3000, adaptive: true });
+      expect(getSourceHealth('flaky')).toMatchObject({ calls: 5, successRate: 1, p95Ms: 2000 });
+    });
+
+    it('should clamp the timeout between the floor and the configured ceiling', () => {
+      [100, 100, 100, 100, 100].forEach(duration => recordSourceOutcome('flaky', succeed(duration)));
+      expect(planSourceCall(source).timeoutMs).toBe(SOURCE_HEALTH_CONFIG.minTimeoutMs);
+
+      resetSourceHealth('flaky');
+      [9000, 9000, 9000, 9000, 9000].forEach(duration => recordSourceOutcome('flaky', succeed(duration)));
+      expect(planSourceCall(source).timeoutMs).toBe(10000);
+    });
+
+    it('should raise the timeout again after timeouts', () => {
+      [1000, 1000, 1000, 1000, 1000].forEach(duration => recordSourceOutcome('flaky', succeed(duration)));
+      const tight = planSourceCall(source).timeoutMs;
+
+      recordSourceOutcome('flaky', { durationMs: tight, success: false, timedOut: true });
+      recordSourceOutcome('flaky', succeed(1000));
+
+      expect(planSourceCall(source).timeoutMs).toBeGreaterThan(tight);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after consecutive failures and skip the source during the cool-down', () => {
+      const now = 1_000_000;
+      recordSourceOutcome('flaky', fail(), now);
+      recordSourceOutcome('flaky', succeed(500), now);
+      recordSourceOutcome('flaky', fail(), now);
+      expect(recordSourceOutcome('flaky', fail(), now)).toBe('closed');
+      expect(recordSourceOutcome('flaky', fail(), now)).toBe('open');
+
+      expect(planSourceCall(source, now + 1000)).toEqual({
+        allowed: false,
+        timeoutMs: 0,
+        adaptive: false,
+        state: 'open',
+        retryAt: now + SOURCE_HEALTH_CONFIG.cooldownMs
+      });
+    });
+
+    it('should allow a trial call after the cool-down and close or re-open on its outcome', () => {
+      const now = 1_000_000;
+      [1, 2, 3].forEach(() => recordSourceOutcome('flaky', fail(), now));
+      const afterCooldown = now + SOURCE_HEALTH_CONFIG.cooldownMs;
+
+      expect(planSourceCall(source, afterCooldown)).toMatchObject({ allowed: true, state: 'half_open', timeoutMs: 10000 });
+      expect(recordSourceOutcome('flaky', fail(), afterCooldown)).toBe('open');
+
+      const secondCooldown = afterCooldown + SOURCE_HEALTH_CONFIG.cooldownMs;
+      expect(planSourceCall(source, secondCooldown).state).toBe('half_open');
+      expect(recordSourceOutcome('flaky', succeed(500), secondCooldown)).toBe('closed');
+      expect(planSourceCall(source, secondCooldown).allowed).toBe(true);
+    });
+
+    it('should let only one caller through while the half-open trial is in flight', () => {
+      const now = 1_000_000;
+      [1, 2, 3].forEach(() => recordSourceOutcome('flaky', fail(), now));
+      const afterCooldown = now + SOURCE_HEALTH_CONFIG.cooldownMs;
+
+      expect(planSourceCall(source, afterCooldown).allowed).toBe(true);
+      expect(planSourceCall(source, afterCooldown + 100)).toEqual({
+        allowed: false,
+        timeoutMs: 0,
+        adaptive: false,
+        state: 'half_open',
+        retryAt: afterCooldown + 10000
+      });
+
+      recordSourceOutcome('flaky', succeed(500), afterCooldown + 200);
+      expect(planSourceCall(source, afterCooldown + 300)).toMatchObject({ allowed: true, state: 'closed' });
+    });
+
+    it('should allow a new trial when the previous one was never recorded', () => {
+      const now = 1_000_000;
+      [1, 2, 3].forEach(() => recordSourceOutcome('flaky', fail(), now));
+      const afterCooldown = now + SOURCE_HEALTH_CONFIG.cooldownMs;
+
+      planSourceCall(source, afterCooldown); // e.g. the request was cancelled mid-call
+
+      expect(planSourceCall(source, afterCooldown + 9999).allowed).toBe(false);
+      expect(planSourceCall(source, afterCooldown + 10000)).toMatchObject({ allowed: true, state: 'half_open' });
+    });
+  });
+
+  describe('reallocateQuota', () => {
+    it('should split the freed quota proportionally', () => {
+      expect(reallocateQuota({ exa: 10, pubmed: 6, medrxiv: 3, clinicaltrials: 2 }, ['medrxiv'])).toEqual({
+        config: { exa: 12, pubmed: 7, medrxiv: 0, clinicaltrials: 2 },
+        reallocated: { exa: 2, pubmed: 1 }
+      });
+    });
+
+    it('should keep the total when nothing can receive the quota', () => {
+      expect(reallocateQuota({ medrxiv: 3 }, ['medrxiv'])).toEqual({ config: { medrxiv: 0 }, reallocated: {} });
+      expect(reallocateQuota({ exa: 5, pubmed: 5 }, [])).toEqual({ config: { exa: 5, pubmed: 5 }, reallocated: {} });
+    });
+  });
+
+  describe('fetchAllResearchSources', () => {
+    const healthy = fakeSource('healthy', async (_query, count) => Array.from({ length: count }, (_, i) => `h${i}`));
+    const broken = fakeSource('broken', async () => { throw new Error('503'); });
+
+    beforeAll(() => {
+      registerResearchSource(healthy);
+      registerResearchSource(broken);
+    });
+
+    afterAll(() => {
+      unregisterResearchSource('healthy');
+      unregisterResearchSource('broken');
+    });
+
+    it('should skip a source with an open circuit and reallocate its quota', async () => {
+      for (let i = 0; i < SOURCE_HEALTH_CONFIG.failureThreshold; i++) {
+        await fetchAllResearchSources('dawn phenomenon', { healthy: 2, broken: 3 });
+      }
+      expect(getSourceHealth('broken').state).toBe('open');
+      (broken.search as jest.Mock).mockClear();
+
+      const events: any[] = [];
+      const results = await fetchAllResearchSources('dawn phenomenon', { healthy: 2, broken: 3 }, event => events.push(event));
+
+      expect(broken.search).not.toHaveBeenCalled();
+      expect(results.documents).toHaveLength(5);
+      expect(results).toMatchObject({ skipped: ['broken'], reallocated: { healthy: 3 }, errors: {} });
+      expect(events[0]).toMatchObject({ type: 'source_skipped', api: 'broken', reallocated: { healthy: 3 } });
+      expect(events.find(event => event.type === 'api_started')).toMatchObject({ api: 'healthy', count: 5, timeoutMs: 10000 });
+    });
+  });
+});
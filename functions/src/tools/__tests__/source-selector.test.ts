@@ -12,6 +12,15 @@ import {
 } from '../source-selector';
 import { RankedSource } from '../source-ranker';
 
+// No embedder in unit tests - clustering falls back to word overlap
+jest.mock('../../genkit-instance', () => ({
+  ai: { embedMany: jest.fn().mockRejectedValue(new Error('Embedder unavailable')) }
+}));
+
+jest.mock('../../providers', () => ({
+  getEmbedder: () => 'googleai/gemini-embedding-001'
+}));
+
 describe('Intelligent Source Selector', () => {
   describe('selectSourcesForSynthesis', () => {
     it('should select top 30 sources by default', async () => {
@@ -249,6 +258,51 @@ describe('Intelligent Source Selector', () => {
     });
   });
 
+  describe('citation ids', () => {
+    it('should give selected sources ids in selection order', async () => {
+      const rankedSources: RankedSource[] = [
+        {
+          source: { pmid: '1', title: 'Metformin and HbA1c', abstract: 'Metformin lowered HbA1c' },
+          relevanceScore: 90,
+          reasoning: '',
+          sourceType: 'pubmed'
+        },
+        {
+          source: { nctId: 'NCT1', title: 'Dawn phenomenon trial', summary: 'Insulin pump basal rates' },
+          relevanceScore: 80,
+          reasoning: '',
+          sourceType: 'clinicaltrials'
+        }
+      ];
+
+      const result = await selectSourcesForSynthesis(rankedSources);
+
+      expect(result.selectedSources.map(s => s.id)).toEqual([1, 2]);
+      expect(result.selectedSources[1].summary).toBe('Insulin pump basal rates');
+    });
+
+    it('should label sources with their id in the synthesis prompt', () => {
+      const source = (id: number, sourceType: SelectedSource['sourceType'], citation: string): SelectedSource => ({
+        id,
+        source: {},
+        relevanceScore: 80,
+        sourceType,
+        citation,
+        summary: 'Summary',
+        credibilityBadge: 'credible',
+        estimatedTokens: 10
+      });
+
+      const formatted = formatSelectedSourcesForSynthesis([
+        source(1, 'exa', 'Web first'),
+        source(2, 'pubmed', 'PubMed second')
+      ]);
+
+      expect(formatted).toContain('[2] PubMed second');
+      expect(formatted).toContain('[1] Web first');
+    });
+  });
+
   describe('formatSelectedSourcesForSynthesis', () => {
     it('should format sources by type', () => {
       const selectedSources: SelectedSource[] = [
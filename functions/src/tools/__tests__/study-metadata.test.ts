@@ -0,0 +1,156 @@
+/**
+ * Tests for study metadata extraction and its ranking signal
+ */
+
+import {
+  attachStudyMetadata,
+  extractStudyMetadata,
+  formatStudyMetadata,
+  hasStudyMetadata,
+  studyQualityBoost
+} from '../study-metadata';
+import { ResearchDocument, toClientSource } from '../research-sources';
+import { rankSourcesByRelevance } from '../source-ranker';
+
+jest.mock('../exa-search', () => ({}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+
+function doc(overrides: Partial<ResearchDocument>): ResearchDocument {
+  return {
+    sourceId: 'pubmed',
+    id: '1',
+    identifier: null,
+    title: '',
+    abstract: '',
+    url: 'https://pubmed.ncbi.nlm.nih.gov/1/',
+    domain: 'pubmed.ncbi.nlm.nih.gov',
+    publishDate: null,
+    authors: [],
+    venue: null,
+    raw: {},
+    ...overrides
+  };
+}
+
+describe('study-metadata', () => {
+  describe('extractStudyMetadata', () => {
+    it('should read a randomized trial abstract', () => {
+      const metadata = extractStudyMetadata(doc({
+        title: 'Efficacy of dapagliflozin versus placebo in type 2 diabetes: a 52-week randomized trial',
+        abstract: 'We randomized 1,204 adults with type 2 diabetes (n = 602 per arm). ' +
+          'The primary outcome was change in HbA1c from baseline to week 52. Participants were aged 40-70 years.'
+      }));
+
+      expect(metadata).toEqual({
+        sampleSize: 1204,
+        diabetesType: 'type2',
+        intervention: 'dapagliflozin',
+        comparator: 'placebo',
+        duration: '52 weeks',
+        durationWeeks: 52,
+        primaryOutcome: 'change in HbA1c from baseline to week 52'
+      });
+    });
+
+    it('should not mistake ages or diabetes types for sizes and durations', () => {
+      const metadata = extractStudyMetadata(doc({
+        title: 'Insulin pump use in type 1 diabetes patients',
+        abstract: 'A cohort of 65-year-old type 1 diabetes patients over 65 years, followed for 3 years. ' +
+          'Outcomes were assessed 12 weeks in patients with pumps.'
+      }));
+
+      expect(metadata).toMatchObject({ sampleSize: null, diabetesType: 'type1', duration: '3 years', durationWeeks: 157 });
+    });
+
+    it('should prefer structured trial and MeSH fields', () => {
+      const trial = extractStudyMetadata(doc({
+        sourceId: 'clinicaltrials',
+        title: 'Tirzepatide in Adolescents',
+        abstract: 'A study in 30 adolescents.',
+        raw: {
+          enrollmentCount: 120,
+          interventions: ['Drug: Placebo', 'Drug: Tirzepatide'],
+          conditions: ['Diabetes Mellitus, Type 2'],
+          startDate: '2023-01-01',
+          completionDate: '2023-07-02'
+        }
+      }));
+      expect(trial).toMatchObject({
+        sampleSize: 120,
+        diabetesType: 'type2',
+        intervention: 'Tirzepatide',
+        comparator: 'Placebo',
+        duration: '26 weeks'
+      });
+
+      const article = doc({
+        title: 'Glucose variability in pregnancy',
+        abstract: 'Women with type 1 or type 2 diabetes were compared.',
+        raw: { meshTerms: ['Diabetes, Gestational', 'Humans'] }
+      });
+      expect(extractStudyMetadata(article).diabetesType).toBe('gestational');
+      expect(extractStudyMetadata({ ...article, raw: {} }).diabetesType).toBe('mixed');
+    });
+
+    it('should leave fields the source does not state null', () => {
+      const metadata = extractStudyMetadata(doc({ title: 'Diabetes distress', abstract: 'A narrative review.' }));
+
+      expect(hasStudyMetadata(metadata)).toBe(false);
+      expect(formatStudyMetadata(metadata)).toBe('');
+    });
+  });
+
+  describe('studyQualityBoost / formatStudyMetadata', () => {
+    const base = extractStudyMetadata(doc({}));
+
+    it('should penalize pilots and reward large, long studies', () => {
+      expect(studyQualityBoost({ ...base, sampleSize: 12 })).toBe(-5);
+      expect(studyQualityBoost({ ...base, sampleSize: 150 })).toBe(3);
+      expect(studyQualityBoost({ ...base, sampleSize: 10000, durationWeeks: 104 })).toBe(10);
+      expect(studyQualityBoost(base)).toBe(0);
+    });
+
+    it('should summarize known fields on one line', () => {
+      expect(formatStudyMetadata({
+        ...base,
+        sampleSize: 1204,
+        diabetesType: 'type2',
+        duration: '24 weeks',
+        intervention: 'dapagliflozin',
+        comparator: 'placebo'
+      })).toBe('n=1,204 · type 2 diabetes · 24 weeks · dapagliflozin vs placebo');
+      expect(formatStudyMetadata({ ...base, comparator: 'placebo' })).toBe('placebo-controlled');
+    });
+  });
+
+  describe('ranking and source cards', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rank a large trial above an otherwise equal pilot', async () => {
+      const pilot = doc({ id: 'pilot', title: 'Metformin trial', abstract: 'A pilot study in 12 patients.' });
+      const large = doc({ id: 'large', title: 'Metformin trial', abstract: 'A trial in 2,400 patients.' });
+
+      const result = await rankSourcesByRelevance('metformin trial', [pilot, large], { topN: 2 });
+
+      expect(result.rankedSources.map(ranked => ranked.document?.id)).toEqual(['large', 'pilot']);
+      expect(result.rankedSources[0].relevanceScore - result.rankedSources[1].relevanceScore).toBe(13);
+    });
+
+    it('should add known metadata to the source card', () => {
+      const withStudy = doc({ abstract: 'We enrolled 300 adults.' });
+      const without = doc({ abstract: 'Background only.' });
+      attachStudyMetadata([withStudy, without]);
+
+      expect(toClientSource(withStudy).studyMetadata).toMatchObject({ sampleSize: 300 });
+      expect(toClientSource(without)).not.toHaveProperty('studyMetadata');
+    });
+  });
+});
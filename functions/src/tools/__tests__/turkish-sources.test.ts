@@ -0,0 +1,209 @@
+/**
+ * Tests for the Turkish source track: TEMD guideline index, Turkish journal and
+ * Ministry of Health adapters, and the local guidance flag
+ */
+
+import {
+  buildLocalGuidanceInstructions,
+  buildTemdIndex,
+  getTemdIndex,
+  hasTemdGuidelineText,
+  searchTemdGuidelines,
+  setTemdIndex
+} from '../turkish-sources';
+import { getResearchSource, toClientSource } from '../research-sources';
+import { classifyEvidenceLevel } from '../evidence-hierarchy';
+import { buildSearchQueries } from '../mesh-query-builder';
+import { rankSourcesByRelevance } from '../source-ranker';
+import { formatSelectedSourcesForSynthesis, selectSourcesForSynthesis } from '../source-selector';
+import { ResearchSourceProvider, setResearchSourceProvider } from '../research-source-provider';
+
+jest.mock('../exa-search', () => ({
+  TURKISH_JOURNAL_DOMAINS: ['turkjem.org'],
+  TURKISH_HEALTH_MINISTRY_DOMAINS: ['saglik.gov.tr']
+}));
+jest.mock('../pubmed-search', () => ({}));
+jest.mock('../medrxiv-search', () => ({}));
+jest.mock('../clinical-trials', () => ({}));
+
+const GUIDELINE_FILE = `---
+id: temd-test
+title: TEMD Test Kılavuzu
+edition: 2024
+url: https://temd.org.tr/test
+---
+
+Giriş metni bölüm değildir.
+
+# Hipoglisemi
+
+Hipoglisemi belirtileri titreme ve terlemedir.
+
+Şeker düşüklüğünde 15 gram hızlı karbonhidrat alınır.
+
+3.2. DİYABET VE ORUÇ
+
+Oruç tutacak hastalarda insülin dozu düzenlenir.
+
+## Diyabet ve beslenme
+
+Diyabette karbonhidrat sayımı öğün planlamasını kolaylaştırır.
+`;
+
+describe('turkish-sources', () => {
+  const bundled = getTemdIndex();
+  const testIndex = buildTemdIndex([{ fileName: 'test.md', content: GUIDELINE_FILE }]);
+
+  describe('searchTemdGuidelines', () => {
+    beforeAll(() => {
+      setTemdIndex(testIndex);
+    });
+
+    afterAll(() => {
+      setTemdIndex(bundled);
+    });
+
+    it('should find the section for a Turkish question', () => {
+      const [first] = searchTemdGuidelines('Oruç tutarken şekerim düşer mi?', 3);
+
+      expect(first).toEqual(expect.objectContaining({
+        heading: 'DİYABET VE ORUÇ',
+        url: 'https://temd.org.tr/test'
+      }));
+    });
+
+    it('should use MeSH topics for English queries', () => {
+      const queries = buildSearchQueries('Insulin dose while fasting with diabetes', 'Insulin dose while fasting with diabetes');
+
+      expect(searchTemdGuidelines(queries.english, 1, queries.meshTerms.map(match => match.descriptor))[0].heading)
+        .toBe('DİYABET VE ORUÇ');
+    });
+
+    it('should return nothing when only common words match', () => {
+      expect(searchTemdGuidelines('Diyabette hangi sebzeler yenir?', 3)).toEqual([]);
+    });
+  });
+
+  describe('scope summaries', () => {
+    it('should not search the bundled summary-only index', () => {
+      expect(bundled.documents.every(document => document.summaryOnly)).toBe(true);
+      expect(hasTemdGuidelineText()).toBe(false);
+      expect(searchTemdGuidelines('Oruç tutarken şekerim düşer mi?', 3)).toEqual([]);
+    });
+
+    it('should mark documents with content: summary', () => {
+      const summary = GUIDELINE_FILE.replace('edition: 2024', 'edition: 2024\ncontent: summary');
+      setTemdIndex(buildTemdIndex([{ fileName: 'test.md', content: summary }]));
+
+      try {
+        expect(getTemdIndex().documents[0].summaryOnly).toBe(true);
+        expect(hasTemdGuidelineText()).toBe(false);
+      } finally {
+        setTemdIndex(bundled);
+      }
+    });
+  });
+
+  describe('buildTemdIndex', () => {
+    it('should split headings, skip the preface and tag MeSH topics', () => {
+      const index = buildTemdIndex([{ fileName: 'test.md', content: GUIDELINE_FILE }], '2026-10-19');
+
+      expect(index.documents).toEqual([
+        { id: 'temd-test', title: 'TEMD Test Kılavuzu', edition: '2024', url: 'https://temd.org.tr/test' }
+      ]);
+      expect(index.sections.map(section => [section.id, section.heading, section.topics])).toEqual([
+        ['temd-test-hipoglisemi', 'Hipoglisemi', ['Hypoglycemia']],
+        ['temd-test-diyabet-ve-oruc', 'DİYABET VE ORUÇ', ['Insulin', 'Diabetes Mellitus', 'Fasting']],
+        ['temd-test-diyabet-ve-beslenme', 'Diyabet ve beslenme', ['Diabetes Mellitus']]
+      ]);
+      expect(index.sections[0].text).toBe(
+        'Hipoglisemi belirtileri titreme ve terlemedir.\nŞeker düşüklüğünde 15 gram hızlı karbonhidrat alınır.'
+      );
+    });
+
+    it('should split long sections at paragraph boundaries', () => {
+      const paragraph = 'Hipoglisemi tedavisinde hızlı karbonhidrat kullanılır. '.repeat(10).trim();
+      const content = `# Hipoglisemi\n\n${paragraph}\n\n${paragraph}\n\n${paragraph}\n`;
+      const index = buildTemdIndex([{ fileName: 'uzun.md', content }]);
+
+      expect(index.sections.map(section => section.id)).toEqual(['uzun-hipoglisemi-1', 'uzun-hipoglisemi-2']);
+      expect(index.sections.every(section => section.text.length <= 1500)).toBe(true);
+    });
+
+    it('should be searched after setTemdIndex', () => {
+      setTemdIndex(testIndex);
+
+      try {
+        expect(searchTemdGuidelines('Hipoglisemi belirtileri nelerdir?', 2).map(result => result.sectionId))
+          .toEqual(['temd-test-hipoglisemi']);
+      } finally {
+        setTemdIndex(bundled);
+      }
+    });
+  });
+
+  describe('research sources', () => {
+    const exaResult = (url: string, domain: string) => ({
+      id: url,
+      title: 'Tip 1 diyabetli çocuklarda insülin pompası deneyimi',
+      url,
+      domain,
+      publishedDate: '2023-04-01',
+      author: null,
+      snippet: 'İnsülin pompası kullanan tip 1 diyabetli çocuklarda HbA1c düştü.',
+      highlights: [],
+      credibilityLevel: 'peer_reviewed'
+    });
+
+    const provider = {
+      mode: 'live',
+      searchMedicalSources: jest.fn(async (_query: string, _count: number, _signal: unknown, domains: string[]) =>
+        domains[0] === 'turkjem.org' ? [exaResult('https://turkjem.org/pompa', 'turkjem.org')] : []
+      )
+    };
+
+    beforeAll(() => {
+      setResearchSourceProvider(provider as unknown as ResearchSourceProvider);
+      setTemdIndex(testIndex);
+    });
+
+    afterAll(() => {
+      setResearchSourceProvider(null);
+      setTemdIndex(bundled);
+    });
+
+    it('should search the Turkish question and flag results as local guidance', async () => {
+      const queries = buildSearchQueries('İnsülin pompası çocuklarda işe yarar mı?', 'insulin pump children');
+      const journals = getResearchSource('tr-journals')!;
+
+      const [result] = await journals.search(queries.english, 2, undefined, queries);
+      const document = journals.normalize(result);
+
+      expect(provider.searchMedicalSources).toHaveBeenCalledWith(queries.original, 2, undefined, ['turkjem.org']);
+      expect(journals.queryFor?.(queries)).toBe(queries.original);
+      expect(document).toEqual(expect.objectContaining({ sourceId: 'exa', via: 'tr-journals' }));
+      expect(toClientSource(document)).toEqual(expect.objectContaining({ localGuidance: 'Türk tıp literatürü' }));
+      expect(getResearchSource('tr-ministry')?.localGuidance).toBe('T.C. Sağlık Bakanlığı');
+    });
+
+    it('should cite TEMD sections as guidelines with a local guidance line', async () => {
+      const temd = getResearchSource('temd')!;
+      const queries = buildSearchQueries('Oruç tutarken şekerim düşer mi?', 'Can my blood sugar drop while fasting?');
+      const documents = (await temd.search(queries.english, 1, undefined, queries)).map(result => temd.normalize(result));
+
+      expect(documents[0]).toEqual(expect.objectContaining({
+        sourceId: 'temd',
+        id: 'temd:temd-test-diyabet-ve-oruc',
+        domain: 'temd.org.tr'
+      }));
+      expect(classifyEvidenceLevel(documents[0])).toBe('guideline');
+
+      const ranked = await rankSourcesByRelevance(queries.original, documents, { topN: 1 });
+      const { selectedSources } = await selectSourcesForSynthesis(ranked.rankedSources, { minRelevanceScore: 0 });
+
+      expect(selectedSources[0].localGuidance).toBe('TEMD kılavuzu (Türkiye)');
+      expect(formatSelectedSourcesForSynthesis(selectedSources)).toContain('**Local guidance:** TEMD kılavuzu (Türkiye)');
+      expect(buildLocalGuidanceInstructions()).toContain('"Local guidance:"');
+    });
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Citation Verifier - Post-generation grounding check
+ *
+ * Synthesis cites the selected sources inline by their SelectedSource id
+ * ([3], [3][7], [3, 7], [2-4]). Once the answer is generated:
+ * 1. The answer is split into sentences and each sentence's cited ids collected
+ * 2. Ids that match no selected source are flagged as invalid citations
+ * 3. A fast model checks every cited sentence against the cited abstracts
+ *    (one batched call) - supported / partial / unsupported
+ * 4. The verdicts become a per-answer grounding score (0-1) plus the list of
+ *    unsupported claims, sent in the `complete` event metadata
+ *
+ * The answer has already been streamed when this runs, so unsupported claims are
+ * flagged for the client rather than removed. Verification never fails the
+ * answer: if the model check can't run the report is marked unverified.
+ */
+
+import { ai } from '../genkit-instance';
+import { logger } from 'firebase-functions/v2';
+import { getRouterModel } from '../providers';
+import { logTokenUsage } from '../cost-tracking/cost-tracker';
+import { FeatureName } from '../cost-tracking/model-pricing';
+import { ResearchCancelledError } from '../utils/abort';
+import { SelectedSource } from './source-selector';
+
+const MAX_CLAIMS_VERIFIED = 40; // Longer answers: only the first 40 cited sentences are checked
+const MAX_EXCERPT_CHARS = 800; // Abstract excerpt per cited source
+const MIN_CLAIM_CHARS = 30; // Shorter lines (labels, fragments) are not counted as claims
+const MAX_RANGE_SIZE = 10; // [2-40] is a typo, not 39 citations
+const VERIFY_TIMEOUT_MS = 20000;
+
+const VERDICT_WEIGHTS: Record<ClaimVerdict, number> = {
+  supported: 1,
+  partial: 0.5,
+  unsupported: 0
+};
+
+const MARKER_PATTERN = /\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g;
+
+export type ClaimVerdict = 'supported' | 'partial' | 'unsupported';
+
+/**
+ * A sentence of the answer together with the source ids it cites
+ */
+export interface CitedClaim {
+  sentence: string; // Sentence text without citation markers
+  citations: number[];
+}
+
+export interface VerifiedClaim extends CitedClaim {
+  verdict: ClaimVerdict;
+  reason: string;
+}
+
+/**
+ * Grounding result for one answer (sent as metadata.grounding)
+ */
+export interface GroundingReport {
+  verified: boolean; // false when the model check could not run
+  groundingScore: number | null; // Weighted share of supported cited sentences, null if unverified
+  citedSentences: number;
+  uncitedSentences: number;
+  supported: number;
+  partial: number;
+  unsupported: number;
+  invalidCitations: number[]; // Cited ids that match no selected source
+  unsupportedClaims: Array<{ sentence: string; citations: number[]; reason: string }>;
+}
+
+export interface CitationVerificationOptions {
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  userId?: string;
+}
+
+/**
+ * Source ids cited in a piece of text, in order of first appearance
+ */
+export function extractCitationIds(text: string): number[] {
+  const ids: number[] = [];
+
+  for (const match of text.matchAll(MARKER_PATTERN)) {
+    for (const part of match[1].split(',')) {
+      const [start, end] = part.split(/[-–]/).map(value => parseInt(value.trim(), 10));
+
+      if (end !== undefined && end >= start && end - start < MAX_RANGE_SIZE) {
+        for (let id = start; id <= end; id++) ids.push(id);
+      } else {
+        ids.push(start);
+      }
+    }
+  }
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Split a markdown answer into sentences
+ * Headings, tables and code fences are skipped; list bullets are unwrapped
+ */
+export function splitSentences(answer: string): string[] {
+  return answer
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !/^(#|\||```|---)/.test(line))
+    .map(line => line.replace(/^(?:[-*+•]|\d+[.)])\s+/, ''))
+    // A sentence ends at . ! ? followed by a new sentence - markers after the period stay attached
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-ZÇĞİÖŞÜ"“(*])/))
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Collect the cited sentences of an answer and count the uncited ones
+ */
+export function extractCitedClaims(answer: string): { claims: CitedClaim[]; uncitedCount: number } {
+  const claims: CitedClaim[] = [];
+  let uncitedCount = 0;
+
+  for (const sentence of splitSentences(answer)) {
+    const citations = extractCitationIds(sentence);
+    const text = sentence.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').trim();
+
+    if (citations.length > 0) {
+      claims.push({ sentence: text, citations });
+    } else if (text.length >= MIN_CLAIM_CHARS) {
+      uncitedCount++;
+    }
+  }
+
+  return { claims, uncitedCount };
+}
+
+/**
+ * Build the report from per-claim verdicts
+ */
+export function buildGroundingReport(
+  verifiedClaims: VerifiedClaim[],
+  uncitedCount: number,
+  invalidCitations: number[]
+): GroundingReport {
+  const count = (verdict: ClaimVerdict) => verifiedClaims.filter(claim => claim.verdict === verdict).length;
+  const weight = verifiedClaims.reduce((sum, claim) => sum + VERDICT_WEIGHTS[claim.verdict], 0);
+
+  return {
+    verified: true,
+    // Nothing cited although sources were provided - nothing in the answer is grounded
+    groundingScore: verifiedClaims.length > 0 ? Math.round((weight / verifiedClaims.length) * 100) / 100 : 0,
+    citedSentences: verifiedClaims.length,
+    uncitedSentences: uncitedCount,
+    supported: count('supported'),
+    partial: count('partial'),
+    unsupported: count('unsupported'),
+    invalidCitations,
+    unsupportedClaims: verifiedClaims
+      .filter(claim => claim.verdict === 'unsupported')
+      .map(({ sentence, citations, reason }) => ({ sentence, citations, reason }))
+  };
+}
+
+function unverifiedReport(claims: CitedClaim[], uncitedCount: number, invalidCitations: number[]): GroundingReport {
+  return {
+    verified: false,
+    groundingScore: null,
+    citedSentences: claims.length,
+    uncitedSentences: uncitedCount,
+    supported: 0,
+    partial: 0,
+    unsupported: 0,
+    invalidCitations,
+    unsupportedClaims: []
+  };
+}
+
+/**
+ * Check every cited sentence of the answer against the abstracts it cites
+ *
+ * @param answer - Generated answer with inline [id] markers
+ * @param sources - Sources the synthesis prompt listed (ids = citation numbers)
+ * @param options - Abort signal (client disconnect), timeout, user for cost tracking
+ * @returns Grounding report; unverified (score null) if the model check fails or times out
+ */
+export async function verifyCitations(
+  answer: string,
+  sources: SelectedSource[],
+  options: CitationVerificationOptions = {}
+): Promise<GroundingReport> {
+  const startTime = Date.now();
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+
+  const { claims: allClaims, uncitedCount } = extractCitedClaims(answer);
+  const claims = allClaims.slice(0, MAX_CLAIMS_VERIFIED);
+
+  const invalidCitations = [...new Set(
+    allClaims.flatMap(claim => claim.citations).filter(id => !sourcesById.has(id))
+  )].sort((a, b) => a - b);
+
+  if (invalidCitations.length > 0) {
+    logger.warn(`⚠️ [CITATION-VERIFIER] Answer cites unknown sources: [${invalidCitations.join(', ')}]`);
+  }
+
+  // Claims citing only unknown ids can't be supported by anything
+  const resolved: VerifiedClaim[] = [];
+  const toCheck: CitedClaim[] = [];
+  for (const claim of claims) {
+    if (claim.citations.some(id => sourcesById.has(id))) {
+      toCheck.push(claim);
+    } else {
+      resolved.push({ ...claim, verdict: 'unsupported', reason: 'Cited source does not exist' });
+    }
+  }
+
+  if (toCheck.length === 0) {
+    return buildGroundingReport(resolved, uncitedCount, invalidCitations);
+  }
+
+  const timeoutSignal = AbortSignal.timeout(options.timeoutMs ?? VERIFY_TIMEOUT_MS);
+  const abortSignal = options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal;
+
+  try {
+    const verdicts = await judgeClaims(toCheck, sourcesById, abortSignal, options.userId);
+    const report = buildGroundingReport(
+      [...resolved, ...toCheck.map((claim, i) => ({ ...claim, ...verdicts[i] }))],
+      uncitedCount,
+      invalidCitations
+    );
+
+    logger.info(
+      `✅ [CITATION-VERIFIER] Grounding score ${report.groundingScore} in ${Date.now() - startTime}ms: ` +
+      `${report.supported} supported, ${report.partial} partial, ${report.unsupported} unsupported, ` +
+      `${report.uncitedSentences} uncited`
+    );
+
+    return report;
+  } catch (error: any) {
+    if (options.signal?.aborted) {
+      throw new ResearchCancelledError('citation verification');
+    }
+
+    logger.warn(`⚠️ [CITATION-VERIFIER] Verification skipped: ${error.message}`);
+    return unverifiedReport(allClaims, uncitedCount, invalidCitations);
+  }
+}
+
+/**
+ * One batched model call: verdict for every claim against its cited excerpts
+ */
+async function judgeClaims(
+  claims: CitedClaim[],
+  sourcesById: Map<number, SelectedSource>,
+  abortSignal: AbortSignal,
+  userId?: string
+): Promise<Array<{ verdict: ClaimVerdict; reason: string }>> {
+  const citedIds = [...new Set(claims.flatMap(claim => claim.citations))]
+    .filter(id => sourcesById.has(id))
+    .sort((a, b) => a - b);
+
+  const sourceBlock = citedIds.map(id => {
+    const source = sourcesById.get(id)!;
+    const excerpt = source.summary.substring(0, MAX_EXCERPT_CHARS) || '(no abstract available)';
+    return `[${id}] ${source.citation}\n${excerpt}`;
+  }).join('\n\n');
+
+  const claimBlock = claims.map((claim, i) =>
+    `${i + 1}. (cites ${claim.citations.map(id => `[${id}]`).join('')}) ${claim.sentence}`
+  ).join('\n');
+
+  const model = getRouterModel();
+  const response = await ai.generate({
+    model,
+    abortSignal,
+    config: {
+      temperature: 0,
+      maxOutputTokens: 4096
+    },
+    system: `You verify citations in a medical answer written for people with diabetes.
+The answer is in Turkish, the sources are mostly in English - compare meaning, not wording.
+
+For each numbered claim decide, using ONLY the excerpts of the sources it cites:
+- "supported": the cited excerpts state or directly imply the claim
+- "partial": the excerpts support part of the claim, or the claim overstates them (numbers, certainty, population)
+- "unsupported": the cited excerpts do not contain the claim or contradict it
+
+Return ONLY valid JSON (no markdown, no code blocks):
+{"results": [{"claim": <number>, "verdict": "<supported|partial|unsupported>", "reason": "<max 15 words>"}]}`,
+    prompt: `SOURCES:
+${sourceBlock}
+
+CLAIMS:
+${claimBlock}`
+  });
+
+  const usage = (response as any).usage;
+  if (usage) {
+    await logTokenUsage({
+      featureName: FeatureName.RESEARCH_CITATION_VERIFICATION,
+      modelName: model,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      userId,
+      metadata: { claims: claims.length, sources: citedIds.length }
+    });
+  }
+
+  return parseVerdicts(response.text || '', claims.length);
+}
+
+/**
+ * Parse the model's verdict JSON - claims without a usable verdict count as partial
+ */
+export function parseVerdicts(text: string, claimCount: number): Array<{ verdict: ClaimVerdict; reason: string }> {
+  let jsonText = text.trim();
+  if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/```(?:json)?\n?/g, '').trim();
+  }
+
+  const parsed = JSON.parse(jsonText);
+  const results: any[] = Array.isArray(parsed?.results) ? parsed.results : [];
+  const byClaim = new Map(results.map(result => [Number(result.claim), result]));
+
+  return Array.from({ length: claimCount }, (_, i) => {
+    const result = byClaim.get(i + 1);
+    const verdict: ClaimVerdict = ['supported', 'partial', 'unsupported'].includes(result?.verdict)
+      ? result.verdict
+      : 'partial';
+
+    return { verdict, reason: typeof result?.reason === 'string' ? result.reason : 'No verdict returned' };
+  });
+}
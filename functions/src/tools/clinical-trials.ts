@@ -4,6 +4,7 @@
 //
 
 import axios from 'axios';
+import { ResearchCancelledError, isCancellationError } from '../utils/abort';
 
 export interface ClinicalTrialResult {
   nctId: string; // NCT identifier (e.g., NCT12345678)
@@ -28,7 +29,8 @@ export async function searchClinicalTrials(
   condition: string,
   intervention?: string,
   status?: 'recruiting' | 'completed' | 'active' | 'all',
-  maxResults: number = 10
+  maxResults: number = 10,
+  signal?: AbortSignal // Aborts the in-flight request when the client disconnects
 ): Promise<ClinicalTrialResult[]> {
   try {
     // Build query parameters
@@ -60,7 +62,8 @@ export async function searchClinicalTrials(
     // Make API request
     const response = await axios.get('https://clinicaltrials.gov/api/v2/studies', {
       params,
-      timeout: 10000 // 10 second timeout
+      timeout: 10000, // 10 second timeout
+      signal
     });
 
     // Parse results
@@ -96,6 +99,11 @@ export async function searchClinicalTrials(
       };
     });
   } catch (error: any) {
+    // Cancellation is not a failure - let the orchestrator stop
+    if (signal?.aborted || isCancellationError(error)) {
+      throw new ResearchCancelledError('ClinicalTrials search');
+    }
+
     console.error(`❌ [CLINICAL-TRIALS] Search failed:`, error.message);
 
     // Return empty array on error rather than throwing
@@ -0,0 +1,292 @@
+/**
+ * Drug & Supplement Interaction Lookup
+ *
+ * Checks medications mentioned in a question (and the user's profile medications)
+ * against the bundled interaction dataset in ./data/drug-interactions.json:
+ * - Turkish brand names resolve to active ingredients ("Glifor" → metformin,
+ *   "Janumet" → sitagliptin + metformin)
+ * - Generic names, supplements and alcohol match in Turkish or English, with or
+ *   without Turkish characters and suffixes ("metformini", "alkolle")
+ * - Interactions are defined between ingredients or drug classes ("class:sglt2")
+ *
+ * RESULTS:
+ * - Structured warnings with severity, effect, management and label source
+ * - formatInteractionsForPrompt() turns them into a citable block ([E1], [E2]...)
+ *   for the T1/T2 system prompts
+ * - medical-guardrails.ts uses them for the drug_interaction safety category
+ *
+ * UPDATING THE DATASET:
+ * - `npm run update-drug-interactions` checks every entry against the current
+ *   openFDA label text and lists label mentions without an entry
+ * - setInteractionDataset() swaps the dataset at runtime (tests, hot fixes)
+ */
+
+import bundledDataset from './data/drug-interactions.json';
+import { foldTurkish } from '../utils/turkish-text';
+
+export type InteractionSeverity = 'major' | 'moderate' | 'minor';
+
+export interface InteractionIngredient {
+  name: string; // Turkish display name
+  aliases: string[]; // Generic names (English/Turkish), supplement and everyday names
+  classes: string[]; // Drug class ids, matched by "class:<id>" in interactions
+  labelName: string | null; // openFDA generic name, null when there is no FDA label
+}
+
+export interface InteractionEntry {
+  id: string;
+  a: string[]; // Ingredient ids or "class:<id>" - any of them
+  b: string[];
+  severity: InteractionSeverity;
+  effect: string; // Turkish
+  management: string; // Turkish
+  labels: string[]; // openFDA labels the entry is derived from (empty = curated)
+}
+
+export interface InteractionDataset {
+  version: string;
+  updatedAt: string;
+  source: string;
+  classes: Record<string, string>;
+  ingredients: Record<string, InteractionIngredient>;
+  brands: Record<string, string[]>; // Brand name → ingredient ids
+  interactions: InteractionEntry[];
+}
+
+/**
+ * Medication found in text
+ */
+export interface MedicationMatch {
+  term: string; // Brand or alias as matched (folded)
+  brand: string | null; // Brand name when matched by brand
+  ingredients: string[]; // Ingredient ids
+  fromProfile: boolean; // Found in the profile medications, not the question
+}
+
+/**
+ * Interaction between two mentioned medications
+ */
+export interface InteractionWarning {
+  id: string; // InteractionEntry.id
+  severity: InteractionSeverity;
+  ingredients: [string, string]; // Ingredient ids
+  names: [string, string]; // Display names, e.g. "Jardiance (Empagliflozin)"
+  effect: string;
+  management: string;
+  source: string;
+}
+
+export interface InteractionCheckResult {
+  medications: MedicationMatch[];
+  warnings: InteractionWarning[]; // Most severe first
+  datasetVersion: string;
+}
+
+interface TermMatcher {
+  term: string;
+  pattern: RegExp;
+  brand: string | null;
+  ingredients: string[];
+}
+
+const SEVERITY_ORDER: Record<InteractionSeverity, number> = { major: 0, moderate: 1, minor: 2 };
+
+const SEVERITY_LABELS: Record<InteractionSeverity, string> = {
+  major: 'CİDDİ',
+  moderate: 'ORTA',
+  minor: 'HAFİF'
+};
+
+// Shorter terms must be whole words ("bira" must not match "biraz")
+const MIN_PREFIX_TERM_LENGTH = 5;
+
+let dataset: InteractionDataset = bundledDataset as InteractionDataset;
+let matchers: TermMatcher[] | null = null;
+
+/**
+ * Replace the interaction dataset (e.g. after an update, or in tests)
+ */
+export function setInteractionDataset(next: InteractionDataset): void {
+  dataset = next;
+  matchers = null;
+}
+
+/**
+ * The dataset currently in use
+ */
+export function getInteractionDataset(): InteractionDataset {
+  return dataset;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildMatcher(term: string, brand: string | null, ingredients: string[]): TermMatcher {
+  const folded = foldTurkish(term);
+  const suffix = folded.length >= MIN_PREFIX_TERM_LENGTH ? '' : '(?![a-z0-9])';
+  return {
+    term: folded,
+    pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(folded)}${suffix}`, 'g'),
+    brand,
+    ingredients
+  };
+}
+
+/**
+ * Brand and alias matchers, longest term first so "Galvusmet" wins over "Galvus"
+ */
+function getMatchers(): TermMatcher[] {
+  if (matchers) return matchers;
+
+  const built: TermMatcher[] = [];
+  for (const [brand, ingredients] of Object.entries(dataset.brands)) {
+    built.push(buildMatcher(brand, brand, ingredients));
+  }
+  for (const [id, ingredient] of Object.entries(dataset.ingredients)) {
+    for (const alias of ingredient.aliases) {
+      built.push(buildMatcher(alias, null, [id]));
+    }
+  }
+
+  matchers = built.sort((a, b) => b.term.length - a.term.length);
+  return matchers;
+}
+
+/**
+ * Find brand names, generic names and supplements in free text
+ */
+export function findMedications(text: string, fromProfile = false): MedicationMatch[] {
+  const folded = foldTurkish(text);
+  const covered = new Array<boolean>(folded.length).fill(false);
+  const found: MedicationMatch[] = [];
+
+  for (const matcher of getMatchers()) {
+    for (const match of folded.matchAll(matcher.pattern)) {
+      const start = match.index ?? 0;
+      const end = start + match[0].length;
+      if (covered.slice(start, end).some(Boolean)) continue; // Part of a longer term
+
+      covered.fill(true, start, end);
+      const duplicate = found.some(existing =>
+        existing.brand === matcher.brand && existing.ingredients.join() === matcher.ingredients.join()
+      );
+      if (!duplicate) {
+        found.push({ term: matcher.term, brand: matcher.brand, ingredients: matcher.ingredients, fromProfile });
+      }
+    }
+  }
+
+  return found;
+}
+
+function matchesSide(ingredientId: string, side: string[]): boolean {
+  const ingredient = dataset.ingredients[ingredientId];
+  return side.some(item =>
+    item.startsWith('class:')
+      ? ingredient?.classes.includes(item.slice('class:'.length)) === true
+      : item === ingredientId
+  );
+}
+
+function displayName(medication: MedicationMatch, ingredientId: string): string {
+  const name = dataset.ingredients[ingredientId]?.name || ingredientId;
+  return medication.brand ? `${medication.brand} (${name})` : name;
+}
+
+function describeSource(entry: InteractionEntry): string {
+  return entry.labels.length > 0
+    ? `FDA ilaç prospektüsü (openFDA): ${entry.labels.join(', ')}`
+    : 'Derlenmiş etkileşim veri seti';
+}
+
+/**
+ * Check interactions between the medications in a question and the profile
+ * Only pairs involving at least one medication from the question are reported,
+ * so profile-only pairs do not repeat on every answer
+ *
+ * @param question - User's question
+ * @param profileMedications - diabetesProfile.medications (free text entries)
+ * @returns Matched medications and warnings, most severe first
+ */
+export function checkInteractions(question: string, profileMedications: string[] = []): InteractionCheckResult {
+  const fromQuestion = findMedications(question);
+  const result: InteractionCheckResult = { medications: fromQuestion, warnings: [], datasetVersion: dataset.version };
+
+  if (fromQuestion.length === 0) {
+    return result;
+  }
+
+  const fromProfile = profileMedications
+    .flatMap(entry => findMedications(entry, true))
+    .filter(medication => !fromQuestion.some(existing => existing.ingredients.join() === medication.ingredients.join()));
+  const medications = [...fromQuestion, ...fromProfile];
+  result.medications = medications;
+
+  const seen = new Set<string>();
+  for (let i = 0; i < medications.length; i++) {
+    for (let j = i + 1; j < medications.length; j++) {
+      const [first, second] = [medications[i], medications[j]];
+      if (first.fromProfile && second.fromProfile) continue;
+
+      for (const x of first.ingredients) {
+        for (const y of second.ingredients) {
+          if (x === y) continue;
+
+          for (const entry of dataset.interactions) {
+            const forward = matchesSide(x, entry.a) && matchesSide(y, entry.b);
+            const reverse = matchesSide(y, entry.a) && matchesSide(x, entry.b);
+            if (!forward && !reverse) continue;
+
+            const key = `${entry.id}:${[x, y].sort().join('+')}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            result.warnings.push({
+              id: entry.id,
+              severity: entry.severity,
+              ingredients: [x, y],
+              names: [displayName(first, x), displayName(second, y)],
+              effect: entry.effect,
+              management: entry.management,
+              source: describeSource(entry)
+            });
+          }
+        }
+      }
+    }
+  }
+
+  result.warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  if (result.warnings.length > 0) {
+    console.log(
+      `💊 [DRUG-INTERACTIONS] ${result.warnings.length} interaction(s) for ` +
+      `[${medications.map(medication => medication.brand || medication.term).join(', ')}]: ` +
+      result.warnings.map(warning => `${warning.id}(${warning.severity})`).join(', ')
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Citable interaction block for the T1/T2 system prompt (empty without warnings)
+ */
+export function formatInteractionsForPrompt(warnings: InteractionWarning[]): string {
+  if (warnings.length === 0) {
+    return '';
+  }
+
+  let block = `\n\n## İLAÇ ETKİLEŞİMLERİ (balli etkileşim veri seti, sürüm ${dataset.version})\n`;
+  warnings.forEach((warning, index) => {
+    block += `\n[E${index + 1}] ${SEVERITY_LABELS[warning.severity]} - ${warning.names[0]} + ${warning.names[1]}\n`;
+    block += `Etki: ${warning.effect}\n`;
+    block += `Öneri: ${warning.management}\n`;
+    block += `Kaynak: ${warning.source}\n`;
+  });
+  block += `\nBu etkileşimleri yanıtında [E1] gibi etiketleyerek mutlaka belirt; CİDDİ olanları en başta ver. ` +
+    `İlacı bırakmasını veya dozunu değiştirmesini söyleme, doktoruna veya eczacısına danışmasını öner.`;
+
+  return block;
+}
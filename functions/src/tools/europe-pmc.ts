@@ -0,0 +1,193 @@
+//
+// Europe PMC Full-Text Integration
+// Resolve PubMed IDs / DOIs to open-access full text (PubMed Central via Europe PMC)
+//
+
+import axios from 'axios';
+import { ResearchCancelledError, isCancellationError } from '../utils/abort';
+
+const EUROPE_PMC_API = 'https://www.ebi.ac.uk/europepmc/webservices/rest';
+
+export type FullTextSectionName = 'methods' | 'results' | 'conclusions';
+
+export interface FullTextSection {
+  name: FullTextSectionName;
+  title: string; // Heading as printed in the article, e.g. "Materials and Methods"
+  paragraphs: string[];
+}
+
+export interface OpenAccessFullText {
+  pmcid: string; // e.g. "PMC9876543"
+  url: string; // Europe PMC article page
+  sections: FullTextSection[]; // Methods, results and conclusions only, in that order
+}
+
+/**
+ * Section headings (or JATS sec-type values) per extracted section
+ * "Results and Discussion" counts as results; discussion is only used as conclusions
+ */
+const SECTION_PATTERNS: Array<[FullTextSectionName, RegExp]> = [
+  ['methods', /method|materials|patients and|participants|study design|research design/i],
+  ['results', /result|finding/i],
+  ['conclusions', /conclusion|discussion/i]
+];
+
+const SECTION_ORDER: FullTextSectionName[] = ['methods', 'results', 'conclusions'];
+
+// Shorter paragraphs are figure callouts, headings or boilerplate
+const MIN_PARAGRAPH_LENGTH = 40;
+
+/**
+ * Fetch open-access full text for an article from Europe PMC
+ * API Documentation: https://europepmc.org/RestfulWebService
+ *
+ * @param pmid - PubMed ID, preferred when available
+ * @param doi - DOI, used when there is no PubMed ID
+ * @param signal - Aborts in-flight requests when the client disconnects
+ * @returns Extracted sections, or null if the article is not open access in PMC
+ */
+export async function fetchOpenAccessFullText(
+  pmid: string | null,
+  doi: string | null,
+  signal?: AbortSignal
+): Promise<OpenAccessFullText | null> {
+  if (!pmid && !doi) {
+    return null;
+  }
+
+  try {
+    const query = pmid ? `EXT_ID:${pmid} AND SRC:MED` : `DOI:"${doi}"`;
+
+    const searchResponse = await axios.get(`${EUROPE_PMC_API}/search`, {
+      params: { query, format: 'json', resultType: 'lite', pageSize: 1 },
+      timeout: 8000,
+      signal
+    });
+
+    const article = searchResponse.data?.resultList?.result?.[0];
+    if (!article?.pmcid || article.isOpenAccess !== 'Y') {
+      console.log(`📭 [EUROPE-PMC] No open-access full text for ${pmid ? `PMID ${pmid}` : `DOI ${doi}`}`);
+      return null;
+    }
+
+    const fullTextResponse = await axios.get(`${EUROPE_PMC_API}/${article.pmcid}/fullTextXML`, {
+      responseType: 'text',
+      timeout: 10000,
+      signal
+    });
+
+    const sections = extractFullTextSections(String(fullTextResponse.data));
+
+    console.log(
+      `📖 [EUROPE-PMC] ${article.pmcid}: ${sections.map(s => `${s.name}(${s.paragraphs.length})`).join(', ') || 'no usable sections'}`
+    );
+
+    return sections.length > 0
+      ? { pmcid: article.pmcid, url: `https://europepmc.org/article/PMC/${article.pmcid}`, sections }
+      : null;
+
+  } catch (error: any) {
+    // Cancellation is not a failure - let the orchestrator stop
+    if (signal?.aborted || isCancellationError(error)) {
+      throw new ResearchCancelledError('Europe PMC full text');
+    }
+
+    console.error(`❌ [EUROPE-PMC] Full text lookup failed:`, error.message);
+
+    // Full text is an optional extra - the abstract is still there
+    return null;
+  }
+}
+
+/**
+ * Extract methods, results and conclusions from a JATS full-text XML document
+ * Tables, figures, formulas and citation markers are dropped
+ */
+export function extractFullTextSections(xml: string): FullTextSection[] {
+  const body = xml.match(/<body[^>]*>([\s\S]*)<\/body>/)?.[1];
+  if (!body) {
+    return [];
+  }
+
+  const cleaned = body
+    .replace(/<table-wrap[\s\S]*?<\/table-wrap>/g, ' ')
+    .replace(/<fig[\s\S]*?<\/fig>/g, ' ')
+    .replace(/<disp-formula[\s\S]*?<\/disp-formula>/g, ' ')
+    .replace(/<xref[^>]*>[\s\S]*?<\/xref>/g, '')
+    .replace(/<xref[^>]*\/>/g, '');
+
+  const found = new Map<FullTextSectionName, Array<{ title: string; paragraphs: string[]; isConclusion: boolean }>>();
+
+  for (const section of topLevelSections(cleaned)) {
+    const secType = section.match(/^<sec\b[^>]*sec-type="([^"]*)"/)?.[1] || '';
+    const title = toPlainText(section.match(/<title[^>]*>([\s\S]*?)<\/title>/)?.[1] || '');
+    const name = SECTION_PATTERNS.find(([, pattern]) => pattern.test(`${secType} ${title}`))?.[0];
+    if (!name) continue;
+
+    const paragraphs = [...section.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/g)]
+      .map(match => toPlainText(match[1]))
+      .filter(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH);
+    if (paragraphs.length === 0) continue;
+
+    const entries = found.get(name) || [];
+    entries.push({ title: title || name, paragraphs, isConclusion: /conclusion/i.test(`${secType} ${title}`) });
+    found.set(name, entries);
+  }
+
+  return SECTION_ORDER
+    .filter(name => found.has(name))
+    .map(name => {
+      // A dedicated conclusions section says it more briefly than the discussion
+      const entries = [...found.get(name)!].sort((a, b) => Number(b.isConclusion) - Number(a.isConclusion));
+      return {
+        name,
+        title: entries.map(entry => entry.title).join(' / '),
+        paragraphs: entries.flatMap(entry => entry.paragraphs)
+      };
+    });
+}
+
+/**
+ * Split the body into its top-level <sec> elements (nested subsections stay inside)
+ */
+function topLevelSections(body: string): string[] {
+  const sections: string[] = [];
+  const tags = /<sec\b[^>]*>|<\/sec>/g;
+  let depth = 0;
+  let start = -1;
+  let match: RegExpExecArray | null;
+
+  while ((match = tags.exec(body)) !== null) {
+    if (match[0].startsWith('</')) {
+      depth--;
+      if (depth === 0 && start >= 0) {
+        sections.push(body.substring(start, match.index + match[0].length));
+        start = -1;
+      }
+    } else {
+      if (depth === 0) start = match.index;
+      depth++;
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Strip tags, decode entities and collapse whitespace
+ */
+function toPlainText(fragment: string): string {
+  return fragment
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:)])/g, '$1')
+    .replace(/\(\s+/g, '(')
+    .trim();
+}
@@ -0,0 +1,430 @@
+/**
+ * Evidence Graph - Cross-round claims and contradiction detection for T3
+ *
+ * After every round a fast model extracts the findings of the new sources as claims
+ * (one batched call): intervention → outcome (the topic), direction of effect and
+ * population. The study type comes from tools/evidence-hierarchy.ts, not the model.
+ *
+ * The graph links sources to topics through their claims. A topic is contradicted
+ * when its claims point in opposite directions (benefit vs harm, or an effect vs
+ * no effect); 'mixed' findings are kept but never form a side of their own.
+ *
+ * Contradictions are used three times:
+ * - Reflection lists them as knowledge gaps (unresolved disagreement)
+ * - Query refinement targets studies that can resolve them (meta-analyses,
+ *   head-to-head RCTs, the population in which results differ)
+ * - Synthesis gets a "studies disagree" section citing both sides
+ *
+ * Extraction never fails a round: on errors or unparseable output the round simply
+ * adds no claims.
+ */
+
+import { ai } from '../genkit-instance';
+import { logger } from 'firebase-functions/v2';
+import { getRouterModel } from '../providers';
+import { ResearchCancelledError } from '../utils/abort';
+import { ResearchDocument } from './research-sources';
+import { EVIDENCE_LEVELS, EvidenceLevel, classifyEvidenceLevel } from './evidence-hierarchy';
+import type { SelectedSource } from './source-selector';
+
+const MAX_DOCUMENTS_PER_ROUND = 12; // Sources sent to the extractor per round
+const MAX_EXCERPT_CHARS = 700;
+const MAX_KNOWN_TOPICS = 20; // Topic labels from earlier rounds offered for reuse
+const EXTRACT_TIMEOUT_MS = 15000;
+
+export type EffectDirection = 'benefit' | 'harm' | 'no_effect' | 'mixed';
+
+const DIRECTIONS: EffectDirection[] = ['benefit', 'harm', 'no_effect', 'mixed'];
+
+/**
+ * One finding of one source
+ */
+export interface EvidenceClaim {
+  documentKey: string; // evidenceDocumentKey() of the source
+  title: string;
+  round: number;
+  topic: string; // "intervention → outcome", lower case
+  claim: string; // One-sentence finding (English)
+  direction: EffectDirection;
+  population: string; // e.g. "adults with type 2 diabetes", "" if not reported
+  studyType: EvidenceLevel;
+}
+
+/**
+ * Claims of one direction within a contradicted topic
+ */
+export interface ConflictSide {
+  direction: EffectDirection;
+  claims: EvidenceClaim[];
+  strongestLevel: EvidenceLevel; // Highest level of evidence on this side
+}
+
+/**
+ * A topic on which sources disagree
+ */
+export interface EvidenceConflict {
+  topic: string;
+  sides: ConflictSide[]; // At least two, strongest evidence first
+  populationDiffers: boolean; // Sides studied different populations (may explain the disagreement)
+  firstRound: number; // Round in which the disagreement appeared
+}
+
+export interface EvidenceGraphSummary {
+  claimCount: number;
+  topicCount: number;
+  conflicts: EvidenceConflict[];
+}
+
+/**
+ * Stable key of a document across rounds (same key the deduplicator uses)
+ */
+export function evidenceDocumentKey(document: ResearchDocument): string {
+  return document.identifier
+    ? `${document.identifier.type}:${document.identifier.value}`
+    : document.url;
+}
+
+/**
+ * Normalize "intervention → outcome" so wording differences map to one topic
+ */
+export function normalizeTopic(intervention: string, outcome: string): string {
+  const clean = (value: string) => value.toLowerCase().replace(/[^\p{L}\p{N}+\-\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  return `${clean(intervention)} → ${clean(outcome)}`;
+}
+
+function normalizePopulation(population: string): string {
+  return population.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Directions that contradict each other
+ * An effect (benefit or harm) against the opposite effect or against no effect
+ */
+function opposes(a: EffectDirection, b: EffectDirection): boolean {
+  if (a === 'mixed' || b === 'mixed' || a === b) return false;
+  return true;
+}
+
+export class EvidenceGraph {
+  private readonly claimsByTopic = new Map<string, EvidenceClaim[]>();
+  private readonly seen = new Set<string>(); // documentKey|topic - one claim per source and topic
+
+  /**
+   * Add the claims of a round
+   * @returns Number of claims added (repeated source/topic pairs are ignored)
+   */
+  addClaims(claims: EvidenceClaim[]): number {
+    let added = 0;
+
+    for (const claim of claims) {
+      const key = `${claim.documentKey}|${claim.topic}`;
+      if (this.seen.has(key)) continue;
+      this.seen.add(key);
+
+      const topicClaims = this.claimsByTopic.get(claim.topic) ?? [];
+      topicClaims.push(claim);
+      this.claimsByTopic.set(claim.topic, topicClaims);
+      added++;
+    }
+
+    return added;
+  }
+
+  get claimCount(): number {
+    return this.seen.size;
+  }
+
+  /**
+   * Topic labels seen so far, most-claimed first (the extractor reuses them)
+   */
+  topics(): string[] {
+    return [...this.claimsByTopic.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([topic]) => topic);
+  }
+
+  /**
+   * Topics whose claims point in opposite directions, most-supported first
+   */
+  findContradictions(): EvidenceConflict[] {
+    const conflicts: EvidenceConflict[] = [];
+
+    for (const [topic, claims] of this.claimsByTopic) {
+      const sides = DIRECTIONS
+        .filter(direction => direction !== 'mixed')
+        .map(direction => claims.filter(claim => claim.direction === direction))
+        .filter(sideClaims => sideClaims.length > 0)
+        .map(sideClaims => ({
+          direction: sideClaims[0].direction,
+          claims: sideClaims,
+          strongestLevel: strongestLevel(sideClaims)
+        }));
+
+      const contradicted = sides.some((a, i) => sides.slice(i + 1).some(b => opposes(a.direction, b.direction)));
+      if (!contradicted) continue;
+
+      sides.sort((a, b) =>
+        EVIDENCE_LEVELS[a.strongestLevel].rank - EVIDENCE_LEVELS[b.strongestLevel].rank ||
+        b.claims.length - a.claims.length
+      );
+
+      const populations = sides.map(side =>
+        new Set(side.claims.map(claim => normalizePopulation(claim.population)).filter(Boolean))
+      );
+      const populationDiffers = populations.every(set => set.size > 0) &&
+        populations.some((set, i) => populations.slice(i + 1).some(other => ![...set].some(p => other.has(p))));
+
+      // The disagreement exists from the round in which its second side appeared
+      const firstRound = Math.max(...sides.map(side => Math.min(...side.claims.map(claim => claim.round))));
+
+      conflicts.push({ topic, sides, populationDiffers, firstRound });
+    }
+
+    return conflicts.sort((a, b) => countClaims(b) - countClaims(a));
+  }
+
+  summary(): EvidenceGraphSummary {
+    return {
+      claimCount: this.claimCount,
+      topicCount: this.claimsByTopic.size,
+      conflicts: this.findContradictions()
+    };
+  }
+}
+
+function strongestLevel(claims: EvidenceClaim[]): EvidenceLevel {
+  return claims
+    .map(claim => claim.studyType)
+    .sort((a, b) => EVIDENCE_LEVELS[a].rank - EVIDENCE_LEVELS[b].rank)[0];
+}
+
+function countClaims(conflict: EvidenceConflict): number {
+  return conflict.sides.reduce((sum, side) => sum + side.claims.length, 0);
+}
+
+/**
+ * Extract the claims of a round's new sources (one batched model call)
+ *
+ * @param question - Research question (English or Turkish)
+ * @param documents - New (deduplicated) documents of the round
+ * @param roundNumber - Current round
+ * @param knownTopics - Topic labels of earlier rounds, reused for the same intervention/outcome
+ * @param signal - Aborts the call when the client disconnects
+ * @returns Claims; empty if extraction fails
+ * @throws ResearchCancelledError if the signal is aborted
+ */
+export async function extractEvidenceClaims(
+  question: string,
+  documents: ResearchDocument[],
+  roundNumber: number,
+  knownTopics: string[] = [],
+  signal?: AbortSignal
+): Promise<EvidenceClaim[]> {
+  const startTime = Date.now();
+
+  // Sources without an abstract state no findings
+  const candidates = documents
+    .filter(document => document.abstract && document.abstract.trim().length > 0)
+    .slice(0, MAX_DOCUMENTS_PER_ROUND);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const sourceBlock = candidates.map((document, i) =>
+    `[${i + 1}] ${document.title}\n${document.abstract.substring(0, MAX_EXCERPT_CHARS)}`
+  ).join('\n\n');
+
+  const topicBlock = knownTopics.length > 0
+    ? `\n\nTOPICS FROM EARLIER ROUNDS (reuse the exact intervention/outcome wording when a claim is about the same thing):\n` +
+      knownTopics.slice(0, MAX_KNOWN_TOPICS).map(topic => `- ${topic}`).join('\n')
+    : '';
+
+  const timeoutSignal = AbortSignal.timeout(EXTRACT_TIMEOUT_MS);
+  const abortSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  try {
+    const response = await ai.generate({
+      model: getRouterModel(),
+      abortSignal,
+      config: {
+        temperature: 0,
+        maxOutputTokens: 3072
+      },
+      system: `You are a medical evidence extractor for a diabetes research assistant.
+For each source, extract its main findings that are relevant to the research question (at most 2 per source).
+
+For every finding give:
+- "source": the source number
+- "intervention": the exposure, drug, diet or device studied (short, e.g. "metformin", "low-carb diet")
+- "outcome": what was measured (short, e.g. "hba1c", "cardiovascular events")
+- "claim": the finding in one sentence
+- "direction": "benefit" (improves the outcome), "harm" (worsens it), "no_effect" (no significant difference) or "mixed"
+- "population": who was studied (e.g. "adults with type 2 diabetes"), "" if not stated
+
+Use the same short intervention/outcome wording for findings about the same thing, so findings can be compared.
+Skip sources that report no finding (protocols, general information).
+
+Return ONLY valid JSON (no markdown, no code blocks):
+{"claims": [{"source": <number>, "intervention": "...", "outcome": "...", "claim": "...", "direction": "...", "population": "..."}]}`,
+      prompt: `Research question: "${question}"
+
+SOURCES:
+${sourceBlock}${topicBlock}`
+    });
+
+    const claims = parseClaims(response.text || '', candidates, roundNumber);
+
+    logger.info(
+      `🕸️ [EVIDENCE-GRAPH] Round ${roundNumber}: ${claims.length} claims from ` +
+      `${new Set(claims.map(claim => claim.documentKey)).size}/${candidates.length} sources in ${Date.now() - startTime}ms`
+    );
+
+    return claims;
+  } catch (error: any) {
+    if (signal?.aborted) {
+      throw new ResearchCancelledError('claim extraction');
+    }
+
+    logger.warn(`⚠️ [EVIDENCE-GRAPH] Claim extraction skipped for Round ${roundNumber}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Parse the extractor's JSON - claims with unknown sources or missing fields are dropped
+ */
+export function parseClaims(text: string, documents: ResearchDocument[], roundNumber: number): EvidenceClaim[] {
+  const jsonText = text.trim().replace(/^```(?:json)?\s*/, '').replace(/```\s*$/, '').trim();
+
+  let parsed: any;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch {
+    logger.warn(`⚠️ [EVIDENCE-GRAPH] Failed to parse claims. Raw: ${text.substring(0, 200)}`);
+    return [];
+  }
+
+  const rawClaims: any[] = Array.isArray(parsed?.claims) ? parsed.claims : [];
+
+  return rawClaims.flatMap(raw => {
+    const document = documents[Number(raw?.source) - 1];
+    const intervention = typeof raw?.intervention === 'string' ? raw.intervention : '';
+    const outcome = typeof raw?.outcome === 'string' ? raw.outcome : '';
+
+    if (!document || !intervention.trim() || !outcome.trim() || typeof raw.claim !== 'string') {
+      return [];
+    }
+
+    return [{
+      documentKey: evidenceDocumentKey(document),
+      title: document.title,
+      round: roundNumber,
+      topic: normalizeTopic(intervention, outcome),
+      claim: raw.claim.trim(),
+      direction: DIRECTIONS.includes(raw.direction) ? raw.direction : 'mixed',
+      population: typeof raw.population === 'string' ? raw.population.trim() : '',
+      studyType: classifyEvidenceLevel(document)
+    }];
+  });
+}
+
+const DIRECTION_LABELS: Record<EffectDirection, string> = {
+  benefit: 'Benefit',
+  harm: 'Harm',
+  no_effect: 'No effect',
+  mixed: 'Mixed'
+};
+
+/**
+ * Conflicts for the reflection / refinement prompts (titles, no citation ids)
+ */
+export function formatConflictsForPrompt(conflicts: EvidenceConflict[], limit: number = 5): string {
+  return conflicts.slice(0, limit).map((conflict, i) => {
+    const sides = conflict.sides.map(side =>
+      `   - ${DIRECTION_LABELS[side.direction]} (${side.claims.length} source(s), strongest: ${side.strongestLevel}): ` +
+      `${side.claims[0].claim}${side.claims[0].population ? ` [${side.claims[0].population}]` : ''}`
+    ).join('\n');
+    return `${i + 1}. ${conflict.topic}${conflict.populationDiffers ? ' (different populations studied)' : ''}\n${sides}`;
+  }).join('\n');
+}
+
+/**
+ * Conflicts with at least two sides among the selected sources, with citation ids
+ */
+export function citableConflicts(
+  conflicts: EvidenceConflict[],
+  selectedSources: SelectedSource[]
+): Array<EvidenceConflict & { citations: number[][] }> {
+  const idsByKey = new Map<string, number>();
+  for (const source of selectedSources) {
+    if (source.document) {
+      idsByKey.set(evidenceDocumentKey(source.document), source.id);
+    }
+  }
+
+  return conflicts.flatMap(conflict => {
+    const citations = conflict.sides.map(side =>
+      [...new Set(side.claims.map(claim => idsByKey.get(claim.documentKey)).filter((id): id is number => id !== undefined))]
+        .sort((a, b) => a - b)
+    );
+    const citedSides = conflict.sides.filter((_, i) => citations[i].length > 0);
+
+    if (citedSides.length < 2 || !citedSides.some((a, i) => citedSides.slice(i + 1).some(b => opposes(a.direction, b.direction)))) {
+      return [];
+    }
+    return [{ ...conflict, citations }];
+  });
+}
+
+/**
+ * "Conflicting Evidence" block of the synthesis context ('' if nothing citable)
+ */
+export function formatConflictsForSynthesis(conflicts: EvidenceConflict[], selectedSources: SelectedSource[]): string {
+  const citable = citableConflicts(conflicts, selectedSources);
+  if (citable.length === 0) {
+    return '';
+  }
+
+  let formatted = `## ⚖️ Conflicting Evidence (${citable.length} topics)\n\n`;
+  formatted += `The selected sources disagree on the topics below. Present both sides with their citations.\n\n`;
+
+  for (const conflict of citable) {
+    formatted += `### ${conflict.topic}\n`;
+    conflict.sides.forEach((side, i) => {
+      const ids = conflict.citations[i];
+      if (ids.length === 0) return;
+      const populations = [...new Set(side.claims.map(claim => claim.population).filter(Boolean))];
+      formatted += `- ${DIRECTION_LABELS[side.direction]} ${ids.map(id => `[${id}]`).join('')}: ${side.claims[0].claim}` +
+        ` (strongest evidence: ${EVIDENCE_LEVELS[side.strongestLevel].label}` +
+        `${populations.length > 0 ? `; population: ${populations.join(', ')}` : ''})\n`;
+    });
+    if (conflict.populationDiffers) {
+      formatted += `- Note: the sides studied different populations\n`;
+    }
+    formatted += '\n';
+  }
+
+  return formatted;
+}
+
+/**
+ * Synthesis instructions when the sources disagree (appended to the T3 system prompt)
+ */
+export function buildConflictingEvidenceInstructions(): string {
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+⚖️ ÇELİŞKİLİ KANIT
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Araştırma bağlamındaki "Conflicting Evidence" bölümü, kaynakların farklı sonuçlara vardığı konuları listeler.
+
+KURALLAR:
+1. Yanıta "## Çalışmalar Farklı Sonuçlar Gösteriyor" başlıklı bir bölüm ekle
+2. Her konuda iki tarafı da sitasyonlarıyla yaz (ör. "Bazı çalışmalar fayda gösterdi [2][5], bazıları fark bulmadı [7]")
+3. Farkın olası nedenini belirt: kanıt düzeyi, çalışılan hasta grubu, süre
+4. Hangi tarafın kanıtı daha güçlüyse onu belirt ama diğerini gizleme
+5. Çelişkiyi tek bir kesin sonuca indirgeme; kişisel karar için doktora danışmayı öner
+`;
+}
@@ -0,0 +1,124 @@
+/**
+ * Evidence Hierarchy - Level of Evidence for Research Sources
+ *
+ * Used by the T3 evidence hierarchy mode (DeepResearchOptions.evidenceMode = 'hierarchy'):
+ * - Round 1 also searches systematic reviews / meta-analyses / guidelines on PubMed
+ *   (publication-type filters) and guideline publishers such as ADA, EASD and TEMD (Exa)
+ * - The ranker adds an evidence boost, so case reports no longer rank next to meta-analyses
+ * - Every selected source is labelled with its level and the synthesis leads with the
+ *   highest level available
+ *
+ * LEVELS (rank 1 = strongest):
+ * 1. Clinical practice guidelines, systematic reviews and meta-analyses
+ * 2. Randomized controlled trials
+ * 3. Other clinical trials (non-randomized or design not reported)
+ * 4. Observational studies and other primary research
+ * 5. Case reports and case series
+ * 6. Narrative reviews, expert opinion, health websites
+ */
+
+import { ResearchDocument } from './research-sources';
+import type { EvidenceMode } from '../flows/deep-research-v2-types';
+
+export type EvidenceLevel =
+  | 'guideline'
+  | 'systematic_review'
+  | 'rct'
+  | 'clinical_trial'
+  | 'observational'
+  | 'case_report'
+  | 'expert_opinion';
+
+export interface EvidenceLevelInfo {
+  rank: number; // 1 (strongest) - 6
+  label: string; // Turkish label used in the synthesis prompt
+  rankingBoost: number; // Points added to the relevance score in hierarchy mode
+}
+
+export const EVIDENCE_LEVELS: Record<EvidenceLevel, EvidenceLevelInfo> = {
+  guideline: { rank: 1, label: 'Klinik kılavuz', rankingBoost: 20 },
+  systematic_review: { rank: 1, label: 'Sistematik derleme / meta-analiz', rankingBoost: 20 },
+  rct: { rank: 2, label: 'Randomize kontrollü çalışma', rankingBoost: 12 },
+  clinical_trial: { rank: 3, label: 'Klinik çalışma', rankingBoost: 6 },
+  observational: { rank: 4, label: 'Gözlemsel çalışma', rankingBoost: 2 },
+  case_report: { rank: 5, label: 'Vaka sunumu', rankingBoost: -10 },
+  expert_opinion: { rank: 6, label: 'Uzman görüşü / derleme', rankingBoost: 0 }
+};
+
+// PubMed publication types (determineArticleType in pubmed-search.ts)
+const PUBMED_ARTICLE_TYPES: Record<string, EvidenceLevel> = {
+  'Guideline': 'guideline',
+  'Meta-Analysis': 'systematic_review',
+  'Systematic Review': 'systematic_review',
+  'RCT': 'rct',
+  'Clinical Trial': 'clinical_trial',
+  'Observational Study': 'observational',
+  'Case Report': 'case_report',
+  'Review': 'expert_opinion'
+};
+
+// Study design in the title, strongest design first
+const TITLE_PATTERNS: Array<[EvidenceLevel, RegExp]> = [
+  ['guideline', /guideline|standards of (medical )?care|consensus (statement|report)|position statement|recommendations|kılavuz/i],
+  ['systematic_review', /systematic review|meta-analy|cochrane|umbrella review/i],
+  ['rct', /randomi[sz]ed|placebo-controlled/i],
+  ['case_report', /case report|case series|a case of/i],
+  ['observational', /cohort|observational|cross-sectional|case-control|registry|real-world|retrospective|prospective/i]
+];
+
+/**
+ * Read the evidence mode from a request body (anything unrecognized is 'standard')
+ */
+export function parseEvidenceMode(value: unknown): EvidenceMode {
+  return value === 'hierarchy' ? 'hierarchy' : 'standard';
+}
+
+/**
+ * Classify a document by level of evidence
+ * Publication type wins over the title; without either, the source decides
+ */
+export function classifyEvidenceLevel(document: ResearchDocument): EvidenceLevel {
+  if (document.sourceId === 'temd') return 'guideline'; // TEMD guideline text (scope summaries are never searched)
+
+  const articleType = (document.raw as { articleType?: string } | null)?.articleType;
+  if (document.sourceId === 'pubmed' && articleType && PUBMED_ARTICLE_TYPES[articleType]) {
+    return PUBMED_ARTICLE_TYPES[articleType];
+  }
+
+  const fromTitle = TITLE_PATTERNS.find(([, pattern]) => pattern.test(document.title))?.[0];
+  if (fromTitle) {
+    return fromTitle;
+  }
+
+  if (document.via === 'guidelines') return 'guideline'; // Found on a guideline publisher
+  if (document.sourceId === 'clinicaltrials') return 'clinical_trial';
+  if (document.sourceId === 'pubmed' || document.sourceId === 'medrxiv') return 'observational';
+  return 'expert_opinion';
+}
+
+/**
+ * Synthesis instructions for evidence hierarchy mode (appended to the T3 system prompt)
+ */
+export function buildEvidenceHierarchyInstructions(): string {
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+📊 KANIT HİYERARŞİSİ MODU
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Her kaynağın yanında kanıt düzeyi yazılı (Düzey 1 = en güçlü):
+- Düzey 1: Klinik kılavuz, sistematik derleme / meta-analiz
+- Düzey 2: Randomize kontrollü çalışma
+- Düzey 3: Diğer klinik çalışmalar
+- Düzey 4: Gözlemsel çalışmalar
+- Düzey 5: Vaka sunumları
+- Düzey 6: Uzman görüşü, derlemeler, sağlık siteleri
+
+KURALLAR:
+1. Yanıta eldeki EN YÜKSEK kanıt düzeyiyle başla ("Kılavuzlar ve meta-analizler şunu söylüyor...")
+2. Her önemli iddiada kanıt düzeyini belirt (ör. "bir meta-analize göre [3]")
+3. Daha düşük düzeyli kaynakları yalnızca destekleyici veya boşluk doldurucu olarak kullan
+4. Düzey 1-2 kanıt yoksa bunu açıkça söyle: "Bu konuda güçlü kanıt (kılavuz/RCT) bulunamadı"
+5. Düşük düzeyli bir kaynak yüksek düzeyli bir kaynakla çelişiyorsa yüksek düzeyi esas al ve çelişkiyi belirt
+`;
+}
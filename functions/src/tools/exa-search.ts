@@ -4,13 +4,21 @@
 //
 
 import Exa from 'exa-js';
+import { ResearchCancelledError, isCancellationError, raceWithAbort } from '../utils/abort';
 
-// Initialize Exa client
-const exaApiKey = process.env.EXA_API_KEY;
-if (!exaApiKey) {
-  console.warn('⚠️ [EXA] EXA_API_KEY not configured - searches will fail');
+// Exa client is created on first search - replayed runs never need an API key
+let exaClient: Exa | null = null;
+
+function getExaClient(): Exa {
+  if (!exaClient) {
+    const exaApiKey = process.env.EXA_API_KEY;
+    if (!exaApiKey) {
+      console.warn('⚠️ [EXA] EXA_API_KEY not configured - searches will fail');
+    }
+    exaClient = new Exa(exaApiKey || '');
+  }
+  return exaClient;
 }
-const exa = new Exa(exaApiKey || '');
 
 export interface ExaSearchResult {
   id: string;
@@ -24,6 +32,25 @@ export interface ExaSearchResult {
   credibilityLevel: 'medical_institution' | 'peer_reviewed' | 'expert_authored' | 'general';
 }
 
+/**
+ * Turkish medical journals (Turkish source track, see research-sources/turkish-journals.ts)
+ */
+export const TURKISH_JOURNAL_DOMAINS = [
+  'turkjem.org',             // Turkish Journal of Endocrinology and Metabolism (TEMD)
+  'journals.tubitak.gov.tr', // Turkish Journal of Medical Sciences
+  'turkjpediatr.org',        // Turkish Journal of Pediatrics
+  'turkiyeklinikleri.com',   // Türkiye Klinikleri journals
+  'dergipark.org.tr'         // TÜBİTAK ULAKBİM journal platform
+];
+
+/**
+ * T.C. Sağlık Bakanlığı pages (Turkish source track, see research-sources/turkish-health-ministry.ts)
+ */
+export const TURKISH_HEALTH_MINISTRY_DOMAINS = [
+  'saglik.gov.tr',
+  'hsgm.saglik.gov.tr'       // Halk Sağlığı Genel Müdürlüğü (screening, diabetes programme)
+];
+
 /**
  * Trusted medical domains for Pro tier medical research
  */
@@ -53,16 +80,37 @@ export const TRUSTED_MEDICAL_DOMAINS = [
   'endocrine.org',
 
   // Evidence Synthesis (⭐⭐⭐)
-  'cochranelibrary.com'  // Systematic reviews
+  'cochranelibrary.com', // Systematic reviews
+
+  // Turkish Journals (⭐⭐) - most publish English abstracts
+  ...TURKISH_JOURNAL_DOMAINS
+];
+
+/**
+ * Clinical practice guideline publishers (evidence hierarchy mode)
+ */
+export const GUIDELINE_DOMAINS = [
+  'diabetesjournals.org', // ADA Standards of Care (Diabetes Care supplement)
+  'professional.diabetes.org',
+  'easd.org',             // European Association for the Study of Diabetes
+  'temd.org.tr',          // Türkiye Endokrinoloji ve Metabolizma Derneği
+  'nice.org.uk',          // NICE guidance
+  'idf.org',              // International Diabetes Federation
+  'ispad.org',            // Pediatric guidelines
+  'endocrine.org',        // Endocrine Society
+  'who.int',
+  'cochranelibrary.com'
 ];
 
 /**
  * Search Exa for medical sources (Pro tier)
- * Restricted to trusted medical domains
+ * Restricted to trusted medical domains (or the given domain list)
  */
 export async function searchMedicalSources(
   query: string,
-  numResults: number = 8
+  numResults: number = 8,
+  signal?: AbortSignal, // exa-js takes no signal - we stop waiting when it aborts
+  includeDomains: string[] = TRUSTED_MEDICAL_DOMAINS
 ): Promise<ExaSearchResult[]> {
   const startTime = Date.now();
 
@@ -72,17 +120,17 @@ export async function searchMedicalSources(
     console.log(`   • Query: "${query}"`);
     console.log(`   • Target results: ${numResults}`);
     console.log(`   • Search type: Neural (semantic)`);
-    console.log(`   • Trusted domains: ${TRUSTED_MEDICAL_DOMAINS.length} domains`);
+    console.log(`   • Trusted domains: ${includeDomains.length} domains`);
     console.log(`   • Text extraction: 500 chars max`);
     console.log(`   • Highlights: 3 sentences per result`);
 
-    const response = await exa.searchAndContents(query, {
+    const response = await raceWithAbort(getExaClient().searchAndContents(query, {
       type: 'neural', // Semantic search for better medical context
       numResults,
-      includeDomains: TRUSTED_MEDICAL_DOMAINS,
+      includeDomains,
       text: { maxCharacters: 500 },
       highlights: { numSentences: 3 }
-    });
+    }), signal, 'Exa search');
 
     const duration = Date.now() - startTime;
 
@@ -144,6 +192,11 @@ export async function searchMedicalSources(
     return processed;
 
   } catch (error: any) {
+    // Cancellation is not a failure - let the orchestrator stop
+    if (signal?.aborted || isCancellationError(error)) {
+      throw new ResearchCancelledError('Exa search');
+    }
+
     const duration = Date.now() - startTime;
     console.error(`\n❌ [EXA-MEDICAL] Search failed after ${duration}ms:`);
     console.error(`   • Error: ${error.message}`);
@@ -178,7 +231,7 @@ export async function searchGeneralWeb(
       searchOptions.includeDomains = includeDomains;
     }
 
-    const response = await exa.searchAndContents(query, searchOptions);
+    const response = await getExaClient().searchAndContents(query, searchOptions);
 
     return response.results.map((result: any) => {
       const domain = new URL(result.url).hostname.replace('www.', '');
@@ -207,7 +260,10 @@ export async function searchGeneralWeb(
  */
 function determineCredibilityLevel(domain: string): 'medical_institution' | 'peer_reviewed' | 'expert_authored' | 'general' {
   // Medical institutions
-  const medicalInstitutions = ['mayoclinic.org', 'clevelandclinic.org', 'hopkinsmedicine.org', 'cdc.gov', 'nih.gov', 'who.int'];
+  const medicalInstitutions = [
+    'mayoclinic.org', 'clevelandclinic.org', 'hopkinsmedicine.org', 'cdc.gov', 'nih.gov', 'who.int',
+    ...TURKISH_HEALTH_MINISTRY_DOMAINS
+  ];
   if (medicalInstitutions.includes(domain)) {
     return 'medical_institution';
   }
@@ -215,7 +271,8 @@ function determineCredibilityLevel(domain: string): 'medical_institution' | 'pee
   // Peer-reviewed/professional organizations (including new diabetes sources and Cochrane)
   const peerReviewed = [
     'diabetes.org', 'joslin.org', 'jdrf.org', 'endocrine.org', 'diabetesjournals.org',
-    'diabetesed.net', 'beyondtype1.org', 'diatribe.org', 'idf.org', 'easd.org', 'cochranelibrary.com'
+    'diabetesed.net', 'beyondtype1.org', 'diatribe.org', 'idf.org', 'easd.org', 'cochranelibrary.com',
+    ...TURKISH_JOURNAL_DOMAINS
   ];
   if (peerReviewed.includes(domain)) {
     return 'peer_reviewed';
@@ -0,0 +1,93 @@
+/**
+ * Full-Text Enricher - Open-Access Full Text for Top-Ranked Articles
+ *
+ * PubMed and medRxiv results only carry abstracts. For open-access articles Europe PMC
+ * has the full paper, so the top-ranked documents with a PMID or DOI are looked up in
+ * parallel and get `fullText` (methods, results, conclusions). selectSourcesForSynthesis
+ * spends its full-text token budget on these sections.
+ *
+ * Lookups share one deadline; whatever has not arrived by then is skipped and the
+ * article is used with its abstract as before.
+ */
+
+import { logger } from 'firebase-functions/v2';
+import { ResearchDocument } from './research-sources';
+import { getResearchSourceProvider } from './research-source-provider';
+import { isCancellationError, throwIfAborted } from '../utils/abort';
+
+export interface FullTextEnrichmentConfig {
+  maxArticles?: number; // Articles to look up, in the given order (default: 8)
+  deadlineMs?: number; // Time allowed for all lookups together (default: 12000)
+}
+
+/**
+ * Attach open-access full text to the first documents that have a PMID or DOI
+ *
+ * @param documents - Documents in priority order (highest ranked first)
+ * @param config - Lookup limits
+ * @param signal - Optional abort signal
+ * @returns Number of documents that received full text
+ * @throws ResearchCancelledError if the signal aborts
+ */
+export async function attachOpenAccessFullText(
+  documents: ResearchDocument[],
+  config: FullTextEnrichmentConfig = {},
+  signal?: AbortSignal
+): Promise<number> {
+  const { maxArticles = 8, deadlineMs = 12000 } = config;
+
+  const candidates = documents
+    .filter(document => !document.fullText && (document.articleIds?.pmid || document.articleIds?.doi))
+    .slice(0, maxArticles);
+
+  if (candidates.length === 0) {
+    return 0;
+  }
+
+  const startTime = Date.now();
+  const sources = getResearchSourceProvider();
+  let attached = 0;
+  let expired = false;
+
+  const lookups = Promise.all(candidates.map(async (document) => {
+    try {
+      const fullText = await sources.fetchOpenAccessFullText(
+        document.articleIds?.pmid ?? null,
+        document.articleIds?.doi ?? null,
+        signal
+      );
+
+      if (fullText && !expired) {
+        document.fullText = fullText;
+        attached++;
+      }
+    } catch (error: any) {
+      if (isCancellationError(error)) throw error;
+      logger.warn(`⚠️ [FULL-TEXT] Lookup failed for ${document.id}: ${error.message}`);
+    }
+  }));
+
+  let timer: NodeJS.Timeout | undefined;
+  const deadline = new Promise<'deadline'>(resolve => {
+    timer = setTimeout(() => resolve('deadline'), deadlineMs);
+  });
+
+  try {
+    if (await Promise.race([lookups, deadline]) === 'deadline') {
+      expired = true;
+      lookups.catch(() => {}); // Late cancellations must not surface as unhandled rejections
+      logger.warn(`⏱️ [FULL-TEXT] Deadline of ${deadlineMs}ms reached, continuing with ${attached} full texts`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  throwIfAborted(signal, 'full text lookup');
+
+  logger.info(
+    `📖 [FULL-TEXT] Open-access full text for ${attached}/${candidates.length} articles ` +
+    `in ${Date.now() - startTime}ms`
+  );
+
+  return attached;
+}
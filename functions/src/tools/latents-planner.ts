@@ -6,23 +6,38 @@
 import { ai } from '../genkit-instance';
 import { ResearchPlan } from '../flows/deep-research-v2-types';
 import { logger } from 'firebase-functions/v2';
+import type { ResearchBudget } from './research-budget';
+
+const PLANNER_MODEL = 'vertexai/gemini-2.5-pro';
 
 /**
  * Use Latents (extended thinking) to analyze query and plan research strategy
  *
  * @param question - User's research query
+ * @param signal - Aborts the planning call when the client disconnects
+ * @param budget - Run budget: the planner's own cost is recorded and the round
+ *   estimate is capped at what the remaining budget affords
  * @returns ResearchPlan with estimated rounds, strategy, and focus areas
  */
-export async function planResearchStrategy(question: string): Promise<ResearchPlan> {
+export async function planResearchStrategy(
+  question: string,
+  signal?: AbortSignal,
+  budget?: ResearchBudget
+): Promise<ResearchPlan> {
   const startTime = Date.now();
+  const budgetRounds = budget ? budget.affordableRounds() : 4;
 
-  logger.info(`🧠 [LATENTS-PLANNER] Starting research planning for query: "${question.substring(0, 100)}..."`);
+  logger.info(
+    `🧠 [LATENTS-PLANNER] Starting research planning for query: "${question.substring(0, 100)}..."` +
+    (budgetRounds < 4 ? ` (budget allows ${budgetRounds} round(s))` : '')
+  );
 
   try {
     // Use Gemini 2.5 Pro for strategic planning (per spec)
     // Pro model provides deep medical reasoning for optimal research strategy
     const response = await ai.generate({
-      model: 'vertexai/gemini-2.5-pro',
+      model: PLANNER_MODEL,
+      abortSignal: signal,
       config: {
         temperature: 0.2, // Reduced from 0.7 for consistent research strategies
         maxOutputTokens: 4096
@@ -63,10 +78,20 @@ Determine:
 3. Research strategy (broad scan vs. targeted dive vs. comparative vs. temporal)
 4. Focus areas to prioritize (specific topics to investigate)
 
-Return JSON with: estimatedRounds, strategy, focusAreas[]`
+Return JSON with: estimatedRounds, strategy, focusAreas[]${budgetRounds < 4
+  ? `\n\nBUDGET: This run can afford at most ${budgetRounds} round(s). Plan a strategy that fits.`
+  : ''}`
     });
 
     const duration = Date.now() - startTime;
+    const usage = (response as any).usage;
+    if (budget) {
+      if (usage) {
+        budget.recordTokens('planning', PLANNER_MODEL, usage.inputTokens || 0, usage.outputTokens || 0);
+      } else {
+        budget.recordEstimatedCall('planning');
+      }
+    }
 
     // Parse response
     const text = response.text?.trim() || '';
@@ -93,8 +118,8 @@ Return JSON with: estimatedRounds, strategy, focusAreas[]`
       };
     }
 
-    // Validate and constrain
-    plan.estimatedRounds = Math.max(1, Math.min(4, plan.estimatedRounds));
+    // Validate and constrain (the budget cap is re-checked now that planning is paid for)
+    plan.estimatedRounds = Math.max(1, Math.min(4, plan.estimatedRounds, budget ? budget.affordableRounds() : 4));
 
     if (!Array.isArray(plan.focusAreas) || plan.focusAreas.length === 0) {
       plan.focusAreas = ['medical evidence', 'clinical outcomes'];
@@ -117,8 +142,9 @@ Return JSON with: estimatedRounds, strategy, focusAreas[]`
 
     // Return fallback plan
     logger.warn(`⚠️ [LATENTS-PLANNER] Using fallback 2-round plan`);
+    budget?.recordEstimatedCall('planning');
     return {
-      estimatedRounds: 2,
+      estimatedRounds: Math.min(2, budgetRounds),
       strategy: 'Standard two-round research with initial broad scan and targeted follow-up',
       focusAreas: ['primary evidence', 'clinical data', 'safety information']
     };
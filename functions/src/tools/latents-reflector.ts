@@ -6,6 +6,9 @@
 import { ai } from '../genkit-instance';
 import { ResearchReflection, RoundResult } from '../flows/deep-research-v2-types';
 import { logger } from 'firebase-functions/v2';
+import { EvidenceConflict, formatConflictsForPrompt } from './evidence-graph';
+
+const MAX_CONFLICT_GAPS = 2; // Unresolved conflicts added as gaps when the model leaves them out
 
 /**
  * Use Latents to evaluate evidence quality and decide if more research is needed
@@ -15,6 +18,8 @@ import { logger } from 'firebase-functions/v2';
  * @param currentRound - Results from current round
  * @param allPreviousRounds - Results from all previous rounds
  * @param maxRounds - Maximum rounds allowed
+ * @param signal - Aborts the reflection call when the client disconnects
+ * @param conflicts - Topics on which the sources so far disagree (evidence graph)
  * @returns ResearchReflection with quality assessment and continuation decision
  */
 export async function reflectOnResearchQuality(
@@ -22,7 +27,9 @@ export async function reflectOnResearchQuality(
   roundNumber: number,
   currentRound: RoundResult,
   allPreviousRounds: RoundResult[],
-  maxRounds: number
+  maxRounds: number,
+  signal?: AbortSignal,
+  conflicts: EvidenceConflict[] = []
 ): Promise<ResearchReflection> {
   const startTime = Date.now();
 
@@ -60,8 +67,13 @@ export async function reflectOnResearchQuality(
 
     const sourceSample = sourceDetails.slice(0, 15).join('\n'); // Limit for prompt size
 
+    const conflictSection = conflicts.length > 0
+      ? `\n\nCONFLICTING EVIDENCE (sources disagree on these topics):\n${formatConflictsForPrompt(conflicts)}\n`
+      : '';
+
     const response = await ai.generate({
       model: 'vertexai/gemini-2.5-flash',
+      abortSignal: signal,
       config: {
         temperature: 0.2, // Reduced from 0.7 for deterministic evidence evaluation
         maxOutputTokens: 4096
@@ -109,6 +121,11 @@ KNOWLEDGE GAPS: Identify specific missing information types (DIABETES-RELEVANT):
 - "No clinical trial data for diabetic patients"
 - "Lack of long-term outcome studies in diabetes"
 
+CONFLICTING EVIDENCE:
+- When sources disagree on a topic, the disagreement is a gap until stronger evidence
+  (meta-analysis, RCT) or a population difference explains it
+- Report it as "Conflicting evidence: <topic>"
+
 IMPORTANT: Do NOT identify as gaps:
 - "Not enough non-diabetic ketoacidosis information" (when user asks about ketoacidosis in a diabetes app)
 - "Too focused on diabetes" (this IS a diabetes app)
@@ -128,7 +145,7 @@ Query: "${question}"
 ${roundsSummary}
 
 Sample sources found (first 15):
-${sourceSample}
+${sourceSample}${conflictSection}
 
 **CRITICAL CONTEXT FOR DECISION:**
 - Current round: ${roundNumber}/${maxRounds}
@@ -189,6 +206,18 @@ Return JSON with: evidenceQuality, gapsIdentified[], shouldContinue, reasoning`
       reflection.gapsIdentified = [];
     }
 
+    // Unresolved conflicts are gaps even when the model leaves them out (refinement targets them)
+    const reportedConflicts = reflection.gapsIdentified
+      .map(gap => gap.toLowerCase())
+      .filter(gap => /conflict|contradict|disagree|inconsistent/.test(gap));
+    const conflictGaps = conflicts
+      .filter(conflict => !reportedConflicts.some(gap => gap.includes(conflict.topic.split(' → ')[0])))
+      .slice(0, MAX_CONFLICT_GAPS)
+      .map(conflict => `Conflicting evidence: ${conflict.topic}`);
+    if (conflictGaps.length > 0) {
+      reflection.gapsIdentified.push(...conflictGaps);
+    }
+
     // SAFETY OVERRIDE 1: Never continue past max rounds
     if (roundNumber >= maxRounds) {
       reflection.shouldContinue = false;
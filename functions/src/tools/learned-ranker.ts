@@ -0,0 +1,190 @@
+/**
+ * Learned Ranker - feature-based source scoring with weights fit from labelled judgements
+ *
+ * The keyword ranker adds hand-set points per criterion. This ranker describes every
+ * source with the same criteria as features (0-1, see RANKING_FEATURES), and scores it
+ * as a weighted sum whose weights are fit by ridge regression on graded relevance
+ * judgements (0 = irrelevant ... 3 = highly relevant, scaled to 0-100), so scores stay
+ * on the 0-100 scale source-selector's thresholds expect.
+ *
+ * FEATURES:
+ * - keyword: share of query keywords in title + abstract
+ * - embedding: cosine similarity of query and source embeddings (utils/embeddings.ts)
+ * - evidence: level of evidence, guideline/meta-analysis = 1 ... expert opinion = 0
+ * - recency, source (credibility of the source type), study (sample size/duration)
+ * - population: fit with the user's diabetes profile (-1 to 1, 0 without a profile)
+ *
+ * A feature that cannot be computed (embedding unavailable) takes its training mean.
+ *
+ * WEIGHTS:
+ * - Bundled in ./data/ranking-weights.json; setRankingWeights() swaps them at runtime
+ * - `npm run evaluate-ranker -- --fit` refits them on scripts/data/ranking-eval-set.json
+ *   and reports nDCG@10 / precision@k against the keyword ranker
+ */
+
+import bundledWeights from './data/ranking-weights.json';
+
+export const RANKING_FEATURES = ['keyword', 'embedding', 'evidence', 'recency', 'population', 'source', 'study'] as const;
+
+export type RankingFeature = typeof RANKING_FEATURES[number];
+export type RankingFeatures = Record<RankingFeature, number>;
+
+export interface RankingWeights {
+  version: string;
+  trainedAt: string;
+  source: string; // How the weights were produced
+  training: {
+    queries: number;
+    examples: number;
+    unavailableFeatures: RankingFeature[]; // Not computed during training (weight 0)
+  };
+  bias: number;
+  weights: RankingFeatures;
+  means: RankingFeatures; // Used for features that cannot be computed at ranking time
+}
+
+/**
+ * One labelled source for fitting
+ */
+export interface RankingExample {
+  features: Partial<RankingFeatures>; // Missing = not computed
+  relevance: number; // 0-3
+}
+
+export const MAX_RELEVANCE = 3;
+export const RELEVANT_GRADE = 2; // Counted as relevant by precision@k
+
+const DEFAULT_L2 = 1;
+
+let weights: RankingWeights = bundledWeights as RankingWeights;
+
+/**
+ * Replace the ranking weights (e.g. after refitting, or in tests)
+ */
+export function setRankingWeights(next: RankingWeights): void {
+  weights = next;
+}
+
+/**
+ * The weights currently in use
+ */
+export function getRankingWeights(): RankingWeights {
+  return weights;
+}
+
+/**
+ * Score a source from its features (0-100)
+ */
+export function learnedScore(features: Partial<RankingFeatures>, model: RankingWeights = weights): number {
+  const score = RANKING_FEATURES.reduce(
+    (sum, feature) => sum + model.weights[feature] * (features[feature] ?? model.means[feature]),
+    model.bias
+  );
+  return Math.max(0, Math.min(100, score));
+}
+
+/**
+ * Fit bias and weights by ridge regression of relevance (scaled to 0-100) on the features
+ * Features never computed in the examples get weight 0 and are listed as unavailable
+ */
+export function fitRankingWeights(
+  examples: RankingExample[],
+  l2: number = DEFAULT_L2
+): Pick<RankingWeights, 'bias' | 'weights' | 'means'> & { unavailableFeatures: RankingFeature[] } {
+  const means = {} as RankingFeatures;
+  for (const feature of RANKING_FEATURES) {
+    const values = examples.map(example => example.features[feature]).filter((value): value is number => value !== undefined);
+    means[feature] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+  const unavailableFeatures = RANKING_FEATURES.filter(feature => examples.every(example => example.features[feature] === undefined));
+  const fitted = RANKING_FEATURES.filter(feature => !unavailableFeatures.includes(feature));
+
+  // Centered features, so the bias is the mean target and is not penalized
+  const rows = examples.map(example => fitted.map(feature => (example.features[feature] ?? means[feature]) - means[feature]));
+  const targets = examples.map(example => (example.relevance / MAX_RELEVANCE) * 100);
+  const meanTarget = targets.length > 0 ? targets.reduce((sum, target) => sum + target, 0) / targets.length : 0;
+
+  // (XᵀX + λI) w = Xᵀ(y - ȳ)
+  const gram = fitted.map((_, i) => fitted.map((__, j) =>
+    rows.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? l2 : 0)
+  ));
+  const moments = fitted.map((_, i) => rows.reduce((sum, row, r) => sum + row[i] * (targets[r] - meanTarget), 0));
+  const solution = solveLinearSystem(gram, moments);
+
+  const fittedWeights = {} as RankingFeatures;
+  for (const feature of RANKING_FEATURES) {
+    const index = fitted.indexOf(feature);
+    fittedWeights[feature] = index >= 0 ? round(solution[index]) : 0;
+  }
+
+  const bias = meanTarget - fitted.reduce((sum, feature) => sum + fittedWeights[feature] * means[feature], 0);
+
+  for (const feature of RANKING_FEATURES) means[feature] = round(means[feature]);
+  return { bias: round(bias), weights: fittedWeights, means, unavailableFeatures };
+}
+
+// ============================================
+// OFFLINE EVALUATION METRICS
+// ============================================
+
+/**
+ * nDCG@k of a ranking (relevance grades in ranked order)
+ * The ideal ranking is the same grades sorted; 0 when nothing is relevant
+ */
+export function ndcgAtK(rankedRelevances: number[], k: number): number {
+  const ideal = [...rankedRelevances].sort((a, b) => b - a);
+  const idealDcg = dcgAtK(ideal, k);
+  return idealDcg > 0 ? dcgAtK(rankedRelevances, k) / idealDcg : 0;
+}
+
+/**
+ * Share of the top k that is relevant (grade >= RELEVANT_GRADE)
+ */
+export function precisionAtK(rankedRelevances: number[], k: number): number {
+  const top = rankedRelevances.slice(0, k);
+  return top.length > 0 ? top.filter(relevance => relevance >= RELEVANT_GRADE).length / k : 0;
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function dcgAtK(relevances: number[], k: number): number {
+  return relevances
+    .slice(0, k)
+    .reduce((sum, relevance, i) => sum + (Math.pow(2, relevance) - 1) / Math.log2(i + 2), 0);
+}
+
+/**
+ * Gaussian elimination with partial pivoting (the ridge term keeps the system regular)
+ */
+function solveLinearSystem(matrix: number[][], vector: number[]): number[] {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (Math.abs(a[col][col]) < 1e-12) continue;
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let c = col; c <= n; c++) a[row][c] -= factor * a[col][c];
+    }
+  }
+
+  const solution = new Array<number>(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    if (Math.abs(a[row][row]) < 1e-12) continue;
+    const rest = a[row].slice(row + 1, n).reduce((sum, value, i) => sum + value * solution[row + 1 + i], 0);
+    solution[row] = (a[row][n] - rest) / a[row][row];
+  }
+  return solution;
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -4,6 +4,7 @@
 //
 
 import axios from 'axios';
+import { ResearchCancelledError, isCancellationError } from '../utils/abort';
 
 export interface MedRxivResult {
   title: string;
@@ -26,7 +27,8 @@ export interface MedRxivResult {
 export async function searchMedRxiv(
   query: string,
   maxResults: number = 3,
-  minDate: string = '2023-01-01' // Only recent preprints (last 2 years)
+  minDate: string = '2023-01-01', // Only recent preprints (last 2 years)
+  signal?: AbortSignal // Aborts the in-flight request when the client disconnects
 ): Promise<MedRxivResult[]> {
   try {
     console.log(`🔬 [MEDRXIV] Searching for: ${query} (since ${minDate})`);
@@ -39,6 +41,7 @@ export async function searchMedRxiv(
     // Use axios with timeout
     const response = await axios.get(searchUrl, {
       timeout: 3000, // 3 second timeout for reliability
+      signal,
       headers: {
         'User-Agent': 'DiabetesHealthApp/1.0'
       }
@@ -83,6 +86,11 @@ export async function searchMedRxiv(
     return papers;
 
   } catch (error: any) {
+    // Cancellation is not a failure - let the orchestrator stop
+    if (signal?.aborted || isCancellationError(error)) {
+      throw new ResearchCancelledError('medRxiv search');
+    }
+
     if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
       console.error(`⏱️ [MEDRXIV] Search timeout after 3000ms`);
     } else {
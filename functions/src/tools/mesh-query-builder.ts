@@ -0,0 +1,284 @@
+/**
+ * MeSH Query Builder - source-specific search queries from the user's question
+ *
+ * translateToEnglishForAPIs gives one free-text English query, but PubMed indexes
+ * articles by MeSH descriptors and many articles never use the user's wording.
+ * This builder maps Turkish and English terms to MeSH descriptors with the bundled
+ * subset in ./data/mesh-terms.json and builds:
+ * - PubMed: one field-tagged clause per concept, ANDed
+ *   ("Insulin Infusion Systems"[MeSH Terms] OR "insulin pump"[Title/Abstract] OR ...),
+ *   plus the unmapped words of the English query as free text
+ * - ClinicalTrials.gov: condition and intervention parameters from the mapped
+ *   conditions / interventions
+ *
+ * MATCHING:
+ * - English terms in the translated query, Turkish and English terms in the original
+ *   question (a failed translation still maps "insülin pompası")
+ * - Case and Turkish characters are folded; Turkish terms match with suffixes
+ *   ("insülin pompasıyla"), English terms as whole words (plural allowed)
+ * - Longest term first, so "type 1 diabetes" wins over "diabetes"
+ *
+ * Queries without a mapped term are searched as before (the English query as is).
+ * The parallel fetcher builds the queries once per fetch and reports each source's
+ * query in api_started; setMeshVocabulary() swaps the vocabulary (tests, updates).
+ */
+
+import bundledVocabulary from './data/mesh-terms.json';
+import { foldTurkish } from '../utils/turkish-text';
+
+export type MeshCategory = 'condition' | 'intervention' | 'outcome' | 'population';
+
+export interface MeshDescriptor {
+  name: string; // MeSH descriptor name, e.g. "Diabetes Mellitus, Type 1"
+  category: MeshCategory;
+  entryTerms: string[]; // English synonyms; the first is the common name
+  turkish: string[];
+}
+
+export interface MeshVocabulary {
+  version: string;
+  source: string;
+  descriptors: MeshDescriptor[];
+}
+
+/**
+ * Descriptor found in the question
+ */
+export interface MeshMatch {
+  descriptor: string;
+  category: MeshCategory;
+  term: string; // Term as matched (folded)
+  language: 'en' | 'tr'; // Found in the English query or only in the original question
+}
+
+/**
+ * Queries for one fetch, per source
+ */
+export interface SearchQueries {
+  original: string; // The user's question, used by the Turkish sources
+  english: string; // Translated query, used as is by the other sources
+  pubmed: string; // Field-tagged PubMed query
+  clinicalTrials: {
+    condition: string; // query.cond
+    intervention?: string; // query.intr
+  };
+  meshTerms: MeshMatch[]; // In query order
+  unmapped: string[]; // English phrases without a descriptor, kept as free text
+}
+
+interface TermMatcher {
+  term: string;
+  pattern: RegExp;
+  descriptor: MeshDescriptor;
+}
+
+// Shorter Turkish terms must be whole words ("spor" must not match "sporadik")
+const MIN_PREFIX_TERM_LENGTH = 5;
+
+// Words that only make the PubMed query stricter
+const FREE_TEXT_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'for', 'with', 'without', 'to', 'by', 'from', 'at',
+  'vs', 'versus', 'what', 'how', 'why', 'when', 'which', 'is', 'are', 'does', 'do', 'can', 'should',
+  'between', 'during', 'after', 'before', 'about', 'patients', 'people', 'management', 'treatment',
+  'research', 'study', 'studies', 'trial', 'trials', 'effect', 'effects', 'evidence', 'latest', 'new', 'recent'
+]);
+
+// Fallback condition when only interventions or outcomes map (every question is about diabetes)
+const DEFAULT_TRIAL_CONDITION = 'diabetes';
+
+let vocabulary: MeshVocabulary = bundledVocabulary as MeshVocabulary;
+let matchers: { en: TermMatcher[]; all: TermMatcher[] } | null = null;
+
+/**
+ * Replace the MeSH vocabulary (e.g. after an update, or in tests)
+ */
+export function setMeshVocabulary(next: MeshVocabulary): void {
+  vocabulary = next;
+  matchers = null;
+}
+
+/**
+ * The vocabulary currently in use
+ */
+export function getMeshVocabulary(): MeshVocabulary {
+  return vocabulary;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildMatcher(term: string, descriptor: MeshDescriptor, language: 'en' | 'tr'): TermMatcher {
+  const folded = foldTurkish(term);
+  const suffix = language === 'en'
+    ? '(?:e?s)?(?![a-z0-9])'
+    : folded.length >= MIN_PREFIX_TERM_LENGTH ? '' : '(?![a-z0-9])';
+  return {
+    term: folded,
+    pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(folded)}${suffix}`, 'g'),
+    descriptor
+  };
+}
+
+/**
+ * English-only and English + Turkish matchers, longest term first
+ */
+function getMatchers(): { en: TermMatcher[]; all: TermMatcher[] } {
+  if (matchers) return matchers;
+
+  const en: TermMatcher[] = [];
+  const tr: TermMatcher[] = [];
+  for (const descriptor of vocabulary.descriptors) {
+    en.push(...descriptor.entryTerms.map(term => buildMatcher(term, descriptor, 'en')));
+    tr.push(...descriptor.turkish.map(term => buildMatcher(term, descriptor, 'tr')));
+  }
+
+  const byLength = (a: TermMatcher, b: TermMatcher) => b.term.length - a.term.length;
+  matchers = { en: [...en].sort(byLength), all: [...en, ...tr].sort(byLength) };
+  return matchers;
+}
+
+/**
+ * Descriptors in the text with their positions, and which characters they cover
+ */
+function scan(
+  text: string,
+  termMatchers: TermMatcher[]
+): { found: Array<{ match: TermMatcher; start: number }>; covered: boolean[] } {
+  const covered = new Array<boolean>(text.length).fill(false);
+  const found: Array<{ match: TermMatcher; start: number }> = [];
+
+  for (const matcher of termMatchers) {
+    for (const match of text.matchAll(matcher.pattern)) {
+      const start = match.index ?? 0;
+      const end = start + match[0].length;
+      if (covered.slice(start, end).some(Boolean)) continue; // Part of a longer term
+
+      covered.fill(true, start, end);
+      found.push({ match: matcher, start });
+    }
+  }
+
+  return { found: found.sort((a, b) => a.start - b.start), covered };
+}
+
+/**
+ * Map the question to MeSH descriptors
+ *
+ * @param originalQuery - The user's question (usually Turkish)
+ * @param englishQuery - The translated query
+ * @returns Descriptors in English query order, then the ones only the original question names
+ */
+export function matchMeshTerms(originalQuery: string, englishQuery: string = originalQuery): MeshMatch[] {
+  const { en, all } = getMatchers();
+  const matches: MeshMatch[] = [];
+
+  const add = (found: Array<{ match: TermMatcher; start: number }>, language: 'en' | 'tr') => {
+    for (const { match } of found) {
+      if (matches.some(existing => existing.descriptor === match.descriptor.name)) continue;
+      matches.push({ descriptor: match.descriptor.name, category: match.descriptor.category, term: match.term, language });
+    }
+  };
+
+  add(scan(foldTurkish(englishQuery), en).found, 'en');
+  add(scan(foldTurkish(originalQuery), all).found, 'tr');
+
+  return matches;
+}
+
+/**
+ * Build the per-source queries for one fetch
+ *
+ * @param originalQuery - The user's question (usually Turkish)
+ * @param englishQuery - translateToEnglishForAPIs() output
+ */
+export function buildSearchQueries(originalQuery: string, englishQuery: string): SearchQueries {
+  const meshTerms = matchMeshTerms(originalQuery, englishQuery);
+
+  if (meshTerms.length === 0) {
+    return { original: originalQuery, english: englishQuery, pubmed: englishQuery, clinicalTrials: { condition: englishQuery }, meshTerms, unmapped: [] };
+  }
+
+  const unmapped = unmappedPhrases(englishQuery);
+  const clauses = [
+    ...meshTerms.map(match => pubmedClause(match.descriptor)),
+    ...unmapped
+  ];
+
+  const conditions = meshTerms.filter(match => match.category === 'condition').map(match => trialTerm(match.descriptor));
+  const interventions = meshTerms.filter(match => match.category === 'intervention').map(match => trialTerm(match.descriptor));
+
+  return {
+    original: originalQuery,
+    english: englishQuery,
+    pubmed: clauses.join(' AND '),
+    clinicalTrials: {
+      condition: conditions.length > 0 ? conditions.join(' OR ') : DEFAULT_TRIAL_CONDITION,
+      ...(interventions.length > 0 && { intervention: interventions.join(' OR ') })
+    },
+    meshTerms,
+    unmapped
+  };
+}
+
+/**
+ * ClinicalTrials.gov parameters as one line for logs and api_started
+ */
+export function describeClinicalTrialsQuery(queries: SearchQueries): string {
+  const { condition, intervention } = queries.clinicalTrials;
+  return intervention ? `condition: ${condition} | intervention: ${intervention}` : `condition: ${condition}`;
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function descriptorByName(name: string): MeshDescriptor | undefined {
+  return vocabulary.descriptors.find(descriptor => descriptor.name === name);
+}
+
+/**
+ * ("Descriptor"[MeSH Terms] OR "entry term"[Title/Abstract] OR ...)
+ */
+function pubmedClause(name: string): string {
+  const entryTerms = descriptorByName(name)?.entryTerms ?? [];
+  const terms = [`"${name}"[MeSH Terms]`, ...entryTerms.map(term => `"${term}"[Title/Abstract]`)];
+  return `(${terms.join(' OR ')})`;
+}
+
+/**
+ * Common English name, quoted when it is a phrase (ClinicalTrials.gov search syntax)
+ */
+function trialTerm(name: string): string {
+  const term = descriptorByName(name)?.entryTerms[0] ?? name;
+  return term.includes(' ') ? `"${term}"` : term;
+}
+
+/**
+ * Runs of English query words outside the mapped terms, without stopwords and bare numbers
+ * Nothing is kept from a query that is still Turkish (translation failed)
+ */
+function unmappedPhrases(englishQuery: string): string[] {
+  const folded = foldTurkish(englishQuery);
+  if (folded !== englishQuery.toLowerCase()) return [];
+
+  const { covered } = scan(folded, getMatchers().en);
+  const phrases: string[] = [];
+  let current: string[] = [];
+
+  for (const word of folded.matchAll(/[a-z0-9][a-z0-9-]*/g)) {
+    const start = word.index ?? 0;
+    const isMapped = covered[start];
+    const keep = !isMapped && !FREE_TEXT_STOPWORDS.has(word[0]) && !/^\d+$/.test(word[0]);
+
+    if (keep) {
+      current.push(word[0]);
+    } else if (isMapped && current.length > 0) {
+      phrases.push(current.join(' '));
+      current = [];
+    }
+  }
+  if (current.length > 0) phrases.push(current.join(' '));
+
+  return phrases;
+}
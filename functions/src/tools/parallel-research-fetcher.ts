@@ -1,43 +1,33 @@
 /**
  * Parallel Research Fetcher
- * Fetches from multiple research APIs concurrently with fault tolerance
+ * Fetches from every registered research source concurrently with fault tolerance
  * Supports T2 (10 sources) and T3 (25 sources) configurations
  *
  * RELIABILITY IMPROVEMENTS:
- * - Individual timeouts per API (PubMed: 3s, arXiv: 3s, ClinicalTrials: 3s, Exa: 10s)
+ * - Adaptive timeout per source from its observed p95 latency, capped at
+ *   ResearchSource.timeoutMs (see ./source-health.ts)
+ * - Circuit breaker: a source that keeps failing is skipped for a cool-down window
+ *   and its quota is reallocated to the healthy sources (reported as source_skipped)
  * - Graceful degradation: continues with partial results if some APIs fail
- * - Uses Promise.allSettled for fault tolerance
+ * - A failing source never rejects the whole fetch
  * - Detailed timeout and error logging
+ * - Searches go through the research source provider (live / record / replay)
+ *
+ * QUERIES:
+ * The question is translated to English once; PubMed and ClinicalTrials.gov get
+ * MeSH-based queries built from it (./mesh-query-builder.ts), the other sources the
+ * English query. api_started reports the query each source sent and the MeSH terms.
+ *
+ * Sources come from the registry in ./research-sources; results are returned as
+ * normalized ResearchDocuments so callers do not need per-API handling.
  */
 
-import { searchMedicalSources, type ExaSearchResult } from './exa-search';
-import { searchPubMed, type PubMedArticleResult } from './pubmed-search';
-import { searchMedRxiv, type MedRxivResult } from './medrxiv-search';
-import { searchClinicalTrials, type ClinicalTrialResult } from './clinical-trials';
 import { translateToEnglishForAPIs } from './query-translator';
+import { buildSearchQueries } from './mesh-query-builder';
+import { getResearchSources, ResearchDocument, ResearchSource } from './research-sources';
 import { logger } from 'firebase-functions/v2';
-
-/**
- * API timeout configurations (in milliseconds)
- * CRITICAL: Academic APIs (PubMed, medRxiv, ClinicalTrials) need longer timeouts
- * because they:
- * 1. Search through millions of papers
- * 2. Run on government/academic infrastructure (slower than commercial)
- * 3. Have rate limiting and anti-bot measures
- * 4. Need to fetch metadata for multiple results
- *
- * For T3 Deep Research requesting 8-10 sources per API, we need:
- * - PubMed: 10-15s (NIH servers, complex queries, multiple result fetches)
- * - medRxiv: 8-10s (Preprint server, slower than production APIs)
- * - ClinicalTrials: 10-12s (Government database, complex trial metadata)
- * - Exa: 10s (Commercial API, fast and reliable)
- */
-const API_TIMEOUTS = {
-  PUBMED: 15000,           // 15 seconds for PubMed (was 3s - too short!)
-  MEDRXIV: 10000,          // 10 seconds for medRxiv (was 3s - too short!)
-  CLINICAL_TRIALS: 12000,  // 12 seconds for ClinicalTrials.gov (was 3s - too short!)
-  EXA: 10000               // 10 seconds for Exa (paid API, more reliable)
-};
+import { isCancellationError, throwIfAborted } from '../utils/abort';
+import { planSourceCall, recordSourceOutcome, SourceCallPlan } from './source-health';
 
 /**
  * Wrap promise with timeout
@@ -48,15 +38,17 @@ function withTimeout<T>(
   timeoutMs: number,
   operationName: string
 ): Promise<T> {
+  let timer: NodeJS.Timeout | undefined;
+
   return Promise.race([
     promise,
-    new Promise<T>((_, reject) =>
-      setTimeout(
-        () => reject(new Error(`${operationName} timeout after ${timeoutMs}ms`)),
+    new Promise<T>((_, reject) => {
+      timer = setTimeout(
+        () => reject(Object.assign(new Error(`${operationName} timeout after ${timeoutMs}ms`), { timedOut: true })),
         timeoutMs
-      )
-    )
-  ]);
+      );
+    })
+  ]).finally(() => clearTimeout(timer));
 }
 
 /**
@@ -64,79 +56,164 @@ function withTimeout<T>(
  * Called as each API starts/completes
  */
 export type ProgressCallback = (event: {
-  type: 'api_started' | 'api_completed' | 'progress_update';
-  api?: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa';
+  type: 'api_started' | 'api_completed' | 'progress_update' | 'source_skipped';
+  api?: string;    // ResearchSource.id, e.g. 'pubmed'
   query?: string;  // The actual query string sent to the API
+  meshTerms?: string[];                 // api_started: MeSH descriptors in the query (MeSH-aware sources)
   count?: number;
   duration?: number;
   success?: boolean;
   fetched?: number;
   total?: number;
+  timeoutMs?: number;                   // api_started: timeout applied to this call
+  adaptiveTimeout?: boolean;            // api_started: timeout derived from observed p95
+  timedOut?: boolean;                   // api_completed: failed by timeout
+  retryAt?: number;                     // source_skipped: when the circuit allows a trial call
+  reallocated?: Record<string, number>; // source_skipped: extra results requested per source id
 }) => void;
 
 /**
  * Configuration for research fetch operation
- * Defines how many sources to fetch from each API
+ * Number of results to request per source id (e.g. { exa: 10, pubmed: 9 });
+ * sources that are missing or 0 are skipped
  */
-export interface ResearchFetchConfig {
-  exaCount: number;              // Exa medical sources (trusted domains)
-  pubmedCount: number;            // PubMed peer-reviewed articles
-  medrxivCount: number;           // medRxiv medical preprints
-  clinicalTrialsCount: number;    // ClinicalTrials.gov studies
-}
+export type ResearchFetchConfig = Record<string, number>;
 
 /**
  * Results from parallel research fetch
  * Includes timing data for performance monitoring
  */
 export interface ResearchFetchResults {
-  exa: ExaSearchResult[];
-  pubmed: PubMedArticleResult[];
-  medrxiv: MedRxivResult[];
-  clinicalTrials: ClinicalTrialResult[];
+  documents: ResearchDocument[];   // All results, grouped by source in registry order
   timings: {
-    exa: number;
-    pubmed: number;
-    medrxiv: number;
-    clinicalTrials: number;
     total: number;
+    [sourceId: string]: number;
   };
-  errors: {
-    exa?: string;
-    pubmed?: string;
-    medrxiv?: string;
-    clinicalTrials?: string;
-  };
+  errors: Record<string, string>;  // Source id -> error message
+  skipped: string[];               // Source ids skipped by an open circuit breaker
+  reallocated: Record<string, number>; // Source id -> extra results taken over from skipped sources
+}
+
+/**
+ * Total number of results requested by a config
+ */
+export function totalRequested(config: ResearchFetchConfig): number {
+  return Object.values(config).reduce((sum, count) => sum + (count || 0), 0);
+}
+
+/**
+ * Move the quota of skipped sources to the remaining sources in the config,
+ * proportionally to their own counts (largest remainder, config order on ties)
+ *
+ * @returns The new config and the extra count each receiving source got
+ */
+export function reallocateQuota(
+  config: ResearchFetchConfig,
+  skipped: string[]
+): { config: ResearchFetchConfig; reallocated: Record<string, number> } {
+  const freed = skipped.reduce((sum, id) => sum + (config[id] || 0), 0);
+  const receivers = Object.keys(config).filter(id => (config[id] || 0) > 0 && !skipped.includes(id));
+  const next: ResearchFetchConfig = { ...config };
+  const reallocated: Record<string, number> = {};
+
+  for (const id of skipped) {
+    next[id] = 0;
+  }
+
+  if (freed === 0 || receivers.length === 0) {
+    return { config: next, reallocated };
+  }
+
+  const base = receivers.reduce((sum, id) => sum + config[id], 0);
+  const shares = receivers.map(id => ({ id, exact: (freed * config[id]) / base }));
+  let remaining = freed;
+
+  for (const share of shares) {
+    reallocated[share.id] = Math.floor(share.exact);
+    remaining -= reallocated[share.id];
+  }
+  [...shares]
+    .sort((a, b) => (b.exact % 1) - (a.exact % 1))
+    .slice(0, remaining)
+    .forEach(share => { reallocated[share.id]++; });
+
+  for (const id of receivers) {
+    if (reallocated[id] > 0) {
+      next[id] += reallocated[id];
+    } else {
+      delete reallocated[id];
+    }
+  }
+
+  return { config: next, reallocated };
 }
 
 /**
  * Fetch from all research sources in parallel
- * Uses Promise.allSettled for fault tolerance - if one API fails, others still return results
+ * A failing source only removes its own results - the others still return theirs
  *
  * @param query - User's search query
  * @param config - Source count configuration
  * @param progressCallback - Optional callback for real-time progress updates
+ * @param signal - Optional abort signal; aborting cancels every in-flight API call
  * @returns Research results with timing data
+ * @throws ResearchCancelledError if the signal aborts
  */
 export async function fetchAllResearchSources(
   query: string,
   config: ResearchFetchConfig,
-  progressCallback?: ProgressCallback
+  progressCallback?: ProgressCallback,
+  signal?: AbortSignal
 ): Promise<ResearchFetchResults> {
+  throwIfAborted(signal, 'research fetch');
+
   const startTime = Date.now();
+  const requested = getResearchSources().filter(source => (config[source.id] || 0) > 0);
 
-  console.log(
-    `🔬 [PARALLEL-FETCH] Fetching ${config.exaCount + config.pubmedCount + config.medrxivCount + config.clinicalTrialsCount} sources in parallel`
+  for (const id of Object.keys(config)) {
+    if (config[id] > 0 && !requested.some(source => source.id === id)) {
+      logger.warn(`⚠️ [PARALLEL-FETCH] Unknown research source "${id}" in config, skipping`);
+    }
+  }
+
+  // Circuit breakers: skip sources that keep failing and hand their quota to the others
+  const plans = new Map<string, SourceCallPlan>(requested.map(source => [source.id, planSourceCall(source)]));
+  const skippedSources = requested.filter(source => !plans.get(source.id)!.allowed);
+  const sources = requested.filter(source => plans.get(source.id)!.allowed);
+  const skipped = skippedSources.map(source => source.id);
+  const quota = reallocateQuota(
+    Object.fromEntries(requested.map(source => [source.id, config[source.id]])),
+    skipped
   );
+  const counts = quota.config;
+
+  for (const source of skippedSources) {
+    logger.warn(
+      `🔌 [PARALLEL-FETCH] Skipping ${source.label} ` +
+      `(${plans.get(source.id)!.state === 'open' ? 'circuit open' : 'trial call in flight'}), reallocated: ` +
+      (Object.entries(quota.reallocated).map(([id, count]) => `${id}+${count}`).join(', ') || 'none')
+    );
+    progressCallback?.({
+      type: 'source_skipped',
+      api: source.id,
+      retryAt: plans.get(source.id)!.retryAt ?? undefined,
+      reallocated: quota.reallocated
+    });
+  }
+
+  // Track total expected sources for progress
+  const totalExpected = sources.reduce((sum, source) => sum + counts[source.id], 0);
+
+  console.log(`🔬 [PARALLEL-FETCH] Fetching ${totalExpected} sources in parallel`);
   console.log(
-    `📊 [PARALLEL-FETCH] Distribution: Exa: ${config.exaCount}, PubMed: ${config.pubmedCount}, ` +
-    `medRxiv: ${config.medrxivCount}, Trials: ${config.clinicalTrialsCount}`
+    `📊 [PARALLEL-FETCH] Distribution: ` +
+    sources.map(source => `${source.label}: ${counts[source.id]}`).join(', ')
   );
   console.log(`📝 [PARALLEL-FETCH] Original query: "${query.substring(0, 80)}..."`);
 
-  // Translate Turkish queries to English for academic APIs (PubMed, medRxiv, ClinicalTrials)
-  // Exa works fine with Turkish, so we keep the original query for it
-  const englishQuery = await translateToEnglishForAPIs(query);
+  // Translate Turkish queries to English for the APIs
+  const englishQuery = await translateToEnglishForAPIs(query, signal);
+  throwIfAborted(signal, 'query translation');
   console.log(`📝 [PARALLEL-FETCH] English query for APIs: "${englishQuery.substring(0, 80)}..."`);
   console.log(`📝 [PARALLEL-FETCH] English query length: ${englishQuery.length}`);
   console.log(`📝 [PARALLEL-FETCH] Translation changed query: ${query !== englishQuery}`);
@@ -147,315 +224,131 @@ export async function fetchAllResearchSources(
     logger.error(`❌ [PARALLEL-FETCH] Empty englishQuery detected, this will cause empty query strings in SSE events`);
   }
 
-  // Track total expected sources for progress
-  const totalExpected = config.exaCount + config.pubmedCount + config.medrxivCount + config.clinicalTrialsCount;
+  // MeSH-tagged queries for the sources with their own query syntax
+  const queries = buildSearchQueries(query, englishQuery);
+  const meshTerms = queries.meshTerms.map(match => match.descriptor);
+  if (meshTerms.length > 0) {
+    console.log(
+      `🏷️ [PARALLEL-FETCH] MeSH terms: ${meshTerms.join('; ')}` +
+      (queries.unmapped.length > 0 ? ` (free text: ${queries.unmapped.join('; ')})` : '')
+    );
+  }
+
   let fetchedCount = 0;
 
-  // Helper to update progress
-  const updateProgress = () => {
-    if (progressCallback) {
-      progressCallback({
+  // Search one source with its own timeout and progress events
+  const fetchFromSource = async (source: ResearchSource<any>) => {
+    const count = counts[source.id];
+    const plan = plans.get(source.id)!;
+    const sourceStart = Date.now();
+
+    progressCallback?.({
+      type: 'api_started',
+      api: source.id,
+      query: source.queryFor?.(queries) ?? englishQuery,
+      ...(source.queryFor && meshTerms.length > 0 && { meshTerms }),
+      count,
+      timeoutMs: plan.timeoutMs,
+      adaptiveTimeout: plan.adaptive
+    });
+
+    try {
+      const results = await withTimeout(
+        source.search(englishQuery, count, signal, queries),
+        plan.timeoutMs,
+        `${source.label} search`
+      );
+      const timing = Date.now() - sourceStart;
+      const documents = results.map(result => source.normalize(result));
+      recordSourceOutcome(source.id, { durationMs: timing, success: true, timedOut: false });
+
+      fetchedCount += documents.length;
+      progressCallback?.({
         type: 'progress_update',
         fetched: fetchedCount,
         total: totalExpected
       });
+
+      progressCallback?.({
+        type: 'api_completed',
+        api: source.id,
+        count: documents.length,
+        duration: timing,
+        success: true
+      });
+
+      return { source, documents, timing, error: undefined as string | undefined };
+    } catch (error: any) {
+      // Cancellation stops the whole fetch instead of degrading gracefully
+      if (isCancellationError(error)) throw error;
+
+      const timing = Date.now() - sourceStart;
+      const timedOut = error?.timedOut === true;
+      logger.warn(`⏱️ [PARALLEL-FETCH] ${source.label} failed/timeout after ${timing}ms`, { error: error.message });
+      recordSourceOutcome(source.id, { durationMs: timedOut ? plan.timeoutMs : timing, success: false, timedOut });
+
+      progressCallback?.({
+        type: 'api_completed',
+        api: source.id,
+        count: 0,
+        duration: timing,
+        success: false,
+        timedOut
+      });
+
+      return { source, documents: [] as ResearchDocument[], timing, error: String(error.message) };
     }
   };
 
-  // Create fetch promises with individual timing, TIMEOUTS, and PROGRESS EVENTS
-  const exaStart = Date.now();
-  const exaPromise = config.exaCount > 0
-    ? (async () => {
-        // Emit start event
-        if (progressCallback) {
-          progressCallback({
-            type: 'api_started',
-            api: 'exa',
-            query: englishQuery,  // Exa uses English translation (consistent with other APIs)
-            count: config.exaCount
-          });
-        }
-
-        try {
-          const results = await withTimeout(
-            searchMedicalSources(englishQuery, config.exaCount),  // Use English query
-            API_TIMEOUTS.EXA,
-            'Exa search'
-          );
-          const timing = Date.now() - exaStart;
-          fetchedCount += results.length;
-          updateProgress();
-
-          // Emit completion event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'exa',
-              count: results.length,
-              duration: timing,
-              success: true
-            });
-          }
-
-          return { status: 'fulfilled' as const, value: results, timing };
-        } catch (error: any) {
-          const timing = Date.now() - exaStart;
-          logger.warn(`⏱️ [PARALLEL-FETCH] Exa failed/timeout after ${timing}ms`, { error: error.message });
-
-          // Emit failure event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'exa',
-              count: 0,
-              duration: timing,
-              success: false
-            });
-          }
-
-          return { status: 'rejected' as const, reason: error.message, timing };
-        }
-      })()
-    : Promise.resolve({ status: 'fulfilled' as const, value: [], timing: 0 });
-
-  const pubmedStart = Date.now();
-  const pubmedPromise = config.pubmedCount > 0
-    ? (async () => {
-        // Emit start event
-        if (progressCallback) {
-          progressCallback({
-            type: 'api_started',
-            api: 'pubmed',
-            query: englishQuery,  // PubMed uses English translation
-            count: config.pubmedCount
-          });
-        }
-
-        try {
-          const results = await withTimeout(
-            searchPubMed(englishQuery, config.pubmedCount),
-            API_TIMEOUTS.PUBMED,
-            'PubMed search'
-          );
-          const timing = Date.now() - pubmedStart;
-          fetchedCount += results.length;
-          updateProgress();
-
-          // Emit completion event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'pubmed',
-              count: results.length,
-              duration: timing,
-              success: true
-            });
-          }
-
-          return { status: 'fulfilled' as const, value: results, timing };
-        } catch (error: any) {
-          const timing = Date.now() - pubmedStart;
-          logger.warn(`⏱️ [PARALLEL-FETCH] PubMed failed/timeout after ${timing}ms`, { error: error.message });
-
-          // Emit failure event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'pubmed',
-              count: 0,
-              duration: timing,
-              success: false
-            });
-          }
-
-          return { status: 'rejected' as const, reason: error.message, timing };
-        }
-      })()
-    : Promise.resolve({ status: 'fulfilled' as const, value: [], timing: 0 });
-
-  const medrxivStart = Date.now();
-  const medrxivPromise = config.medrxivCount > 0
-    ? (async () => {
-        // Emit start event
-        if (progressCallback) {
-          progressCallback({
-            type: 'api_started',
-            api: 'medrxiv',
-            query: englishQuery,  // medRxiv uses English translation
-            count: config.medrxivCount
-          });
-        }
-
-        try {
-          const results = await withTimeout(
-            searchMedRxiv(englishQuery, config.medrxivCount, '2023-01-01'),
-            API_TIMEOUTS.MEDRXIV,
-            'medRxiv search'
-          );
-          const timing = Date.now() - medrxivStart;
-          fetchedCount += results.length;
-          updateProgress();
-
-          // Emit completion event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'medrxiv',
-              count: results.length,
-              duration: timing,
-              success: true
-            });
-          }
-
-          return { status: 'fulfilled' as const, value: results, timing };
-        } catch (error: any) {
-          const timing = Date.now() - medrxivStart;
-          logger.warn(`⏱️ [PARALLEL-FETCH] medRxiv failed/timeout after ${timing}ms`, { error: error.message });
-
-          // Emit failure event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'medrxiv',
-              count: 0,
-              duration: timing,
-              success: false
-            });
-          }
-
-          return { status: 'rejected' as const, reason: error.message, timing };
-        }
-      })()
-    : Promise.resolve({ status: 'fulfilled' as const, value: [], timing: 0 });
-
-  const trialsStart = Date.now();
-  const trialsPromise = config.clinicalTrialsCount > 0
-    ? (async () => {
-        // Emit start event
-        if (progressCallback) {
-          progressCallback({
-            type: 'api_started',
-            api: 'clinicaltrials',
-            query: englishQuery,  // ClinicalTrials uses English translation
-            count: config.clinicalTrialsCount
-          });
-        }
-
-        try {
-          const results = await withTimeout(
-            searchClinicalTrials(englishQuery, undefined, 'all', config.clinicalTrialsCount),
-            API_TIMEOUTS.CLINICAL_TRIALS,
-            'ClinicalTrials search'
-          );
-          const timing = Date.now() - trialsStart;
-          fetchedCount += results.length;
-          updateProgress();
-
-          // Emit completion event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'clinicaltrials',
-              count: results.length,
-              duration: timing,
-              success: true
-            });
-          }
-
-          return { status: 'fulfilled' as const, value: results, timing };
-        } catch (error: any) {
-          const timing = Date.now() - trialsStart;
-          logger.warn(`⏱️ [PARALLEL-FETCH] ClinicalTrials failed/timeout after ${timing}ms`, { error: error.message });
-
-          // Emit failure event
-          if (progressCallback) {
-            progressCallback({
-              type: 'api_completed',
-              api: 'clinicaltrials',
-              count: 0,
-              duration: timing,
-              success: false
-            });
-          }
-
-          return { status: 'rejected' as const, reason: error.message, timing };
-        }
-      })()
-    : Promise.resolve({ status: 'fulfilled' as const, value: [], timing: 0 });
-
   // Execute all searches in parallel
-  const [exaResult, pubmedResult, medrxivResult, trialsResult] = await Promise.all([
-    exaPromise,
-    pubmedPromise,
-    medrxivPromise,
-    trialsPromise
-  ]);
+  const outcomes = await Promise.all(sources.map(fetchFromSource));
 
   const totalTime = Date.now() - startTime;
 
-  // Extract results and errors
   const results: ResearchFetchResults = {
-    exa: exaResult.status === 'fulfilled' ? exaResult.value : [],
-    pubmed: pubmedResult.status === 'fulfilled' ? pubmedResult.value : [],
-    medrxiv: medrxivResult.status === 'fulfilled' ? medrxivResult.value : [],
-    clinicalTrials: trialsResult.status === 'fulfilled' ? trialsResult.value : [],
-    timings: {
-      exa: exaResult.timing,
-      pubmed: pubmedResult.timing,
-      medrxiv: medrxivResult.timing,
-      clinicalTrials: trialsResult.timing,
-      total: totalTime
-    },
-    errors: {}
+    documents: outcomes.flatMap(outcome => outcome.documents),
+    timings: { total: totalTime },
+    errors: {},
+    skipped,
+    reallocated: quota.reallocated
   };
 
-  // Collect errors if any (already logged above, but store for response metadata)
-  if (exaResult.status === 'rejected') {
-    results.errors.exa = exaResult.reason;
-  }
-  if (pubmedResult.status === 'rejected') {
-    results.errors.pubmed = pubmedResult.reason;
-  }
-  if (medrxivResult.status === 'rejected') {
-    results.errors.medrxiv = medrxivResult.reason;
-  }
-  if (trialsResult.status === 'rejected') {
-    results.errors.clinicalTrials = trialsResult.reason;
+  for (const outcome of outcomes) {
+    results.timings[outcome.source.id] = outcome.timing;
+    if (outcome.error !== undefined) {
+      results.errors[outcome.source.id] = outcome.error;
+    }
   }
 
   // Log summary with graceful degradation info
-  const totalSources = results.exa.length + results.pubmed.length + results.medrxiv.length + results.clinicalTrials.length;
-  const requestedSources = config.exaCount + config.pubmedCount + config.medrxivCount + config.clinicalTrialsCount;
+  const totalSources = results.documents.length;
   const errorCount = Object.keys(results.errors).length;
+  const perSource = outcomes.map(outcome => `${outcome.source.label}: ${outcome.documents.length}`).join(', ');
 
   if (errorCount === 0) {
     logger.info(
-      `✅ [PARALLEL-FETCH] All APIs succeeded! Retrieved ${totalSources}/${requestedSources} sources in ${totalTime}ms ` +
-      `(Exa: ${results.exa.length}, PubMed: ${results.pubmed.length}, ` +
-      `medRxiv: ${results.medrxiv.length}, Trials: ${results.clinicalTrials.length})`
+      `✅ [PARALLEL-FETCH] All APIs succeeded! Retrieved ${totalSources}/${totalExpected} sources in ${totalTime}ms ` +
+      `(${perSource})`
     );
   } else {
     logger.warn(
       `⚠️ [PARALLEL-FETCH] Graceful degradation: ${errorCount} API(s) failed, continuing with partial results. ` +
-      `Retrieved ${totalSources}/${requestedSources} sources in ${totalTime}ms ` +
-      `(Exa: ${results.exa.length}, PubMed: ${results.pubmed.length}, ` +
-      `medRxiv: ${results.medrxiv.length}, Trials: ${results.clinicalTrials.length})`,
+      `Retrieved ${totalSources}/${totalExpected} sources in ${totalTime}ms (${perSource})`,
       { errors: results.errors }
     );
   }
 
   logger.debug(
     `⏱️ [PARALLEL-FETCH] API timings: ` +
-    `Exa: ${results.timings.exa}ms, PubMed: ${results.timings.pubmed}ms, ` +
-    `medRxiv: ${results.timings.medrxiv}ms, Trials: ${results.timings.clinicalTrials}ms`
+    outcomes.map(outcome => `${outcome.source.label}: ${outcome.timing}ms`).join(', ')
   );
 
   // Warn if we got significantly fewer sources than requested (50% threshold)
-  if (totalSources < requestedSources * 0.5) {
+  if (totalSources < totalExpected * 0.5) {
     logger.warn(
       `⚠️ [PARALLEL-FETCH] Low source retrieval rate: ` +
-      `${((totalSources / requestedSources) * 100).toFixed(0)}% ` +
-      `(${totalSources}/${requestedSources}). User may receive degraded results.`
+      `${((totalSources / totalExpected) * 100).toFixed(0)}% ` +
+      `(${totalSources}/${totalExpected}). User may receive degraded results.`
     );
   }
 
@@ -471,10 +364,10 @@ export const TIER_CONFIGS = {
    * 5 Exa (trusted medical sites) + 5 dynamic API (PubMed/medRxiv/Trials)
    */
   T2: (pubmedCount: number, medrxivCount: number, clinicalTrialsCount: number): ResearchFetchConfig => ({
-    exaCount: 5,
-    pubmedCount,
-    medrxivCount,
-    clinicalTrialsCount
+    exa: 5,
+    pubmed: pubmedCount,
+    medrxiv: medrxivCount,
+    clinicaltrials: clinicalTrialsCount
   }),
 
   /**
@@ -482,10 +375,10 @@ export const TIER_CONFIGS = {
    * 10 Exa (trusted medical sites) + 15 dynamic API (PubMed/medRxiv/Trials)
    */
   T3: (pubmedCount: number, medrxivCount: number, clinicalTrialsCount: number): ResearchFetchConfig => ({
-    exaCount: 10,
-    pubmedCount,
-    medrxivCount,
-    clinicalTrialsCount
+    exa: 10,
+    pubmed: pubmedCount,
+    medrxiv: medrxivCount,
+    clinicaltrials: clinicalTrialsCount
   })
 };
 
@@ -521,7 +414,7 @@ export function createT2Config(
  * @returns T3 research configuration
  *
  * NOTE: This function is DEPRECATED. Prefer constructing ResearchFetchConfig directly
- * with explicit exaCount to avoid confusion about source count expectations.
+ * with an explicit exa count to avoid confusion about source count expectations.
  *
  * IMPORTANT: API sources (pubmedCount + medrxivCount + clinicalTrialsCount) should sum to 15,
  * NOT 25. The function adds 10 Exa sources automatically.
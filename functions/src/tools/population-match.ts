@@ -0,0 +1,188 @@
+/**
+ * Population Match - does a study's population fit the user's diabetes profile?
+ *
+ * A trial in type 2 diabetes says little about insulin dosing in type 1, yet keyword
+ * ranking scores both the same. With the user's diabetesProfile (type and medications)
+ * each source is compared against the user:
+ * - Diabetes type of the study population (StudyMetadata.diabetesType) against the
+ *   profile type: same type is boosted, a different type is demoted
+ * - Profile medications (brand or generic, resolved through drug-interactions.json)
+ *   named in the study: boosted
+ *
+ * Sources that don't state a population are neither boosted nor demoted. Demoted
+ * sources can still be selected; their "Population:" note tells the synthesis that
+ * the findings may not carry over to the user.
+ *
+ * LADA shares features with both type 1 and type 2, so studies of either are a
+ * partial fit rather than a mismatch.
+ */
+
+import type { ResearchDocument } from './research-sources';
+import { findMedications } from './drug-interactions';
+import { DIABETES_LABELS, DiabetesPopulation, extractStudyMetadata } from './study-metadata';
+
+export type ProfileDiabetesType = '1' | '2' | 'LADA' | 'gestational' | 'prediabetes';
+
+/**
+ * The user's side of the comparison (from RouterInput.diabetesProfile)
+ */
+export interface ResearchPopulation {
+  diabetesType: ProfileDiabetesType | null;
+  medications: string[]; // Ingredient ids, e.g. 'metformin'
+}
+
+export type PopulationFit = 'match' | 'partial' | 'mismatch' | 'unknown';
+
+export interface PopulationMatch {
+  fit: PopulationFit; // Study population against the profile diabetes type
+  boost: number; // Ranking points (-12 to +13)
+  medications: string[]; // Profile medications the study covers
+  note: string | null; // Explanation for the synthesis prompt
+}
+
+const FIT_BOOST: Record<PopulationFit, number> = {
+  match: 8,
+  partial: 0,
+  mismatch: -12,
+  unknown: 0
+};
+const LADA_PARTIAL_BOOST = 2; // Type 1 and type 2 studies both inform LADA
+const MEDICATION_BOOST = 5;
+
+// Study populations that partly apply to a profile type; any other known type is a mismatch
+const SAME_POPULATION: Record<ProfileDiabetesType, DiabetesPopulation> = {
+  '1': 'type1',
+  '2': 'type2',
+  LADA: 'type1',
+  gestational: 'gestational',
+  prediabetes: 'prediabetes'
+};
+const PARTIAL_POPULATIONS: Record<ProfileDiabetesType, DiabetesPopulation[]> = {
+  '1': ['mixed'],
+  '2': ['mixed', 'prediabetes'],
+  LADA: ['mixed', 'type2'],
+  gestational: ['mixed'],
+  prediabetes: ['mixed', 'type2']
+};
+
+const PROFILE_LABELS: Record<ProfileDiabetesType, string> = {
+  '1': 'type 1 diabetes',
+  '2': 'type 2 diabetes',
+  LADA: 'LADA',
+  gestational: 'gestational diabetes',
+  prediabetes: 'prediabetes'
+};
+
+const PROFILE_LABELS_TR: Record<ProfileDiabetesType, string> = {
+  '1': 'tip 1 diyabet',
+  '2': 'tip 2 diyabet',
+  LADA: 'LADA (erişkinde gizli otoimmün diyabet)',
+  gestational: 'gebelik diyabeti',
+  prediabetes: 'prediyabet'
+};
+
+/**
+ * Read the population from a diabetes profile (null when it has neither type nor medications)
+ * Accepts the app's values ('1', '2', 'LADA', 'gestational', 'prediabetes') and common
+ * spellings such as "Type 1", "tip 2" or "T1D"
+ */
+export function toResearchPopulation(profile: unknown): ResearchPopulation | null {
+  if (!profile || typeof profile !== 'object') return null;
+
+  const { type, medications } = profile as { type?: unknown; medications?: unknown };
+  const diabetesType = typeof type === 'string' ? profileDiabetesType(type) : null;
+  const ingredients = Array.isArray(medications)
+    ? medications
+      .filter((entry): entry is string => typeof entry === 'string')
+      .flatMap(entry => findMedications(entry, true))
+      .flatMap(match => match.ingredients)
+    : [];
+
+  if (!diabetesType && ingredients.length === 0) return null;
+  return { diabetesType, medications: [...new Set(ingredients)] };
+}
+
+/**
+ * Compare a document's study population and medications with the user's
+ */
+export function matchPopulation(document: ResearchDocument, population: ResearchPopulation): PopulationMatch {
+  const studyType = (document.studyMetadata ?? extractStudyMetadata(document)).diabetesType;
+  const fit = populationFit(studyType, population.diabetesType);
+
+  const mentioned = new Set(findMedications(`${document.title} ${document.abstract}`).flatMap(match => match.ingredients));
+  const medications = population.medications.filter(ingredient => mentioned.has(ingredient));
+
+  let boost = FIT_BOOST[fit];
+  if (fit === 'partial' && population.diabetesType === 'LADA') boost = LADA_PARTIAL_BOOST;
+  if (medications.length > 0) boost += MEDICATION_BOOST;
+
+  return { fit, boost, medications, note: populationNote(fit, studyType, population.diabetesType, medications) };
+}
+
+/**
+ * Synthesis instructions for sources with a "Population:" note (appended to the T3 system prompt)
+ */
+export function buildPopulationMatchInstructions(population: ResearchPopulation): string {
+  const profile = population.diabetesType ? PROFILE_LABELS_TR[population.diabetesType] : 'belirtilmemiş diyabet tipi';
+  const medications = population.medications.length > 0 ? `, ilaçları: ${population.medications.join(', ')}` : '';
+
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+👤 KULLANICI PROFİLİNE UYGUNLUK
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Kullanıcı: ${profile}${medications}. Kaynaklardaki "Population:" satırı, çalışılan hasta grubunun bu profille uyumunu belirtir.
+
+KURALLAR:
+1. Kullanıcının diyabet tipinde yapılmış çalışmaların bulgularını öne çıkar
+2. Farklı hasta grubunda yapılmış bir çalışmadan aktarırken bunu açıkça söyle (ör. "Bu bulgu tip 2 diyabetlilerde gösterildi [4]; tip 1 diyabette sonuç farklı olabilir")
+3. Kullanıcının tipi için kanıt yoksa, mevcut kanıtın doğrudan uygulanamayabileceğini belirt
+4. Kullanıcının kullandığı ilaçları inceleyen çalışmaları ilgili bölümde ayrıca vurgula
+`;
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function profileDiabetesType(type: string): ProfileDiabetesType | null {
+  const value = type.trim().toLowerCase();
+  if (/^(?:(?:type|tip)\s*)?(?:1|i)$|^t1d?m?$/.test(value)) return '1';
+  if (/^(?:(?:type|tip)\s*)?(?:2|ii)$|^t2d?m?$/.test(value)) return '2';
+  if (value === 'lada') return 'LADA';
+  if (/gestational|gebelik|^gdm$/.test(value)) return 'gestational';
+  if (/pre-?diabet|prediyabet/.test(value)) return 'prediabetes';
+  return null;
+}
+
+function populationFit(studyType: DiabetesPopulation | null, profileType: ProfileDiabetesType | null): PopulationFit {
+  if (!studyType || !profileType) return 'unknown';
+  if (studyType === SAME_POPULATION[profileType]) return 'match';
+  return PARTIAL_POPULATIONS[profileType].includes(studyType) ? 'partial' : 'mismatch';
+}
+
+/**
+ * e.g. "Studied type 2 diabetes; user has type 1 diabetes - findings may not apply"
+ */
+function populationNote(
+  fit: PopulationFit,
+  studyType: DiabetesPopulation | null,
+  profileType: ProfileDiabetesType | null,
+  medications: string[]
+): string | null {
+  const parts: string[] = [];
+  if (studyType && profileType) {
+    const studied = `Studied ${DIABETES_LABELS[studyType]}; user has ${PROFILE_LABELS[profileType]}`;
+    if (fit === 'match') parts.push(`Matches the user's ${PROFILE_LABELS[profileType]}`);
+    else if (fit === 'mismatch') parts.push(`⚠️ ${studied} - findings may not apply`);
+    else if (studyType !== 'mixed') parts.push(`${studied} - findings apply only in part`);
+  }
+  if (medications.length > 0) {
+    parts.push(`covers the user's medication${medications.length > 1 ? 's' : ''}: ${medications.join(', ')}`);
+  }
+
+  if (parts.length === 0) return null;
+  const note = parts.join('; ');
+  return note.charAt(0).toUpperCase() + note.slice(1);
+}
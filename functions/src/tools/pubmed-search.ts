@@ -4,6 +4,7 @@
 //
 
 import axios from 'axios';
+import { ResearchCancelledError, isCancellationError } from '../utils/abort';
 
 export interface PubMedArticleResult {
   pmid: string; // PubMed ID (e.g., "12345678")
@@ -27,7 +28,8 @@ export async function searchPubMed(
   query: string,
   maxResults: number = 10,
   yearsBack: number = 5, // Default to last 5 years (2020+)
-  studyTypes?: string[] // e.g., ['Clinical Trial', 'Meta-Analysis']
+  studyTypes?: string[], // e.g., ['Clinical Trial', 'Meta-Analysis']
+  signal?: AbortSignal // Aborts in-flight requests when the client disconnects
 ): Promise<PubMedArticleResult[]> {
   try {
     const apiKey = process.env.PUBMED_API_KEY || '';
@@ -69,7 +71,8 @@ export async function searchPubMed(
     }
 
     const searchResponse = await axios.get(`${searchUrl}?${searchParams.toString()}`, {
-      timeout: 10000 // 10 second timeout
+      timeout: 10000, // 10 second timeout
+      signal
     });
 
     console.log(`🏥 [PUBMED-DEBUG] Raw API response:`, JSON.stringify(searchResponse.data, null, 2));
@@ -100,7 +103,8 @@ export async function searchPubMed(
     }
 
     const fetchResponse = await axios.get(`${fetchUrl}?${fetchParams.toString()}`, {
-      timeout: 15000 // 15 second timeout for fetching details
+      timeout: 15000, // 15 second timeout for fetching details
+      signal
     });
 
     const articlesData = fetchResponse.data.result;
@@ -141,6 +145,11 @@ export async function searchPubMed(
     return articles;
 
   } catch (error: any) {
+    // Cancellation is not a failure - let the orchestrator stop
+    if (signal?.aborted || isCancellationError(error)) {
+      throw new ResearchCancelledError('PubMed search');
+    }
+
     console.error(`❌ [PUBMED] Search failed:`, error.message);
 
     // Return empty array on error rather than throwing
@@ -154,6 +163,8 @@ export async function searchPubMed(
  */
 function determineArticleType(pubTypes: string[]): string {
   const typeMap: Record<string, string> = {
+    'Practice Guideline': 'Guideline',
+    'Guideline': 'Guideline',
     'Meta-Analysis': 'Meta-Analysis',
     'Systematic Review': 'Systematic Review',
     'Randomized Controlled Trial': 'RCT',
@@ -203,6 +214,7 @@ export function formatPubMedForAI(articles: PubMedArticleResult[]): string {
  */
 export function getArticleQualityScore(articleType: string): number {
   const scoreMap: Record<string, number> = {
+    'Guideline': 10,
     'Meta-Analysis': 10,
     'Systematic Review': 9,
     'RCT': 8,
@@ -127,11 +127,13 @@ IMPORTANT: Ratios must sum to 1.0 (100%)`;
  * Analyze query and return optimal API source distribution
  * @param query - User's question
  * @param targetSourceCount - Total number of API sources to fetch (e.g., 5 for T2, 15 for T3)
+ * @param signal - Aborts the analysis call when the client disconnects
  * @returns QueryAnalysis with category and optimal API ratios
  */
 export async function analyzeQuery(
   query: string,
-  targetSourceCount: number
+  targetSourceCount: number,
+  signal?: AbortSignal
 ): Promise<QueryAnalysis> {
   const startTime = Date.now();
 
@@ -140,6 +142,7 @@ export async function analyzeQuery(
 
     const result = await ai.generate({
       model: getRouterModel(), // Gemini 2.5 Flash Lite - fast & cheap
+      abortSignal: signal,
       config: {
         temperature: 0.1, // Very low for consistent categorization
         maxOutputTokens: 256,
@@ -6,6 +6,7 @@
 import { ai } from '../genkit-instance';
 import { RefinedQuery } from '../flows/deep-research-v2-types';
 import { logger } from 'firebase-functions/v2';
+import { EvidenceConflict, formatConflictsForPrompt } from './evidence-graph';
 
 /**
  * Refine query based on identified knowledge gaps
@@ -14,12 +15,16 @@ import { logger } from 'firebase-functions/v2';
  * @param originalQuery - Original user query
  * @param gaps - Knowledge gaps identified in reflection
  * @param roundNumber - Current round number (for logging)
+ * @param signal - Aborts the refinement call when the client disconnects
+ * @param conflicts - Topics on which the sources disagree; the query may target studies that resolve them
  * @returns Refined query focused on filling gaps
  */
 export async function refineQueryForGaps(
   originalQuery: string,
   gaps: string[],
-  roundNumber: number
+  roundNumber: number,
+  signal?: AbortSignal,
+  conflicts: EvidenceConflict[] = []
 ): Promise<RefinedQuery> {
   const startTime = Date.now();
 
@@ -28,8 +33,8 @@ export async function refineQueryForGaps(
     `gaps=[${gaps.slice(0, 3).join(', ')}${gaps.length > 3 ? '...' : ''}]`
   );
 
-  // If no gaps, return original query
-  if (gaps.length === 0) {
+  // If no gaps and no disagreement, return original query
+  if (gaps.length === 0 && conflicts.length === 0) {
     logger.debug(`🔄 [QUERY-REFINER] No gaps identified, using original query`);
     return {
       original: originalQuery,
@@ -41,10 +46,15 @@ export async function refineQueryForGaps(
 
   try {
     // Use primary gap for focus
-    const primaryGap = gaps[0];
+    const primaryGap = gaps[0] ?? `Conflicting evidence: ${conflicts[0].topic}`;
+
+    const conflictSection = conflicts.length > 0
+      ? `\n\nSources disagree on (the refined query may target studies that resolve this):\n${formatConflictsForPrompt(conflicts, 3)}\n`
+      : '';
 
     const response = await ai.generate({
       model: 'vertexai/gemini-2.5-flash',
+      abortSignal: signal,
       config: {
         temperature: 0.8, // Higher creativity for query variation
         maxOutputTokens: 512
@@ -56,6 +66,8 @@ REFINEMENT STRATEGIES:
 2. Add specificity: "randomized controlled trials", "systematic review", "meta-analysis"
 3. Target gap directly: If gap is "safety data" → add "safety", "adverse events", "side effects"
 4. Combine terms: Original query + gap-specific terms
+5. Resolve conflicting evidence: target "meta-analysis" or "randomized controlled trial" on the disputed
+   intervention and outcome, or the population in which results differ
 
 EXAMPLES:
 - Original: "metformin diabetes"
@@ -70,6 +82,10 @@ EXAMPLES:
   Gap: "Missing mechanism of action"
   Refined: "SGLT2 inhibitors heart failure mechanism action pathophysiology"
 
+- Original: "intermittent fasting type 2 diabetes"
+  Gap: "Conflicting evidence: intermittent fasting → hba1c"
+  Refined: "intermittent fasting HbA1c type 2 diabetes meta-analysis randomized controlled trials"
+
 Return ONLY valid JSON (no markdown, no code blocks):
 {
   "refined": "<refined query string>",
@@ -83,7 +99,7 @@ Original query: "${originalQuery}"
 Knowledge gaps identified:
 ${gaps.map((g, i) => `${i + 1}. ${g}`).join('\n')}
 
-Primary gap to address: "${primaryGap}"
+Primary gap to address: "${primaryGap}"${conflictSection}
 
 Generate a refined search query that specifically targets these gaps while maintaining the original intent. The refined query will be used to search PubMed, arXiv, and clinical trial databases.
 
@@ -142,7 +158,7 @@ Return JSON with: refined, focusArea, reasoning`
     logger.error(`❌ [QUERY-REFINER] Refinement failed after ${duration}ms:`, error);
 
     // Fallback: Combine original query with primary gap
-    const primaryGap = gaps[0];
+    const primaryGap = gaps[0] ?? conflicts[0].topic.replace(' → ', ' ');
     logger.warn(`⚠️ [QUERY-REFINER] Using fallback gap append strategy`);
 
     return {
@@ -11,9 +11,13 @@ import { logger } from 'firebase-functions/v2';
  * Uses fast Flash model for quick translation
  *
  * @param turkishQuery - User's query in Turkish
+ * @param signal - Optional abort signal (client disconnect)
  * @returns English translation optimized for medical databases
  */
-export async function translateToEnglishForAPIs(turkishQuery: string): Promise<string> {
+export async function translateToEnglishForAPIs(
+  turkishQuery: string,
+  signal?: AbortSignal
+): Promise<string> {
   // CRITICAL LOGGING: Always log entry with console for visibility
   console.log(`🌍 [TRANSLATOR] ENTRY - Query length: ${turkishQuery.length}, First 80 chars: "${turkishQuery.substring(0, 80)}"`);
 
@@ -31,6 +35,7 @@ export async function translateToEnglishForAPIs(turkishQuery: string): Promise<s
   try {
     const response = await ai.generate({
       model: 'vertexai/gemini-2.5-flash',
+      abortSignal: signal,
       config: {
         temperature: 0.3, // Low for consistent translation
         maxOutputTokens: 256
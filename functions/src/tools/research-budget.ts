@@ -0,0 +1,262 @@
+/**
+ * Research Budget - cost and time caps for a T3 deep research run
+ *
+ * Every run gets a cost budget (USD) and a time limit. The budget keeps a live
+ * estimate of what the run has spent, priced with cost-tracking/model-pricing.ts:
+ * - LLM calls: actual token usage where the caller has it (planner, synthesis),
+ *   otherwise the typical token counts of the stage (STAGE_TOKEN_ESTIMATES)
+ * - Search APIs: Exa requests and result pages (PubMed & co. are free)
+ *
+ * The planner caps its round estimate at affordableRounds(), and before every
+ * further round the loop asks checkNextRound() whether the marginal round still
+ * fits next to the synthesis reserve (the final answer must always be affordable).
+ * Round 1 always runs - without sources there is nothing to synthesize.
+ */
+
+import { calculateSearchCost, calculateTokenCost } from '../cost-tracking/model-pricing';
+import type { ResearchFetchConfig } from './parallel-research-fetcher';
+
+export interface ResearchBudgetLimits {
+  maxCostUSD: number;
+  timeLimitMs: number; // Wall-clock limit from the start of the run
+}
+
+export type BudgetStage =
+  | 'planning'
+  | 'query_analysis'
+  | 'search'
+  | 'claim_extraction'
+  | 'reflection'
+  | 'query_refinement'
+  | 'synthesis';
+
+/**
+ * Budget state reported in SSE events and the complete metadata
+ */
+export interface ResearchBudgetSnapshot {
+  budgetUSD: number;
+  spentUSD: number;
+  remainingUSD: number;
+  timeLimitMs: number;
+  elapsedMs: number;
+  remainingMs: number;
+  byStage: Partial<Record<BudgetStage, number>>; // USD per stage
+}
+
+/**
+ * Whether the next round fits the budget
+ */
+export interface RoundBudgetCheck {
+  affordable: boolean;
+  estimatedCostUSD: number;
+  estimatedDurationMs: number;
+  reason?: string; // Set when not affordable
+}
+
+// Defaults for the streaming request (540s function timeout) and for background jobs
+// ($0.08 covers planning, 4 rounds and synthesis with the default models)
+export const DEFAULT_STREAM_BUDGET: ResearchBudgetLimits = { maxCostUSD: 0.08, timeLimitMs: 7 * 60 * 1000 };
+export const DEFAULT_JOB_BUDGET: ResearchBudgetLimits = { maxCostUSD: 0.08, timeLimitMs: 20 * 60 * 1000 };
+
+const MIN_COST_USD = 0.005;
+const MAX_COST_USD = 0.5;
+const MIN_TIME_LIMIT_MS = 60 * 1000;
+
+// Typical token usage per call, for stages whose callers do not report usage
+export const STAGE_TOKEN_ESTIMATES: Record<Exclude<BudgetStage, 'search'>, { model: string; inputTokens: number; outputTokens: number }> = {
+  planning: { model: 'gemini-2.5-pro', inputTokens: 900, outputTokens: 1500 },
+  query_analysis: { model: 'gemini-2.5-flash-lite', inputTokens: 1500, outputTokens: 300 },
+  claim_extraction: { model: 'gemini-2.5-flash-lite', inputTokens: 3500, outputTokens: 1500 },
+  reflection: { model: 'gemini-2.5-flash', inputTokens: 6000, outputTokens: 800 },
+  query_refinement: { model: 'gemini-2.5-flash', inputTokens: 800, outputTokens: 200 },
+  synthesis: { model: 'gemini-2.5-flash', inputTokens: 22000, outputTokens: 8000 } // Source block is capped at ~17K tokens
+};
+
+const DEFAULT_ROUND_DURATION_MS = 20000; // Until a round has been observed
+const SYNTHESIS_DURATION_MS = 60000;
+const MAX_ROUNDS = 4;
+
+/**
+ * Nominal search config of a round (see executeDeepResearchV2: 10 Exa in round 1, 5 later)
+ */
+function nominalRoundConfig(roundNumber: number): ResearchFetchConfig {
+  return roundNumber === 1 ? { exa: 10, pubmed: 15 } : { exa: 5, pubmed: 10 };
+}
+
+/**
+ * Read budget limits from a request body (`budget: { maxCostUSD, timeLimitSeconds }`)
+ * Missing or invalid values fall back to the defaults, the rest is clamped
+ */
+export function parseResearchBudget(value: unknown, defaults: ResearchBudgetLimits = DEFAULT_STREAM_BUDGET): ResearchBudgetLimits {
+  const input = (value && typeof value === 'object' ? value : {}) as Record<string, unknown>;
+  const cost = Number(input.maxCostUSD);
+  const seconds = Number(input.timeLimitSeconds);
+
+  return {
+    maxCostUSD: Number.isFinite(cost) && cost > 0
+      ? Math.min(MAX_COST_USD, Math.max(MIN_COST_USD, cost))
+      : defaults.maxCostUSD,
+    timeLimitMs: Number.isFinite(seconds) && seconds > 0
+      ? Math.min(defaults.timeLimitMs, Math.max(MIN_TIME_LIMIT_MS, seconds * 1000))
+      : defaults.timeLimitMs
+  };
+}
+
+export class ResearchBudget {
+  readonly limits: ResearchBudgetLimits;
+  private readonly startedAt: number;
+  private readonly synthesisModel: string;
+  private readonly byStage: Partial<Record<BudgetStage, number>> = {};
+  private readonly roundDurations: number[] = [];
+  private spent = 0;
+
+  /**
+   * @param limits - Cost and time caps (defaults: DEFAULT_STREAM_BUDGET)
+   * @param synthesisModel - Model of the final synthesis call (getTier3Model())
+   * @param now - Start of the run
+   */
+  constructor(limits: Partial<ResearchBudgetLimits> = {}, synthesisModel?: string, now: number = Date.now()) {
+    this.limits = { ...DEFAULT_STREAM_BUDGET, ...limits };
+    this.synthesisModel = synthesisModel || STAGE_TOKEN_ESTIMATES.synthesis.model;
+    this.startedAt = now;
+  }
+
+  private add(stage: BudgetStage, costUSD: number): number {
+    this.spent += costUSD;
+    this.byStage[stage] = (this.byStage[stage] ?? 0) + costUSD;
+    return costUSD;
+  }
+
+  /**
+   * Record an LLM call with its actual token usage
+   * @returns Cost of the call in USD
+   */
+  recordTokens(stage: BudgetStage, model: string, inputTokens: number, outputTokens: number): number {
+    return this.add(stage, calculateTokenCost(model, inputTokens, outputTokens));
+  }
+
+  /**
+   * Record an LLM call whose caller does not report usage (typical token counts)
+   */
+  recordEstimatedCall(stage: Exclude<BudgetStage, 'search'>): number {
+    const estimate = STAGE_TOKEN_ESTIMATES[stage];
+    return this.add(stage, calculateTokenCost(estimate.model, estimate.inputTokens, estimate.outputTokens));
+  }
+
+  /**
+   * Record the searches of one fetch
+   */
+  recordSearch(config: ResearchFetchConfig): number {
+    return this.add('search', searchCost(config));
+  }
+
+  /**
+   * Record how long a round took (improves the time estimate of the next rounds)
+   */
+  recordRoundDuration(durationMs: number): void {
+    this.roundDurations.push(durationMs);
+  }
+
+  /**
+   * Estimated cost and duration of the final synthesis
+   */
+  synthesisReserve(): { costUSD: number; durationMs: number } {
+    const estimate = STAGE_TOKEN_ESTIMATES.synthesis;
+    return {
+      costUSD: calculateTokenCost(this.synthesisModel, estimate.inputTokens, estimate.outputTokens),
+      durationMs: SYNTHESIS_DURATION_MS
+    };
+  }
+
+  /**
+   * Estimated cost and duration of a round
+   */
+  estimateRound(roundNumber: number, config: ResearchFetchConfig = nominalRoundConfig(roundNumber)): { costUSD: number; durationMs: number } {
+    const llmCost = (['query_analysis', 'claim_extraction', 'reflection', 'query_refinement'] as const)
+      .map(stage => STAGE_TOKEN_ESTIMATES[stage])
+      .reduce((sum, estimate) => sum + calculateTokenCost(estimate.model, estimate.inputTokens, estimate.outputTokens), 0);
+    const observed = this.roundDurations.length > 0
+      ? this.roundDurations.reduce((sum, duration) => sum + duration, 0) / this.roundDurations.length
+      : DEFAULT_ROUND_DURATION_MS;
+
+    return { costUSD: llmCost + searchCost(config), durationMs: Math.round(observed) };
+  }
+
+  /**
+   * Whether a round still fits next to the synthesis reserve
+   */
+  checkNextRound(roundNumber: number, now: number = Date.now()): RoundBudgetCheck {
+    const round = this.estimateRound(roundNumber);
+    const reserve = this.synthesisReserve();
+    const remainingCost = this.limits.maxCostUSD - this.spent - reserve.costUSD;
+    const remainingTime = this.startedAt + this.limits.timeLimitMs - now - reserve.durationMs;
+    const check: RoundBudgetCheck = {
+      affordable: true,
+      estimatedCostUSD: round.costUSD,
+      estimatedDurationMs: round.durationMs
+    };
+
+    if (round.costUSD > remainingCost) {
+      check.affordable = false;
+      check.reason = `Cost budget: round ${roundNumber} (~$${round.costUSD.toFixed(4)}) exceeds ` +
+        `remaining $${Math.max(0, remainingCost).toFixed(4)} after synthesis reserve`;
+    } else if (round.durationMs > remainingTime) {
+      check.affordable = false;
+      check.reason = `Time budget: round ${roundNumber} (~${(round.durationMs / 1000).toFixed(0)}s) exceeds ` +
+        `remaining ${(Math.max(0, remainingTime) / 1000).toFixed(0)}s before the deadline`;
+    }
+
+    return check;
+  }
+
+  /**
+   * How many rounds (1-4) fit the remaining budget
+   */
+  affordableRounds(now: number = Date.now()): number {
+    const reserve = this.synthesisReserve();
+    let remainingCost = this.limits.maxCostUSD - this.spent - reserve.costUSD;
+    let remainingTime = this.startedAt + this.limits.timeLimitMs - now - reserve.durationMs;
+    let rounds = 0;
+
+    while (rounds < MAX_ROUNDS) {
+      const round = this.estimateRound(rounds + 1);
+      if (round.costUSD > remainingCost || round.durationMs > remainingTime) break;
+      remainingCost -= round.costUSD;
+      remainingTime -= round.durationMs;
+      rounds++;
+    }
+
+    return Math.max(1, rounds);
+  }
+
+  snapshot(now: number = Date.now()): ResearchBudgetSnapshot {
+    const elapsedMs = now - this.startedAt;
+    return {
+      budgetUSD: this.limits.maxCostUSD,
+      spentUSD: round6(this.spent),
+      remainingUSD: round6(Math.max(0, this.limits.maxCostUSD - this.spent)),
+      timeLimitMs: this.limits.timeLimitMs,
+      elapsedMs,
+      remainingMs: Math.max(0, this.limits.timeLimitMs - elapsedMs),
+      byStage: Object.fromEntries(Object.entries(this.byStage).map(([stage, cost]) => [stage, round6(cost)]))
+    };
+  }
+
+  /**
+   * One-line summary for logs
+   */
+  describe(now: number = Date.now()): string {
+    const snapshot = this.snapshot(now);
+    return `$${snapshot.spentUSD.toFixed(4)}/$${snapshot.budgetUSD.toFixed(4)} spent, ` +
+      `${(snapshot.elapsedMs / 1000).toFixed(0)}s/${(snapshot.timeLimitMs / 1000).toFixed(0)}s elapsed`;
+  }
+}
+
+function searchCost(config: ResearchFetchConfig): number {
+  return Object.entries(config).reduce((sum, [sourceId, count]) => sum + calculateSearchCost(sourceId, count || 0), 0);
+}
+
+function round6(value: number): number {
+  return Math.round(value * 1e6) / 1e6;
+}
+
@@ -0,0 +1,212 @@
+/**
+ * Research Source Provider - live, record and replay access to the search APIs
+ *
+ * The research pipeline calls the search tools through getResearchSourceProvider()
+ * instead of importing them directly, so the whole T2/T3 flow can run without network:
+ *
+ * MODES (RESEARCH_SOURCES_MODE):
+ * - live (default): calls PubMed, medRxiv, ClinicalTrials.gov, arXiv, Exa and Europe PMC
+ * - record: calls the live APIs and writes every response to the fixtures directory
+ * - replay: serves responses from the fixtures directory only; a call without a
+ *   fixture fails like an unavailable API (the fetcher degrades as usual)
+ *
+ * FIXTURES (RESEARCH_FIXTURES_DIR, default functions/fixtures/research):
+ * One JSON file per call at `<source>/<args>.json`, where <args> is a slug of the
+ * call arguments (abort signals read as a missing argument), e.g. `pubmed/dawn-phenomenon__8__5___.json`.
+ * Files hold { source, args, recordedAt, response } and can be edited by hand.
+ *
+ * Tests can swap the provider with setResearchSourceProvider().
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { searchMedicalSources, searchGeneralWeb } from './exa-search';
+import { searchPubMed } from './pubmed-search';
+import { searchMedRxiv } from './medrxiv-search';
+import { searchClinicalTrials } from './clinical-trials';
+import { searchArxiv } from './arxiv-search';
+import { fetchOpenAccessFullText } from './europe-pmc';
+import { throwIfAborted } from '../utils/abort';
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/research');
+const MAX_SLUG_LENGTH = 100;
+
+export type ResearchSourcesMode = 'live' | 'record' | 'replay';
+
+export type ResearchSourceName = 'exa' | 'exa-web' | 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'arxiv' | 'europepmc';
+
+/**
+ * The search calls the research pipeline makes (same signatures as the tools)
+ */
+export interface ResearchSourceProvider {
+  mode: ResearchSourcesMode;
+  searchMedicalSources: typeof searchMedicalSources;
+  searchGeneralWeb: typeof searchGeneralWeb;
+  searchPubMed: typeof searchPubMed;
+  searchMedRxiv: typeof searchMedRxiv;
+  searchClinicalTrials: typeof searchClinicalTrials;
+  searchArxiv: typeof searchArxiv;
+  fetchOpenAccessFullText: typeof fetchOpenAccessFullText;
+}
+
+/**
+ * Recorded response for one search call
+ */
+export interface ResearchFixture<T = unknown> {
+  source: ResearchSourceName;
+  args: unknown[];
+  recordedAt: string;
+  response: T;
+}
+
+const LIVE_SOURCES = {
+  searchMedicalSources,
+  searchGeneralWeb,
+  searchPubMed,
+  searchMedRxiv,
+  searchClinicalTrials,
+  searchArxiv,
+  fetchOpenAccessFullText
+};
+
+let activeProvider: ResearchSourceProvider | null = null;
+
+function isAbortSignal(value: unknown): value is AbortSignal {
+  return typeof AbortSignal !== 'undefined' && value instanceof AbortSignal;
+}
+
+/**
+ * Fixture arguments: abort signals and undefined as null, trailing nulls trimmed
+ * (a call with and without a signal maps to the same fixture)
+ */
+function fixtureArgs(args: unknown[]): unknown[] {
+  const cleaned = args.map(arg => arg === undefined || isAbortSignal(arg) ? null : arg);
+  while (cleaned.length > 0 && cleaned[cleaned.length - 1] === null) {
+    cleaned.pop();
+  }
+  return cleaned;
+}
+
+/**
+ * Fixture path for a call, readable and stable across runs
+ */
+export function fixturePath(fixturesDir: string, source: ResearchSourceName, args: unknown[]): string {
+  const serialized = fixtureArgs(args).map(arg =>
+    arg === null ? '_' : typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
+  );
+
+  let slug = serialized
+    .join('__')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  // Long queries: keep the start readable, keep files apart with a hash
+  if (slug.length > MAX_SLUG_LENGTH) {
+    const hash = createHash('sha1').update(JSON.stringify(serialized)).digest('hex').substring(0, 8);
+    slug = `${slug.substring(0, MAX_SLUG_LENGTH)}-${hash}`;
+  }
+
+  return path.join(fixturesDir, source, `${slug || 'empty'}.json`);
+}
+
+function recording<A extends unknown[], R>(
+  source: ResearchSourceName,
+  fixturesDir: string,
+  live: (...args: A) => Promise<R>
+): (...args: A) => Promise<R> {
+  return async (...args: A) => {
+    const response = await live(...args);
+    const file = fixturePath(fixturesDir, source, args);
+
+    try {
+      const fixture: ResearchFixture<R> = {
+        source,
+        args: fixtureArgs(args),
+        recordedAt: new Date().toISOString(),
+        response
+      };
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+      console.log(`📼 [RESEARCH-RECORD] ${source} → ${path.relative(fixturesDir, file)}`);
+    } catch (error: any) {
+      console.error(`❌ [RESEARCH-RECORD] Could not write ${file}: ${error.message}`);
+    }
+
+    return response;
+  };
+}
+
+function replaying<A extends unknown[], R>(
+  source: ResearchSourceName,
+  fixturesDir: string
+): (...args: A) => Promise<R> {
+  return async (...args: A) => {
+    throwIfAborted(args.find(isAbortSignal), `${source} replay`);
+
+    const file = fixturePath(fixturesDir, source, args);
+    if (!fs.existsSync(file)) {
+      console.error(`❌ [RESEARCH-REPLAY] No fixture for ${source}(${JSON.stringify(fixtureArgs(args))}) at ${file}`);
+      throw new Error(`No recorded ${source} response: ${path.relative(fixturesDir, file)}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8')) as ResearchFixture<R>;
+    console.log(`📼 [RESEARCH-REPLAY] ${source} ← ${path.relative(fixturesDir, file)}`);
+    return fixture.response;
+  };
+}
+
+/**
+ * Build a provider for a mode
+ *
+ * @param mode - live, record or replay
+ * @param fixturesDir - Where fixtures are written (record) and read (replay)
+ */
+export function createResearchSourceProvider(
+  mode: ResearchSourcesMode,
+  fixturesDir: string = DEFAULT_FIXTURES_DIR
+): ResearchSourceProvider {
+  if (mode === 'live') {
+    return { mode, ...LIVE_SOURCES };
+  }
+
+  const wrap = <A extends unknown[], R>(source: ResearchSourceName, live: (...args: A) => Promise<R>) =>
+    mode === 'record' ? recording(source, fixturesDir, live) : replaying<A, R>(source, fixturesDir);
+
+  return {
+    mode,
+    searchMedicalSources: wrap('exa', LIVE_SOURCES.searchMedicalSources),
+    searchGeneralWeb: wrap('exa-web', LIVE_SOURCES.searchGeneralWeb),
+    searchPubMed: wrap('pubmed', LIVE_SOURCES.searchPubMed),
+    searchMedRxiv: wrap('medrxiv', LIVE_SOURCES.searchMedRxiv),
+    searchClinicalTrials: wrap('clinicaltrials', LIVE_SOURCES.searchClinicalTrials),
+    searchArxiv: wrap('arxiv', LIVE_SOURCES.searchArxiv),
+    fetchOpenAccessFullText: wrap('europepmc', LIVE_SOURCES.fetchOpenAccessFullText)
+  };
+}
+
+/**
+ * Provider for this process (RESEARCH_SOURCES_MODE / RESEARCH_FIXTURES_DIR)
+ */
+export function getResearchSourceProvider(): ResearchSourceProvider {
+  if (!activeProvider) {
+    const requested = process.env.RESEARCH_SOURCES_MODE;
+    const mode: ResearchSourcesMode = requested === 'record' || requested === 'replay' ? requested : 'live';
+
+    activeProvider = createResearchSourceProvider(mode, process.env.RESEARCH_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+
+    if (mode !== 'live') {
+      console.log(`📼 [RESEARCH-SOURCES] ${mode} mode, fixtures: ${process.env.RESEARCH_FIXTURES_DIR || DEFAULT_FIXTURES_DIR}`);
+    }
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the provider (tests); null goes back to the environment setting
+ */
+export function setResearchSourceProvider(provider: ResearchSourceProvider | null): void {
+  activeProvider = provider;
+}
@@ -0,0 +1,39 @@
+/**
+ * ClinicalTrials.gov - registered studies
+ */
+
+import type { ClinicalTrialResult } from '../clinical-trials';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { describeClinicalTrialsQuery } from '../mesh-query-builder';
+import { ResearchSource } from './types';
+
+export const clinicalTrialsSource: ResearchSource<ClinicalTrialResult> = {
+  id: 'clinicaltrials',
+  label: 'ClinicalTrials',
+  clientType: 'clinical_trial',
+  credibility: { badge: 'highly_credible', rankingBoost: 15 },
+  timeoutMs: 12000, // Government database, complex trial metadata
+
+  search(query, count, signal, queries) {
+    const { condition, intervention } = queries?.clinicalTrials ?? { condition: query };
+    return getResearchSourceProvider().searchClinicalTrials(condition, intervention, 'all', count, signal);
+  },
+
+  queryFor: describeClinicalTrialsQuery,
+
+  normalize(trial) {
+    return {
+      sourceId: 'clinicaltrials',
+      id: trial.nctId,
+      identifier: trial.nctId ? { type: 'url', value: `clinicaltrials:${trial.nctId}` } : null,
+      title: trial.title || '',
+      abstract: trial.summary || '',
+      url: trial.url || `https://clinicaltrials.gov/study/${trial.nctId}`,
+      domain: 'clinicaltrials.gov',
+      publishDate: trial.startDate || null,
+      authors: [],
+      venue: 'ClinicalTrials.gov',
+      raw: trial
+    };
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Exa - trusted medical websites
+ */
+
+import type { ExaSearchResult } from '../exa-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+import { hostnameOf, urlIdentifier } from './identifiers';
+
+export const exaSource: ResearchSource<ExaSearchResult> = {
+  id: 'exa',
+  label: 'Exa',
+  clientType: 'medical_source',
+  credibility: { badge: 'credible', rankingBoost: 5 }, // Web sources, least vetted
+  timeoutMs: 10000, // Commercial API, fast and reliable
+
+  search(query, count, signal) {
+    return getResearchSourceProvider().searchMedicalSources(query, count, signal);
+  },
+
+  normalize(result) {
+    return {
+      sourceId: 'exa',
+      id: result.id || result.url,
+      identifier: result.url ? urlIdentifier(result.url) : null,
+      title: result.title || '',
+      abstract: result.snippet || '',
+      url: result.url,
+      domain: result.domain || hostnameOf(result.url),
+      publishDate: result.publishedDate || null,
+      authors: result.author ? [result.author] : [],
+      venue: result.domain || null,
+      raw: result
+    };
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Clinical practice guidelines - Exa restricted to guideline publishers (ADA, EASD, TEMD, ...)
+ * Searched first in evidence hierarchy mode; results are ordinary Exa documents
+ */
+
+import { GUIDELINE_DOMAINS, type ExaSearchResult } from '../exa-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+import { exaSource } from './exa';
+
+export const guidelinesSource: ResearchSource<ExaSearchResult> = {
+  id: 'guidelines',
+  label: 'Guidelines',
+  clientType: 'medical_source',
+  credibility: { badge: 'highly_credible', rankingBoost: 12 },
+  timeoutMs: 10000,
+
+  search(query, count, signal) {
+    return getResearchSourceProvider().searchMedicalSources(query, count, signal, GUIDELINE_DOMAINS);
+  },
+
+  normalize(result) {
+    return { ...exaSource.normalize(result), via: 'guidelines' };
+  }
+};
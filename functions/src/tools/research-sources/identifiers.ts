@@ -0,0 +1,36 @@
+/**
+ * Deduplication identifiers shared by the research source adapters
+ */
+
+import { SourceIdentifier } from '../../flows/deep-research-v2-types';
+
+/**
+ * URL identifier with query params, trailing slash and www removed
+ */
+export function urlIdentifier(rawUrl: string): SourceIdentifier {
+  try {
+    const url = new URL(rawUrl);
+    const normalized = `${url.protocol}//${url.hostname.replace(/^www\./, '')}${url.pathname}`.replace(/\/$/, '');
+    return { type: 'url', value: normalized };
+  } catch {
+    return { type: 'url', value: rawUrl };
+  }
+}
+
+/**
+ * DOI identifier (DOIs are case-insensitive)
+ */
+export function doiIdentifier(doi: string): SourceIdentifier {
+  return { type: 'doi', value: doi.toLowerCase() };
+}
+
+/**
+ * Hostname of a URL, or '' when it cannot be parsed
+ */
+export function hostnameOf(rawUrl: string): string {
+  try {
+    return new URL(rawUrl).hostname;
+  } catch {
+    return '';
+  }
+}
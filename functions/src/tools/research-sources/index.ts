@@ -0,0 +1,154 @@
+/**
+ * Research Source Registry
+ *
+ * Every research API is one self-contained adapter (see ./types.ts) that knows how
+ * to search, how to normalize its results to a ResearchDocument, how credible it is
+ * and how long it may take. The parallel fetcher, deduplicator, ranker and iOS
+ * formatter only work with the registry and normalized documents.
+ *
+ * ADDING A SOURCE:
+ * 1. Write an adapter module next to exa.ts / pubmed.ts
+ * 2. Register it below (or call registerResearchSource at startup)
+ * 3. Request results by its id in ResearchFetchConfig
+ */
+
+import { logger } from 'firebase-functions/v2';
+import type { ExaSearchResult } from '../exa-search';
+import type { PubMedArticleResult } from '../pubmed-search';
+import type { MedRxivResult } from '../medrxiv-search';
+import type { ClinicalTrialResult } from '../clinical-trials';
+import { ResearchDocument, ResearchSource } from './types';
+import { StudyMetadata, hasStudyMetadata } from '../study-metadata';
+import { exaSource } from './exa';
+import { pubmedSource } from './pubmed';
+import { medrxivSource } from './medrxiv';
+import { clinicalTrialsSource } from './clinical-trials';
+import { pubmedReviewsSource } from './pubmed-reviews';
+import { guidelinesSource } from './guidelines';
+import { temdSource } from './temd';
+import { turkishJournalsSource } from './turkish-journals';
+import { turkishHealthMinistrySource } from './turkish-health-ministry';
+
+export * from './types';
+
+const registry = new Map<string, ResearchSource<any>>();
+
+/**
+ * Register a research source (replaces an existing source with the same id)
+ */
+export function registerResearchSource(source: ResearchSource<any>): void {
+  if (registry.has(source.id)) {
+    logger.warn(`⚠️ [RESEARCH-SOURCES] Replacing registered source "${source.id}"`);
+  }
+  registry.set(source.id, source);
+}
+
+/**
+ * Remove a research source from the registry
+ */
+export function unregisterResearchSource(id: string): void {
+  registry.delete(id);
+}
+
+/**
+ * Source whose credibility applies to a document (the search variant if any)
+ */
+export function sourceOfDocument(document: ResearchDocument): ResearchSource<any> | undefined {
+  return registry.get(document.via || document.sourceId);
+}
+
+/**
+ * Look up a registered source by id
+ */
+export function getResearchSource(id: string): ResearchSource<any> | undefined {
+  return registry.get(id);
+}
+
+/**
+ * All registered sources, in registration order
+ */
+export function getResearchSources(): ResearchSource<any>[] {
+  return [...registry.values()];
+}
+
+/**
+ * Per-type result lists used by the reflector, the T2/T3 stream and research-helpers
+ */
+export interface SourceBuckets {
+  exa: ExaSearchResult[];
+  pubmed: PubMedArticleResult[];
+  medrxiv: MedRxivResult[];
+  clinicalTrials: ClinicalTrialResult[];
+}
+
+const BUCKET_BY_SOURCE: Record<string, keyof SourceBuckets> = {
+  exa: 'exa',
+  pubmed: 'pubmed',
+  medrxiv: 'medrxiv',
+  clinicaltrials: 'clinicalTrials'
+};
+
+/**
+ * Group documents back into the per-type result lists
+ * Documents from sources without a bucket are only available as documents
+ */
+export function toSourceBuckets(documents: ResearchDocument[]): SourceBuckets {
+  const buckets: SourceBuckets = { exa: [], pubmed: [], medrxiv: [], clinicalTrials: [] };
+
+  for (const document of documents) {
+    const bucket = BUCKET_BY_SOURCE[document.sourceId];
+    if (bucket) {
+      (buckets[bucket] as unknown[]).push(document.raw);
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Convert a document to the SourceResponse shape the iOS app expects
+ */
+export function toClientSource(document: ResearchDocument): {
+  id: string;
+  url: string;
+  domain: string;
+  title: string;
+  snippet: string;
+  publishDate: string | null;
+  author: string | null;
+  credibilityBadge: string;
+  type: string;
+  studyMetadata?: StudyMetadata;
+  localGuidance?: string;
+} {
+  const source = sourceOfDocument(document);
+
+  return {
+    id: document.id,
+    url: document.url,
+    domain: document.domain,
+    title: document.title,
+    snippet: document.abstract,
+    publishDate: document.publishDate,
+    author: document.authors[0] || null,
+    credibilityBadge: source?.credibility.badge || 'standard',
+    type: source?.clientType || document.sourceId,
+    ...(hasStudyMetadata(document.studyMetadata) && { studyMetadata: document.studyMetadata }),
+    ...(source?.localGuidance && { localGuidance: source.localGuidance })
+  };
+}
+
+// Built-in sources (registration order = fetch and log order)
+registerResearchSource(exaSource);
+registerResearchSource(pubmedSource);
+registerResearchSource(medrxivSource);
+registerResearchSource(clinicalTrialsSource);
+
+// Search variants, only requested in evidence hierarchy mode
+registerResearchSource(pubmedReviewsSource);
+registerResearchSource(guidelinesSource);
+
+// Turkish source track, requested in round 1 (see tools/turkish-sources.ts)
+registerResearchSource(temdSource);
+registerResearchSource(turkishJournalsSource);
+registerResearchSource(turkishHealthMinistrySource);
@@ -0,0 +1,37 @@
+/**
+ * medRxiv - medical preprints
+ */
+
+import type { MedRxivResult } from '../medrxiv-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+import { doiIdentifier, urlIdentifier } from './identifiers';
+
+export const medrxivSource: ResearchSource<MedRxivResult> = {
+  id: 'medrxiv',
+  label: 'medRxiv',
+  clientType: 'medrxiv',
+  credibility: { badge: 'credible', rankingBoost: 8 }, // Preprints, not yet peer reviewed
+  timeoutMs: 10000, // Preprint server, slower than production APIs
+
+  search(query, count, signal) {
+    return getResearchSourceProvider().searchMedRxiv(query, count, '2023-01-01', signal);
+  },
+
+  normalize(paper) {
+    return {
+      sourceId: 'medrxiv',
+      id: paper.doi || paper.url,
+      identifier: paper.doi ? doiIdentifier(paper.doi) : paper.url ? urlIdentifier(paper.url) : null,
+      title: paper.title || '',
+      abstract: paper.abstract || '',
+      url: paper.url,
+      domain: 'medrxiv.org',
+      publishDate: paper.date || null,
+      authors: paper.authors ? paper.authors.split(',').map(author => author.trim()).filter(Boolean) : [],
+      venue: 'medRxiv preprint',
+      articleIds: paper.doi ? { doi: paper.doi } : undefined,
+      raw: paper
+    };
+  }
+};
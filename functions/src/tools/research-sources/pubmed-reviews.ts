@@ -0,0 +1,31 @@
+/**
+ * PubMed evidence synthesis - systematic reviews, meta-analyses and guidelines
+ * Searched first in evidence hierarchy mode; results are ordinary PubMed documents
+ */
+
+import type { PubMedArticleResult } from '../pubmed-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+import { pubmedSource } from './pubmed';
+
+// PubMed [Publication Type] filters
+export const EVIDENCE_SYNTHESIS_TYPES = ['Systematic Review', 'Meta-Analysis', 'Practice Guideline', 'Guideline'];
+
+export const pubmedReviewsSource: ResearchSource<PubMedArticleResult> = {
+  id: 'pubmed-reviews',
+  label: 'PubMed reviews',
+  clientType: 'pubmed',
+  credibility: { badge: 'highly_credible', rankingBoost: 15 },
+  timeoutMs: 15000,
+
+  search(query, count, signal, queries) {
+    // Reviews and guidelines stay current longer than single studies - look back 10 years
+    return getResearchSourceProvider().searchPubMed(queries?.pubmed ?? query, count, 10, EVIDENCE_SYNTHESIS_TYPES, signal);
+  },
+
+  queryFor: pubmedSource.queryFor,
+
+  normalize(article) {
+    return { ...pubmedSource.normalize(article), via: 'pubmed-reviews' };
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * PubMed - peer-reviewed articles
+ */
+
+import type { PubMedArticleResult } from '../pubmed-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+
+export const pubmedSource: ResearchSource<PubMedArticleResult> = {
+  id: 'pubmed',
+  label: 'PubMed',
+  clientType: 'pubmed',
+  credibility: { badge: 'highly_credible', rankingBoost: 15 },
+  timeoutMs: 15000, // NIH servers, complex queries, one metadata fetch per result
+
+  search(query, count, signal, queries) {
+    return getResearchSourceProvider().searchPubMed(queries?.pubmed ?? query, count, 5, undefined, signal);
+  },
+
+  queryFor(queries) {
+    return queries.pubmed;
+  },
+
+  normalize(article) {
+    return {
+      sourceId: 'pubmed',
+      id: article.pmid,
+      identifier: article.pmid ? { type: 'pubmed', value: article.pmid } : null,
+      title: article.title || '',
+      abstract: article.abstract || '',
+      url: article.url || `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`,
+      domain: 'pubmed.ncbi.nlm.nih.gov',
+      publishDate: article.publishDate || null,
+      authors: article.authors || [],
+      venue: article.journal || 'PubMed',
+      articleIds: { pmid: article.pmid, doi: article.doi || undefined },
+      raw: article
+    };
+  }
+};
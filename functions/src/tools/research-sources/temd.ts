@@ -0,0 +1,45 @@
+/**
+ * TEMD guidelines - sections of the local TEMD guideline index (tools/turkish-sources.ts)
+ * Searched with the user's own question; no API call, so it never times out in practice
+ * Only guideline text is searched - chapter scope summaries would pass as guideline evidence
+ */
+
+import { TemdGuidelineResult, searchTemdGuidelines } from '../turkish-sources';
+import { ResearchSource } from './types';
+
+export const temdSource: ResearchSource<TemdGuidelineResult> = {
+  id: 'temd',
+  label: 'TEMD guidelines',
+  clientType: 'medical_source',
+  credibility: { badge: 'highly_credible', rankingBoost: 15 }, // National practice guideline
+  timeoutMs: 2000,
+  localGuidance: 'TEMD kılavuzu (Türkiye)',
+
+  async search(query, count, _signal, queries) {
+    return searchTemdGuidelines(
+      queries?.original ?? query,
+      count,
+      queries?.meshTerms.map(match => match.descriptor)
+    );
+  },
+
+  queryFor(queries) {
+    return queries.original;
+  },
+
+  normalize(result) {
+    return {
+      sourceId: 'temd',
+      id: `temd:${result.sectionId}`,
+      identifier: { type: 'url', value: `temd:${result.sectionId}` },
+      title: `${result.documentTitle}${result.edition ? ` (${result.edition})` : ''}: ${result.heading}`,
+      abstract: result.text,
+      url: result.url,
+      domain: 'temd.org.tr',
+      publishDate: result.edition,
+      authors: [],
+      venue: 'Türkiye Endokrinoloji ve Metabolizma Derneği',
+      raw: result
+    };
+  }
+};
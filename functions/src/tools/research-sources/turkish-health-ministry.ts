@@ -0,0 +1,35 @@
+/**
+ * T.C. Sağlık Bakanlığı - Exa restricted to Ministry of Health pages
+ * (national screening and diabetes programmes, reimbursement and patient guidance)
+ */
+
+import { TURKISH_HEALTH_MINISTRY_DOMAINS, type ExaSearchResult } from '../exa-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+import { exaSource } from './exa';
+
+export const turkishHealthMinistrySource: ResearchSource<ExaSearchResult> = {
+  id: 'tr-ministry',
+  label: 'Sağlık Bakanlığı',
+  clientType: 'medical_source',
+  credibility: { badge: 'highly_credible', rankingBoost: 12 },
+  timeoutMs: 10000,
+  localGuidance: 'T.C. Sağlık Bakanlığı',
+
+  search(query, count, signal, queries) {
+    return getResearchSourceProvider().searchMedicalSources(
+      queries?.original ?? query,
+      count,
+      signal,
+      TURKISH_HEALTH_MINISTRY_DOMAINS
+    );
+  },
+
+  queryFor(queries) {
+    return queries.original;
+  },
+
+  normalize(result) {
+    return { ...exaSource.normalize(result), via: 'tr-ministry' };
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Turkish medical journals - Exa restricted to Turkish journal publishers
+ * Searched with the user's own question; results are ordinary Exa documents
+ */
+
+import { TURKISH_JOURNAL_DOMAINS, type ExaSearchResult } from '../exa-search';
+import { getResearchSourceProvider } from '../research-source-provider';
+import { ResearchSource } from './types';
+import { exaSource } from './exa';
+
+export const turkishJournalsSource: ResearchSource<ExaSearchResult> = {
+  id: 'tr-journals',
+  label: 'Turkish journals',
+  clientType: 'medical_source',
+  credibility: { badge: 'credible', rankingBoost: 10 },
+  timeoutMs: 10000,
+  localGuidance: 'Türk tıp literatürü',
+
+  search(query, count, signal, queries) {
+    return getResearchSourceProvider().searchMedicalSources(queries?.original ?? query, count, signal, TURKISH_JOURNAL_DOMAINS);
+  },
+
+  queryFor(queries) {
+    return queries.original;
+  },
+
+  normalize(result) {
+    return { ...exaSource.normalize(result), via: 'tr-journals' };
+  }
+};
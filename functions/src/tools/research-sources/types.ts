@@ -0,0 +1,70 @@
+/**
+ * Research Source Types - the contract every search adapter implements
+ */
+
+import { SourceIdentifier } from '../../flows/deep-research-v2-types';
+import type { OpenAccessFullText } from '../europe-pmc';
+import type { StudyMetadata } from '../study-metadata';
+import type { SearchQueries } from '../mesh-query-builder';
+
+/**
+ * Search result normalized to the shape the fetcher, deduplicator,
+ * ranker and iOS formatter work with
+ */
+export interface ResearchDocument<T = unknown> {
+  sourceId: string;                      // ResearchSource.id whose result format `raw` has
+  via?: string;                          // Search variant that found it, e.g. 'pubmed-reviews'
+  id: string;                            // Stable id shown to clients (PMID, DOI, NCT ID, URL)
+  identifier: SourceIdentifier | null;   // Cross-round deduplication key
+  title: string;
+  abstract: string;                      // Abstract, summary or text excerpt
+  url: string;
+  domain: string;
+  publishDate: string | null;            // ISO-like date (YYYY-MM-DD or longer)
+  authors: string[];
+  venue: string | null;                  // Journal, server or site name
+  articleIds?: {                         // Used to look up open-access full text
+    pmid?: string;
+    doi?: string;
+  };
+  fullText?: OpenAccessFullText;         // Attached by full-text-enricher for open-access articles
+  studyMetadata?: StudyMetadata;         // Sample size, population, duration... (attachStudyMetadata)
+  raw: T;                                // Original API result
+}
+
+/**
+ * Credibility of a source as a whole
+ */
+export interface SourceCredibility {
+  badge: 'highly_credible' | 'credible' | 'standard'; // Shown by the iOS app
+  rankingBoost: number;                               // 0-15 points added by source-ranker
+}
+
+/**
+ * One research API behind a self-contained adapter
+ */
+export interface ResearchSource<T = unknown> {
+  id: string;          // Config key and SSE `api` value, e.g. 'pubmed'
+  label: string;       // Display name for logs, e.g. 'PubMed'
+  clientType: string;  // iOS source type, e.g. 'clinical_trial'
+  credibility: SourceCredibility;
+  timeoutMs: number;   // Per-call timeout applied by the parallel fetcher
+  localGuidance?: string; // Türkiye-specific source, e.g. 'TEMD kılavuzu' (see tools/turkish-sources.ts)
+
+  /**
+   * Search the API (query is already translated to English)
+   * Sources with their own query syntax use the matching form in `queries`
+   */
+  search(query: string, count: number, signal?: AbortSignal, queries?: SearchQueries): Promise<T[]>;
+
+  /**
+   * The query this source sends for `queries`, as reported in api_started
+   * (omitted: the English query as is)
+   */
+  queryFor?(queries: SearchQueries): string;
+
+  /**
+   * Convert one API result to the common document shape
+   */
+  normalize(result: T): ResearchDocument<T>;
+}
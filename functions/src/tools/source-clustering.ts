@@ -0,0 +1,371 @@
+/**
+ * Source Clustering - group sources that report the same study or say the same thing
+ *
+ * One study often reaches the candidate list several times: the medRxiv preprint, the
+ * published PubMed article, its ClinicalTrials.gov registration and a press release
+ * found by Exa. Their wording differs, so word overlap misses them, and synthesis
+ * would count one study as four.
+ *
+ * Sources are clustered in ranking order. A source joins a cluster when either:
+ * - it reports the same study as a member (sameStudyRelation): shared NCT number or
+ *   DOI, a preprint and a publication with the same title and first author, or news
+ *   coverage that is close in meaning and names the study's first author, journal or
+ *   sample size
+ * - its embedding is within `similarityThreshold` cosine similarity of the cluster's
+ *   first member (near-duplicate content)
+ *
+ * Each cluster keeps its most authoritative member for synthesis (publication >
+ * trial registration > preprint > news, then credibility and relevance) and lists the
+ * others as "also reported by".
+ *
+ * Embeddings come from the provider embedder (utils/embeddings.ts, getEmbedder()). When
+ * embedding fails or times out, similarity falls back to word overlap (Jaccard).
+ */
+
+import { logger } from 'firebase-functions/v2';
+import type { RankedSource } from './source-ranker';
+import { getResearchSource, sourceOfDocument } from './research-sources';
+import { cosineSimilarity, embedTexts } from '../utils/embeddings';
+
+export type ReportRelation = 'publication' | 'trial_registration' | 'preprint' | 'news' | 'similar';
+
+/**
+ * Another source in the cluster, listed with the kept source
+ */
+export interface AlsoReportedBy {
+  relation: ReportRelation; // What the other source is to the kept one
+  sourceType: string; // ResearchSource.id
+  title: string;
+  url: string | null;
+}
+
+export interface SourceCluster {
+  primary: RankedSource; // Most authoritative member, used for synthesis
+  members: RankedSource[]; // All members in ranking order (primary included)
+  alsoReportedBy: AlsoReportedBy[];
+}
+
+export interface ClusteringResult {
+  clusters: SourceCluster[]; // In ranking order of each cluster's best-ranked member
+  method: 'embedding' | 'lexical'; // How content similarity was measured
+}
+
+export interface ClusteringOptions {
+  similarityThreshold: number; // Cosine similarity for near-duplicates (lexical fallback: Jaccard)
+  embeddingTimeoutMs?: number; // Default: 8000
+}
+
+type SourceKind = Exclude<ReportRelation, 'similar'>;
+
+const DEFAULT_EMBEDDING_TIMEOUT_MS = 8000;
+const MAX_EMBEDDING_CHARS = 2000; // Title plus the start of the abstract
+
+// Minimum content similarity for news coverage of a study, per similarity method
+const NEWS_SIMILARITY: Record<ClusteringResult['method'], number> = { embedding: 0.75, lexical: 0.2 };
+// Title word overlap for a preprint and its published version
+const SAME_TITLE_SIMILARITY = 0.6;
+
+const KIND_AUTHORITY: Record<SourceKind, number> = {
+  publication: 3,
+  trial_registration: 2,
+  preprint: 1,
+  news: 0
+};
+
+const RELATION_LABELS: Record<ReportRelation, string> = {
+  publication: 'published article',
+  trial_registration: 'trial registration',
+  preprint: 'preprint',
+  news: 'news',
+  similar: 'similar content'
+};
+const MAX_LISTED_TITLE_CHARS = 80;
+
+const NCT_PATTERN = /\bNCT\d{8}\b/gi;
+const DOI_PATTERN = /\b10\.\d{4,9}\/[^\s"<>]+/gi;
+
+/**
+ * Facts the same-study detector compares
+ */
+interface SourceFacts {
+  kind: SourceKind;
+  title: string;
+  text: string; // Title and abstract, lower case
+  url: string | null;
+  firstAuthor: string | null; // Surname, lower case
+  venue: string | null;
+  sampleSize: number | null;
+  nctIds: Set<string>;
+  dois: Set<string>;
+}
+
+/**
+ * Cluster sources (sorted by relevance, highest first)
+ */
+export async function clusterSources(
+  sources: RankedSource[],
+  options: ClusteringOptions
+): Promise<ClusteringResult> {
+  const facts = sources.map(sourceFacts);
+  const embeddings = await embedSources(facts, options.embeddingTimeoutMs ?? DEFAULT_EMBEDDING_TIMEOUT_MS);
+  const method: ClusteringResult['method'] = embeddings ? 'embedding' : 'lexical';
+
+  const similarity = (a: number, b: number): number => embeddings
+    ? cosineSimilarity(embeddings[a], embeddings[b])
+    : calculateJaccardSimilarity(facts[a].text, facts[b].text);
+
+  const groups: number[][] = [];
+  for (let i = 0; i < sources.length; i++) {
+    const group = groups.find(members =>
+      similarity(members[0], i) > options.similarityThreshold ||
+      members.some(member => sameStudyRelation(facts[member], facts[i], similarity(member, i), method))
+    );
+
+    if (group) {
+      group.push(i);
+    } else {
+      groups.push([i]);
+    }
+  }
+
+  const clusters = groups.map(members => {
+    const primaryIndex = members.reduce((best, member) =>
+      compareAuthority(sources[member], facts[member], sources[best], facts[best]) > 0 ? member : best
+    );
+
+    return {
+      primary: sources[primaryIndex],
+      members: members.map(member => sources[member]),
+      alsoReportedBy: members
+        .filter(member => member !== primaryIndex)
+        .map(member => ({
+          // Linked to the study through any member (a press release may name the preprint's DOI)
+          relation: members.some(other => other !== member &&
+            sameStudyRelation(facts[other], facts[member], similarity(other, member), method) !== null)
+            ? facts[member].kind
+            : 'similar' as const,
+          sourceType: sources[member].sourceType,
+          title: facts[member].title,
+          url: facts[member].url
+        }))
+    };
+  });
+
+  return { clusters, method };
+}
+
+/**
+ * Whether two sources report the same study, and how they are linked
+ * Returns null for sources that are merely on the same topic
+ */
+function sameStudyRelation(
+  a: SourceFacts,
+  b: SourceFacts,
+  similarity: number,
+  method: ClusteringResult['method']
+): 'registration' | 'identifier' | 'versions' | 'coverage' | null {
+  // Trial registration number or DOI named by both
+  if (intersects(a.nctIds, b.nctIds)) return 'registration';
+  if (intersects(a.dois, b.dois)) return 'identifier';
+
+  // Preprint and published version: same title and first author
+  const scholarly = (facts: SourceFacts) => facts.kind === 'publication' || facts.kind === 'preprint';
+  if (scholarly(a) && scholarly(b) && a.kind !== b.kind) {
+    const sameAuthor = !a.firstAuthor || !b.firstAuthor || a.firstAuthor === b.firstAuthor;
+    if (sameAuthor && calculateJaccardSimilarity(a.title.toLowerCase(), b.title.toLowerCase()) >= SAME_TITLE_SIMILARITY) {
+      return 'versions';
+    }
+  }
+
+  // News coverage: close in meaning and names the study's author, journal or sample size
+  const [news, study] = a.kind === 'news' ? [a, b] : [b, a];
+  if (news.kind === 'news' && study.kind !== 'news' && similarity >= NEWS_SIMILARITY[method]) {
+    const namesAuthor = !!study.firstAuthor && new RegExp(`\\b${escapeRegExp(study.firstAuthor)}\\b`).test(news.text);
+    const namesVenue = !!study.venue && news.text.includes(study.venue.toLowerCase());
+    const sameSize = study.sampleSize !== null && study.sampleSize === news.sampleSize;
+    if (namesAuthor || namesVenue || sameSize) return 'coverage';
+  }
+
+  return null;
+}
+
+/**
+ * One line for the synthesis prompt ('' when there are none), e.g.
+ * 'preprint (medRxiv): "Dapagliflozin in..."; news (statnews.com): "New drug..."'
+ */
+export function formatAlsoReportedBy(others: AlsoReportedBy[] | undefined): string {
+  if (!others || others.length === 0) return '';
+
+  return others.map(other => {
+    const origin = other.relation === 'news' && other.url
+      ? hostname(other.url)
+      : getResearchSource(other.sourceType)?.label || other.sourceType;
+    const title = other.title.length > MAX_LISTED_TITLE_CHARS
+      ? `${other.title.substring(0, MAX_LISTED_TITLE_CHARS)}...`
+      : other.title;
+    return `${RELATION_LABELS[other.relation]} (${origin}): "${title}"`;
+  }).join('; ');
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * One embedding per source, or null when the embedder is unavailable
+ */
+async function embedSources(facts: SourceFacts[], timeoutMs: number): Promise<number[][] | null> {
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timeout after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    const embeddings = await Promise.race([
+      embedTexts(facts.map(fact => fact.text.substring(0, MAX_EMBEDDING_CHARS))),
+      timeout
+    ]);
+    return embeddings.length === facts.length ? embeddings : null;
+  } catch (error: any) {
+    logger.warn(`⚠️ [SOURCE-CLUSTERING] Embedding failed, using word overlap: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function sourceFacts(rankedSource: RankedSource): SourceFacts {
+  const document = rankedSource.document;
+  const source = rankedSource.source ?? {};
+  const title = document?.title ?? source.title ?? '';
+  const text = extractTextForComparison(rankedSource);
+  const firstAuthor = document?.authors[0] ?? (Array.isArray(source.authors) ? source.authors[0] : null);
+
+  const nctIds = new Set((text.match(NCT_PATTERN) ?? []).map(id => id.toUpperCase()));
+  if (rankedSource.sourceType === 'clinicaltrials' && (document?.id || source.nctId)) {
+    nctIds.add(String(document?.id || source.nctId).toUpperCase());
+  }
+
+  const dois = new Set((text.match(DOI_PATTERN) ?? []).map(normalizeDoi));
+  const ownDoi = document?.identifier?.type === 'doi' ? document.identifier.value : document?.articleIds?.doi;
+  if (ownDoi) dois.add(normalizeDoi(ownDoi));
+
+  return {
+    kind: sourceKind(rankedSource.sourceType),
+    title,
+    text,
+    url: document?.url ?? source.url ?? null,
+    firstAuthor: firstAuthor ? surname(firstAuthor) : null,
+    venue: document?.venue && document.venue.length > 3 ? document.venue : null,
+    sampleSize: document?.studyMetadata?.sampleSize ?? null,
+    nctIds,
+    dois
+  };
+}
+
+function sourceKind(sourceType: string): SourceKind {
+  switch (sourceType) {
+    case 'clinicaltrials': return 'trial_registration';
+    case 'medrxiv': return 'preprint';
+    case 'exa': return 'news';
+    default: return 'publication';
+  }
+}
+
+/**
+ * > 0 when `a` is more authoritative than `b` (kind, then credibility, then relevance)
+ */
+function compareAuthority(a: RankedSource, aFacts: SourceFacts, b: RankedSource, bFacts: SourceFacts): number {
+  const kind = KIND_AUTHORITY[aFacts.kind] - KIND_AUTHORITY[bFacts.kind];
+  if (kind !== 0) return kind;
+
+  const credibility = (source: RankedSource) => source.document ? sourceOfDocument(source.document)?.credibility.rankingBoost ?? 0 : 0;
+  return (credibility(a) - credibility(b)) || (a.relevanceScore - b.relevanceScore);
+}
+
+/**
+ * Extract text for similarity comparison
+ */
+function extractTextForComparison(rankedSource: RankedSource): string {
+  const source = rankedSource.source ?? {};
+  const type = rankedSource.sourceType;
+
+  let title = '';
+  let abstract = '';
+
+  if (type === 'pubmed') {
+    title = source.title || '';
+    abstract = source.abstract || '';
+  } else if (type === 'medrxiv') {
+    title = source.title || '';
+    abstract = source.abstract || '';
+  } else if (type === 'clinicaltrials') {
+    title = source.title || '';
+    abstract = source.description || '';
+  } else if (type === 'exa') {
+    title = source.title || '';
+    abstract = source.text || source.snippet || '';
+  }
+
+  // Registered sources and raw results without these fields: the normalized document
+  if (!title && !abstract && rankedSource.document) {
+    title = rankedSource.document.title;
+    abstract = rankedSource.document.abstract;
+  }
+
+  return (title + ' ' + abstract).toLowerCase();
+}
+
+/**
+ * Calculate Jaccard similarity between two texts
+ * Returns 0-1 (0 = completely different, 1 = identical)
+ */
+function calculateJaccardSimilarity(text1: string, text2: string): number {
+  // Tokenize into words
+  const words1 = new Set(text1.split(/\s+/).filter(w => w.length > 3)); // Ignore short words
+  const words2 = new Set(text2.split(/\s+/).filter(w => w.length > 3));
+
+  // Calculate intersection and union
+  const intersection = new Set([...words1].filter(w => words2.has(w)));
+  const union = new Set([...words1, ...words2]);
+
+  if (union.size === 0) return 0;
+
+  return intersection.size / union.size;
+}
+
+/**
+ * "Smith J" / "John Smith" / "Smith, John" → "smith"
+ */
+function surname(author: string): string {
+  const name = author.trim().toLowerCase();
+  if (name.includes(',')) return name.split(',')[0].trim();
+
+  const words = name.split(/\s+/);
+  // PubMed style "Smith J" / "Smith JA": initials last
+  if (words.length > 1 && /^[a-z]{1,3}$/.test(words[words.length - 1]) && words[0].length > 3) return words[0];
+  return words[words.length - 1];
+}
+
+function hostname(url: string): string {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
+
+function normalizeDoi(doi: string): string {
+  return doi.toLowerCase().replace(/^https?:\/\/(?:dx\.)?doi\.org\//, '').replace(/[.,;)]+$/, '');
+}
+
+function intersects(a: Set<string>, b: Set<string>): boolean {
+  for (const value of a) {
+    if (b.has(value)) return true;
+  }
+  return false;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
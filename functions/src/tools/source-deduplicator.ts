@@ -1,13 +1,13 @@
 /**
  * Source Deduplicator - Cross-Round Deduplication
  * Tracks and filters duplicate sources across multiple research rounds
+ *
+ * Works on normalized ResearchDocuments; each source adapter decides the
+ * identifier (PubMed ID, DOI, NCT ID or normalized URL).
  */
 
 import { SourceIdentifier } from '../flows/deep-research-v2-types';
-import { ExaSearchResult } from './exa-search';
-import { PubMedArticleResult } from './pubmed-search';
-import { MedRxivResult } from './medrxiv-search';
-import { ClinicalTrialResult } from './clinical-trials';
+import { ResearchDocument, getResearchSource } from './research-sources';
 import { logger } from 'firebase-functions/v2';
 
 /**
@@ -18,41 +18,6 @@ export class SourceDeduplicator {
   private seenIdentifiers: Set<string> = new Set();
   private duplicateCount = 0;
 
-  /**
-   * Extract unique identifier from a source
-   * Priority: DOI > PubMed ID > medRxiv DOI > URL
-   */
-  private extractIdentifier(source: ExaSearchResult | PubMedArticleResult | MedRxivResult | ClinicalTrialResult): SourceIdentifier | null {
-    // PubMed articles
-    if ('pmid' in source && source.pmid) {
-      return { type: 'pubmed', value: source.pmid };
-    }
-
-    // DOI (multiple source types including medRxiv)
-    if ('doi' in source && source.doi) {
-      return { type: 'doi', value: source.doi.toLowerCase() };
-    }
-
-    // Clinical trials (use NCT ID if available)
-    if ('nctId' in source && source.nctId) {
-      return { type: 'url', value: `clinicaltrials:${source.nctId}` };
-    }
-
-    // Fallback to URL (all source types have URL)
-    if ('url' in source && source.url) {
-      try {
-        // Normalize URL (remove query params, trailing slash, www)
-        const url = new URL(source.url);
-        const normalized = `${url.protocol}//${url.hostname.replace(/^www\./, '')}${url.pathname}`.replace(/\/$/, '');
-        return { type: 'url', value: normalized };
-      } catch {
-        return { type: 'url', value: source.url };
-      }
-    }
-
-    return null;
-  }
-
   /**
    * Convert identifier to string key for Set
    */
@@ -61,120 +26,45 @@ export class SourceDeduplicator {
   }
 
   /**
-   * Check if a source has been seen before
+   * Check if a document has been seen before
    */
-  isSeen(source: ExaSearchResult | PubMedArticleResult | MedRxivResult | ClinicalTrialResult): boolean {
-    const identifier = this.extractIdentifier(source);
-    if (!identifier) {
+  isSeen(document: ResearchDocument): boolean {
+    if (!document.identifier) {
       return false; // Can't identify, assume not seen
     }
 
-    const key = this.identifierToKey(identifier);
-    return this.seenIdentifiers.has(key);
-  }
-
-  /**
-   * Mark a source as seen
-   */
-  markSeen(source: ExaSearchResult | PubMedArticleResult | MedRxivResult | ClinicalTrialResult): void {
-    const identifier = this.extractIdentifier(source);
-    if (identifier) {
-      const key = this.identifierToKey(identifier);
-      this.seenIdentifiers.add(key);
-    }
-  }
-
-  /**
-   * Filter duplicates from PubMed results
-   */
-  filterPubMed(articles: PubMedArticleResult[]): PubMedArticleResult[] {
-    const unique: PubMedArticleResult[] = [];
-    const duplicates: string[] = [];
-
-    for (const article of articles) {
-      if (this.isSeen(article)) {
-        duplicates.push(article.pmid || article.title.substring(0, 50));
-        this.duplicateCount++;
-      } else {
-        unique.push(article);
-        this.markSeen(article);
-      }
-    }
-
-    if (duplicates.length > 0) {
-      logger.debug(`📋 [DEDUP] Filtered ${duplicates.length} duplicate PubMed articles`);
-    }
-
-    return unique;
-  }
-
-  /**
-   * Filter duplicates from medRxiv results
-   */
-  filterMedRxiv(papers: MedRxivResult[]): MedRxivResult[] {
-    const unique: MedRxivResult[] = [];
-    const duplicates: string[] = [];
-
-    for (const paper of papers) {
-      if (this.isSeen(paper)) {
-        duplicates.push(paper.doi || paper.title.substring(0, 50));
-        this.duplicateCount++;
-      } else {
-        unique.push(paper);
-        this.markSeen(paper);
-      }
-    }
-
-    if (duplicates.length > 0) {
-      logger.debug(`📋 [DEDUP] Filtered ${duplicates.length} duplicate arXiv papers`);
-    }
-
-    return unique;
+    return this.seenIdentifiers.has(this.identifierToKey(document.identifier));
   }
 
   /**
-   * Filter duplicates from Clinical Trials results
+   * Mark a document as seen
    */
-  filterClinicalTrials(trials: ClinicalTrialResult[]): ClinicalTrialResult[] {
-    const unique: ClinicalTrialResult[] = [];
-    const duplicates: string[] = [];
-
-    for (const trial of trials) {
-      if (this.isSeen(trial)) {
-        duplicates.push(trial.nctId || trial.title.substring(0, 50));
-        this.duplicateCount++;
-      } else {
-        unique.push(trial);
-        this.markSeen(trial);
-      }
-    }
-
-    if (duplicates.length > 0) {
-      logger.debug(`📋 [DEDUP] Filtered ${duplicates.length} duplicate clinical trials`);
+  markSeen(document: ResearchDocument): void {
+    if (document.identifier) {
+      this.seenIdentifiers.add(this.identifierToKey(document.identifier));
     }
-
-    return unique;
   }
 
   /**
-   * Filter duplicates from Exa results
+   * Filter documents already returned by this or an earlier round
    */
-  filterExa(results: ExaSearchResult[]): ExaSearchResult[] {
-    const unique: ExaSearchResult[] = [];
-    const duplicates: string[] = [];
+  filter(documents: ResearchDocument[]): ResearchDocument[] {
+    const unique: ResearchDocument[] = [];
+    const duplicatesBySource: Record<string, number> = {};
 
-    for (const result of results) {
-      if (this.isSeen(result)) {
-        duplicates.push(new URL(result.url).hostname);
+    for (const document of documents) {
+      if (this.isSeen(document)) {
+        duplicatesBySource[document.sourceId] = (duplicatesBySource[document.sourceId] || 0) + 1;
         this.duplicateCount++;
       } else {
-        unique.push(result);
-        this.markSeen(result);
+        unique.push(document);
+        this.markSeen(document);
       }
     }
 
-    if (duplicates.length > 0) {
-      logger.debug(`📋 [DEDUP] Filtered ${duplicates.length} duplicate Exa sources`);
+    for (const [sourceId, count] of Object.entries(duplicatesBySource)) {
+      const label = getResearchSource(sourceId)?.label || sourceId;
+      logger.debug(`📋 [DEDUP] Filtered ${count} duplicate ${label} sources`);
     }
 
     return unique;
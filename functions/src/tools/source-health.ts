@@ -0,0 +1,211 @@
+/**
+ * Research Source Health - adaptive timeouts and circuit breakers
+ *
+ * The parallel fetcher records every search outcome here (per source id):
+ * - Rolling window of the last calls (latency, success, timeout)
+ * - Timeout for the next call = observed p95 × headroom, clamped between
+ *   MIN_TIMEOUT_MS and the source's configured timeoutMs (the ceiling);
+ *   the configured timeout is used until enough calls were seen
+ * - Circuit breaker: after repeated consecutive failures the source is skipped for
+ *   a cool-down window, then one trial call (half-open) decides whether it closes
+ *   again or re-opens; other calls are skipped while the trial is in flight (at most
+ *   the source's timeoutMs, in case its outcome is never recorded)
+ *
+ * Timed-out calls count with the timeout as their latency, so a source that gets
+ * slower raises its own p95 and timeout instead of timing out forever.
+ *
+ * State is kept in memory per function instance - each warm instance learns its
+ * own statistics, a cold start begins with the configured timeouts.
+ */
+
+import { logger } from 'firebase-functions/v2';
+import type { ResearchSource } from './research-sources';
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export const SOURCE_HEALTH_CONFIG = {
+  windowSize: 20, // Calls kept per source
+  minSamples: 5, // Latency samples needed before the timeout adapts
+  headroom: 1.5, // Timeout = p95 × headroom
+  minTimeoutMs: 2000,
+  failureThreshold: 3, // Consecutive failures that open the circuit
+  cooldownMs: 5 * 60 * 1000 // How long an open circuit skips the source
+};
+
+interface CallSample {
+  durationMs: number;
+  success: boolean;
+  timedOut: boolean;
+}
+
+interface SourceHealthState {
+  samples: CallSample[];
+  consecutiveFailures: number;
+  state: CircuitState;
+  openUntil: number | null;
+  trialUntil: number | null; // Half-open trial call in flight until its outcome or timeout
+}
+
+/**
+ * Outcome of one search call
+ */
+export interface SourceCallOutcome {
+  durationMs: number;
+  success: boolean;
+  timedOut: boolean;
+}
+
+/**
+ * How the fetcher should call a source right now
+ */
+export interface SourceCallPlan {
+  allowed: boolean; // false while the circuit is open or a half-open trial is in flight
+  timeoutMs: number;
+  adaptive: boolean; // Timeout derived from observed latency
+  state: CircuitState;
+  retryAt: number | null; // When an open circuit (or a stuck trial) allows a trial call
+}
+
+export interface SourceHealthSnapshot {
+  sourceId: string;
+  state: CircuitState;
+  calls: number;
+  successRate: number | null;
+  p95Ms: number | null;
+  consecutiveFailures: number;
+  openUntil: number | null;
+}
+
+const health = new Map<string, SourceHealthState>();
+
+function stateFor(sourceId: string): SourceHealthState {
+  let entry = health.get(sourceId);
+  if (!entry) {
+    entry = { samples: [], consecutiveFailures: 0, state: 'closed', openUntil: null, trialUntil: null };
+    health.set(sourceId, entry);
+  }
+  return entry;
+}
+
+/**
+ * 95th percentile latency of successful and timed-out calls (null below minSamples)
+ * Other failures (HTTP errors) say nothing about latency and are left out
+ */
+function p95(samples: CallSample[]): number | null {
+  const durations = samples
+    .filter(sample => sample.success || sample.timedOut)
+    .map(sample => sample.durationMs)
+    .sort((a, b) => a - b);
+
+  if (durations.length < SOURCE_HEALTH_CONFIG.minSamples) {
+    return null;
+  }
+
+  return durations[Math.min(durations.length - 1, Math.ceil(durations.length * 0.95) - 1)];
+}
+
+/**
+ * Decide whether and with which timeout to call a source
+ * An open circuit whose cool-down has passed moves to half-open and allows one
+ * trial call with the configured timeout - concurrent callers are refused until
+ * recordSourceOutcome resolves it
+ */
+export function planSourceCall(source: ResearchSource<any>, now: number = Date.now()): SourceCallPlan {
+  const entry = stateFor(source.id);
+
+  if (entry.state === 'open') {
+    if (entry.openUntil !== null && now < entry.openUntil) {
+      return { allowed: false, timeoutMs: 0, adaptive: false, state: 'open', retryAt: entry.openUntil };
+    }
+    entry.state = 'half_open';
+    logger.info(`🔌 [SOURCE-HEALTH] ${source.label}: cool-down over, trial call (half-open)`);
+  }
+
+  if (entry.state === 'half_open') {
+    if (entry.trialUntil !== null && now < entry.trialUntil) {
+      return { allowed: false, timeoutMs: 0, adaptive: false, state: 'half_open', retryAt: entry.trialUntil };
+    }
+    entry.trialUntil = now + source.timeoutMs;
+  }
+
+  const observed = entry.state === 'closed' ? p95(entry.samples) : null;
+  if (observed === null) {
+    return { allowed: true, timeoutMs: source.timeoutMs, adaptive: false, state: entry.state, retryAt: null };
+  }
+
+  const timeoutMs = Math.min(
+    source.timeoutMs,
+    Math.max(SOURCE_HEALTH_CONFIG.minTimeoutMs, Math.round(observed * SOURCE_HEALTH_CONFIG.headroom))
+  );
+  return { allowed: true, timeoutMs, adaptive: true, state: entry.state, retryAt: null };
+}
+
+/**
+ * Record a search outcome and update the circuit
+ * @returns The circuit state after this call
+ */
+export function recordSourceOutcome(
+  sourceId: string,
+  outcome: SourceCallOutcome,
+  now: number = Date.now()
+): CircuitState {
+  const entry = stateFor(sourceId);
+
+  entry.samples.push({ ...outcome });
+  if (entry.samples.length > SOURCE_HEALTH_CONFIG.windowSize) {
+    entry.samples.splice(0, entry.samples.length - SOURCE_HEALTH_CONFIG.windowSize);
+  }
+
+  if (outcome.success) {
+    if (entry.state !== 'closed') {
+      logger.info(`✅ [SOURCE-HEALTH] ${sourceId}: trial call succeeded, circuit closed`);
+    }
+    entry.consecutiveFailures = 0;
+    entry.state = 'closed';
+    entry.openUntil = null;
+    entry.trialUntil = null;
+    return entry.state;
+  }
+
+  entry.consecutiveFailures++;
+  entry.trialUntil = null;
+  if (entry.state === 'half_open' || entry.consecutiveFailures >= SOURCE_HEALTH_CONFIG.failureThreshold) {
+    entry.state = 'open';
+    entry.openUntil = now + SOURCE_HEALTH_CONFIG.cooldownMs;
+    logger.warn(
+      `🔌 [SOURCE-HEALTH] ${sourceId}: circuit OPEN after ${entry.consecutiveFailures} consecutive failure(s), ` +
+      `skipping until ${new Date(entry.openUntil).toISOString()}`
+    );
+  }
+
+  return entry.state;
+}
+
+/**
+ * Current statistics for a source (for logs and monitoring)
+ */
+export function getSourceHealth(sourceId: string): SourceHealthSnapshot {
+  const entry = stateFor(sourceId);
+  const calls = entry.samples.length;
+
+  return {
+    sourceId,
+    state: entry.state,
+    calls,
+    successRate: calls > 0 ? entry.samples.filter(sample => sample.success).length / calls : null,
+    p95Ms: p95(entry.samples),
+    consecutiveFailures: entry.consecutiveFailures,
+    openUntil: entry.openUntil
+  };
+}
+
+/**
+ * Forget the statistics of one source, or of all sources
+ */
+export function resetSourceHealth(sourceId?: string): void {
+  if (sourceId) {
+    health.delete(sourceId);
+  } else {
+    health.clear();
+  }
+}
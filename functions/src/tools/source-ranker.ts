@@ -1,16 +1,39 @@
 /**
- * Source Relevance Ranker - Simple Keyword-Based Source Prioritization
+ * Source Relevance Ranker - Keyword-Based or Learned Source Prioritization
  *
  * Uses keyword matching and metadata scoring to rank research sources by relevance.
- * Stateless implementation with no embeddings or vector search.
+ * The keyword ranker (default) adds hand-set points per criterion and needs no
+ * embeddings. The learned ranker (config.ranker = 'learned', see learned-ranker.ts)
+ * turns the same criteria plus query/source embedding similarity into features and
+ * scores them with weights fit from labelled relevance judgements.
+ * SOURCE_RANKER=learned makes the learned ranker the default for this process;
+ * `npm run evaluate-ranker` compares both on the labelled set (nDCG@10, precision@k).
+ * The bundled weights are fit on 8 queries / 59 judgements without the embedding
+ * feature - enough to evaluate the learned ranker, not to make it the default.
+ * Sources are only embedded while the embedding weight is non-zero.
  *
  * RANKING CRITERIA:
  * 1. Keyword relevance (title + abstract matching)
- * 2. Source credibility boost (PubMed/Trials > medRxiv > Exa)
+ * 2. Source credibility boost (ResearchSource.credibility.rankingBoost:
+ *    PubMed/Trials > medRxiv > Exa)
  * 3. Recency boost (for medical queries, newer is better)
+ * 4. Evidence level boost (evidence hierarchy mode only, see evidence-hierarchy.ts)
+ * 5. Study size/length boost (sample size and duration, see study-metadata.ts)
+ * 6. Population match (config.population only, see population-match.ts): studies of
+ *    the user's diabetes type and medications up, other diabetes types down
  */
 
 import { logger } from 'firebase-functions/v2';
+import { ResearchDocument, SourceBuckets, getResearchSource, sourceOfDocument, toSourceBuckets } from './research-sources';
+import { EVIDENCE_LEVELS, EvidenceLevel, classifyEvidenceLevel } from './evidence-hierarchy';
+import { extractStudyMetadata, studyQualityBoost } from './study-metadata';
+import { PopulationMatch, ResearchPopulation, matchPopulation } from './population-match';
+import { RankingFeatures, getRankingWeights, learnedScore } from './learned-ranker';
+import { cosineSimilarity, embedTexts } from '../utils/embeddings';
+
+const EMBEDDING_BATCH_SIZE = 100; // Texts per embedder call
+const EMBEDDING_TIMEOUT_MS = 8000;
+const MAX_EMBEDDING_CHARS = 2000;
 
 /**
  * Ranked source with relevance score
@@ -19,7 +42,11 @@ export interface RankedSource {
   source: any; // Original source object
   relevanceScore: number; // 0-100 (100 = most relevant)
   reasoning: string; // Why this score was assigned
-  sourceType: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa';
+  sourceType: string; // ResearchSource.id, e.g. 'pubmed'
+  document?: ResearchDocument; // Normalized form (always set by rankSourcesByRelevance)
+  evidenceLevel?: EvidenceLevel; // Set in evidence hierarchy mode
+  populationMatch?: PopulationMatch; // Set when ranking for a user's diabetes profile
+  features?: Partial<RankingFeatures>; // Learned-ranker features (embedding only in learned mode)
 }
 
 /**
@@ -38,68 +65,104 @@ export interface SourceRankingResult {
  */
 export interface RankingConfig {
   topN: number; // Number of top sources to return (e.g., 30)
+  evidenceHierarchy?: boolean; // Classify evidence level and boost stronger designs
+  population?: ResearchPopulation | null; // User's diabetes type and medications
+  ranker?: 'keyword' | 'learned'; // Default: SOURCE_RANKER, else 'keyword'
 }
 
 /**
  * Rank research sources by relevance to user query using keyword matching
  *
  * @param query - User's research question
- * @param sources - Object containing sources from all APIs
+ * @param documents - Normalized documents from all sources
  * @param config - Ranking configuration
  * @returns Ranking results with top N sources
  */
 export async function rankSourcesByRelevance(
   query: string,
-  sources: {
-    pubmed: any[];
-    medrxiv: any[];
-    clinicalTrials: any[];
-    exa: any[];
-  },
+  documents: ResearchDocument[],
   config: RankingConfig
 ): Promise<SourceRankingResult> {
   const startTime = Date.now();
 
+  const countsBySource: Record<string, number> = {};
+  for (const document of documents) {
+    countsBySource[document.sourceId] = (countsBySource[document.sourceId] || 0) + 1;
+  }
+
+  const learned = (config.ranker ?? process.env.SOURCE_RANKER) === 'learned';
+
   logger.info(
-    `🎯 [SOURCE-RANKER] Starting keyword-based ranking: ` +
-    `PubMed(${sources.pubmed.length}), medRxiv(${sources.medrxiv.length}), ` +
-    `Trials(${sources.clinicalTrials.length}), Exa(${sources.exa.length})`
+    `🎯 [SOURCE-RANKER] Starting ${learned ? `learned (weights ${getRankingWeights().version})` : 'keyword-based'} ranking: ` +
+    Object.entries(countsBySource)
+      .map(([sourceId, count]) => `${getResearchSource(sourceId)?.label || sourceId}(${count})`)
+      .join(', ')
   );
 
   try {
     // Extract keywords from query
     const keywords = extractKeywords(query);
 
-    // Flatten all sources with type labels
-    const allSources: Array<{ source: any; sourceType: RankedSource['sourceType'] }> = [
-      ...sources.pubmed.map(s => ({ source: s, sourceType: 'pubmed' as const })),
-      ...sources.medrxiv.map(s => ({ source: s, sourceType: 'medrxiv' as const })),
-      ...sources.clinicalTrials.map(s => ({ source: s, sourceType: 'clinicaltrials' as const })),
-      ...sources.exa.map(s => ({ source: s, sourceType: 'exa' as const }))
-    ];
+    // Query/source similarity for the learned ranker (null when the embedder is unavailable
+    // or the weights don't use it)
+    const embeddingWeighted = getRankingWeights().weights.embedding !== 0;
+    const similarities = learned && embeddingWeighted ? await embeddingSimilarities(query, documents) : null;
 
     // Score each source
-    const rankedSources: RankedSource[] = allSources.map((item) => {
-      const title = extractTitle(item.source, item.sourceType);
-      const abstract = extractAbstract(item.source, item.sourceType);
-      const content = `${title} ${abstract}`.toLowerCase();
+    const rankedSources: RankedSource[] = documents.map((document, index) => {
+      const content = `${document.title} ${document.abstract}`.toLowerCase();
 
       // Calculate keyword match score (0-70 points)
       const keywordScore = calculateKeywordScore(content, keywords);
 
       // Apply credibility boost (0-15 points)
-      const credibilityBoost = getCredibilityBoost(item.sourceType);
+      const credibilityBoost = sourceOfDocument(document)?.credibility.rankingBoost || 0;
 
       // Apply recency boost (0-15 points)
-      const recencyBoost = getRecencyBoost(item.source, item.sourceType);
+      const recencyBoost = getRecencyBoost(document.publishDate);
+
+      // Apply evidence level boost (-10 to +20 points, hierarchy mode only)
+      const classifiedLevel = config.evidenceHierarchy || learned ? classifyEvidenceLevel(document) : undefined;
+      const evidenceLevel = config.evidenceHierarchy ? classifiedLevel : undefined;
+      const evidenceBoost = evidenceLevel ? EVIDENCE_LEVELS[evidenceLevel].rankingBoost : 0;
+
+      // Apply study size/length boost (-5 to +10 points, 0 when the abstract doesn't say)
+      const studyBoost = studyQualityBoost(document.studyMetadata ?? extractStudyMetadata(document));
+
+      // Apply population match (-12 to +13 points, profile only)
+      const populationMatch = config.population ? matchPopulation(document, config.population) : undefined;
+      const populationBoost = populationMatch?.boost ?? 0;
+
+      // Same criteria as 0-1 features (population -1 to 1)
+      const features: Partial<RankingFeatures> = {
+        keyword: keywordScore / 70,
+        evidence: classifiedLevel ? (6 - EVIDENCE_LEVELS[classifiedLevel].rank) / 5 : undefined,
+        recency: recencyBoost / 15,
+        population: populationBoost / 13,
+        source: credibilityBoost / 15,
+        study: studyBoost / 10
+      };
+      if (similarities) {
+        features.embedding = similarities[index];
+      }
 
-      const finalScore = Math.min(100, keywordScore + credibilityBoost + recencyBoost);
+      const keywordTotal = keywordScore + credibilityBoost + recencyBoost + evidenceBoost + studyBoost + populationBoost;
+      const finalScore = learned ? learnedScore(features) : Math.max(0, Math.min(100, keywordTotal));
 
       return {
-        source: item.source,
+        source: document.raw,
         relevanceScore: Math.round(finalScore),
-        reasoning: `Keywords: ${keywordScore}, Credibility: ${credibilityBoost}, Recency: ${recencyBoost}`,
-        sourceType: item.sourceType
+        reasoning: learned
+          ? `Learned: ${Object.entries(features).map(([feature, value]) => `${feature} ${(value as number).toFixed(2)}`).join(', ')}`
+          : `Keywords: ${keywordScore}, Credibility: ${credibilityBoost}, Recency: ${recencyBoost}` +
+            (evidenceLevel ? `, Evidence: ${evidenceBoost} (${evidenceLevel})` : '') +
+            (studyBoost !== 0 ? `, Study: ${studyBoost}` : '') +
+            (populationMatch && populationBoost !== 0 ? `, Population: ${populationBoost} (${populationMatch.fit})` : ''),
+        sourceType: document.sourceId,
+        document,
+        evidenceLevel,
+        populationMatch,
+        features
       };
     });
 
@@ -136,40 +199,14 @@ export async function rankSourcesByRelevance(
 }
 
 /**
- * Reorder sources array based on ranking results
+ * Top-ranked sources grouped back into per-type lists (highest score first)
  */
-export function reorderSourcesByRanking(
-  sources: {
-    pubmed: any[];
-    medrxiv: any[];
-    clinicalTrials: any[];
-    exa: any[];
-  },
-  rankingResult: SourceRankingResult
-): {
-  pubmed: any[];
-  medrxiv: any[];
-  clinicalTrials: any[];
-  exa: any[];
-} {
-  const pubmedReordered: any[] = [];
-  const medrxivReordered: any[] = [];
-  const trialsReordered: any[] = [];
-  const exaReordered: any[] = [];
-
-  for (const ranked of rankingResult.topSources) {
-    if (ranked.sourceType === 'pubmed') pubmedReordered.push(ranked.source);
-    else if (ranked.sourceType === 'medrxiv') medrxivReordered.push(ranked.source);
-    else if (ranked.sourceType === 'clinicaltrials') trialsReordered.push(ranked.source);
-    else if (ranked.sourceType === 'exa') exaReordered.push(ranked.source);
-  }
-
-  return {
-    pubmed: pubmedReordered,
-    medrxiv: medrxivReordered,
-    clinicalTrials: trialsReordered,
-    exa: exaReordered
-  };
+export function reorderSourcesByRanking(rankingResult: SourceRankingResult): SourceBuckets {
+  return toSourceBuckets(
+    rankingResult.topSources
+      .map(ranked => ranked.document)
+      .filter((document): document is ResearchDocument => document !== undefined)
+  );
 }
 
 // ============================================
@@ -207,81 +244,40 @@ function calculateKeywordScore(content: string, keywords: string[]): number {
 }
 
 /**
- * Extract title from source based on type
+ * Cosine similarity of the query with each document, or null when embedding fails
  */
-function extractTitle(source: any, sourceType: string): string {
-  switch (sourceType) {
-    case 'pubmed':
-      return source.title || source.article_title || '';
-    case 'medrxiv':
-      return source.title || '';
-    case 'clinicaltrials':
-      return source.title || source.study_title || source.officialTitle || '';
-    case 'exa':
-      return source.title || '';
-    default:
-      return '';
-  }
-}
+async function embeddingSimilarities(query: string, documents: ResearchDocument[]): Promise<number[] | null> {
+  if (documents.length === 0) return [];
 
-/**
- * Extract abstract/summary from source
- */
-function extractAbstract(source: any, sourceType: string): string {
-  switch (sourceType) {
-    case 'pubmed':
-      return source.abstract || source.abstractText || '';
-    case 'medrxiv':
-      return source.abstract || '';
-    case 'clinicaltrials':
-      return source.briefSummary || source.summary || '';
-    case 'exa':
-      return source.text || source.summary || '';
-    default:
-      return '';
+  const texts = [query, ...documents.map(document => `${document.title} ${document.abstract}`.substring(0, MAX_EMBEDDING_CHARS))];
+  const batches: string[][] = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    batches.push(texts.slice(i, i + EMBEDDING_BATCH_SIZE));
   }
-}
 
-/**
- * Get credibility boost based on source type (0-15 points)
- */
-function getCredibilityBoost(sourceType: string): number {
-  switch (sourceType) {
-    case 'pubmed':
-    case 'clinicaltrials':
-      return 15; // Highly credible peer-reviewed sources
-    case 'medrxiv':
-      return 8; // Medical preprints, less vetted
-    case 'exa':
-      return 5; // Web sources, least credible
-    default:
-      return 0;
-  }
-}
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timeout after ${EMBEDDING_TIMEOUT_MS}ms`)), EMBEDDING_TIMEOUT_MS);
+  });
 
-/**
- * Extract publish date from source
- */
-function extractPublishDate(source: any, sourceType: string): string | null {
-  switch (sourceType) {
-    case 'pubmed':
-      return source.pubDate || source.publishedDate || source.pub_date || null;
-    case 'medrxiv':
-      return source.date || source.publishedDate || null;
-    case 'clinicaltrials':
-      return source.studyFirstPostDate || source.lastUpdatePostDate || null;
-    case 'exa':
-      return source.publishedDate || source.date || null;
-    default:
-      return null;
+  try {
+    const embeddings = (await Promise.race([Promise.all(batches.map(batch => embedTexts(batch))), timeout])).flat();
+    if (embeddings.length !== texts.length) return null;
+
+    const [queryEmbedding, ...documentEmbeddings] = embeddings;
+    return documentEmbeddings.map(embedding => cosineSimilarity(queryEmbedding, embedding));
+  } catch (error: any) {
+    logger.warn(`⚠️ [SOURCE-RANKER] Embedding failed, learned ranker uses the training mean: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
   }
 }
 
 /**
  * Get recency boost based on publication date (0-15 points)
  */
-function getRecencyBoost(source: any, sourceType: string): number {
-  const publishDate = extractPublishDate(source, sourceType);
+function getRecencyBoost(publishDate: string | null): number {
   if (!publishDate) return 0;
 
   try {
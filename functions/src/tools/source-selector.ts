@@ -4,34 +4,72 @@
  * Automatically selects the best sources for synthesis based on:
  * 1. Relevance scores (top-P selection)
  * 2. Token budget constraints
- * 3. Semantic deduplication (avoid near-duplicates)
+ * 3. Semantic clustering (one source per study, see source-clustering.ts)
  * 4. Quality thresholds
  *
  * SELECTION STRATEGY:
  * - Sort sources by relevance (highest first)
  * - Select top N sources (default: 30)
  * - Extend to 35 if high-scoring sources (>70) available
- * - Remove semantic near-duplicates
+ * - Cluster near-duplicates and reports of the same study (preprint, publication,
+ *   trial registration, news); keep the most authoritative member of each cluster
+ *   and list the others as "also reported by"
  * - Respect token budget (default: 16800 tokens)
+ * - Add open-access full-text sections (results > conclusions > methods) to the
+ *   selected sources within a separate full-text budget (default: 4000 tokens)
  *
  * INTEGRATION POINT:
  * - Called after source ranking
  * - Before synthesis formatting
  * - Automatic selection (no manual intervention)
+ *
+ * CITATION IDS:
+ * - Every selected source gets an `id` (1..n in selection order)
+ * - The synthesis prompt labels sources with it and the model cites them inline
+ *   as [id]; citation-verifier.ts checks those markers after generation
  */
 
 import { logger } from 'firebase-functions/v2';
 import { RankedSource } from './source-ranker';
+import { ResearchDocument, getResearchSource, sourceOfDocument } from './research-sources';
+import { FullTextSectionName, OpenAccessFullText } from './europe-pmc';
+import { EVIDENCE_LEVELS, EvidenceLevel } from './evidence-hierarchy';
+import { StudyMetadata, formatStudyMetadata, hasStudyMetadata } from './study-metadata';
+import { PopulationMatch } from './population-match';
+import { AlsoReportedBy, clusterSources, formatAlsoReportedBy } from './source-clustering';
+
+/**
+ * Full-text section excerpt included with a selected source
+ */
+export interface FullTextChunk {
+  section: FullTextSectionName;
+  title: string; // Heading in the article
+  text: string;
+}
+
+// Sections worth the most to synthesis come first when the budget is tight
+const FULL_TEXT_PRIORITY: FullTextSectionName[] = ['results', 'conclusions', 'methods'];
+
+// Not worth including a section excerpt below this
+const MIN_FULL_TEXT_CHUNK_TOKENS = 100;
 
 /**
  * Selected source with full metadata for synthesis
  */
 export interface SelectedSource {
+  id: number; // Citation id - the model cites this source as [id]
   source: any; // Original source object
   relevanceScore: number; // 0-100
-  sourceType: 'pubmed' | 'medrxiv' | 'clinicaltrials' | 'exa';
+  sourceType: string; // ResearchSource.id, e.g. 'pubmed'
+  document?: ResearchDocument; // Normalized form of `source`
   citation: string; // Formatted citation
   summary: string; // Abstract or snippet
+  fullText?: FullTextChunk[]; // Open-access full-text excerpts (within the full-text budget)
+  evidenceLevel?: EvidenceLevel; // Set in evidence hierarchy mode
+  studyMetadata?: StudyMetadata; // Sample size, population, duration... when the abstract states them
+  populationMatch?: PopulationMatch; // Fit with the user's diabetes profile, when there is something to say
+  alsoReportedBy?: AlsoReportedBy[]; // Other sources on the same study or with the same content
+  localGuidance?: string; // Türkiye-specific source (TEMD, Sağlık Bakanlığı, Turkish journals)
   credibilityBadge: string; // 'highly_credible', 'credible', 'standard'
   estimatedTokens: number; // Estimated token count for this source
 }
@@ -43,8 +81,11 @@ export interface SourceSelectionResult {
   selectedSources: SelectedSource[];
   totalSources: number; // Original count
   selectedCount: number; // Final count after selection
-  deduplicatedCount: number; // How many were removed as duplicates
-  totalTokens: number; // Total tokens for selected sources
+  deduplicatedCount: number; // How many were merged into another source's cluster
+  clusteringMethod?: 'embedding' | 'lexical'; // Set when semantic dedup ran
+  totalTokens: number; // Total tokens for selected sources, full text included
+  fullTextTokens: number; // Part of totalTokens spent on full-text excerpts
+  fullTextSourceCount: number; // Selected sources that include full-text excerpts
   selectionStrategy: string; // Description of strategy used
   qualityMetrics: {
     averageRelevance: number;
@@ -65,6 +106,8 @@ export interface SourceSelectionConfig {
   minRelevanceScore?: number; // Minimum relevance to include (default: 40)
   semanticSimilarityThreshold?: number; // Cosine similarity for dedup (default: 0.85)
   enableSemanticDedup?: boolean; // Enable semantic deduplication (default: true)
+  fullTextTokenBudget?: number; // Tokens for open-access full-text excerpts (default: 4000, 0 disables)
+  maxFullTextTokensPerSource?: number; // Full-text tokens for any single source (default: 1200)
 }
 
 /**
@@ -88,7 +131,9 @@ export async function selectSourcesForSynthesis(
     tokenBudget = 16800,
     minRelevanceScore = 40,
     semanticSimilarityThreshold = 0.85,
-    enableSemanticDedup = true
+    enableSemanticDedup = true,
+    fullTextTokenBudget = 4000,
+    maxFullTextTokensPerSource = 1200
   } = config;
 
   logger.info(
@@ -133,22 +178,32 @@ export async function selectSourcesForSynthesis(
     `from ${qualifiedSources.length} qualified sources`
   );
 
-  // ===== STEP 4: Semantic deduplication (remove near-duplicates) =====
+  // ===== STEP 4: Semantic clustering (one source per study) =====
   let deduplicatedCount = 0;
+  let clusteringMethod: SourceSelectionResult['clusteringMethod'];
+  const alsoReportedBy = new Map<RankedSource, AlsoReportedBy[]>();
 
   if (enableSemanticDedup && candidateSources.length > 1) {
-    const { unique, duplicateCount } = await deduplicateSemanticallySimilar(
-      candidateSources,
-      semanticSimilarityThreshold
-    );
+    const { clusters, method } = await clusterSources(candidateSources, {
+      similarityThreshold: semanticSimilarityThreshold
+    });
 
-    deduplicatedCount = duplicateCount;
-    candidateSources = unique;
+    clusteringMethod = method;
+    deduplicatedCount = candidateSources.length - clusters.length;
+    candidateSources = clusters.map(cluster => cluster.primary);
+    for (const cluster of clusters) {
+      if (cluster.alsoReportedBy.length > 0) {
+        alsoReportedBy.set(cluster.primary, cluster.alsoReportedBy);
+      }
+    }
 
-    if (duplicateCount > 0) {
+    if (deduplicatedCount > 0) {
+      const sameStudy = clusters
+        .flatMap(cluster => cluster.alsoReportedBy)
+        .filter(other => other.relation !== 'similar').length;
       logger.info(
-        `🔍 [SOURCE-SELECTOR] Removed ${duplicateCount} semantically similar sources, ` +
-        `${candidateSources.length} remain`
+        `🔍 [SOURCE-SELECTOR] Merged ${deduplicatedCount} sources into others (${sameStudy} same study, ` +
+        `${method} similarity), ${candidateSources.length} remain`
       );
     }
   }
@@ -158,7 +213,11 @@ export async function selectSourcesForSynthesis(
   let currentTokens = 0;
 
   for (const rankedSource of candidateSources) {
-    const selectedSource = formatSourceForSynthesis(rankedSource);
+    const selectedSource = formatSourceForSynthesis(
+      rankedSource,
+      selectedSources.length + 1,
+      alsoReportedBy.get(rankedSource)
+    );
     const sourceTokens = selectedSource.estimatedTokens;
 
     // Check if adding this source would exceed budget
@@ -174,6 +233,34 @@ export async function selectSourcesForSynthesis(
     currentTokens += sourceTokens;
   }
 
+  // ===== STEP 5.5: Open-access full text (separate budget) =====
+  let fullTextTokens = 0;
+  let fullTextSourceCount = 0;
+
+  for (const selectedSource of selectedSources) {
+    const fullText = selectedSource.document?.fullText;
+    if (!fullText) continue;
+
+    const available = Math.min(maxFullTextTokensPerSource, fullTextTokenBudget - fullTextTokens);
+    if (available < MIN_FULL_TEXT_CHUNK_TOKENS) break;
+
+    const chunks = selectFullTextChunks(fullText, available);
+    if (chunks.length === 0) continue;
+
+    const chunkTokens = chunks.reduce((sum, chunk) => sum + estimateTokens(chunk.title + chunk.text), 0);
+    selectedSource.fullText = chunks;
+    selectedSource.estimatedTokens += chunkTokens;
+    fullTextTokens += chunkTokens;
+    fullTextSourceCount++;
+  }
+
+  if (fullTextSourceCount > 0) {
+    logger.info(
+      `📖 [SOURCE-SELECTOR] Added full-text excerpts to ${fullTextSourceCount} sources ` +
+      `(${fullTextTokens}/${fullTextTokenBudget} full-text tokens)`
+    );
+  }
+
   // ===== STEP 6: Calculate quality metrics =====
   const relevanceScores = selectedSources.map(s => s.relevanceScore);
   const averageRelevance = relevanceScores.reduce((sum, r) => sum + r, 0) / relevanceScores.length;
@@ -186,7 +273,10 @@ export async function selectSourcesForSynthesis(
     totalSources: rankedSources.length,
     selectedCount: selectedSources.length,
     deduplicatedCount,
-    totalTokens: currentTokens,
+    clusteringMethod,
+    totalTokens: currentTokens + fullTextTokens,
+    fullTextTokens,
+    fullTextSourceCount,
     selectionStrategy: determineStrategyDescription(
       rankedSources.length,
       selectedSources.length,
@@ -207,7 +297,8 @@ export async function selectSourcesForSynthesis(
   logger.info(
     `✅ [SOURCE-SELECTOR] Selection complete in ${duration}ms: ` +
     `${selectedSources.length}/${rankedSources.length} sources selected, ` +
-    `${currentTokens}/${tokenBudget} tokens used, ` +
+    `${currentTokens}/${tokenBudget} tokens used` +
+    (fullTextTokens > 0 ? ` (+${fullTextTokens} full text), ` : ', ') +
     `avg relevance=${averageRelevance.toFixed(1)}, ` +
     `${highQualityCount} high-quality sources`
   );
@@ -224,98 +315,14 @@ export async function selectSourcesForSynthesis(
   return result;
 }
 
-/**
- * Remove semantically similar sources (near-duplicates)
- * Uses simple title/abstract similarity for now
- * TODO: Use vector embeddings for more accurate similarity detection
- */
-async function deduplicateSemanticallySimilar(
-  sources: RankedSource[],
-  similarityThreshold: number
-): Promise<{ unique: RankedSource[]; duplicateCount: number }> {
-  const unique: RankedSource[] = [];
-  let duplicateCount = 0;
-
-  for (const source of sources) {
-    const sourceText = extractTextForComparison(source);
-
-    // Check similarity with already selected sources
-    let isDuplicate = false;
-    for (const existingSource of unique) {
-      const existingText = extractTextForComparison(existingSource);
-
-      // Simple similarity check using Jaccard similarity on word sets
-      const similarity = calculateJaccardSimilarity(sourceText, existingText);
-
-      if (similarity > similarityThreshold) {
-        isDuplicate = true;
-        logger.debug(
-          `🔍 [SOURCE-SELECTOR] Duplicate detected: similarity=${similarity.toFixed(2)}, ` +
-          `keeping higher-scored source`
-        );
-        break;
-      }
-    }
-
-    if (!isDuplicate) {
-      unique.push(source);
-    } else {
-      duplicateCount++;
-    }
-  }
-
-  return { unique, duplicateCount };
-}
-
-/**
- * Extract text for similarity comparison
- */
-function extractTextForComparison(rankedSource: RankedSource): string {
-  const source = rankedSource.source;
-  const type = rankedSource.sourceType;
-
-  let title = '';
-  let abstract = '';
-
-  if (type === 'pubmed') {
-    title = source.title || '';
-    abstract = source.abstract || '';
-  } else if (type === 'medrxiv') {
-    title = source.title || '';
-    abstract = source.abstract || '';
-  } else if (type === 'clinicaltrials') {
-    title = source.title || '';
-    abstract = source.description || '';
-  } else if (type === 'exa') {
-    title = source.title || '';
-    abstract = source.text || source.snippet || '';
-  }
-
-  return (title + ' ' + abstract).toLowerCase();
-}
-
-/**
- * Calculate Jaccard similarity between two texts
- * Returns 0-1 (0 = completely different, 1 = identical)
- */
-function calculateJaccardSimilarity(text1: string, text2: string): number {
-  // Tokenize into words
-  const words1 = new Set(text1.split(/\s+/).filter(w => w.length > 3)); // Ignore short words
-  const words2 = new Set(text2.split(/\s+/).filter(w => w.length > 3));
-
-  // Calculate intersection and union
-  const intersection = new Set([...words1].filter(w => words2.has(w)));
-  const union = new Set([...words1, ...words2]);
-
-  if (union.size === 0) return 0;
-
-  return intersection.size / union.size;
-}
-
 /**
  * Format ranked source for synthesis with full metadata
  */
-function formatSourceForSynthesis(rankedSource: RankedSource): SelectedSource {
+function formatSourceForSynthesis(
+  rankedSource: RankedSource,
+  id: number,
+  alsoReportedBy?: AlsoReportedBy[]
+): SelectedSource {
   const source = rankedSource.source;
   const type = rankedSource.sourceType;
 
@@ -326,7 +333,7 @@ function formatSourceForSynthesis(rankedSource: RankedSource): SelectedSource {
   if (type === 'pubmed') {
     const authors = source.authors?.[0] || 'Unknown';
     const journal = source.journal || 'PubMed';
-    const year = source.pubdate?.split('-')[0] || '';
+    const year = (source.publishDate || source.pubdate)?.split('-')[0] || '';
     citation = `${authors} et al. (${year}). ${source.title}. ${journal}.`;
     summary = source.abstract || '';
     credibilityBadge = 'highly_credible';
@@ -339,7 +346,7 @@ function formatSourceForSynthesis(rankedSource: RankedSource): SelectedSource {
   } else if (type === 'clinicaltrials') {
     const year = source.startDate?.split('-')[0] || '';
     citation = `${source.title}. ClinicalTrials.gov ID: ${source.nctId}. Started: ${year}.`;
-    summary = source.description || '';
+    summary = source.summary || source.description || '';
     credibilityBadge = 'highly_credible';
   } else if (type === 'exa') {
     const domain = source.domain || 'Web';
@@ -347,22 +354,93 @@ function formatSourceForSynthesis(rankedSource: RankedSource): SelectedSource {
     citation = `${source.title}. ${domain}. ${year ? `Published: ${year}.` : ''}`;
     summary = source.text || source.snippet || '';
     credibilityBadge = 'credible';
+  } else if (rankedSource.document) {
+    // Other registered sources: cite from the normalized document
+    const document = rankedSource.document;
+    const registered = getResearchSource(type);
+    const authors = document.authors[0] ? `${document.authors[0]} et al. ` : '';
+    const year = document.publishDate?.split('-')[0] || '';
+    citation = `${authors}${year ? `(${year}). ` : ''}${document.title}. ${document.venue || registered?.label || type}.`;
+    summary = document.abstract;
+    credibilityBadge = registered?.credibility.badge || 'standard';
   }
 
-  // Estimate tokens (rough: ~4 chars per token)
-  const estimatedTokens = Math.ceil((citation.length + summary.length) / 4);
+  const studyMetadata = rankedSource.document?.studyMetadata;
+  const populationMatch = rankedSource.populationMatch?.note ? rankedSource.populationMatch : undefined;
+  const localGuidance = rankedSource.document ? sourceOfDocument(rankedSource.document)?.localGuidance : undefined;
+  const estimatedTokens = estimateTokens(
+    citation + summary + formatStudyMetadata(studyMetadata) + (populationMatch?.note ?? '') +
+    formatAlsoReportedBy(alsoReportedBy) + (localGuidance ?? '')
+  );
 
   return {
+    id,
     source,
     relevanceScore: rankedSource.relevanceScore,
     sourceType: type,
+    document: rankedSource.document,
     citation,
     summary,
+    evidenceLevel: rankedSource.evidenceLevel,
+    studyMetadata: hasStudyMetadata(studyMetadata) ? studyMetadata : undefined,
+    populationMatch,
+    alsoReportedBy,
+    localGuidance,
     credibilityBadge,
     estimatedTokens
   };
 }
 
+/**
+ * Estimate tokens (rough: ~4 chars per token)
+ */
+function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Pick full-text paragraphs within a token allowance
+ * Sections are filled in FULL_TEXT_PRIORITY order and returned in article order
+ */
+function selectFullTextChunks(fullText: OpenAccessFullText, maxTokens: number): FullTextChunk[] {
+  const chunks: FullTextChunk[] = [];
+  let remaining = maxTokens;
+
+  for (const name of FULL_TEXT_PRIORITY) {
+    const section = fullText.sections.find(s => s.name === name);
+    if (!section || remaining < MIN_FULL_TEXT_CHUNK_TOKENS) continue;
+
+    const paragraphs: string[] = [];
+    remaining -= estimateTokens(section.title);
+
+    for (const paragraph of section.paragraphs) {
+      const tokens = estimateTokens(paragraph);
+      if (tokens <= remaining) {
+        paragraphs.push(paragraph);
+        remaining -= tokens;
+      } else {
+        // Cut the paragraph that no longer fits at a sentence boundary
+        const cut = paragraph.substring(0, remaining * 4);
+        const sentenceEnd = cut.lastIndexOf('. ');
+        if (sentenceEnd > 0 && estimateTokens(cut.substring(0, sentenceEnd + 1)) >= MIN_FULL_TEXT_CHUNK_TOKENS / 2) {
+          paragraphs.push(cut.substring(0, sentenceEnd + 1));
+          remaining -= estimateTokens(cut.substring(0, sentenceEnd + 1));
+        }
+        break;
+      }
+    }
+
+    if (paragraphs.length > 0) {
+      chunks.push({ section: name, title: section.title, text: paragraphs.join('\n\n') });
+    } else {
+      remaining += estimateTokens(section.title);
+    }
+  }
+
+  const articleOrder: FullTextSectionName[] = ['methods', 'results', 'conclusions'];
+  return chunks.sort((a, b) => articleOrder.indexOf(a.section) - articleOrder.indexOf(b.section));
+}
+
 /**
  * Determine human-readable strategy description
  */
@@ -388,8 +466,51 @@ function determineStrategyDescription(
   return `Top-P selection (top ${selectedCount} most relevant sources)`;
 }
 
+/**
+ * Full-text excerpts of a selected source for the synthesis prompt
+ */
+function formatFullTextChunks(source: SelectedSource): string {
+  if (!source.fullText || source.fullText.length === 0) {
+    return '';
+  }
+
+  let formatted = `**Full text (open access):**\n\n`;
+  for (const chunk of source.fullText) {
+    formatted += `#### ${chunk.title}\n${chunk.text}\n\n`;
+  }
+  return formatted;
+}
+
+/**
+ * Relevance, credibility and (in evidence hierarchy mode) evidence level line,
+ * then the study, population-match, "also reported by" and local guidance lines when known
+ */
+function formatSourceMetadata(source: SelectedSource): string {
+  let metadata = `**Relevance:** ${source.relevanceScore}/100 | **Credibility:** ${source.credibilityBadge}`;
+  if (source.evidenceLevel) {
+    const level = EVIDENCE_LEVELS[source.evidenceLevel];
+    metadata += ` | **Evidence level:** ${level.rank} (${level.label})`;
+  }
+  const study = formatStudyMetadata(source.studyMetadata);
+  if (study) {
+    metadata += `\n**Study:** ${study}`;
+  }
+  if (source.populationMatch?.note) {
+    metadata += `\n**Population:** ${source.populationMatch.note}`;
+  }
+  const others = formatAlsoReportedBy(source.alsoReportedBy);
+  if (others) {
+    metadata += `\n**Also reported by:** ${others}`;
+  }
+  if (source.localGuidance) {
+    metadata += `\n**Local guidance:** ${source.localGuidance}`;
+  }
+  return `${metadata}\n\n`;
+}
+
 /**
  * Format selected sources for AI synthesis prompt
+ * Sources are labelled with their citation id so inline [id] markers map back to them
  *
  * @param selectedSources - Sources selected for synthesis
  * @returns Formatted string for synthesis prompt
@@ -398,56 +519,70 @@ export function formatSelectedSourcesForSynthesis(
   selectedSources: SelectedSource[]
 ): string {
   let formatted = `# SELECTED RESEARCH SOURCES (${selectedSources.length} sources)\n\n`;
+  formatted += `Cite every claim with the number of the source that supports it, e.g. [3] or [3][7]. Only use numbers listed below.\n\n`;
 
   // Group by source type
   const byType = {
     pubmed: selectedSources.filter(s => s.sourceType === 'pubmed'),
     medrxiv: selectedSources.filter(s => s.sourceType === 'medrxiv'),
     clinicaltrials: selectedSources.filter(s => s.sourceType === 'clinicaltrials'),
-    exa: selectedSources.filter(s => s.sourceType === 'exa')
+    exa: selectedSources.filter(s => s.sourceType === 'exa'),
+    other: selectedSources.filter(s => !['pubmed', 'medrxiv', 'clinicaltrials', 'exa'].includes(s.sourceType))
   };
 
   // Format PubMed sources
   if (byType.pubmed.length > 0) {
     formatted += `## 🔬 Peer-Reviewed Articles (PubMed) - ${byType.pubmed.length} sources\n\n`;
-    byType.pubmed.forEach((source, idx) => {
-      formatted += `### [${idx + 1}] ${source.citation}\n`;
-      formatted += `**Relevance:** ${source.relevanceScore}/100 | **Credibility:** ${source.credibilityBadge}\n\n`;
+    byType.pubmed.forEach(source => {
+      formatted += `### [${source.id}] ${source.citation}\n`;
+      formatted += formatSourceMetadata(source);
       formatted += `${source.summary.substring(0, 500)}${source.summary.length > 500 ? '...' : ''}\n\n`;
+      formatted += formatFullTextChunks(source);
     });
   }
 
   // Format Clinical Trial sources
   if (byType.clinicaltrials.length > 0) {
     formatted += `## 🏥 Clinical Trials - ${byType.clinicaltrials.length} sources\n\n`;
-    byType.clinicaltrials.forEach((source, idx) => {
-      formatted += `### [${byType.pubmed.length + idx + 1}] ${source.citation}\n`;
-      formatted += `**Relevance:** ${source.relevanceScore}/100 | **Credibility:** ${source.credibilityBadge}\n\n`;
+    byType.clinicaltrials.forEach(source => {
+      formatted += `### [${source.id}] ${source.citation}\n`;
+      formatted += formatSourceMetadata(source);
       formatted += `${source.summary.substring(0, 500)}${source.summary.length > 500 ? '...' : ''}\n\n`;
+      formatted += formatFullTextChunks(source);
     });
   }
 
   // Format medRxiv sources
   if (byType.medrxiv.length > 0) {
     formatted += `## 📄 Recent Medical Research (medRxiv) - ${byType.medrxiv.length} sources\n\n`;
-    byType.medrxiv.forEach((source, idx) => {
-      const prevCount = byType.pubmed.length + byType.clinicaltrials.length;
-      formatted += `### [${prevCount + idx + 1}] ${source.citation}\n`;
-      formatted += `**Relevance:** ${source.relevanceScore}/100 | **Credibility:** ${source.credibilityBadge}\n\n`;
+    byType.medrxiv.forEach(source => {
+      formatted += `### [${source.id}] ${source.citation}\n`;
+      formatted += formatSourceMetadata(source);
       formatted += `${source.summary.substring(0, 500)}${source.summary.length > 500 ? '...' : ''}\n\n`;
+      formatted += formatFullTextChunks(source);
     });
   }
 
   // Format Exa medical sources
   if (byType.exa.length > 0) {
     formatted += `## 🌐 Medical Websites (Exa) - ${byType.exa.length} sources\n\n`;
-    byType.exa.forEach((source, idx) => {
-      const prevCount = byType.pubmed.length + byType.clinicaltrials.length + byType.medrxiv.length;
-      formatted += `### [${prevCount + idx + 1}] ${source.citation}\n`;
-      formatted += `**Relevance:** ${source.relevanceScore}/100 | **Credibility:** ${source.credibilityBadge}\n\n`;
+    byType.exa.forEach(source => {
+      formatted += `### [${source.id}] ${source.citation}\n`;
+      formatted += formatSourceMetadata(source);
       formatted += `${source.summary.substring(0, 400)}${source.summary.length > 400 ? '...' : ''}\n\n`;
     });
   }
 
+  // Format sources from other registered research sources
+  if (byType.other.length > 0) {
+    formatted += `## 📚 Other Sources - ${byType.other.length} sources\n\n`;
+    byType.other.forEach(source => {
+      formatted += `### [${source.id}] ${source.citation}\n`;
+      formatted += formatSourceMetadata(source);
+      formatted += `${source.summary.substring(0, 500)}${source.summary.length > 500 ? '...' : ''}\n\n`;
+      formatted += formatFullTextChunks(source);
+    });
+  }
+
   return formatted;
 }
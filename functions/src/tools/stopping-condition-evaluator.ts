@@ -5,6 +5,7 @@
 
 import { ResearchReflection, RoundResult } from '../flows/deep-research-v2-types';
 import { logger } from 'firebase-functions/v2';
+import type { RoundBudgetCheck } from './research-budget';
 
 /**
  * Stopping condition decision with reasoning
@@ -24,12 +25,14 @@ export interface StoppingDecision {
  * 3. No new sources found in last round (diminishing returns)
  * 4. Reflection explicitly says shouldContinue = false
  * 5. Total sources exceed threshold (comprehensive coverage)
+ * 6. The next round would exceed the run's cost or time budget
  *
  * @param roundNumber - Current round number
  * @param maxRounds - Maximum allowed rounds
  * @param currentRound - Results from current round
  * @param allRounds - All round results so far
  * @param reflection - Reflection from current round
+ * @param nextRoundBudget - Budget check for the next round (ResearchBudget.checkNextRound)
  * @returns StoppingDecision with should_stop and reasoning
  */
 export function evaluateStoppingConditions(
@@ -37,7 +40,8 @@ export function evaluateStoppingConditions(
   maxRounds: number,
   currentRound: RoundResult,
   allRounds: RoundResult[],
-  reflection: ResearchReflection
+  reflection: ResearchReflection,
+  nextRoundBudget?: RoundBudgetCheck
 ): StoppingDecision {
   const triggeredConditions: string[] = [];
 
@@ -98,6 +102,11 @@ export function evaluateStoppingConditions(
     }
   }
 
+  // CONDITION 8: The marginal round would not fit the cost/time budget
+  if (nextRoundBudget && !nextRoundBudget.affordable) {
+    triggeredConditions.push(nextRoundBudget.reason || 'Budget exhausted');
+  }
+
   // Decision: Stop if ANY condition triggered
   const shouldStop = triggeredConditions.length > 0;
 
@@ -0,0 +1,275 @@
+/**
+ * Study Metadata - structured facts about a study from its abstract
+ *
+ * Search results only carry title, abstract and authors, so a 12-person pilot and a
+ * 10,000-person RCT look alike. This module pulls the facts that tell them apart
+ * into a typed record:
+ * - Sample size, diabetes type of the population, study duration
+ * - Intervention and comparator, primary outcome
+ *
+ * Structured API fields win where a source has them (ClinicalTrials.gov enrollment,
+ * interventions, conditions and dates; PubMed MeSH terms), the rest comes from
+ * patterns in the title and abstract. Extraction is deterministic and free - no
+ * model call per source - and every field is null when the text does not state it.
+ *
+ * Used by:
+ * - source-ranker: sample size and duration as a quality signal (studyQualityBoost)
+ * - source-selector: one "Study:" line per source in the synthesis prompt
+ * - population-match: the study population against the user's diabetes type
+ * - source cards: `studyMetadata` on the sources sent to the app
+ */
+
+import type { ResearchDocument } from './research-sources';
+
+export type DiabetesPopulation = 'type1' | 'type2' | 'gestational' | 'prediabetes' | 'mixed';
+
+export interface StudyMetadata {
+  sampleSize: number | null; // Participants enrolled or analysed
+  diabetesType: DiabetesPopulation | null;
+  intervention: string | null;
+  comparator: string | null; // e.g. "placebo", "sitagliptin", "usual care"
+  duration: string | null; // As written, e.g. "24 weeks"
+  durationWeeks: number | null;
+  primaryOutcome: string | null;
+}
+
+const MAX_SAMPLE_SIZE = 5_000_000; // Larger numbers are not participant counts
+const MAX_TERM_WORDS = 5; // Intervention / comparator length
+const MAX_OUTCOME_CHARS = 100;
+
+const WEEKS_PER_UNIT: Record<string, number> = {
+  day: 1 / 7,
+  week: 1,
+  month: 4.345,
+  year: 52.18
+};
+
+const DIABETES_PATTERNS: Array<[Exclude<DiabetesPopulation, 'mixed'>, RegExp]> = [
+  ['type2', /\btype\s*(?:2|ii)\b|\bt2dm?\b|\bniddm\b|non-insulin-dependent/i],
+  ['type1', /\btype\s*(?:1|i)\b|\bt1dm?\b|\biddm\b|(?<!non-)insulin-dependent/i],
+  ['gestational', /gestational diabetes|diabetes,\s*gestational|\bgdm\b/i], // MeSH: "Diabetes, Gestational"
+  ['prediabetes', /pre-?diabet|impaired glucose tolerance|impaired fasting glucose/i]
+];
+
+export const DIABETES_LABELS: Record<DiabetesPopulation, string> = {
+  type1: 'type 1 diabetes',
+  type2: 'type 2 diabetes',
+  gestational: 'gestational diabetes',
+  prediabetes: 'prediabetes',
+  mixed: 'mixed diabetes types'
+};
+
+const NUMBER = String.raw`\d{1,3}(?:,\d{3})+|\d+`;
+const PARTICIPANT_WORDS = 'participants|patients|subjects|individuals|adults|children|adolescents|women|men|people|persons|volunteers|pregnancies';
+// Up to 3 describing words between count and noun ("120 obese adult patients"), but not
+// "12 weeks in patients" or the "2" of "type 2 diabetes patients"
+const DESCRIBING_WORD = String.raw`(?!(?:in|of|with|for|from|and|or|per|days?|weeks?|months?|years?|hours?|mg|kg)\b)[a-z-]+\s+`;
+const SAMPLE_PATTERNS: RegExp[] = [
+  new RegExp(String.raw`\bn\s*=\s*(${NUMBER})\b`, 'gi'),
+  new RegExp(String.raw`(?<!type\s*)\b(${NUMBER})\s+(?:${DESCRIBING_WORD}){0,3}?(?:${PARTICIPANT_WORDS})\b`, 'gi'),
+  new RegExp(String.raw`\b(?:enrolled|randomi[sz]ed|recruited|included|a total of)\s+(${NUMBER})\b`, 'gi')
+];
+
+// Ages ("65-year-old", "over 65 years", "for 10 years of age") are not durations
+const DURATION_PATTERNS: RegExp[] = [
+  /\b(\d+(?:\.\d+)?)-(day|week|month|year)\b(?!-old)/i, // "24-week trial"
+  /\b(?:for|during|lasting|follow-up of|followed (?:up )?for|median follow-up of)\s+(\d+(?:\.\d+)?)\s+(day|week|month|year)s?\b(?!\s+(?:of age|old))/i,
+  /\bover\s+(\d+(?:\.\d+)?)\s+(day|week|month)s?\b/i
+];
+
+const COMPARISON_PATTERN = /\s(?:versus|vs\.?|compared (?:with|to))\s/i;
+const TERM_STOP_WORDS = /\s(?:in|on|for|among|with|at|and|to|during|after|by)\s/i;
+const OUTCOME_PATTERN = /primary (?:efficacy )?(?:outcome|end ?point)s?\s+(?:was|were|is|included|:)\s+(?:the\s+)?([^.;]{3,})/i;
+
+/**
+ * Extract the study metadata of a document (fields the source does not state are null)
+ */
+export function extractStudyMetadata(document: ResearchDocument): StudyMetadata {
+  const text = `${document.title}. ${document.abstract}`;
+  const trial = document.sourceId === 'clinicaltrials'
+    ? document.raw as { enrollmentCount?: number | null; interventions?: string[]; conditions?: string[]; startDate?: string | null; completionDate?: string | null }
+    : null;
+  const meshTerms = document.sourceId === 'pubmed'
+    ? (document.raw as { meshTerms?: string[] } | null)?.meshTerms ?? []
+    : [];
+
+  const [intervention, comparator] = trial?.interventions?.length
+    ? trialArms(trial.interventions)
+    : comparison(document.title) ?? comparison(document.abstract) ?? [null, /placebo-controlled/i.test(text) ? 'placebo' : null];
+
+  const duration = (trial && trialDuration(trial.startDate, trial.completionDate)) || studyDuration(text);
+
+  return {
+    sampleSize: trial?.enrollmentCount || sampleSize(text),
+    diabetesType: diabetesPopulation(trial?.conditions?.join('. ') || meshTerms.join('. ') || '') ?? diabetesPopulation(document.title) ?? diabetesPopulation(text),
+    intervention: intervention ? cleanTerm(intervention) : null,
+    comparator: comparator ? cleanTerm(comparator) : null,
+    duration: duration?.text ?? null,
+    durationWeeks: duration?.weeks ?? null,
+    primaryOutcome: primaryOutcome(document.abstract)
+  };
+}
+
+/**
+ * Attach study metadata to documents (once per document)
+ */
+export function attachStudyMetadata(documents: ResearchDocument[]): void {
+  for (const document of documents) {
+    if (!document.studyMetadata) {
+      document.studyMetadata = extractStudyMetadata(document);
+    }
+  }
+}
+
+/**
+ * Whether any field is known
+ */
+export function hasStudyMetadata(metadata: StudyMetadata | undefined): metadata is StudyMetadata {
+  return !!metadata && Object.values(metadata).some(value => value !== null);
+}
+
+/**
+ * Ranking points for study size and length (-5 to +10, 0 when unknown)
+ * Pilots under 30 participants lose points, large and long studies gain them
+ */
+export function studyQualityBoost(metadata: StudyMetadata | undefined): number {
+  if (!metadata) return 0;
+
+  let boost = 0;
+  const n = metadata.sampleSize;
+  if (n !== null) {
+    if (n < 30) boost -= 5; // Pilot / feasibility size
+    else if (n >= 2000) boost += 8;
+    else if (n >= 500) boost += 5;
+    else if (n >= 100) boost += 3;
+  }
+  if (metadata.durationWeeks !== null && metadata.durationWeeks >= 52) {
+    boost += 2; // Long-term outcomes
+  }
+
+  return Math.min(10, boost);
+}
+
+/**
+ * One-line summary for the synthesis prompt ('' when nothing is known)
+ * e.g. "n=1,234 · type 2 diabetes · 24 weeks · dapagliflozin vs placebo · primary outcome: change in HbA1c"
+ */
+export function formatStudyMetadata(metadata: StudyMetadata | undefined): string {
+  if (!metadata) return '';
+
+  const parts: string[] = [];
+  if (metadata.sampleSize !== null) parts.push(`n=${metadata.sampleSize.toLocaleString('en-US')}`);
+  if (metadata.diabetesType) parts.push(DIABETES_LABELS[metadata.diabetesType]);
+  if (metadata.duration) parts.push(metadata.duration);
+  if (metadata.intervention) {
+    parts.push(metadata.comparator ? `${metadata.intervention} vs ${metadata.comparator}` : metadata.intervention);
+  } else if (metadata.comparator) {
+    parts.push(`${metadata.comparator}-controlled`);
+  }
+  if (metadata.primaryOutcome) parts.push(`primary outcome: ${metadata.primaryOutcome}`);
+
+  return parts.join(' · ');
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Largest participant count stated (the total, not one arm)
+ */
+function sampleSize(text: string): number | null {
+  const counts = SAMPLE_PATTERNS
+    .flatMap(pattern => [...text.matchAll(pattern)])
+    .map(match => parseInt(match[1].replace(/,/g, ''), 10))
+    .filter(count => Number.isFinite(count) && count > 1 && count <= MAX_SAMPLE_SIZE);
+
+  return counts.length > 0 ? Math.max(...counts) : null;
+}
+
+function diabetesPopulation(text: string): DiabetesPopulation | null {
+  const types = DIABETES_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([type]) => type);
+  if (types.length === 0) return null;
+  return types.length === 1 ? types[0] : 'mixed';
+}
+
+function studyDuration(text: string): { text: string; weeks: number } | null {
+  for (const pattern of DURATION_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    return {
+      text: `${match[1]} ${unit}${value === 1 ? '' : 's'}`,
+      weeks: Math.round(value * WEEKS_PER_UNIT[unit])
+    };
+  }
+  return null;
+}
+
+function trialDuration(startDate?: string | null, completionDate?: string | null): { text: string; weeks: number } | null {
+  if (!startDate || !completionDate) return null;
+
+  const weeks = Math.round((Date.parse(completionDate) - Date.parse(startDate)) / (7 * 24 * 60 * 60 * 1000));
+  if (!Number.isFinite(weeks) || weeks <= 0) return null;
+
+  return weeks >= 104
+    ? { text: `${Math.round(weeks / 52.18)} years`, weeks }
+    : { text: `${weeks} weeks`, weeks };
+}
+
+/**
+ * "A versus B" within one clause → [A, B]
+ */
+function comparison(text: string): [string, string] | null {
+  for (const clause of text.split(/[.;:()]/)) {
+    const match = clause.match(COMPARISON_PATTERN);
+    if (!match || match.index === undefined) continue;
+
+    const before = clause.slice(0, match.index);
+    const after = clause.slice(match.index + match[0].length).split(TERM_STOP_WORDS)[0];
+    // "Efficacy of dapagliflozin versus placebo" → "dapagliflozin"
+    const subject = before.includes(' of ') ? before.slice(before.lastIndexOf(' of ') + 4) : before;
+
+    const intervention = lastWords(subject.split(',').pop()!.split(TERM_STOP_WORDS).pop()!, MAX_TERM_WORDS);
+    const comparator = firstWords(after.split(',')[0], MAX_TERM_WORDS);
+    if (intervention && comparator) {
+      return [intervention, comparator];
+    }
+  }
+  return null;
+}
+
+/**
+ * ClinicalTrials.gov interventions ("Drug: Metformin") → [intervention, comparator]
+ * A placebo / usual care arm is the comparator wherever it is listed
+ */
+function trialArms(interventions: string[]): [string | null, string | null] {
+  const arms = interventions.map(arm => arm.replace(/^[A-Za-z ]+:\s*/, ''));
+  const control = arms.find(arm => /placebo|usual care|standard care|sham/i.test(arm)) ?? null;
+  const active = arms.filter(arm => arm !== control);
+
+  return [active[0] ?? null, control ?? active[1] ?? null];
+}
+
+function primaryOutcome(abstract: string): string | null {
+  const match = abstract.match(OUTCOME_PATTERN);
+  if (!match) return null;
+
+  const outcome = match[1].trim();
+  return outcome.length > MAX_OUTCOME_CHARS ? `${outcome.substring(0, MAX_OUTCOME_CHARS - 3)}...` : outcome;
+}
+
+function cleanTerm(term: string): string | null {
+  const cleaned = term.replace(/^(?:the|a|an)\s+/i, '').replace(/\s+/g, ' ').trim();
+  return cleaned.length >= 3 ? cleaned : null;
+}
+
+function lastWords(text: string, count: number): string {
+  return text.trim().split(/\s+/).slice(-count).join(' ');
+}
+
+function firstWords(text: string, count: number): string {
+  return text.trim().split(/\s+/).slice(0, count).join(' ');
+}
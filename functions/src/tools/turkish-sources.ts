@@ -0,0 +1,351 @@
+/**
+ * Turkish Source Track - TEMD guidelines, Turkish journals and Ministry of Health pages
+ *
+ * Every other research source searches English databases, while answers are written
+ * for users in Türkiye. This track adds sources that describe local practice:
+ * - TEMD (Türkiye Endokrinoloji ve Metabolizma Derneği) guideline sections, searched in
+ *   the local index ./data/temd-guidelines.json (research-sources/temd.ts)
+ * - Turkish medical journals, Exa restricted to TURKISH_JOURNAL_DOMAINS
+ *   (research-sources/turkish-journals.ts)
+ * - T.C. Sağlık Bakanlığı pages, Exa restricted to TURKISH_HEALTH_MINISTRY_DOMAINS
+ *   (research-sources/turkish-health-ministry.ts)
+ *
+ * These sources search with the user's own (usually Turkish) question, are ranked with
+ * the English results by source-ranker, and set ResearchSource.localGuidance so their
+ * results are flagged as local guidance in the synthesis prompt and the iOS source list.
+ *
+ * TEMD INDEX:
+ * - Sections of the guideline text, tagged with the MeSH descriptors they mention
+ *   (mesh-query-builder.ts), so English round 2+ queries still find Turkish sections
+ * - Keyword scoring on folded Turkish stems plus shared MeSH descriptors
+ * - `npm run ingest-temd-guidelines` rebuilds it from text/markdown exports of the
+ *   guideline PDFs; setTemdIndex() swaps it at runtime (tests, hot fixes)
+ * - Documents marked `content: summary` (chapter scope summaries, like the bundled one)
+ *   are not guideline text: their sections are never returned, and while the index has
+ *   nothing else, deep research does not query 'temd' at all (hasTemdGuidelineText)
+ */
+
+import bundledIndex from './data/temd-guidelines.json';
+import { foldTurkish } from '../utils/turkish-text';
+import { matchMeshTerms } from './mesh-query-builder';
+
+export interface TemdGuidelineDocument {
+  id: string;
+  title: string; // e.g. "TEMD Diabetes Mellitus ve Komplikasyonlarının Tanı, Tedavi ve İzlem Kılavuzu"
+  edition: string | null; // e.g. "2024"
+  url: string;
+  summaryOnly?: boolean; // Chapter scope summaries, not the guideline text
+}
+
+export interface TemdGuidelineSection {
+  id: string; // Stable across rebuilds: <document>-<heading slug>[-<part>]
+  documentId: string;
+  heading: string;
+  text: string;
+  topics: string[]; // MeSH descriptors mentioned in the heading or text
+}
+
+export interface TemdGuidelineIndex {
+  version: string;
+  builtAt: string;
+  source: string;
+  documents: TemdGuidelineDocument[];
+  sections: TemdGuidelineSection[];
+}
+
+/**
+ * TEMD section found for a query
+ */
+export interface TemdGuidelineResult {
+  sectionId: string;
+  heading: string;
+  text: string;
+  documentTitle: string;
+  edition: string | null;
+  url: string;
+  score: number;
+}
+
+/**
+ * Guideline text file to ingest (text/markdown export of a guideline PDF)
+ */
+export interface TemdGuidelineFile {
+  fileName: string;
+  content: string;
+}
+
+// Sections longer than this are split at paragraph boundaries
+const MAX_SECTION_CHARS = 1500;
+
+// Turkish words are compared by their first letters ("hipoglisemide" ~ "hipoglisemi")
+const STEM_LENGTH = 6;
+
+// Weight of a MeSH descriptor shared by the query and a section (times its rarity,
+// so "Diabetes Mellitus", which tags most sections, adds little)
+const TOPIC_WEIGHT = 2;
+
+// Below this a section only shares common words ("diyabet") with the query
+const MIN_SCORE = 3;
+
+const QUERY_STOPWORDS = new Set([
+  've', 'veya', 'ile', 'icin', 'bir', 'bu', 'da', 'de', 'mi', 'mu', 'ne', 'nedir', 'nasil', 'neden',
+  'hangi', 'kac', 'gibi', 'daha', 'en', 'olur', 'olan', 'var', 'yok', 'mi', 'misin', 'miyim',
+  'the', 'and', 'for', 'with', 'what', 'how', 'does', 'are', 'is', 'of', 'in', 'to'
+]);
+
+let index: TemdGuidelineIndex = bundledIndex as TemdGuidelineIndex;
+let documentFrequencies: Map<string, number> | null = null;
+
+/**
+ * Replace the TEMD index (e.g. after ingesting a new edition, or in tests)
+ */
+export function setTemdIndex(next: TemdGuidelineIndex): void {
+  index = next;
+  documentFrequencies = null;
+}
+
+/**
+ * The index currently in use
+ */
+export function getTemdIndex(): TemdGuidelineIndex {
+  return index;
+}
+
+/**
+ * Whether the index holds any guideline text (not only chapter scope summaries)
+ */
+export function hasTemdGuidelineText(): boolean {
+  return index.sections.some(section => !isSummarySection(section));
+}
+
+/**
+ * Search the TEMD guideline sections
+ *
+ * @param query - The user's question (Turkish or English)
+ * @param count - Maximum number of sections
+ * @param meshTerms - MeSH descriptors of the query (default: mapped from the query)
+ * @returns Best matching sections, best first; empty when none is specific to the query
+ *          (sections of summary-only documents are skipped)
+ */
+export function searchTemdGuidelines(
+  query: string,
+  count: number,
+  meshTerms: string[] = matchMeshTerms(query).map(match => match.descriptor)
+): TemdGuidelineResult[] {
+  const queryStems = [...new Set(stems(query).filter(stem => !QUERY_STOPWORDS.has(stem)))];
+  const frequencies = getDocumentFrequencies();
+  const total = Math.max(1, index.sections.length);
+
+  const scored = index.sections.filter(section => !isSummarySection(section)).map(section => {
+    const sectionStems = new Set(stems(`${section.heading} ${section.text}`));
+    const headingStems = new Set(stems(section.heading));
+
+    let score = 0;
+    for (const stem of queryStems) {
+      if (!sectionStems.has(stem)) continue;
+      const idf = Math.log(1 + total / (frequencies.get(stem) ?? 1));
+      score += headingStems.has(stem) ? 2 * idf : idf;
+    }
+    for (const topic of section.topics.filter(topic => meshTerms.includes(topic))) {
+      score += TOPIC_WEIGHT * Math.log(total / (frequencies.get(topicKey(topic)) ?? 1));
+    }
+
+    return { section, score };
+  });
+
+  return scored
+    .filter(({ score }) => score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ section, score }) => {
+      const document = index.documents.find(candidate => candidate.id === section.documentId);
+      return {
+        sectionId: section.id,
+        heading: section.heading,
+        text: section.text,
+        documentTitle: document?.title ?? 'TEMD Kılavuzu',
+        edition: document?.edition ?? null,
+        url: document?.url ?? 'https://temd.org.tr',
+        score: Math.round(score * 100) / 100
+      };
+    });
+}
+
+/**
+ * Build the index from guideline text files
+ *
+ * Each file starts with a front matter block (title, edition, url and `content: summary`
+ * for scope summaries between `---` lines);
+ * markdown headings (#, ##) and numbered upper-case headings ("3.2. HİPOGLİSEMİ") start
+ * a new section.
+ */
+export function buildTemdIndex(files: TemdGuidelineFile[], builtAt: string = new Date().toISOString().slice(0, 10)): TemdGuidelineIndex {
+  const documents: TemdGuidelineDocument[] = [];
+  const sections: TemdGuidelineSection[] = [];
+
+  for (const file of files) {
+    const { meta, body } = parseFrontMatter(file.content);
+    const documentId = meta.id || slugify(file.fileName.replace(/\.[^.]+$/, ''));
+
+    documents.push({
+      id: documentId,
+      title: meta.title || file.fileName,
+      edition: meta.edition || null,
+      url: meta.url || 'https://temd.org.tr',
+      ...(meta.content === 'summary' && { summaryOnly: true })
+    });
+
+    for (const { heading, paragraphs } of splitSections(body)) {
+      const parts = chunkParagraphs(paragraphs);
+      parts.forEach((text, i) => {
+        sections.push({
+          id: `${documentId}-${slugify(heading)}${parts.length > 1 ? `-${i + 1}` : ''}`,
+          documentId,
+          heading,
+          text,
+          topics: matchMeshTerms(`${heading}. ${text}`).map(match => match.descriptor)
+        });
+      });
+    }
+  }
+
+  return {
+    version: builtAt.replace(/-/g, '.'),
+    builtAt,
+    source: `Ingested from ${files.map(file => file.fileName).join(', ')} with \`npm run ingest-temd-guidelines\``,
+    documents,
+    sections
+  };
+}
+
+/**
+ * Synthesis instructions when selected sources are flagged as local guidance
+ * (appended to the T3 system prompt)
+ */
+export function buildLocalGuidanceInstructions(): string {
+  return `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+🇹🇷 YEREL KAYNAKLAR (TÜRKİYE)
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+"Local guidance:" satırı olan kaynaklar Türkiye'ye özgüdür: TEMD kılavuzu, T.C. Sağlık Bakanlığı sayfaları veya Türk tıp dergileri.
+
+KURALLAR:
+1. Türkiye'deki uygulamayı (tanı ölçütleri, tedavi basamakları, tarama ve izlem) anlatırken yerel kaynağı belirt (ör. "TEMD kılavuzuna göre [5]")
+2. Yerel öneri uluslararası kılavuzlardan (ADA, EASD) farklıysa ikisini de aktar ve farkı açıkça söyle
+3. Yerel kaynaklar uluslararası kanıtın yerine geçmez; çalışma bulgularını yine araştırma kaynaklarına dayandır
+`;
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function stems(text: string): string[] {
+  return (foldTurkish(text).match(/[a-z0-9]+/g) ?? [])
+    .filter(word => word.length > 1)
+    .map(word => word.substring(0, STEM_LENGTH));
+}
+
+/**
+ * Number of sections each stem and MeSH topic occurs in
+ */
+function getDocumentFrequencies(): Map<string, number> {
+  if (documentFrequencies) return documentFrequencies;
+
+  documentFrequencies = new Map();
+  for (const section of index.sections) {
+    const keys = [...new Set(stems(`${section.heading} ${section.text}`)), ...section.topics.map(topicKey)];
+    for (const key of keys) {
+      documentFrequencies.set(key, (documentFrequencies.get(key) ?? 0) + 1);
+    }
+  }
+  return documentFrequencies;
+}
+
+function isSummarySection(section: TemdGuidelineSection): boolean {
+  return index.documents.some(document => document.id === section.documentId && document.summaryOnly === true);
+}
+
+function topicKey(topic: string): string {
+  return `mesh:${topic}`;
+}
+
+function parseFrontMatter(content: string): { meta: Record<string, string>; body: string } {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: content };
+
+  const meta: Record<string, string> = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      meta[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+    }
+  }
+  return { meta, body: content.substring(match[0].length) };
+}
+
+/**
+ * Headings and their paragraphs; text before the first heading is skipped
+ */
+function splitSections(body: string): Array<{ heading: string; paragraphs: string[] }> {
+  const sections: Array<{ heading: string; paragraphs: string[] }> = [];
+  let current: { heading: string; paragraphs: string[] } | null = null;
+  let paragraph: string[] = [];
+
+  const endParagraph = () => {
+    if (current && paragraph.length > 0) current.paragraphs.push(paragraph.join(' '));
+    paragraph = [];
+  };
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const heading = headingOf(line);
+
+    if (heading) {
+      endParagraph();
+      current = { heading, paragraphs: [] };
+      sections.push(current);
+    } else if (line === '') {
+      endParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  endParagraph();
+
+  return sections.filter(section => section.paragraphs.length > 0);
+}
+
+function headingOf(line: string): string | null {
+  const markdown = line.match(/^#{1,3}\s+(.+)$/);
+  if (markdown) return markdown[1].trim();
+
+  // Numbered upper-case headings from PDF exports: "3.2. HİPOGLİSEMİ"
+  const numbered = line.match(/^\d+(?:\.\d+)*\.?\s+(.{3,80})$/);
+  if (numbered && numbered[1] === numbered[1].toLocaleUpperCase('tr-TR') && /[A-ZÇĞİÖŞÜ]/.test(numbered[1])) {
+    return numbered[1].trim();
+  }
+  return null;
+}
+
+function chunkParagraphs(paragraphs: string[]): string[] {
+  const chunks: string[] = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 1 > MAX_SECTION_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+function slugify(text: string): string {
+  return foldTurkish(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+}
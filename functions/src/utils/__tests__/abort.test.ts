@@ -0,0 +1,67 @@
+/**
+ * Tests for abort utility
+ */
+
+import {
+  ResearchCancelledError,
+  isCancellationError,
+  throwIfAborted,
+  raceWithAbort
+} from '../abort';
+
+describe('abort', () => {
+  describe('isCancellationError', () => {
+    it('should recognise our error and the abort errors of axios and fetch', () => {
+      expect(isCancellationError(new ResearchCancelledError('PubMed search'))).toBe(true);
+      expect(isCancellationError({ name: 'AbortError' })).toBe(true);
+      expect(isCancellationError({ name: 'CanceledError', code: 'ERR_CANCELED' })).toBe(true);
+    });
+
+    it('should not treat other failures as cancellation', () => {
+      expect(isCancellationError(new Error('timeout'))).toBe(false);
+      expect(isCancellationError(undefined)).toBe(false);
+    });
+  });
+
+  describe('throwIfAborted', () => {
+    it('should throw with the stage once the signal is aborted', () => {
+      const controller = new AbortController();
+      expect(() => throwIfAborted(controller.signal, 'planning')).not.toThrow();
+
+      controller.abort();
+      expect(() => throwIfAborted(controller.signal, 'planning')).toThrow('Research cancelled during planning');
+    });
+
+    it('should ignore a missing signal', () => {
+      expect(() => throwIfAborted(undefined, 'planning')).not.toThrow();
+    });
+  });
+
+  describe('raceWithAbort', () => {
+    it('should reject as soon as the signal aborts', async () => {
+      const controller = new AbortController();
+      const never = new Promise<string>(() => {});
+
+      const raced = raceWithAbort(never, controller.signal, 'Exa search');
+      controller.abort();
+
+      await expect(raced).rejects.toBeInstanceOf(ResearchCancelledError);
+    });
+
+    it('should pass results and errors through while not aborted', async () => {
+      const controller = new AbortController();
+
+      await expect(raceWithAbort(Promise.resolve('ok'), controller.signal, 'Exa search')).resolves.toBe('ok');
+      await expect(raceWithAbort(Promise.reject(new Error('boom')), controller.signal, 'Exa search'))
+        .rejects.toThrow('boom');
+    });
+
+    it('should reject immediately for an already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(raceWithAbort(Promise.resolve('ok'), controller.signal, 'Exa search'))
+        .rejects.toBeInstanceOf(ResearchCancelledError);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for research-job-progress utility
+ */
+
+import { applyJobEvent, createInitialJobProgress, JobProgress } from '../research-job-progress';
+
+function applyAll(events: any[]): JobProgress {
+  return events.reduce(applyJobEvent, createInitialJobProgress());
+}
+
+describe('research-job-progress', () => {
+  it('should start queued with no progress', () => {
+    const progress = createInitialJobProgress();
+
+    expect(progress.status).toBe('queued');
+    expect(progress.phase).toBe('queued');
+    expect(progress.roundsCompleted).toBe(0);
+    expect(progress.answer).toBe('');
+  });
+
+  it('should track phases, rounds and sources through a full T3 run', () => {
+    const progress = applyAll([
+      { type: 'searching_memory', message: '' },
+      { type: 'planning_started', message: '', sequence: 0 },
+      { type: 'planning_complete', plan: { estimatedRounds: 3 }, sequence: 1 },
+      { type: 'round_started', round: 1, query: 'q', estimatedSources: 15, sequence: 2 },
+      { type: 'round_complete', round: 1, sourceCount: 12, duration: 10, sources: [], status: 'complete', sequence: 3 },
+      { type: 'reflection_started', round: 1, sequence: 4 },
+      { type: 'round_started', round: 2, query: 'q2', estimatedSources: 10, sequence: 5 },
+      { type: 'round_complete', round: 2, sourceCount: 8, duration: 8, sources: [], status: 'complete', sequence: 6 },
+      { type: 'source_selection_started', message: '', sequence: 7 },
+      { type: 'synthesis_started', totalRounds: 2, totalSources: 18, sequence: 220 },
+      { type: 'token', content: 'Merhaba ' },
+      { type: 'token', content: 'dünya' },
+      { type: 'complete', sources: [{ title: 'A' }], metadata: { rounds: 2 } }
+    ]);
+
+    expect(progress.status).toBe('complete');
+    expect(progress.phase).toBe('complete');
+    expect(progress.estimatedRounds).toBe(3);
+    expect(progress.roundsCompleted).toBe(2);
+    expect(progress.sourcesFound).toBe(18);
+    expect(progress.answer).toBe('Merhaba dünya');
+    expect(progress.sources).toEqual([{ title: 'A' }]);
+    expect(progress.metadata).toEqual({ rounds: 2 });
+  });
+
+  it('should record errors', () => {
+    const progress = applyAll([
+      { type: 'planning_started', message: '', sequence: 0 },
+      { type: 'error', message: 'Bir hata oluştu' }
+    ]);
+
+    expect(progress.status).toBe('error');
+    expect(progress.error).toBe('Bir hata oluştu');
+  });
+
+  it('should ignore unknown events', () => {
+    const initial = createInitialJobProgress();
+    expect(applyJobEvent(initial, { type: 'api_started', api: 'pubmed' })).toBe(initial);
+  });
+});
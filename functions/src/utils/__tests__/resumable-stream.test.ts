@@ -0,0 +1,354 @@
+/**
+ * Tests for resumable-stream utility
+ */
+
+import { EventEmitter } from 'events';
+import { Response } from 'express';
+import { getFirestore } from 'firebase-admin/firestore';
+import {
+  FirestoreStreamEventStore,
+  ResumableStream,
+  StreamEventStore,
+  StoredStreamEvent,
+  StreamRecord,
+  StreamStatus,
+  StreamDetails,
+  formatEventId,
+  parseEventId,
+  parseResumeRequest,
+  readStreamTranscript,
+  resumeStream,
+  getActiveStream,
+  getResumableStream,
+  mergeTokenEvents
+} from '../resumable-stream';
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn()
+}));
+
+/**
+ * In-memory event store
+ */
+class MemoryStore implements StreamEventStore {
+  streams = new Map<string, StreamRecord>();
+  events = new Map<string, StoredStreamEvent[]>();
+
+  async createStream(streamId: string, userId: string, details: StreamDetails = {}): Promise<void> {
+    this.streams.set(streamId, {
+      streamId,
+      userId,
+      status: 'running',
+      lastSeq: 0,
+      updatedAt: new Date(),
+      question: details.question
+    });
+    this.events.set(streamId, []);
+  }
+
+  async appendEvents(streamId: string, events: StoredStreamEvent[]): Promise<void> {
+    this.events.get(streamId)!.push(...events);
+    const record = this.streams.get(streamId)!;
+    record.lastSeq = events[events.length - 1].seq;
+    record.updatedAt = new Date();
+  }
+
+  async setStatus(streamId: string, status: StreamStatus): Promise<void> {
+    this.streams.get(streamId)!.status = status;
+  }
+
+  async getStream(streamId: string): Promise<StreamRecord | null> {
+    const record = this.streams.get(streamId);
+    return record ? { ...record } : null;
+  }
+
+  async getEventsAfter(streamId: string, afterSeq: number, limit: number): Promise<StoredStreamEvent[]> {
+    return (this.events.get(streamId) ?? []).filter(e => e.seq > afterSeq).slice(0, limit);
+  }
+}
+
+/**
+ * Minimal Response stand-in that records written frames
+ */
+function fakeResponse(): Response & { output: string[]; close: () => void } {
+  const emitter = new EventEmitter() as any;
+  emitter.output = [];
+  emitter.writableEnded = false;
+  emitter.destroyed = false;
+  emitter.write = jest.fn((chunk: string) => {
+    emitter.output.push(chunk);
+    return true;
+  });
+  emitter.end = jest.fn(() => {
+    emitter.writableEnded = true;
+  });
+  emitter.close = () => {
+    emitter.destroyed = true;
+    emitter.emit('close');
+  };
+  return emitter;
+}
+
+function frameIds(res: { output: string[] }): string[] {
+  return res.output
+    .filter(frame => frame.startsWith('id: '))
+    .map(frame => frame.split('\n')[0].substring(4));
+}
+
+describe('resumable-stream', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('event ids', () => {
+    it('should round-trip stream id and sequence', () => {
+      expect(parseEventId(formatEventId('abc-123', 42))).toEqual({ streamId: 'abc-123', seq: 42 });
+    });
+
+    it('should reject malformed ids', () => {
+      expect(parseEventId('no-separator')).toBeNull();
+      expect(parseEventId('abc:notanumber')).toBeNull();
+      expect(parseEventId(':5')).toBeNull();
+    });
+  });
+
+  describe('parseResumeRequest', () => {
+    it('should prefer the Last-Event-ID header', () => {
+      expect(parseResumeRequest({ 'last-event-id': 'stream-1:7' }, { resumeToken: 'other' }))
+        .toEqual({ streamId: 'stream-1', afterSeq: 7 });
+    });
+
+    it('should accept lastEventId in the body', () => {
+      expect(parseResumeRequest({}, { lastEventId: 'stream-1:3' }))
+        .toEqual({ streamId: 'stream-1', afterSeq: 3 });
+    });
+
+    it('should replay from the start for a bare resume token', () => {
+      expect(parseResumeRequest({}, { resumeToken: 'stream-1' }))
+        .toEqual({ streamId: 'stream-1', afterSeq: 0 });
+    });
+
+    it('should return null for normal requests', () => {
+      expect(parseResumeRequest({}, { question: 'HbA1c nedir?', userId: 'u1' })).toBeNull();
+    });
+  });
+
+  describe('ResumableStream', () => {
+    it('should assign monotonically increasing ids and register the response', async () => {
+      const store = new MemoryStore();
+      const res = fakeResponse();
+      const stream = await ResumableStream.open(res, 'user-1', store);
+
+      stream.send({ type: 'routing', message: 'a' });
+      stream.send({ type: 'token', content: 'b' });
+
+      expect(frameIds(res)).toEqual([formatEventId(stream.streamId, 1), formatEventId(stream.streamId, 2)]);
+      expect(getResumableStream(res)).toBe(stream);
+      expect(getActiveStream(stream.streamId)).toBe(stream);
+
+      await stream.finish('complete');
+    });
+
+    it('should keep logging after the client disconnects and persist on finish', async () => {
+      const store = new MemoryStore();
+      const res = fakeResponse();
+      const stream = await ResumableStream.open(res, 'user-1', store);
+
+      stream.send({ type: 'token', content: 'before' });
+      res.close();
+      stream.send({ type: 'token', content: 'after' });
+
+      expect(res.output).toHaveLength(1);
+
+      await stream.finish('complete');
+
+      expect(store.events.get(stream.streamId)!.map(e => e.seq)).toEqual([1, 2]);
+      expect(store.streams.get(stream.streamId)!.status).toBe('complete');
+      expect(getActiveStream(stream.streamId)).toBeUndefined();
+    });
+
+    it('should report abandonment only when no client re-attaches within the grace period', async () => {
+      jest.useFakeTimers();
+      const store = new MemoryStore();
+      const original = fakeResponse();
+      const stream = await ResumableStream.open(original, 'user-1', store);
+      const abandoned = jest.fn();
+      stream.onAbandoned(1000, abandoned);
+
+      original.close();
+      jest.advanceTimersByTime(500);
+      stream.attach(fakeResponse(), 0);
+      jest.advanceTimersByTime(1000);
+      expect(abandoned).not.toHaveBeenCalled();
+
+      stream.detach();
+      jest.advanceTimersByTime(1000);
+      expect(abandoned).toHaveBeenCalledTimes(1);
+
+      jest.useRealTimers();
+      await stream.finish('cancelled');
+      expect(store.streams.get(stream.streamId)!.status).toBe('cancelled');
+    });
+  });
+
+  describe('resumeStream', () => {
+    it('should replay missed events and follow a job running on this instance', async () => {
+      const store = new MemoryStore();
+      const original = fakeResponse();
+      const stream = await ResumableStream.open(original, 'user-1', store);
+
+      stream.send({ type: 'token', content: '1' });
+      stream.send({ type: 'token', content: '2' });
+      original.close();
+      stream.send({ type: 'token', content: '3' });
+
+      const resumed = fakeResponse();
+      const outcome = resumeStream(resumed, { streamId: stream.streamId, afterSeq: 1 }, 'user-1', {
+        maxWaitMs: 1000,
+        store
+      });
+
+      stream.send({ type: 'token', content: '4' });
+      await stream.finish('complete');
+
+      await expect(outcome).resolves.toBe('completed');
+      expect(frameIds(resumed)).toEqual([2, 3, 4].map(seq => formatEventId(stream.streamId, seq)));
+    });
+
+    it('should replay from the store when the job ran on another instance', async () => {
+      const store = new MemoryStore();
+      await store.createStream('remote', 'user-1');
+      await store.appendEvents('remote', [1, 2, 3].map(seq => ({
+        seq,
+        id: formatEventId('remote', seq),
+        data: JSON.stringify({ type: 'token', content: String(seq) })
+      })));
+      await store.setStatus('remote', 'complete');
+
+      const resumed = fakeResponse();
+      const outcome = await resumeStream(resumed, { streamId: 'remote', afterSeq: 1 }, 'user-1', {
+        maxWaitMs: 1000,
+        store
+      });
+
+      expect(outcome).toBe('completed');
+      expect(frameIds(resumed)).toEqual(['remote:2', 'remote:3']);
+    });
+
+    it('should refuse streams that belong to another user', async () => {
+      const store = new MemoryStore();
+      await store.createStream('remote', 'user-1');
+
+      const outcome = await resumeStream(fakeResponse(), { streamId: 'remote', afterSeq: 0 }, 'intruder', {
+        maxWaitMs: 1000,
+        store
+      });
+
+      expect(outcome).toBe('forbidden');
+    });
+
+    it('should report unknown streams', async () => {
+      const outcome = await resumeStream(fakeResponse(), { streamId: 'missing', afterSeq: 0 }, 'user-1', {
+        maxWaitMs: 1000,
+        store: new MemoryStore()
+      });
+
+      expect(outcome).toBe('not_found');
+    });
+  });
+
+  describe('FirestoreStreamEventStore', () => {
+    const tokens = ['Dawn ', 'fenomeni ', 'sabah ', 'yükselmesidir.'];
+    const events: StoredStreamEvent[] = [
+      { seq: 1, id: 's:1', data: JSON.stringify({ v: 1, type: 'tier_selected', tier: 3 }) },
+      ...tokens.map((content, i) => ({ seq: i + 2, id: `s:${i + 2}`, data: JSON.stringify({ v: 1, type: 'token', content }) })),
+      { seq: 6, id: 's:6', data: JSON.stringify({ v: 1, type: 'complete' }) }
+    ];
+
+    /**
+     * Firestore stand-in for one stream: batch writes and the seq range query
+     */
+    function fakeFirestore() {
+      const docs = new Map<string, any>();
+      const query = (afterSeq = 0, limit = Infinity) => ({
+        where: (_field: string, _op: string, value: number) => query(value, limit),
+        orderBy: () => query(afterSeq, limit),
+        limit: (next: number) => query(afterSeq, next),
+        get: async () => ({
+          docs: [...docs.values()]
+            .filter(doc => doc.seq > afterSeq)
+            .sort((a, b) => a.seq - b.seq)
+            .slice(0, limit)
+            .map(doc => ({ data: () => doc }))
+        })
+      });
+      const streamRef: any = {
+        collection: () => ({ doc: (id: string) => ({ id }), ...query() })
+      };
+      const db = {
+        collection: () => ({ doc: () => streamRef }),
+        batch: () => ({
+          set: (ref: any, data: any) => {
+            if (ref !== streamRef) docs.set(ref.id, data);
+          },
+          commit: async () => {}
+        })
+      };
+      return { db, docs };
+    }
+
+    it('should join consecutive tokens into one entry', () => {
+      const merged = mergeTokenEvents(events);
+
+      expect(merged.map(event => event.seq)).toEqual([1, 5, 6]);
+      expect(merged[1]).toEqual({
+        seq: 5,
+        id: 's:5',
+        data: JSON.stringify({ v: 1, type: 'token', content: tokens.join('') }),
+        firstSeq: 2,
+        tokenLengths: tokens.map(token => token.length)
+      });
+    });
+
+    it('should write one document per token run and replay from inside it', async () => {
+      const { db, docs } = fakeFirestore();
+      (getFirestore as jest.Mock).mockReturnValue(db);
+      const store = new FirestoreStreamEventStore();
+
+      await store.appendEvents('s', events);
+      expect(docs.size).toBe(3);
+
+      const replay = await store.getEventsAfter('s', 3, 10);
+      expect(replay.map(event => [event.id, JSON.parse(event.data).content])).toEqual([
+        ['s:5', 'sabah yükselmesidir.'],
+        ['s:6', undefined]
+      ]);
+      expect((await store.getEventsAfter('s', 0, 10)).map(event => event.id)).toEqual(['s:1', 's:5', 's:6']);
+    });
+  });
+
+  describe('readStreamTranscript', () => {
+    it('should rebuild question, tier and answer from the event log', async () => {
+      const store = new MemoryStore();
+      const stream = await ResumableStream.open(fakeResponse(), 'user-1', store, { question: 'HbA1c nedir?' });
+
+      stream.send({ type: 'tier_selected', tier: 1, reasoning: '', confidence: 1 });
+      stream.send({ type: 'token', content: 'Üç aylık ' });
+      stream.send({ type: 'token', content: 'ortalama.' });
+      await stream.finish('complete');
+
+      await expect(readStreamTranscript(stream.streamId, 'user-1', store)).resolves.toEqual({
+        streamId: stream.streamId,
+        question: 'HbA1c nedir?',
+        tier: 1,
+        answer: 'Üç aylık ortalama.',
+        status: 'complete'
+      });
+      await expect(readStreamTranscript(stream.streamId, 'intruder', store)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for stream-context utility
+ */
+
+import { StreamContext } from '../stream-context';
+
+jest.mock('firebase-admin/firestore', () => ({
+  getFirestore: jest.fn()
+}));
+
+function fakeResponse(): { write: jest.Mock; output: string[] } {
+  const output: string[] = [];
+  return {
+    output,
+    write: jest.fn((chunk: string) => {
+      output.push(chunk);
+      return true;
+    })
+  };
+}
+
+describe('stream-context', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('should count bytes per context', () => {
+    const a = new StreamContext(fakeResponse());
+    const b = new StreamContext(fakeResponse());
+
+    a.writeEvent({ type: 'token', content: 'merhaba' });
+    a.writeEvent({ type: 'token', content: 'dünya' });
+    b.writeEvent({ type: 'token', content: 'x' });
+
+    const expected = (event: object) => Buffer.byteLength(`data: ${JSON.stringify(event)}\n\n`, 'utf8');
+    expect(a.totalBytes).toBe(
+      expected({ type: 'token', content: 'merhaba' }) + expected({ type: 'token', content: 'dünya' })
+    );
+    expect(b.totalBytes).toBe(expected({ type: 'token', content: 'x' }));
+  });
+
+  it('should track the last stage and the streamed answer length', () => {
+    const ctx = new StreamContext(fakeResponse());
+
+    ctx.writeEvent({ type: 'routing' });
+    ctx.writeEvent({ type: 'generating' });
+    ctx.writeEvent({ type: 'token', content: 'merhaba' });
+    ctx.writeEvent({ type: 'token', content: ' dünya' });
+
+    expect(ctx.lastStage).toBe('generating');
+    expect(ctx.streamedChars).toBe(13);
+  });
+
+  it('should stop writing events once the size limit is exceeded', () => {
+    const res = fakeResponse();
+    const ctx = new StreamContext(res, { maxBytes: 60 });
+
+    expect(ctx.writeEvent({ type: 'token', content: 'kısa' })).toBe(true);
+    expect(ctx.writeEvent({ type: 'token', content: 'bu olay sınırı aşıyor' })).toBe(false);
+
+    expect(res.output).toHaveLength(2);
+    expect(JSON.parse(res.output[1].replace(/^data: /, '')).type).toBe('error');
+  });
+
+  it('should keep heartbeats independent between contexts', () => {
+    jest.useFakeTimers();
+    const resA = fakeResponse();
+    const resB = fakeResponse();
+    const a = new StreamContext(resA, { heartbeatIntervalMs: 1000 });
+    const b = new StreamContext(resB, { heartbeatIntervalMs: 1000 });
+
+    a.startHeartbeat();
+    b.startHeartbeat();
+    jest.advanceTimersByTime(1000);
+
+    a.stopHeartbeat();
+    jest.advanceTimersByTime(2000);
+
+    expect(resA.output).toEqual([': keepalive\n\n']);
+    expect(resB.output).toEqual([': keepalive\n\n', ': keepalive\n\n', ': keepalive\n\n']);
+
+    b.close();
+  });
+
+  it('should expose an abort signal per context', () => {
+    const a = new StreamContext(fakeResponse());
+    const b = new StreamContext(fakeResponse());
+    const listener = jest.fn();
+    a.signal.addEventListener('abort', listener);
+
+    a.abort('client gone');
+    a.abort('again');
+
+    expect(a.aborted).toBe(true);
+    expect(b.aborted).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Cancellation Helpers
+ *
+ * Research requests carry an AbortSignal (see StreamContext) that fires when the
+ * client disconnects. Tools pass it to axios / Genkit so in-flight work stops,
+ * and orchestrators check it between stages.
+ */
+
+/**
+ * Thrown when research work is stopped because its signal was aborted
+ */
+export class ResearchCancelledError extends Error {
+  constructor(readonly stage: string) {
+    super(`Research cancelled during ${stage}`);
+    this.name = 'ResearchCancelledError';
+  }
+}
+
+/**
+ * True for our cancellation error and for the abort errors thrown by axios/fetch
+ */
+export function isCancellationError(error: any): boolean {
+  return (
+    error instanceof ResearchCancelledError ||
+    error?.name === 'AbortError' ||
+    error?.name === 'CanceledError' ||
+    error?.code === 'ERR_CANCELED'
+  );
+}
+
+/**
+ * Throw ResearchCancelledError if the signal has been aborted
+ */
+export function throwIfAborted(signal: AbortSignal | undefined, stage: string): void {
+  if (signal?.aborted) {
+    throw new ResearchCancelledError(stage);
+  }
+}
+
+/**
+ * Settle as soon as either the promise settles or the signal aborts
+ * Use for clients that can't take a signal themselves (e.g. exa-js)
+ */
+export function raceWithAbort<T>(
+  promise: Promise<T>,
+  signal: AbortSignal | undefined,
+  stage: string
+): Promise<T> {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new ResearchCancelledError(stage));
+
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(new ResearchCancelledError(stage));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
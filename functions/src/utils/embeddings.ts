@@ -0,0 +1,55 @@
+/**
+ * Embedding Helpers
+ * Shared utilities for text embeddings and vector similarity
+ */
+
+import { ai } from '../genkit-instance';
+import { getEmbedder } from '../providers';
+
+/**
+ * Embed a batch of texts with the provider's embedder
+ * Returns one vector per input text, in input order
+ */
+export async function embedTexts(texts: string[]): Promise<number[][]> {
+  if (texts.length === 0) {
+    return [];
+  }
+
+  const batch = await ai.embedMany({
+    embedder: getEmbedder(),
+    content: texts
+  });
+
+  return batch.map(item => item.embedding);
+}
+
+/**
+ * Embed a single text with the provider's embedder
+ */
+export async function embedText(text: string): Promise<number[]> {
+  const [embedding] = await embedTexts([text]);
+  return embedding;
+}
+
+/**
+ * Cosine similarity between two vectors
+ * Returns -1..1 (1 = same direction), 0 if either vector is empty or zero
+ */
+export function cosineSimilarity(a: number[], b: number[]): number {
+  const length = Math.min(a.length, b.length);
+  if (length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
@@ -0,0 +1,169 @@
+/**
+ * Fake Gemini - scriptable offline model for Jest and the emulator
+ *
+ * Registers Genkit plugins named `googleai` and `vertexai` that resolve every
+ * model name to the script, so all model references (getTier1Model(), the
+ * hard-coded 'vertexai/gemini-2.5-pro' in the planner, ...) run offline.
+ *
+ * SCRIPT:
+ * - Rules are tried in order against the request text (system + prompt)
+ * - `match` is a case-insensitive substring (or RegExp), `model` limits a rule
+ *   to one model name, `times` lets a rule answer only N calls
+ * - `respond` is text, an object (sent as JSON) or a function of the request;
+ *   `error` makes the call fail instead
+ * - Calls no rule matches get `fallback` (default: empty text, so callers take
+ *   their own fallback path)
+ * - Streaming calls receive the response in `chunkSize`-character chunks
+ *
+ * EMULATOR:
+ * Set FAKE_GEMINI_SCRIPT to a JSON script file; genkit-instance then loads
+ * these plugins instead of Google AI / Vertex AI. Embedders are not faked.
+ */
+
+import * as fs from 'fs';
+import { genkitPluginV2, model, type GenkitPluginV2 } from 'genkit/plugin';
+
+const DEFAULT_CHUNK_SIZE = 40;
+const FAKE_PLUGIN_NAMES = ['googleai', 'vertexai'];
+
+export interface FakeGeminiRequest {
+  model: string; // Model name without plugin prefix, e.g. 'gemini-2.5-pro'
+  system: string;
+  prompt: string;
+  text: string; // system + prompt, what rules match against
+}
+
+export interface FakeGeminiRule {
+  name?: string; // Shown in call logs
+  match?: string | RegExp;
+  model?: string;
+  respond?: string | object | ((request: FakeGeminiRequest) => string | object);
+  error?: string;
+  times?: number;
+}
+
+export interface FakeGeminiScript {
+  rules: FakeGeminiRule[];
+  fallback?: string;
+  chunkSize?: number;
+}
+
+export interface FakeGeminiCall {
+  model: string;
+  rule: string | null; // Rule name (or index), null for fallback
+  request: FakeGeminiRequest;
+  response: string;
+}
+
+export interface FakeGemini {
+  plugins: GenkitPluginV2[];
+  calls: FakeGeminiCall[];
+  reset(): void;
+}
+
+/**
+ * Whether the emulator should run on the fake model
+ */
+export function isFakeGeminiEnabled(): boolean {
+  return Boolean(process.env.FAKE_GEMINI_SCRIPT);
+}
+
+/**
+ * Load a JSON script (match strings are substrings - RegExp needs a TS script)
+ */
+export function loadFakeGeminiScript(filePath: string): FakeGeminiScript {
+  const script = JSON.parse(fs.readFileSync(filePath, 'utf8')) as FakeGeminiScript;
+  if (!Array.isArray(script.rules)) {
+    throw new Error(`Fake Gemini script ${filePath} has no "rules" array`);
+  }
+  return script;
+}
+
+function partsText(content: Array<{ text?: string }> = []): string {
+  return content.map(part => part.text ?? '').join('');
+}
+
+function matches(rule: FakeGeminiRule, request: FakeGeminiRequest): boolean {
+  if (rule.model && rule.model !== request.model) return false;
+  if (rule.match === undefined) return true;
+  if (rule.match instanceof RegExp) return rule.match.test(request.text);
+  return request.text.toLowerCase().includes(rule.match.toLowerCase());
+}
+
+function chunkText(text: string, size: number): string[] {
+  const chunks: string[] = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Create the fake model plugins for a script
+ */
+export function createFakeGemini(script: FakeGeminiScript): FakeGemini {
+  const calls: FakeGeminiCall[] = [];
+  const uses = new Map<number, number>();
+
+  const respond = async (modelName: string, request: any, options?: any) => {
+    if (options?.abortSignal?.aborted) {
+      throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+    }
+
+    const messages: Array<{ role: string; content: Array<{ text?: string }> }> = request.messages ?? [];
+    const system = messages.filter(m => m.role === 'system').map(m => partsText(m.content)).join('\n');
+    const prompt = messages.filter(m => m.role !== 'system').map(m => partsText(m.content)).join('\n');
+    const fakeRequest: FakeGeminiRequest = { model: modelName, system, prompt, text: `${system}\n${prompt}` };
+
+    const index = script.rules.findIndex((rule, i) =>
+      (rule.times === undefined || (uses.get(i) ?? 0) < rule.times) && matches(rule, fakeRequest)
+    );
+    const rule = index >= 0 ? script.rules[index] : undefined;
+    if (index >= 0) uses.set(index, (uses.get(index) ?? 0) + 1);
+
+    const ruleName = rule ? rule.name ?? `rule ${index}` : null;
+
+    if (rule?.error) {
+      calls.push({ model: modelName, rule: ruleName, request: fakeRequest, response: '' });
+      throw new Error(rule.error);
+    }
+
+    const output = rule
+      ? typeof rule.respond === 'function' ? rule.respond(fakeRequest) : rule.respond ?? ''
+      : script.fallback ?? '';
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+
+    calls.push({ model: modelName, rule: ruleName, request: fakeRequest, response: text });
+
+    if (options?.streamingRequested && options.sendChunk) {
+      for (const chunk of chunkText(text, script.chunkSize ?? DEFAULT_CHUNK_SIZE)) {
+        options.sendChunk({ content: [{ text: chunk }] });
+      }
+    }
+
+    return {
+      message: { role: 'model' as const, content: [{ text }] },
+      finishReason: 'stop' as const,
+      usage: {
+        inputTokens: Math.ceil(fakeRequest.text.length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      }
+    };
+  };
+
+  const plugins = FAKE_PLUGIN_NAMES.map(name => genkitPluginV2({
+    name,
+    resolve: (actionType, modelName) => actionType === 'model'
+      ? model({ name: modelName }, (request, options) => respond(modelName, request, options))
+      : undefined
+  }));
+
+  return {
+    plugins,
+    calls,
+    reset() {
+      calls.length = 0;
+      uses.clear();
+    }
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Research Event Protocol - emit side
+ *
+ * writeSSE and emitSSE pass every event through versionEvent():
+ * - stamps the protocol version (`v`) clients use to detect drift
+ * - in development (emulator, tests) validates it against the shared schema
+ *   and logs a warning - the event is still sent, a schema mismatch never
+ *   breaks a user's stream
+ */
+
+import {
+  ResearchEvent,
+  RESEARCH_EVENTS_PROTOCOL_VERSION,
+  checkResearchEvent
+} from '../shared/research-events';
+
+export type VersionedResearchEvent = ResearchEvent & { v: number };
+
+/**
+ * Validation runs in the emulator and in tests, not in production
+ */
+export function isEventValidationEnabled(): boolean {
+  return (
+    process.env.FUNCTIONS_EMULATOR === 'true' ||
+    process.env.NODE_ENV === 'development' ||
+    process.env.NODE_ENV === 'test'
+  );
+}
+
+/**
+ * Stamp the protocol version and (in development) validate the event
+ */
+export function versionEvent(event: ResearchEvent): VersionedResearchEvent {
+  const versioned = { v: RESEARCH_EVENTS_PROTOCOL_VERSION, ...event } as VersionedResearchEvent;
+
+  if (isEventValidationEnabled()) {
+    const check = checkResearchEvent(versioned);
+    if (!check.ok) {
+      console.warn(`⚠️ [SSE-SCHEMA] ${check.message}`);
+    }
+  }
+
+  return versioned;
+}
@@ -8,6 +8,11 @@ import type { ExaSearchResult } from '../tools/exa-search';
 import type { PubMedArticleResult } from '../tools/pubmed-search';
 import type { MedRxivResult } from '../tools/medrxiv-search';
 import type { ClinicalTrialResult } from '../tools/clinical-trials';
+import type { SelectedSource } from '../tools/source-selector';
+import type { ResearchDocument } from '../tools/research-sources';
+import type { EvidenceLevel } from '../tools/evidence-hierarchy';
+import type { StudyMetadata } from '../tools/study-metadata';
+import type { AlsoReportedBy } from '../tools/source-clustering';
 
 /**
  * Generate contextual follow-up questions using AI based on the query and answer
@@ -168,6 +173,10 @@ export interface FormattedSource {
   year?: string;
   snippet?: string;
   credibilityLevel?: string;
+  evidenceLevel?: EvidenceLevel; // Evidence hierarchy mode only
+  studyMetadata?: StudyMetadata; // Sample size, population, duration... (source cards)
+  alsoReportedBy?: AlsoReportedBy[]; // Same study from other sources (selected sources only)
+  localGuidance?: string; // Türkiye-specific source, e.g. 'TEMD kılavuzu (Türkiye)' (selected sources only)
 }
 
 /**
@@ -186,59 +195,12 @@ export function formatSourcesWithTypes(
   medrxiv: MedRxivResult[],
   clinicalTrials: ClinicalTrialResult[]
 ): FormattedSource[] {
-  const sources: FormattedSource[] = [];
-
-  // Add Exa sources
-  for (const result of exa) {
-    sources.push({
-      title: result.title,
-      url: result.url,
-      type: 'exaWeb',
-      snippet: result.snippet,
-      credibilityLevel: result.credibilityLevel,
-      journal: result.domain,
-      year: result.publishedDate || undefined,
-      authors: result.author || undefined
-    });
-  }
-
-  // Add PubMed sources
-  for (const article of pubmed) {
-    sources.push({
-      title: article.title,
-      url: article.url,
-      type: 'pubmed',
-      authors: article.authors.slice(0, 3).join(', ') + (article.authors.length > 3 ? ' et al.' : ''),
-      journal: article.journal,
-      year: article.publishDate.split('-')[0], // Extract year from date
-      snippet: article.abstract.substring(0, 300)
-    });
-  }
-
-  // Add medRxiv sources
-  for (const paper of medrxiv) {
-    sources.push({
-      title: paper.title,
-      url: paper.url,
-      type: 'medrxiv',
-      authors: paper.authors,
-      journal: 'medRxiv (preprint)',
-      year: paper.date.split('-')[0], // Extract year from date
-      snippet: paper.abstract.substring(0, 300)
-    });
-  }
-
-  // Add ClinicalTrials sources
-  for (const trial of clinicalTrials) {
-    sources.push({
-      title: trial.title,
-      url: trial.url,
-      type: 'clinicalTrial',
-      journal: 'ClinicalTrials.gov',
-      year: trial.startDate?.split('-')[0], // Extract year from start date
-      snippet: trial.summary.substring(0, 300)
-    });
-  }
+  const sources: FormattedSource[] = [
+    ...exa.map(formatExaSource),
+    ...pubmed.map(formatPubMedSource),
+    ...medrxiv.map(formatMedRxivSource),
+    ...clinicalTrials.map(formatClinicalTrialSource)
+  ];
 
   console.log(
     `📋 [RESEARCH-HELPERS] Formatted ${sources.length} sources: ` +
@@ -246,4 +208,100 @@ export function formatSourcesWithTypes(
   );
 
   return sources;
+}
+
+function formatExaSource(result: ExaSearchResult): FormattedSource {
+  return {
+    title: result.title,
+    url: result.url,
+    type: 'exaWeb',
+    snippet: result.snippet,
+    credibilityLevel: result.credibilityLevel,
+    journal: result.domain,
+    year: result.publishedDate || undefined,
+    authors: result.author || undefined
+  };
+}
+
+function formatPubMedSource(article: PubMedArticleResult): FormattedSource {
+  return {
+    title: article.title,
+    url: article.url,
+    type: 'pubmed',
+    authors: article.authors.slice(0, 3).join(', ') + (article.authors.length > 3 ? ' et al.' : ''),
+    journal: article.journal,
+    year: article.publishDate.split('-')[0], // Extract year from date
+    snippet: article.abstract.substring(0, 300)
+  };
+}
+
+function formatMedRxivSource(paper: MedRxivResult): FormattedSource {
+  return {
+    title: paper.title,
+    url: paper.url,
+    type: 'medrxiv',
+    authors: paper.authors,
+    journal: 'medRxiv (preprint)',
+    year: paper.date.split('-')[0], // Extract year from date
+    snippet: paper.abstract.substring(0, 300)
+  };
+}
+
+function formatClinicalTrialSource(trial: ClinicalTrialResult): FormattedSource {
+  return {
+    title: trial.title,
+    url: trial.url,
+    type: 'clinicalTrial',
+    journal: 'ClinicalTrials.gov',
+    year: trial.startDate?.split('-')[0], // Extract year from start date
+    snippet: trial.summary.substring(0, 300)
+  };
+}
+
+/**
+ * Sources from other registered research sources, built from the normalized document
+ * The client has no generic source type, so they are shown as web sources
+ */
+function formatDocumentSource(document: ResearchDocument): FormattedSource {
+  return {
+    title: document.title,
+    url: document.url,
+    type: 'exaWeb',
+    authors: document.authors.length > 0 ? document.authors.slice(0, 3).join(', ') : undefined,
+    journal: document.venue || document.domain,
+    year: document.publishDate?.split('-')[0],
+    snippet: document.abstract.substring(0, 300)
+  };
+}
+
+/**
+ * Format the sources selected for synthesis for the client, in citation order
+ * sources[i] has id i + 1, so inline [n] markers in the answer map to sources[n - 1]
+ */
+export function formatSelectedSourcesWithTypes(
+  selectedSources: SelectedSource[]
+): Array<FormattedSource & { id: number }> {
+  const formatters: Record<string, (source: any) => FormattedSource> = {
+    exa: formatExaSource,
+    pubmed: formatPubMedSource,
+    medrxiv: formatMedRxivSource,
+    clinicaltrials: formatClinicalTrialSource
+  };
+
+  return [...selectedSources]
+    .sort((a, b) => a.id - b.id)
+    .map(selected => {
+      const formatter = formatters[selected.sourceType];
+      const formatted = !formatter && selected.document
+        ? formatDocumentSource(selected.document)
+        : (formatter || formatExaSource)(selected.source);
+      return {
+        id: selected.id,
+        ...formatted,
+        evidenceLevel: selected.evidenceLevel,
+        studyMetadata: selected.studyMetadata,
+        alsoReportedBy: selected.alsoReportedBy,
+        localGuidance: selected.localGuidance
+      };
+    });
 }
\ No newline at end of file
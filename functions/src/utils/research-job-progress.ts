@@ -0,0 +1,106 @@
+/**
+ * Deep Research Job Progress
+ *
+ * Folds the SSE events emitted by the T3 pipeline into the progress snapshot
+ * stored on a background job document (phase, rounds, sources, answer).
+ */
+
+export type JobStatus = 'queued' | 'running' | 'complete' | 'error';
+
+export type JobPhase =
+  | 'queued'
+  | 'memory'
+  | 'planning'
+  | 'researching'
+  | 'reflecting'
+  | 'selecting_sources'
+  | 'synthesizing'
+  | 'complete'
+  | 'error';
+
+export interface JobProgress {
+  status: JobStatus;
+  phase: JobPhase;
+  roundsCompleted: number;
+  estimatedRounds: number | null;
+  sourcesFound: number;
+  answer: string;
+  sources: any[];
+  metadata: any | null;
+  error: string | null;
+}
+
+export function createInitialJobProgress(): JobProgress {
+  return {
+    status: 'queued',
+    phase: 'queued',
+    roundsCompleted: 0,
+    estimatedRounds: null,
+    sourcesFound: 0,
+    answer: '',
+    sources: [],
+    metadata: null,
+    error: null
+  };
+}
+
+/**
+ * Apply one pipeline event to the progress snapshot (returns a new object)
+ */
+export function applyJobEvent(progress: JobProgress, event: any): JobProgress {
+  switch (event?.type) {
+    case 'searching_memory':
+      return { ...progress, status: 'running', phase: 'memory' };
+
+    case 'planning_started':
+      return { ...progress, status: 'running', phase: 'planning' };
+
+    case 'planning_complete':
+      return { ...progress, estimatedRounds: event.plan?.estimatedRounds ?? progress.estimatedRounds };
+
+    case 'round_started':
+      return { ...progress, status: 'running', phase: 'researching' };
+
+    case 'round_complete':
+      return {
+        ...progress,
+        roundsCompleted: Math.max(progress.roundsCompleted, event.round ?? progress.roundsCompleted + 1),
+        sourcesFound: progress.sourcesFound + (event.sourceCount ?? 0)
+      };
+
+    case 'reflection_started':
+      return { ...progress, phase: 'reflecting' };
+
+    case 'source_selection_started':
+      return { ...progress, phase: 'selecting_sources' };
+
+    case 'synthesis_started':
+      return {
+        ...progress,
+        phase: 'synthesizing',
+        roundsCompleted: event.totalRounds ?? progress.roundsCompleted,
+        sourcesFound: event.totalSources ?? progress.sourcesFound
+      };
+
+    case 'generating':
+      return { ...progress, phase: 'synthesizing' };
+
+    case 'token':
+      return { ...progress, answer: progress.answer + (event.content ?? '') };
+
+    case 'complete':
+      return {
+        ...progress,
+        status: 'complete',
+        phase: 'complete',
+        sources: event.sources ?? [],
+        metadata: event.metadata ?? null
+      };
+
+    case 'error':
+      return { ...progress, status: 'error', phase: 'error', error: event.message ?? 'Bilinmeyen hata' };
+
+    default:
+      return progress;
+  }
+}
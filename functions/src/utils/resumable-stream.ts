@@ -0,0 +1,755 @@
+/**
+ * Resumable SSE Streams
+ *
+ * T3 deep research runs for 5-7 minutes. Every event is kept in a per-request
+ * event log so a reconnecting client can replay what it missed and keep following
+ * the still-running job. Background jobs always keep running; streaming requests
+ * keep running after a disconnect only when the client opted in (see ABANDONMENT).
+ *
+ * PROTOCOL:
+ * - Every event gets an SSE id of the form "<streamId>:<seq>" (seq increases by 1)
+ * - The first event of a stream is `stream_started` carrying the resume token (= streamId)
+ * - To resume, the client sends the `Last-Event-ID` header (or `lastEventId` /
+ *   `resumeToken` in the body) together with its userId
+ *
+ * ABANDONMENT:
+ * - A request can register onAbandoned(graceMs, ...) to stop its work when no client
+ *   has been attached for graceMs (the stream endpoint cancels right away unless the
+ *   client asked for a resumable run)
+ *
+ * STORAGE:
+ * - In memory on the instance running the job (fast same-instance replay)
+ * - Firestore `sseStreams/{streamId}` + `events` subcollection, written in batches
+ *   (cross-instance replay). `expiresAt` is set so a Firestore TTL policy can clean up.
+ * - Consecutive token events of a batch share one Firestore document (see
+ *   mergeTokenEvents) - a T3 answer streams thousands of tokens
+ */
+
+import { randomUUID } from 'crypto';
+import { Response } from 'express';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const STREAMS_COLLECTION = 'sseStreams';
+const FLUSH_INTERVAL_MS = 1000;
+const MAX_EVENTS_PER_BATCH = 450; // Firestore batch limit is 500 writes (+1 stream doc update)
+const STREAM_TTL_MS = 24 * 60 * 60 * 1000; // Event logs are kept for 24 hours
+const RESUME_POLL_INTERVAL_MS = 1000;
+const STALE_STREAM_MS = 3 * 60 * 1000; // No new events for 3 minutes → job is considered dead
+
+export type StreamStatus = 'running' | 'complete' | 'error' | 'cancelled';
+
+/**
+ * The part of an HTTP response the research pipeline writes to
+ * Detached streams (background jobs) hand out a sink that satisfies this without a client
+ */
+export type SSEResponse = Pick<Response, 'write'>;
+
+/**
+ * A single logged event (data is the serialized JSON payload)
+ */
+export interface StoredStreamEvent {
+  seq: number;
+  id: string;
+  data: string;
+}
+
+/**
+ * How an event log entry is stored in Firestore: a run of consecutive token events
+ * becomes one entry holding the joined content, with the seq range and the length of
+ * each token so a replay can start in the middle of the run
+ */
+export interface PersistedStreamEvent extends StoredStreamEvent {
+  firstSeq?: number; // seq of the first merged token (seq is the last one)
+  tokenLengths?: number[];
+}
+
+export interface StreamRecord {
+  streamId: string;
+  userId: string;
+  status: StreamStatus;
+  lastSeq: number;
+  updatedAt: Date;
+  question?: string;
+}
+
+/**
+ * Request details stored with the event log (used to re-run an answer at a higher tier)
+ */
+export interface StreamDetails {
+  question?: string;
+}
+
+/**
+ * Persistence backend for stream event logs
+ */
+export interface StreamEventStore {
+  createStream(streamId: string, userId: string, details?: StreamDetails): Promise<void>;
+  appendEvents(streamId: string, events: StoredStreamEvent[]): Promise<void>;
+  setStatus(streamId: string, status: StreamStatus): Promise<void>;
+  getStream(streamId: string): Promise<StreamRecord | null>;
+  getEventsAfter(streamId: string, afterSeq: number, limit: number): Promise<StoredStreamEvent[]>;
+}
+
+/**
+ * Firestore-backed event store
+ */
+export class FirestoreStreamEventStore implements StreamEventStore {
+  private readonly db = getFirestore();
+
+  async createStream(streamId: string, userId: string, details: StreamDetails = {}): Promise<void> {
+    const now = new Date();
+    await this.db.collection(STREAMS_COLLECTION).doc(streamId).set({
+      streamId,
+      userId,
+      ...(details.question ? { question: details.question } : {}),
+      status: 'running',
+      lastSeq: 0,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + STREAM_TTL_MS)
+    });
+  }
+
+  async appendEvents(streamId: string, events: StoredStreamEvent[]): Promise<void> {
+    if (events.length === 0) return;
+
+    const streamRef = this.db.collection(STREAMS_COLLECTION).doc(streamId);
+    const batch = this.db.batch();
+    const expiresAt = new Date(Date.now() + STREAM_TTL_MS);
+
+    for (const event of mergeTokenEvents(events)) {
+      batch.set(streamRef.collection('events').doc(String(event.seq).padStart(8, '0')), {
+        ...event,
+        expiresAt
+      });
+    }
+
+    batch.set(streamRef, {
+      lastSeq: events[events.length - 1].seq,
+      updatedAt: new Date()
+    }, { merge: true });
+
+    await batch.commit();
+  }
+
+  async setStatus(streamId: string, status: StreamStatus): Promise<void> {
+    await this.db.collection(STREAMS_COLLECTION).doc(streamId).set({
+      status,
+      updatedAt: new Date()
+    }, { merge: true });
+  }
+
+  async getStream(streamId: string): Promise<StreamRecord | null> {
+    const doc = await this.db.collection(STREAMS_COLLECTION).doc(streamId).get();
+    if (!doc.exists) return null;
+
+    const data = doc.data()!;
+    return {
+      streamId,
+      userId: data.userId,
+      status: data.status,
+      lastSeq: data.lastSeq ?? 0,
+      updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : new Date(data.updatedAt),
+      question: data.question
+    };
+  }
+
+  async getEventsAfter(streamId: string, afterSeq: number, limit: number): Promise<StoredStreamEvent[]> {
+    const snapshot = await this.db
+      .collection(STREAMS_COLLECTION)
+      .doc(streamId)
+      .collection('events')
+      .where('seq', '>', afterSeq)
+      .orderBy('seq')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return eventAfter({
+        seq: data.seq,
+        id: data.id,
+        data: data.data,
+        firstSeq: data.firstSeq,
+        tokenLengths: data.tokenLengths
+      }, afterSeq);
+    });
+  }
+}
+
+/**
+ * Join runs of consecutive token events into single entries (one Firestore write per run)
+ */
+export function mergeTokenEvents(events: StoredStreamEvent[]): PersistedStreamEvent[] {
+  const merged: PersistedStreamEvent[] = [];
+  let run: { first: StoredStreamEvent; last: StoredStreamEvent; event: any; contents: string[] } | null = null;
+
+  const endRun = () => {
+    if (!run) return;
+    merged.push(run.contents.length === 1 ? run.first : {
+      seq: run.last.seq,
+      id: run.last.id,
+      data: JSON.stringify({ ...run.event, content: run.contents.join('') }),
+      firstSeq: run.first.seq,
+      tokenLengths: run.contents.map(content => content.length)
+    });
+    run = null;
+  };
+
+  for (const stored of events) {
+    const event = JSON.parse(stored.data);
+    const isToken = event.type === 'token' && typeof event.content === 'string' &&
+      Object.keys(event).every(key => key === 'v' || key === 'type' || key === 'content');
+
+    if (!isToken) {
+      endRun();
+      merged.push(stored);
+    } else if (run && stored.seq === run.last.seq + 1 && event.v === run.event.v) {
+      run.last = stored;
+      run.contents.push(event.content);
+    } else {
+      endRun();
+      run = { first: stored, last: stored, event, contents: [event.content] };
+    }
+  }
+  endRun();
+
+  return merged;
+}
+
+/**
+ * The part of a stored entry after `afterSeq` (merged token runs lose the tokens
+ * the client already has)
+ */
+function eventAfter(event: PersistedStreamEvent, afterSeq: number): StoredStreamEvent {
+  const { firstSeq, tokenLengths } = event;
+  if (firstSeq === undefined || !tokenLengths || firstSeq > afterSeq) {
+    return { seq: event.seq, id: event.id, data: event.data };
+  }
+
+  const delivered = tokenLengths.slice(0, afterSeq - firstSeq + 1).reduce((sum, length) => sum + length, 0);
+  const token = JSON.parse(event.data);
+  return {
+    seq: event.seq,
+    id: event.id,
+    data: JSON.stringify({ ...token, content: token.content.substring(delivered) })
+  };
+}
+
+let defaultStore: StreamEventStore | null = null;
+
+function getDefaultStore(): StreamEventStore {
+  if (!defaultStore) {
+    defaultStore = new FirestoreStreamEventStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Build the SSE id for an event
+ */
+export function formatEventId(streamId: string, seq: number): string {
+  return `${streamId}:${seq}`;
+}
+
+/**
+ * Parse an SSE id ("<streamId>:<seq>") back into its parts
+ */
+export function parseEventId(eventId: string): { streamId: string; seq: number } | null {
+  const separator = eventId.lastIndexOf(':');
+  if (separator <= 0) return null;
+
+  const streamId = eventId.substring(0, separator);
+  const seq = Number(eventId.substring(separator + 1));
+
+  if (!Number.isInteger(seq) || seq < 0) return null;
+  return { streamId, seq };
+}
+
+/**
+ * Serialize a logged event as an SSE frame
+ */
+export function formatSSEFrame(event: StoredStreamEvent): string {
+  return `id: ${event.id}\ndata: ${event.data}\n\n`;
+}
+
+// Streams whose job is running on THIS instance
+const activeStreams = new Map<string, ResumableStream>();
+
+// Lets writeSSE/emitSSE find the stream for the response they were handed
+const streamsByResponse = new WeakMap<SSEResponse, ResumableStream>();
+
+/**
+ * Per-request event log that outlives the client connection
+ */
+export class ResumableStream {
+  private nextSeq = 1;
+  private readonly log: StoredStreamEvent[] = [];
+  private unpersisted: StoredStreamEvent[] = [];
+  private client: Response | null;
+  private flushTimer: NodeJS.Timeout | null = null;
+  private flushChain: Promise<void> = Promise.resolve();
+  private finished = false;
+  private abandonTimer: NodeJS.Timeout | null = null;
+  private abandonHandler: { graceMs: number; listener: () => void } | null = null;
+  private readonly finishListeners = new Set<() => void>();
+  private readonly eventListeners = new Set<(event: any) => void>();
+
+  private constructor(
+    readonly streamId: string,
+    readonly userId: string,
+    client: Response | null,
+    private readonly store: StreamEventStore
+  ) {
+    this.client = client;
+  }
+
+  /**
+   * Start a stream with no client attached (background jobs)
+   * Pass the returned `sink` to the pipeline wherever it expects a response;
+   * clients can attach later through resumeStream with `streamId` as resume token
+   */
+  static async openDetached(
+    streamId: string,
+    userId: string,
+    store: StreamEventStore = getDefaultStore()
+  ): Promise<{ stream: ResumableStream; sink: SSEResponse }> {
+    const stream = new ResumableStream(streamId, userId, null, store);
+
+    try {
+      await store.createStream(streamId, userId);
+    } catch (error: any) {
+      console.error(`❌ [RESUMABLE-SSE] Failed to create stream ${streamId}: ${error.message}`);
+    }
+
+    // Raw writes (flush comments, padding) only matter for a live client
+    const sink: SSEResponse = {
+      write: (chunk: any) => {
+        stream.writeRaw(String(chunk));
+        return true;
+      }
+    };
+
+    activeStreams.set(streamId, stream);
+    streamsByResponse.set(sink, stream);
+
+    console.log(`🔁 [RESUMABLE-SSE] Opened detached stream ${streamId} for user ${userId}`);
+    return { stream, sink };
+  }
+
+  /**
+   * Start a new resumable stream for a request and register it for lookups
+   */
+  static async open(
+    res: Response,
+    userId: string,
+    store: StreamEventStore = getDefaultStore(),
+    details: StreamDetails = {}
+  ): Promise<ResumableStream> {
+    // Random UUID: unguessable, so it is safe to hand out as the resume token
+    const streamId = randomUUID();
+    const stream = new ResumableStream(streamId, userId, res, store);
+
+    // Persistence problems must never fail the actual request
+    try {
+      await store.createStream(streamId, userId, details);
+    } catch (error: any) {
+      console.error(`❌ [RESUMABLE-SSE] Failed to create stream ${streamId}: ${error.message}`);
+    }
+
+    activeStreams.set(streamId, stream);
+    streamsByResponse.set(res, stream);
+
+    // Stop writing to a client that went away - onAbandoned decides whether the job continues
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log(`📴 [RESUMABLE-SSE] Client disconnected from ${streamId}`);
+      }
+      stream.detach(res);
+    });
+
+    console.log(`🔁 [RESUMABLE-SSE] Opened stream ${streamId} for user ${userId}`);
+    return stream;
+  }
+
+  get isFinished(): boolean {
+    return this.finished;
+  }
+
+  get lastSeq(): number {
+    return this.nextSeq - 1;
+  }
+
+  /**
+   * Append an event to the log and deliver it to the attached client (if any)
+   */
+  send(event: object): StoredStreamEvent {
+    const seq = this.nextSeq++;
+    const stored: StoredStreamEvent = {
+      seq,
+      id: formatEventId(this.streamId, seq),
+      data: JSON.stringify(event)
+    };
+
+    this.log.push(stored);
+    this.unpersisted.push(stored);
+    this.writeToClient(formatSSEFrame(stored));
+    this.scheduleFlush();
+
+    for (const listener of this.eventListeners) {
+      try {
+        listener(event);
+      } catch (error: any) {
+        console.error(`❌ [RESUMABLE-SSE] Event listener failed on ${this.streamId}: ${error.message}`);
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Observe every event sent on this stream. Returns an unsubscribe function.
+   */
+  onEvent(listener: (event: any) => void): () => void {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  /**
+   * Write an SSE comment (keep-alive etc.) - not logged
+   */
+  writeComment(comment: string): void {
+    this.writeToClient(`: ${comment}\n\n`);
+  }
+
+  /**
+   * Pass-through for raw frames that are not events (padding, flush comments) - not logged
+   */
+  writeRaw(chunk: string): void {
+    this.writeToClient(chunk);
+  }
+
+  /**
+   * Attach a reconnecting client: replay everything after `afterSeq`, then go live
+   */
+  attach(res: Response, afterSeq: number): number {
+    const missed = this.log.filter(event => event.seq > afterSeq);
+    for (const event of missed) {
+      res.write(formatSSEFrame(event));
+    }
+
+    this.client = res;
+    streamsByResponse.set(res, this);
+    this.clearAbandonTimer();
+    console.log(`🔁 [RESUMABLE-SSE] Client re-attached to ${this.streamId} - replayed ${missed.length} events`);
+
+    return missed.length;
+  }
+
+  /**
+   * Stop delivering to a client (the log keeps growing)
+   */
+  detach(res?: Response): void {
+    if (!res || this.client === res) {
+      this.client = null;
+      this.startAbandonTimer();
+    }
+  }
+
+  /**
+   * Call `listener` once no client has been attached for `graceMs`
+   * Only re-attaches on this instance count - cross-instance resumes just replay the log
+   */
+  onAbandoned(graceMs: number, listener: () => void): void {
+    this.abandonHandler = { graceMs, listener };
+    if (!this.client) {
+      this.startAbandonTimer();
+    }
+  }
+
+  private startAbandonTimer(): void {
+    if (!this.abandonHandler || this.abandonTimer || this.finished) return;
+
+    const { graceMs, listener } = this.abandonHandler;
+    this.abandonTimer = setTimeout(() => {
+      this.abandonTimer = null;
+      if (this.client || this.finished) return;
+      console.log(`📴 [RESUMABLE-SSE] No client on ${this.streamId} for ${graceMs}ms - abandoning`);
+      listener();
+    }, graceMs);
+  }
+
+  private clearAbandonTimer(): void {
+    if (this.abandonTimer) {
+      clearTimeout(this.abandonTimer);
+      this.abandonTimer = null;
+    }
+  }
+
+  /**
+   * Subscribe to the end of the job. Returns an unsubscribe function.
+   */
+  onFinish(listener: () => void): () => void {
+    if (this.finished) {
+      listener();
+      return () => {};
+    }
+    this.finishListeners.add(listener);
+    return () => this.finishListeners.delete(listener);
+  }
+
+  /**
+   * Mark the job as done: persist remaining events, then record the final status
+   */
+  async finish(status: Exclude<StreamStatus, 'running'>): Promise<void> {
+    if (this.finished) return;
+    this.finished = true;
+    this.clearAbandonTimer();
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+
+    try {
+      await this.store.setStatus(this.streamId, status);
+    } catch (error: any) {
+      console.error(`❌ [RESUMABLE-SSE] Failed to mark ${this.streamId} as ${status}: ${error.message}`);
+    }
+
+    activeStreams.delete(this.streamId);
+    console.log(`🏁 [RESUMABLE-SSE] Stream ${this.streamId} finished (${status}) after ${this.lastSeq} events`);
+
+    for (const listener of this.finishListeners) {
+      listener();
+    }
+    this.finishListeners.clear();
+  }
+
+  /**
+   * Persist buffered events (serialized so batches land in order)
+   */
+  flush(): Promise<void> {
+    this.flushChain = this.flushChain.then(async () => {
+      while (this.unpersisted.length > 0) {
+        const batch = this.unpersisted.slice(0, MAX_EVENTS_PER_BATCH);
+        try {
+          await this.store.appendEvents(this.streamId, batch);
+          this.unpersisted = this.unpersisted.slice(batch.length);
+        } catch (error: any) {
+          // Keep the events buffered - the next flush retries them
+          console.error(`❌ [RESUMABLE-SSE] Failed to persist ${batch.length} events for ${this.streamId}: ${error.message}`);
+          return;
+        }
+      }
+    });
+    return this.flushChain;
+  }
+
+  private scheduleFlush(): void {
+    if (this.flushTimer || this.finished) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      void this.flush();
+    }, FLUSH_INTERVAL_MS);
+  }
+
+  private writeToClient(frame: string): void {
+    const client = this.client;
+    if (!client || client.writableEnded || client.destroyed) return;
+
+    client.write(frame);
+
+    // Cloud Run buffers aggressively - flush every frame
+    if (typeof (client as any).flush === 'function') {
+      (client as any).flush();
+    }
+  }
+}
+
+/**
+ * Find the resumable stream a response is writing to (if any)
+ */
+export function getResumableStream(res: SSEResponse): ResumableStream | undefined {
+  return streamsByResponse.get(res);
+}
+
+/**
+ * Find a stream whose job is running on this instance
+ */
+export function getActiveStream(streamId: string): ResumableStream | undefined {
+  return activeStreams.get(streamId);
+}
+
+export interface ResumeRequest {
+  streamId: string;
+  afterSeq: number;
+}
+
+/**
+ * Read resume parameters from a request
+ * Priority: Last-Event-ID header → body.lastEventId → body.resumeToken (replay from the start)
+ */
+export function parseResumeRequest(
+  headers: Record<string, string | string[] | undefined>,
+  body: any
+): ResumeRequest | null {
+  const header = headers['last-event-id'];
+  const lastEventId = (Array.isArray(header) ? header[0] : header) || body?.lastEventId;
+
+  if (typeof lastEventId === 'string' && lastEventId.length > 0) {
+    const parsed = parseEventId(lastEventId);
+    if (parsed) {
+      return { streamId: parsed.streamId, afterSeq: parsed.seq };
+    }
+  }
+
+  if (typeof body?.resumeToken === 'string' && body.resumeToken.length > 0) {
+    return { streamId: body.resumeToken, afterSeq: 0 };
+  }
+
+  return null;
+}
+
+export type ResumeOutcome =
+  | 'completed' // Job finished and every event was delivered
+  | 'client_closed' // Client went away again
+  | 'not_found' // Unknown or expired stream
+  | 'forbidden' // Stream belongs to another user
+  | 'abandoned' // Job stopped producing events without finishing (instance died)
+  | 'timed_out'; // Waited too long for the job
+
+export interface ResumeOptions {
+  maxWaitMs: number;
+  store?: StreamEventStore;
+}
+
+/**
+ * Replay missed events to `res` and follow the job until it finishes
+ *
+ * Same instance → attach to the in-memory stream (live events)
+ * Other instance → replay from Firestore and poll for new events
+ */
+export async function resumeStream(
+  res: Response,
+  request: ResumeRequest,
+  userId: string,
+  options: ResumeOptions
+): Promise<ResumeOutcome> {
+  const { streamId, afterSeq } = request;
+  const local = activeStreams.get(streamId);
+
+  if (local) {
+    if (local.userId !== userId) return 'forbidden';
+
+    return new Promise<ResumeOutcome>(resolve => {
+      const unsubscribe = local.onFinish(() => resolve('completed'));
+      res.on('close', () => {
+        local.detach(res);
+        unsubscribe();
+        resolve('client_closed');
+      });
+      local.attach(res, afterSeq);
+    });
+  }
+
+  const store = options.store ?? getDefaultStore();
+  const record = await store.getStream(streamId);
+  if (!record) return 'not_found';
+  if (record.userId !== userId) return 'forbidden';
+
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  const deadline = Date.now() + options.maxWaitMs;
+  let lastSeq = afterSeq;
+  let replayed = 0;
+
+  while (!clientClosed) {
+    // Read status BEFORE events: finish() persists all events before setting the
+    // final status, so a terminal status here means the read below is complete
+    const current = await store.getStream(streamId);
+    const events = await store.getEventsAfter(streamId, lastSeq, MAX_EVENTS_PER_BATCH);
+
+    for (const event of events) {
+      res.write(formatSSEFrame(event));
+      lastSeq = event.seq;
+    }
+    replayed += events.length;
+
+    if (events.length === MAX_EVENTS_PER_BATCH) continue; // More to replay right away
+
+    if (!current || current.status !== 'running') {
+      console.log(`🔁 [RESUMABLE-SSE] Replayed ${replayed} events from ${streamId} (${current?.status ?? 'missing'})`);
+      return 'completed';
+    }
+
+    if (Date.now() - current.updatedAt.getTime() > STALE_STREAM_MS) {
+      console.warn(`⚠️ [RESUMABLE-SSE] Stream ${streamId} has gone stale - giving up`);
+      return 'abandoned';
+    }
+
+    if (Date.now() > deadline) {
+      return 'timed_out';
+    }
+
+    await new Promise(resolve => setTimeout(resolve, RESUME_POLL_INTERVAL_MS));
+  }
+
+  return 'client_closed';
+}
+
+/**
+ * What an earlier request asked and answered, rebuilt from its event log
+ */
+export interface StreamTranscript {
+  streamId: string;
+  question?: string;
+  tier?: number;
+  answer: string;
+  status: StreamStatus;
+}
+
+/**
+ * Rebuild the question, tier and answer text of an earlier stream
+ * Returns null for unknown/expired streams and streams of other users
+ */
+export async function readStreamTranscript(
+  streamId: string,
+  userId: string,
+  store: StreamEventStore = getDefaultStore()
+): Promise<StreamTranscript | null> {
+  const record = await store.getStream(streamId);
+  if (!record || record.userId !== userId) return null;
+
+  const transcript: StreamTranscript = {
+    streamId,
+    question: record.question,
+    answer: '',
+    status: record.status
+  };
+
+  let lastSeq = 0;
+  for (;;) {
+    const events = await store.getEventsAfter(streamId, lastSeq, MAX_EVENTS_PER_BATCH);
+
+    for (const stored of events) {
+      lastSeq = stored.seq;
+      const event = JSON.parse(stored.data);
+      if (event.type === 'token') {
+        transcript.answer += event.content ?? '';
+      } else if (event.type === 'tier_selected') {
+        transcript.tier = event.tier;
+      }
+    }
+
+    if (events.length < MAX_EVENTS_PER_BATCH) break;
+  }
+
+  return transcript;
+}
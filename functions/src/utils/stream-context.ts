@@ -0,0 +1,167 @@
+/**
+ * Per-Request Stream Context
+ *
+ * Everything a streaming request owns lives here instead of in module state, so
+ * concurrent requests on one instance can't corrupt each other's byte counts
+ * or stop each other's heartbeat:
+ * - writer (raw response or resumable stream sink)
+ * - byte counter with the Cloud Run streaming size limit
+ * - keep-alive heartbeat
+ * - abort signal for cancelling the request's work
+ * - progress (last stage, streamed characters) for the cancelled usage record
+ */
+
+import { getResumableStream, SSEResponse } from './resumable-stream';
+import { versionEvent } from './research-event-protocol';
+
+const DEFAULT_MAX_BYTES = 9.5 * 1024 * 1024; // Cloud Run limit is 10 MB - 0.5 MB safety margin
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+const SIZE_LIMIT_MESSAGE = 'Yanıt çok uzun, lütfen soruyu daha spesifik hale getirin';
+
+export interface StreamContextOptions {
+  maxBytes?: number;
+  heartbeatIntervalMs?: number;
+}
+
+export class StreamContext {
+  private bytes = 0;
+  private tokenChars = 0;
+  private stage = 'started';
+  private heartbeat: NodeJS.Timeout | null = null;
+  private readonly abortController = new AbortController();
+  private readonly maxBytes: number;
+  private readonly heartbeatIntervalMs: number;
+
+  constructor(readonly res: SSEResponse, options: StreamContextOptions = {}) {
+    this.maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? DEFAULT_HEARTBEAT_MS;
+  }
+
+  /**
+   * Bytes of event payload written by this request
+   */
+  get totalBytes(): number {
+    return this.bytes;
+  }
+
+  /**
+   * Type of the last non-token event - where the request was when it ended
+   */
+  get lastStage(): string {
+    return this.stage;
+  }
+
+  /**
+   * Characters of answer text streamed so far
+   */
+  get streamedChars(): number {
+    return this.tokenChars;
+  }
+
+  get signal(): AbortSignal {
+    return this.abortController.signal;
+  }
+
+  get aborted(): boolean {
+    return this.abortController.signal.aborted;
+  }
+
+  /**
+   * Write one SSE event with size tracking
+   * Returns false once the size limit is exceeded - callers should stop streaming
+   */
+  writeEvent(event: { type?: string; content?: string }): boolean {
+    if (event.type === 'token') {
+      this.tokenChars += event.content?.length ?? 0;
+    } else if (event.type) {
+      this.stage = event.type;
+    }
+
+    const data = `data: ${JSON.stringify(event)}\n\n`;
+    const bytes = Buffer.byteLength(data, 'utf8');
+
+    this.bytes += bytes;
+
+    if (this.bytes > this.maxBytes) {
+      console.error(`⚠️ [SSE] Response size exceeded 10MB limit: ${(this.bytes / 1024 / 1024).toFixed(2)} MB`);
+      this.writeRaw(`data: ${JSON.stringify(versionEvent({ type: 'error', message: SIZE_LIMIT_MESSAGE }))}\n\n`);
+      return false;
+    }
+
+    // Resumable streams assign the event id, log the event and handle flushing
+    const stream = getResumableStream(this.res);
+    if (stream) {
+      stream.send(event);
+      return true;
+    }
+
+    this.res.write(data);
+
+    // 🔧 CRITICAL FIX: Force immediate flush after each write
+    // Cloud Run aggressively buffers responses, causing 10-minute delays
+    if (this.flush()) {
+      console.log(`💧 [SSE-FLUSH] Forced flush after writing ${bytes} bytes`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Write a raw frame (comments, padding) - not counted or logged
+   */
+  writeRaw(chunk: string): void {
+    this.res.write(chunk);
+  }
+
+  /**
+   * Force buffered data out (compression middleware exposes res.flush)
+   * Returns true if a flush was performed
+   */
+  flush(): boolean {
+    if (typeof (this.res as any).flush === 'function') {
+      (this.res as any).flush();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send an SSE comment every interval to keep the connection open
+   */
+  startHeartbeat(): void {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      const stream = getResumableStream(this.res);
+      if (stream) {
+        stream.writeComment('keepalive');
+      } else {
+        this.writeRaw(': keepalive\n\n');
+      }
+    }, this.heartbeatIntervalMs);
+  }
+
+  stopHeartbeat(): void {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Cancel this request's work (listeners on `signal` are notified)
+   */
+  abort(reason?: string): void {
+    if (!this.abortController.signal.aborted) {
+      this.abortController.abort(reason);
+    }
+  }
+
+  /**
+   * Release timers - safe to call more than once
+   */
+  close(): void {
+    this.stopHeartbeat();
+  }
+}
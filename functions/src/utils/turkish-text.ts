@@ -0,0 +1,20 @@
+/**
+ * Turkish Text Helpers
+ *
+ * Matching user text without caring about case or Turkish characters
+ * ("Şekerim düştü" ~ "sekerim dustu") - users type both ways.
+ */
+
+/**
+ * Lowercase and fold Turkish characters so "Şeker" matches "seker"
+ */
+export function foldTurkish(text: string): string {
+  return text
+    .toLocaleLowerCase('tr-TR')
+    .replace(/ı/g, 'i')
+    .replace(/ş/g, 's')
+    .replace(/ğ/g, 'g')
+    .replace(/ü/g, 'u')
+    .replace(/ö/g, 'o')
+    .replace(/ç/g, 'c');
+}